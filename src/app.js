@@ -1,602 +1,1172 @@
 // ========== src/app.js ==========
 import express from 'express';
 import cors from 'cors';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
+import {
+  MAX_LIMIT,
+  MAX_SEARCH_DEPTH,
+  parseCandidateQuery,
+  needsInMemoryProcessing,
+  matchesInMemoryFilters,
+  supportsListFilters,
+  paginate,
+  setPaginationHeaders,
+  sharesLocation
+} from './utils/candidateFilters.js';
+import { haversineMiles } from './utils/geo.js';
+import { csvLine } from './utils/csv.js';
+import { LruCache } from './utils/lruCache.js';
+import { requestLogger } from './utils/middleware.js';
+import { createRateLimiters, DEFAULT_RATE_LIMITS } from './utils/rateLimit.js';
+import { sendCacheable } from './utils/httpCache.js';
+import { createTokenVerifier, createAuthMiddleware } from './utils/auth.js';
+import { getRole, requireRole, canViewFullProfiles } from './utils/roles.js';
+import { apiVersioning, LATEST_API_VERSION } from './utils/apiVersion.js';
+import { validateRequest, openApiDocument, docsPage, routeList } from './openapi/index.js';
+import { passwordProblem } from './utils/validation.js';
+import { createGeocoder, createPostcodesIoProvider, createFileCache } from './services/geocoding.js';
+import { requirementsFromRegistration, rankCandidates } from './services/matching.js';
+import jobsRouter from './routes/jobsRouter.js';
+import profileRouter from './routes/profileRouter.js';
+import shortlistsRouter from './routes/shortlistsRouter.js';
+import adminRouter from './routes/adminRouter.js';
+import schemasRouter from './routes/schemasRouter.js';
+import candidateProfileRouter from './routes/candidateProfileRouter.js';
+import introductionsRouter, { requestIntroduction, listIntroductions, getIntroduction } from './routes/introductionsRouter.js';
+import savedSearchesRouter, { unsubscribeRoutes } from './routes/savedSearchesRouter.js';
+import { createNotifier } from './services/notifier.js';
+import { createSavedSearchAlerts } from './services/savedSearchAlerts.js';
+import { createEventBus } from './services/events.js';
+import { createWebhookDispatcher } from './services/webhooks.js';
+import { createCandidateCache, DEFAULT_CANDIDATE_CACHE } from './services/candidateCache.js';
+import { recordAudit } from './services/auditLog.js';
+import { loadConfig } from './config.js';
+import { createDataSource } from './datasources/index.js';
+import { createCandidatesRepository } from './repositories/candidatesRepository.js';
+import { createRegistrationsRepository } from './repositories/registrationsRepository.js';
+import { createAuthRepository } from './repositories/authRepository.js';
+import { createCandidateProfilesRepository } from './repositories/candidateProfilesRepository.js';
+import { createJobsRepository } from './repositories/jobsRepository.js';
+import {
+  candidateSerializers,
+  searchSerializers,
+  toLocation,
+  redactCandidate,
+  parseFields,
+  pickFields
+} from './serializers/index.js';
 
 dotenv.config();
 
-const app = express();
+function createDefaultGeocoder() {
+  const ttlMs = Number(process.env.GEOCODE_CACHE_TTL_SECONDS || 7 * 24 * 60 * 60) * 1000;
+
+  return createGeocoder({
+    provider: createPostcodesIoProvider({ baseUrl: process.env.POSTCODES_IO_URL }),
+    cache: new LruCache({
+      maxEntries: Number(process.env.GEOCODE_CACHE_SIZE || 5000),
+      ttlMs
+    }),
+    ttlMs,
+    persistentCache: process.env.GEOCODE_CACHE_FILE ? createFileCache(process.env.GEOCODE_CACHE_FILE) : null
+  });
+}
 
-// ========== MIDDLEWARE ==========
-app.use(cors());
-app.use(morgan('dev'));
-app.use(express.json());
+/**
+ * Build the Express app. Every dependency can be injected, which is how tests
+ * and DATA_SOURCE=memory run without the live projects:
+ *
+ *   dataSource     clients, projects and createAuthClient (see datasources/index.js)
+ *   geocoder       { geocode, geocodeMany } (see services/geocoding.js)
+ *   notifier       { send } (see services/notifier.js)
+ *   events         { emit, subscribe } (see services/events.js)
+ *   webhookRetry   overrides for the webhook retry policy (see services/webhooks.js)
+ *   tokenVerifier  { verify, verifyRemote } (see utils/auth.js)
+ *   logger         root logger; requests log through req.log, a child of it
+ *                  carrying the request ID (see utils/logger.js)
+ *   logRequests    false turns off the one-line-per-request access log
+ *   rateLimits     per-group limits shaped like DEFAULT_RATE_LIMITS, or false
+ *   rateLimitStore shared state for the limiters (see utils/rateLimit.js)
+ *   candidateCache { ttlMs, maxAgeSeconds } for the public candidate routes,
+ *                  shaped like DEFAULT_CANDIDATE_CACHE, or false
+ *   candidateCacheStore shared store for it (see services/candidateCache.js)
+ *   trustProxy     Express "trust proxy" setting, so req.ip is the client's
+ */
+export function createApp(deps = {}) {
+  const app = express();
+  if (deps.trustProxy !== undefined) app.set('trust proxy', deps.trustProxy);
+
+  // ========== MIDDLEWARE ==========
+  // First, so even requests CORS or the body parser turn away get an ID
+  app.use(requestLogger({ logger: deps.logger, logRequests: deps.logRequests !== false }));
+  app.use(cors({
+    // Let browsers read the pagination, correlation, caching and rate limit headers
+    exposedHeaders: [
+      'X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages', 'API-Version', 'X-Request-Id', 'ETag',
+      'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'
+    ]
+  }));
+  app.use(express.json());
+  app.use(apiVersioning());
+  // Checks params, query and body against the OpenAPI operations table
+  app.use(validateRequest());
+
+  // ========== DATA SOURCE ==========
+  // Tests and DATA_SOURCE=memory pass stand-ins; otherwise connect to both live projects
+  const dataSource = deps.dataSource || createDataSource(loadConfig());
+  const { clients: projectClients, createAuthClient } = dataSource;
+
+  // ========== EVENTS AND WEBHOOKS ==========
+  const events = deps.events || createEventBus();
+  const webhooks = createWebhookDispatcher({ clients: projectClients, retry: deps.webhookRetry });
+  events.subscribe(webhooks.handle);
+
+  // ========== CANDIDATE CACHE ==========
+  // Public lists and lookups; profile writes and moderation invalidate a sector
+  const candidateCacheSettings = deps.candidateCache ?? DEFAULT_CANDIDATE_CACHE;
+  const candidateCache = createCandidateCache({
+    ttlMs: candidateCacheSettings ? candidateCacheSettings.ttlMs : 0,
+    ...(deps.candidateCacheStore && { store: deps.candidateCacheStore })
+  });
+  const cacheControl = { maxAgeSeconds: candidateCacheSettings ? candidateCacheSettings.maxAgeSeconds : 0 };
+
+  const repositories = {
+    candidates: createCandidatesRepository(projectClients),
+    registrations: createRegistrationsRepository(projectClients),
+    jobs: createJobsRepository(projectClients),
+    auth: createAuthRepository(dataSource),
+    candidateProfiles: createCandidateProfilesRepository(projectClients, {
+      events,
+      onChange: sector => candidateCache.invalidate(sector)
+    })
+  };
+
+  // Routers that need to reach across projects read the clients from here
+  app.locals.supabase = projectClients;
+  app.locals.createAuthClient = createAuthClient;
+  app.locals.repositories = repositories;
+  app.locals.notifier = deps.notifier || createNotifier();
+  app.locals.events = events;
+  // index.js starts the retry timer; tests call runDue() and flush() directly
+  app.locals.webhooks = webhooks;
+  app.locals.candidateCache = candidateCache;
+
+  const ACCOUNT_TYPES = ['sewing', 'upholstery'];
+
+  // ========== GEOCODING SETUP ==========
+  const geocoder = deps.geocoder || createDefaultGeocoder();
+  app.locals.geocoder = geocoder;
+
+  // ========== HELPER FUNCTIONS ==========
+
+  // Verify Supabase Token Middleware - tokens are routed to their project by issuer
+  // and checked locally (see utils/auth.js)
+  const tokenVerifier = deps.tokenVerifier || createTokenVerifier({ projects: dataSource.projects });
+
+  const verifySupabaseToken = createAuthMiddleware(tokenVerifier);
+
+  // Also asks Supabase Auth, for routes that must notice a revoked session straight away
+  const verifySupabaseTokenStrict = createAuthMiddleware(tokenVerifier, { remote: true });
+
+  // Public routes that show more to signed-in employers. No token means anonymous.
+  const optionalSupabaseToken = createAuthMiddleware(tokenVerifier, { optional: true });
+
+  const employerOrAdmin = requireRole('employer', 'admin');
+
+  // ========== RATE LIMITS ==========
+  // auth: per IP and per email, plus lockout after repeated failed logins.
+  // public: per IP. authenticated: per user, so it goes after the token check.
+  const rateLimits = createRateLimiters(deps.rateLimits ?? DEFAULT_RATE_LIMITS, {
+    ...(deps.rateLimitStore && { store: deps.rateLimitStore })
+  });
 
-// ========== SUPABASE SETUP ==========
-// Sewing project
-const supabaseUrlSewing = process.env.SUPABASE_URL_SEWING;
-const supabaseKeySewing = process.env.SUPABASE_SERVICE_ROLE_KEY_SEWING;
+  // ========== HEALTH CHECK ==========
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'production'
+    });
+  });
 
-// Upholstery project
-const supabaseUrlUpholstery = process.env.SUPABASE_URL_UPHOLSTERY;
-const supabaseKeyUpholstery = process.env.SUPABASE_SERVICE_ROLE_KEY_UPHOLSTERY;
+  // ========== REGISTRATION ENDPOINT ==========
 
-if (!supabaseUrlSewing || !supabaseKeySewing) {
-  console.error('❌ Missing Sewing Supabase environment variables');
-  process.exit(1);
-}
+  // With REQUIRE_EMAIL_VERIFICATION=true new accounts must confirm their email
+  // before they can log in, and changed emails before they take effect;
+  // otherwise they're confirmed on creation.
+  const requireEmailVerification = deps.requireEmailVerification ?? process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  app.locals.requireEmailVerification = requireEmailVerification;
 
-if (!supabaseUrlUpholstery || !supabaseKeyUpholstery) {
-  console.error('❌ Missing Upholstery Supabase environment variables');
-  process.exit(1);
-}
+  const DUPLICATE_MESSAGES = {
+    email: 'An account with this email already exists',
+    company: 'This company is already registered. Ask your colleague to add you, or contact support.'
+  };
 
-const supabaseSewing = createClient(supabaseUrlSewing, supabaseKeySewing);
-const supabaseUpholstery = createClient(supabaseUrlUpholstery, supabaseKeyUpholstery);
+  // Email a one-time sign-in link; following it confirms the address
+  async function sendVerificationEmail(log, accountType, email) {
+    const { link, user, error } = await repositories.auth.generateMagicLink(
+      accountType,
+      email,
+      process.env.EMAIL_VERIFICATION_REDIRECT_URL || undefined
+    );
 
-console.log('✅ Sewing Supabase initialized');
-console.log('✅ Upholstery Supabase initialized');
+    if (error) {
+      log.error('Verification link error', { accountType, error: error.message });
+      return false;
+    }
 
-// ========== HELPER FUNCTIONS ==========
+    // Already confirmed - a sign-in link is no use to them
+    if (user?.email_confirmed_at) return false;
 
-async function getCoordinatesFromPostcode(postcode) {
-  if (!postcode) return null;
-  
-  try {
-    const clean = postcode.replace(/\s+/g, '').toUpperCase();
-    const response = await fetch(`https://api.postcodes.io/postcodes/${encodeURIComponent(clean)}`);
-    const data = await response.json();
-    
-    if (data.status === 200 && data.result) {
-      return {
-        lat: data.result.latitude,
-        lon: data.result.longitude,
-        postcodeDistrict: data.result.outward_code
-      };
-    }
-  } catch (error) {
-    console.warn('⚠️ Postcode lookup failed for:', postcode);
+    return app.locals.notifier.send({
+      to: email,
+      subject: 'Confirm your email address',
+      text: `Please confirm your email address to finish setting up your account:\n${link}`
+    });
   }
-  
-  return null;
-}
 
-// Verify Supabase Token Middleware
-async function verifySupabaseToken(req, res, next) {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+  // Body checked against REGISTRATION_SCHEMA (src/openapi/operations.js) by validateRequest
+  app.post('/api/register', ...rateLimits.auth, async (req, res) => {
+    try {
+      const values = req.validated.body;
+      const { email, account_type: accountType, company_name: company } = values;
+      req.log.info('Registration attempt', { accountType });
 
-    if (!token) {
-      console.warn('⚠️ No token provided for protected route:', req.path);
-      return res.status(401).json({ error: 'No token provided' });
-    }
+      const duplicate = await repositories.registrations.findDuplicate({ email, company });
+      if (duplicate) {
+        return res.status(409).json({ error: 'Already registered', fields: { [duplicate]: DUPLICATE_MESSAGES[duplicate] } });
+      }
+
+      // 1. Create user in Supabase Auth
+      const { user, error: authError } = await repositories.auth.createUser(accountType, {
+        email,
+        password: req.body.password,
+        emailConfirmed: !requireEmailVerification,
+        role: 'employer'
+      });
+
+      if (authError) {
+        req.log.warn('Could not create auth user', { accountType, error: authError.message });
+        return res.status(400).json({ error: authError.message });
+      }
+
+      const userId = user.id;
+      req.log.info('Auth user created', { accountType, userId });
 
-    // Verify token with Supabase (try both projects)
-    let user = null;
-    let supabaseClient = null;
-
-    // Try Sewing first
-    const { data: sewingUser, error: sewingError } = await supabaseSewing.auth.getUser(token);
-    if (sewingUser?.user) {
-      user = sewingUser.user;
-      supabaseClient = supabaseSewing;
-      console.log('✅ Token verified with Sewing Supabase');
-    } else if (!sewingError) {
-      // Try Upholstery
-      const { data: upholsteryUser, error: upholsteryError } = await supabaseUpholstery.auth.getUser(token);
-      if (upholsteryUser?.user) {
-        user = upholsteryUser.user;
-        supabaseClient = supabaseUpholstery;
-        console.log('✅ Token verified with Upholstery Supabase');
+      // 2. Save client registration details to database
+      const { error: regError } = await repositories.registrations.create(accountType, {
+        ...values,
+        // Staff approve new employers before they can contact candidates
+        status: 'pending',
+        created_at: new Date().toISOString()
+      });
+
+      if (regError) {
+        // An auth user without a company record can log in but can't do anything,
+        // and blocks the email from registering again - so undo it
+        req.log.error('Registration details save error', { accountType, userId, error: regError.message });
+        const { error: deleteError } = await repositories.auth.deleteUser(accountType, userId);
+        if (deleteError) {
+          req.log.error('Could not remove auth user after failed registration - delete it manually', {
+            accountType,
+            userId,
+            error: deleteError.message
+          });
+        }
+        return res.status(500).json({ error: 'Registration failed. Please try again.' });
       }
+
+      const verificationSent = requireEmailVerification && await sendVerificationEmail(req.log, accountType, email);
+
+      req.log.info('Registration complete', { accountType, userId });
+      events.emit('employer.registered', { accountType, userId, email, company, status: 'pending' });
+
+      // Return success
+      res.status(201).json({
+        success: true,
+        message: requireEmailVerification
+          ? 'Registration successful. Check your email to confirm your address, then login.'
+          : 'Registration successful. You can now login; we will review your account before you can contact candidates.',
+        email,
+        accountType,
+        company,
+        emailVerificationRequired: requireEmailVerification,
+        ...(requireEmailVerification && { verificationEmailSent: verificationSent })
+      });
+
+    } catch (error) {
+      req.log.error('Registration error', { error });
+      res.status(500).json({ error: 'Registration failed' });
     }
+  });
+
+  // Candidates sign up with just an account; the profile comes after, through
+  // /api/candidate/profile. Body checked against CANDIDATE_REGISTRATION_SCHEMA.
+  app.post('/api/register/candidate', ...rateLimits.auth, async (req, res) => {
+    try {
+      const { email, accountType } = req.validated.body;
+      req.log.info('Candidate registration attempt', { accountType });
+
+      // Employer accounts are found by their company record
+      if (await repositories.registrations.findAccountType(email)) {
+        return res.status(409).json({ error: 'Already registered', fields: { email: DUPLICATE_MESSAGES.email } });
+      }
+
+      const { user, error: authError } = await repositories.auth.createUser(accountType, {
+        email,
+        password: req.body.password,
+        emailConfirmed: !requireEmailVerification,
+        role: 'candidate'
+      });
 
-    if (!user) {
-      console.warn('⚠️ Invalid or expired token');
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      if (authError?.code === 'email_exists') {
+        return res.status(409).json({ error: 'Already registered', fields: { email: DUPLICATE_MESSAGES.email } });
+      }
+
+      if (authError) {
+        req.log.warn('Could not create auth user', { accountType, error: authError.message });
+        return res.status(400).json({ error: authError.message });
+      }
+
+      const verificationSent = requireEmailVerification && await sendVerificationEmail(req.log, accountType, email);
+
+      req.log.info('Candidate registration complete', { accountType, userId: user.id });
+
+      res.status(201).json({
+        success: true,
+        message: requireEmailVerification
+          ? 'Registration successful. Check your email to confirm your address, then login and create your profile.'
+          : 'Registration successful. You can now login and create your profile.',
+        email,
+        accountType,
+        role: 'candidate',
+        emailVerificationRequired: requireEmailVerification,
+        ...(requireEmailVerification && { verificationEmailSent: verificationSent })
+      });
+    } catch (error) {
+      req.log.error('Candidate registration error', { error });
+      res.status(500).json({ error: 'Registration failed' });
     }
+  });
 
-    req.user = user;
-    req.supabase = supabaseClient;
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(500).json({ error: 'Token verification error' });
+  // Which project an email's account is in, for requests that don't say:
+  // employers by their company record, candidates by their profile. Supabase
+  // Auth can't be searched by email without listing every user, so candidates
+  // who haven't made a profile yet (including all awaiting confirmation) are
+  // only found when the client sends their accountType.
+  async function findAccountType(email) {
+    const employerType = await repositories.registrations.findAccountType(email);
+    if (employerType) return employerType;
+
+    const { accountType, error } = await repositories.candidateProfiles.findAccountType(email);
+    if (error) throw new Error(`Account lookup failed: ${error.message}`);
+    return accountType;
   }
-}
 
-// ========== HEALTH CHECK ==========
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'production'
+  // Send the confirmation link again. Body: { email, accountType? }
+  app.post('/api/register/resend-verification', ...rateLimits.auth, async (req, res) => {
+    // Same answer whatever the account state, so this can't be used to probe emails
+    const response = { success: true, message: 'If that account is awaiting confirmation, a new link has been sent.' };
+
+    try {
+      const values = req.validated.body;
+      const accountType = ACCOUNT_TYPES.includes(req.body.accountType)
+        ? req.body.accountType
+        : await findAccountType(values.email);
+
+      if (accountType) {
+        await sendVerificationEmail(req.log, accountType, values.email);
+      }
+
+      return res.json(response);
+    } catch (error) {
+      req.log.error('Resend verification error', { error });
+      return res.status(500).json({ error: 'Server error' });
+    }
   });
-});
 
-// ========== REGISTRATION ENDPOINT ==========
-app.post('/api/register', async (req, res) => {
-  try {
-    const {
-      email,
-      password,
-      confirmPassword,
-      accountType,
-      company,
-      postcode,
-      city,
-      county,
-      jobTitle,
-      jobDescription,
-      employmentType,
-      salaryFrom,
-      salaryTo,
-      hoursPerWeek,
-      benefits,
-      experienceRequired,
-      machines,
-      techniques
-    } = req.body;
-
-    console.log(`📝 Registration attempt: ${email} (${accountType})`);
-
-    // Validate input
-    if (!email || !password || !accountType || !company) {
-      return res.status(400).json({ error: 'Missing required fields' });
+  // ========== LOGIN ENDPOINTS ==========
+
+  // Login with email/password (using Supabase Auth)
+  app.post('/api/login', ...rateLimits.auth, rateLimits.lockout.guard, async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password required' });
+      }
+
+      // Try Sewing Supabase first
+      let loginResult = await loginToSupabase(req.log, email, password, 'sewing');
+
+      // If not found in sewing, try Upholstery
+      if (!loginResult.success && !loginResult.unconfirmed) {
+        req.log.debug('Not in Sewing, trying Upholstery');
+        loginResult = await loginToSupabase(req.log, email, password, 'upholstery');
+      }
+
+      // Supabase only says this once the password has checked out
+      if (loginResult.unconfirmed) {
+        await rateLimits.lockout.recordSuccess(email);
+        return res.status(403).json({ error: 'Please confirm your email address before logging in', code: 'email_not_confirmed' });
+      }
+
+      if (!loginResult.success) {
+        req.log.info('Login failed');
+        // An unreachable project isn't the caller's fault, so it doesn't count towards a lockout
+        const lockedForMs = loginResult.unavailable ? 0 : await rateLimits.lockout.recordFailure(email);
+        if (lockedForMs > 0) {
+          req.log.warn('Login locked after repeated failures', { lockedForMs });
+        }
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      await rateLimits.lockout.recordSuccess(email);
+      req.log.info('Login successful', { accountType: loginResult.accountType, userId: loginResult.user.id });
+
+      return res.json(toSessionResponse(loginResult.session, loginResult.user, loginResult.accountType));
+    } catch (error) {
+      req.log.error('Login error', { error });
+      return res.status(500).json({ error: 'Server error' });
     }
+  });
+
+  // Clients keep accountType so refresh and password reset go straight to the right project
+  function toSessionResponse(session, user, accountType) {
+    return {
+      token: session.access_token,
+      refreshToken: session.refresh_token,
+      accountType,
+      user: {
+        id: user.id,
+        email: user.email,
+        accountType,
+        role: getRole(user),
+      },
+      expiresIn: session.expires_in,
+    };
+  }
+
+  async function loginToSupabase(log, email, password, dbType) {
+    try {
+      const { user, session, error } = await repositories.auth.signIn(dbType, email, password);
 
-    if (password !== confirmPassword) {
-      return res.status(400).json({ error: 'Passwords do not match' });
+      if (error?.code === 'email_not_confirmed') {
+        log.info('Login for unconfirmed email', { accountType: dbType });
+        return { success: false, unconfirmed: true };
+      }
+
+      if (error || !user) {
+        log.debug('Login failed', { accountType: dbType });
+        return { success: false };
+      }
+
+      return {
+        success: true,
+        user,
+        session,
+        accountType: dbType,
+      };
+    } catch (error) {
+      log.error('Error logging into Supabase', { accountType: dbType, error });
+      return { success: false, unavailable: true };
     }
+  }
+
+  // ========== SESSION ENDPOINTS ==========
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  // Exchange a refresh token for a new session. Body: { refreshToken, accountType }
+  app.post('/api/token/refresh', ...rateLimits.auth, async (req, res) => {
+    try {
+      const { refreshToken, accountType } = req.body || {};
+
+      if (!refreshToken || !ACCOUNT_TYPES.includes(accountType)) {
+        return res.status(400).json({ error: 'refreshToken and accountType (sewing or upholstery) required' });
+      }
+
+      const { user, session, error } = await repositories.auth.refresh(accountType, refreshToken);
+
+      if (error || !session) {
+        req.log.warn('Token refresh failed', { accountType, error: error?.message });
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+
+      return res.json(toSessionResponse(session, user, accountType));
+    } catch (error) {
+      req.log.error('Token refresh error', { error });
+      return res.status(500).json({ error: 'Server error' });
     }
+  });
+
+  // Revoke the current session. Body: { scope?: 'local' | 'global' | 'others' }
+  app.post('/api/logout', verifySupabaseTokenStrict, ...rateLimits.authenticated, async (req, res) => {
+    try {
+      const scope = req.body?.scope || 'local';
 
-    if (!['sewing', 'upholstery'].includes(accountType)) {
-      return res.status(400).json({ error: 'Invalid account type' });
+      if (!['local', 'global', 'others'].includes(scope)) {
+        return res.status(400).json({ error: 'scope must be local, global or others' });
+      }
+
+      const { error } = await repositories.auth.signOut(req.accountType, req.accessToken, scope);
+
+      if (error) {
+        req.log.error('Logout error', { error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+
+      req.log.info('Logged out', { userId: req.user.id, scope });
+      return res.json({ success: true });
+    } catch (error) {
+      req.log.error('Logout error', { error });
+      return res.status(500).json({ error: 'Server error' });
     }
+  });
 
-    const supabase = accountType === 'sewing' ? supabaseSewing : supabaseUpholstery;
+  // Send a Supabase recovery email. Body: { email, accountType? }
+  app.post('/api/password/forgot', ...rateLimits.auth, async (req, res) => {
+    // Same answer whether or not the account exists, so this can't be used to probe emails
+    const response = { success: true, message: 'If an account exists for that email, a reset link has been sent.' };
 
-    // 1. Create user in Supabase Auth
-    console.log(`🔐 Creating Supabase user for ${email}`);
-    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-      email,
-      password,
-      email_confirm: true
-    });
+    try {
+      const { email } = req.body || {};
+
+      if (!email) {
+        return res.status(400).json({ error: 'Email required' });
+      }
+
+      const accountType = ACCOUNT_TYPES.includes(req.body.accountType)
+        ? req.body.accountType
+        : await findAccountType(email);
+
+      if (!accountType) {
+        req.log.info('Password reset requested for unknown email');
+        return res.json(response);
+      }
+
+      // The reset page needs to know which project to send the new password to
+      const redirectTo = process.env.PASSWORD_RESET_REDIRECT_URL
+        ? `${process.env.PASSWORD_RESET_REDIRECT_URL}?accountType=${accountType}`
+        : undefined;
+
+      const { error } = await repositories.auth.sendPasswordReset(accountType, email, redirectTo);
+
+      if (error) {
+        req.log.error('Password reset email failed', { accountType, error: error.message });
+      } else {
+        req.log.info('Password reset email sent', { accountType });
+      }
 
-    if (authError) {
-      console.error('❌ Auth error:', authError.message);
-      return res.status(400).json({ error: authError.message });
+      return res.json(response);
+    } catch (error) {
+      req.log.error('Password reset request error', { error });
+      return res.status(500).json({ error: 'Server error' });
     }
+  });
 
-    console.log(`✅ User created: ${authData.user.id}`);
+  // Set a new password using the recovery token from the reset email.
+  // Body: { accessToken, password, confirmPassword, accountType }
+  app.post('/api/password/reset', ...rateLimits.auth, async (req, res) => {
+    try {
+      const { accessToken, password, confirmPassword, accountType } = req.body || {};
 
-    // 2. Save client registration details to database
-    console.log(`💾 Saving client registration to database`);
-    const { data: regData, error: regError } = await supabase
-      .from('client_registrations')
-      .insert({
-        email,
-        company_name: company,
-        postcode,
-        city,
-        county,
-        job_title: jobTitle,
-        job_description: jobDescription,
-        employment_type: employmentType,
-        salary_from: salaryFrom,
-        salary_to: salaryTo,
-        hours_per_week: hoursPerWeek,
-        benefits,
-        experience_required: experienceRequired,
-        machines,
-        techniques,
-        account_type: accountType,
-        created_at: new Date().toISOString()
-      });
+      if (!accessToken || !password || !ACCOUNT_TYPES.includes(accountType)) {
+        return res.status(400).json({ error: 'accessToken, password and accountType (sewing or upholstery) required' });
+      }
+
+      if (password !== confirmPassword) {
+        return res.status(400).json({ error: 'Passwords do not match' });
+      }
+
+      const { user, error: userError } = await repositories.auth.getUser(accountType, accessToken);
+
+      if (userError || !user) {
+        return res.status(401).json({ error: 'Invalid or expired reset link' });
+      }
+
+      const problem = passwordProblem(password, { email: user.email });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const { error } = await repositories.auth.updateUser(accountType, user.id, { password });
+
+      if (error) {
+        req.log.warn('Password reset rejected', { accountType, error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
 
-    if (regError) {
-      console.error('⚠️ Registration details save error:', regError.message);
-      // Don't fail - user was created in auth, registration details are optional
+      // Sign out everywhere else now the password has changed
+      await repositories.auth.signOut(accountType, accessToken, 'others');
+
+      req.log.info('Password reset', { accountType, userId: user.id });
+      return res.json({ success: true, message: 'Password updated. You can now login.' });
+    } catch (error) {
+      req.log.error('Password reset error', { error });
+      return res.status(500).json({ error: 'Server error' });
     }
+  });
 
-    console.log(`✅ Registration complete for ${email}`);
+  // ========== PROFILE ==========
+  app.use('/api/profile', verifySupabaseTokenStrict, ...rateLimits.authenticated, employerOrAdmin, profileRouter);
 
-    // Return success
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful. You can now login.',
-      email,
-      accountType,
-      company
-    });
+  // Candidates manage their own profile; strict, so a withdrawn session can't edit it
+  app.use('/api/candidate/profile', verifySupabaseTokenStrict, ...rateLimits.authenticated, requireRole('candidate'), candidateProfileRouter);
 
-  } catch (error) {
-    console.error('❌ Registration error:', error.message);
-    res.status(500).json({ error: 'Registration failed: ' + error.message });
+  // ========== CANDIDATE MAPPING ==========
+
+  // Full profiles for employers and admins, public cards for everyone else,
+  // cut down to ?fields= when given (see parseRequestedFields)
+  function candidatePresenter(req) {
+    // Responses differ by caller, so shared caches must key on the token
+    req.res.vary('Authorization');
+    const present = canViewFullProfiles(req.user) ? candidate => candidate : redactCandidate;
+    return candidate => pickFields(present(candidate), req.candidateFields);
   }
-});
 
-// ========== LOGIN ENDPOINTS ==========
+  // Validates ?fields= and stashes the list for candidatePresenter
+  function parseRequestedFields(serializer) {
+    return (req, res, next) => {
+      const { fields, error } = parseFields(req.query.fields, serializer);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      req.candidateFields = fields;
+      next();
+    };
+  }
 
-// Login with email/password (using Supabase Auth)
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  // Row → API object in the shape the caller's API version expects
+  const serializeAs = (serializer, version) => (row, location) => serializer.serialize(row, location, { version });
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
+  // Most rows loaded for a search that filters or sorts in memory
+  const IN_MEMORY_MAX_ROWS = 10000;
 
-    console.log(`🔐 Login attempt for: ${email}`);
+  // Fetch one page of candidates for a sector. Filters Supabase can apply run in the
+  // query; salary bands and near/radius searches need the mapped rows, so those
+  // requests load every matching row (up to IN_MEMORY_MAX_ROWS, newest first) and
+  // paginate here instead. Resolves to { candidates, total, warning? } or { error }.
+  async function listCandidates(sector, filters, { toCandidate }) {
+    const inMemory = needsInMemoryProcessing(filters);
+    const from = (filters.page - 1) * filters.limit;
 
-    // Try Sewing Supabase first
-    let loginResult = await loginToSupabase(email, password, supabaseSewing, 'sewing');
+    const { rows, count, error } = inMemory
+      ? await repositories.candidates.listAll(sector, filters, { max: IN_MEMORY_MAX_ROWS })
+      : await repositories.candidates.list(sector, filters, { range: { from, to: from + filters.limit - 1 } });
 
-    // If not found in sewing, try Upholstery
-    if (!loginResult.success) {
-      console.log(`📋 Not in Sewing, trying Upholstery...`);
-      loginResult = await loginToSupabase(email, password, supabaseUpholstery, 'upholstery');
+    if (error) {
+      return { error };
     }
 
-    if (!loginResult.success) {
-      console.log(`❌ Login failed for ${email}`);
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const warning = inMemory && count > rows.length
+      ? `Only the newest ${IN_MEMORY_MAX_ROWS} ${sector} candidates were searched; narrow the filters to see the rest`
+      : undefined;
+
+    if (rows.length === 0) {
+      return { candidates: [], total: inMemory ? 0 : count };
     }
 
-    console.log(`✅ Login successful for ${email} (${loginResult.accountType})`);
+    // Only join the private postcodes for the rows we actually return, and
+    // never for candidates who asked to stay anonymous
+    const { postcodes, error: postcodeError } = await repositories.candidates.postcodes(
+      sector,
+      rows.filter(sharesLocation).map(c => c.candidate_id)
+    );
+    if (postcodeError) {
+      return { error: postcodeError };
+    }
 
-    return res.json({
-      token: loginResult.session.access_token,
-      user: {
-        id: loginResult.user.id,
-        email: loginResult.user.email,
-        accountType: loginResult.accountType,
-      },
-      expiresIn: loginResult.session.expires_in,
+    // One bulk lookup for the whole page (plus the search origin)
+    const coordinates = await geocoder.geocodeMany(
+      filters.near ? [...postcodes.values(), filters.near] : [...postcodes.values()]
+    );
+
+    let origin = null;
+    if (filters.near) {
+      origin = coordinates.get(filters.near);
+      if (!origin) {
+        return { error: { status: 400, message: `Could not locate postcode ${filters.near}` } };
+      }
+    }
+
+    let candidates = rows.map((c) => {
+      const candidate = toCandidate(c, toLocation(coordinates.get(postcodes.get(c.candidate_id))));
+      if (origin) {
+        candidate.distanceMiles = distanceFrom(origin, candidate);
+      }
+      return candidate;
     });
-  } catch (error) {
-    console.error('❌ Login error:', error);
-    return res.status(500).json({ error: 'Server error' });
+
+    if (!inMemory) {
+      return { candidates, total: count };
+    }
+
+    candidates = candidates.filter(c => matchesInMemoryFilters(c, filters));
+
+    if (filters.sort === 'nearest') {
+      // Array.prototype.sort is stable, so ties keep the newest-first database order.
+      // Candidates we couldn't locate go last.
+      candidates.sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity));
+    }
+
+    return { candidates: paginate(candidates, filters), total: candidates.length, ...(warning && { warning }) };
   }
-});
 
-async function loginToSupabase(email, password, supabase, dbType) {
-  try {
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password,
-    });
+  function distanceFrom(origin, candidate) {
+    if (!candidate.postcodeCoords) return null;
+    return Math.round(haversineMiles(origin, candidate.postcodeCoords) * 10) / 10;
+  }
 
-    if (error || !data.user) {
-      console.log(`⚠️ Login failed for ${email} on ${dbType}`);
-      return { success: false };
+  async function getCandidate(sector, candidateId, { version }) {
+    const row = await repositories.candidates.findById(sector, candidateId);
+    if (!row) {
+      return null;
     }
 
-    return {
-      success: true,
-      user: data.user,
-      session: data.session,
-      accountType: dbType,
-    };
-  } catch (error) {
-    console.error(`Error logging into ${dbType} Supabase:`, error);
-    return { success: false };
+    const { postcodes, error } = await repositories.candidates.postcodes(sector, sharesLocation(row) ? [candidateId] : []);
+    if (error) {
+      throw new Error(`Postcode lookup failed: ${error.message}`);
+    }
+    const location = toLocation(await geocoder.geocode(postcodes.get(candidateId)));
+    return candidateSerializers[sector].serialize(row, location, { version });
+  }
+
+  // listCandidates and getCandidate for the public routes, through the cache.
+  // Keys hold everything that changes the data; redaction and ?fields= are
+  // applied per caller afterwards.
+  const cachedList = (sector, filters, version) => candidateCache.wrap(
+    sector,
+    `list:v${version}:${JSON.stringify(filters)}`,
+    () => listCandidates(sector, filters, { toCandidate: serializeAs(candidateSerializers[sector], version) }),
+    { cacheable: result => !result.error }
+  );
+
+  const cachedCandidate = (sector, candidateId, version) => candidateCache.wrap(
+    sector,
+    `one:v${version}:${candidateId}`,
+    () => getCandidate(sector, candidateId, { version })
+  );
+
+  // ========== CSV EXPORT ==========
+
+  // Most candidates one export holds, and how many are fetched per query while streaming it
+  const EXPORT_MAX_ROWS = 10000;
+  const EXPORT_BATCH_SIZE = 500;
+
+  // Staff exports add these from the *_private tables
+  const CONTACT_EXPORT_COLUMNS = { firstName: 'first_name', lastName: 'last_name', email: 'email', phone: 'phone', postcode: 'postcode' };
+
+  // The JSON field list as CSV columns: coordinates split in two, distances
+  // only for near= searches, coordinates only for callers who get them in JSON
+  function exportColumns(req, serializer, filters) {
+    const fields = req.candidateFields || serializer.fieldNames.filter(field => (
+      (field !== 'distanceMiles' || filters.near) && (field !== 'postcodeCoords' || canViewFullProfiles(req.user))
+    ));
+    return fields.flatMap(field => (field === 'postcodeCoords' ? ['postcodeCoords.lat', 'postcodeCoords.lon'] : [field]));
   }
-}
 
-// Get Profile (Protected Route)
-app.get('/api/profile', verifySupabaseToken, async (req, res) => {
-  try {
-    const user = req.user;
+  function exportCell(candidate, column) {
+    if (column.startsWith('postcodeCoords.')) return candidate.postcodeCoords?.[column.split('.')[1]];
+    return candidate[column];
+  }
 
-    return res.json({
-      profile: {
-        id: user.id,
-        email: user.email,
-        createdAt: user.created_at,
-      },
+  // Every candidate matching the filters (up to EXPORT_MAX_ROWS) as CSV, in the
+  // same shape and order as the JSON list, written a batch at a time
+  async function exportCandidates(req, res, sector, filters) {
+    const serializer = candidateSerializers[sector];
+    const present = candidatePresenter(req);
+    const includeContact = getRole(req.user) === 'admin';
+    // In-memory filters load every match anyway, so take them in one go
+    const inMemory = needsInMemoryProcessing(filters);
+    const batchSize = inMemory ? EXPORT_MAX_ROWS : EXPORT_BATCH_SIZE;
+    const fetchBatch = page => listCandidates(sector, { ...filters, page, limit: batchSize }, {
+      toCandidate: serializeAs(serializer, req.apiVersion)
     });
-  } catch (error) {
-    console.error('Profile fetch error:', error);
-    return res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// ========== SEWING CANDIDATES ==========
-
-// Get all sewing candidates (PUBLIC)
-app.get('/api/candidates', async (req, res) => {
-  try {
-    console.log('📋 Fetching sewing candidates (PUBLIC endpoint)');
-    
-    const { data: publicData, error: publicError } = await supabaseSewing
-      .from('candidates_public')
-      .select('*')
-      .order('created_at', { ascending: false });
-    
-    const { data: privateData } = await supabaseSewing
-      .from('candidates_private')
-      .select('candidate_id, postcode')
-      .order('created_at', { ascending: false });
-
-    if (publicError) {
-      console.error('❌ Supabase Error:', publicError);
-      return res.status(400).json({ error: publicError.message });
-    }
 
-    if (!Array.isArray(publicData) || publicData.length === 0) {
-      return res.json([]);
+    let batch = await fetchBatch(1);
+    if (batch.error) {
+      req.log.error('Candidate export error', { sector, error: batch.error });
+      return res.status(batch.error.status || 400).json({ error: batch.error.message });
     }
 
-    const candidates = await Promise.all(publicData.map(async (c) => {
-      const privateRecord = privateData?.find(p => p.candidate_id === c.candidate_id);
-      
-      let coordinates = null;
-      let postcodeDistrict = null;
-      
-      if (privateRecord?.postcode) {
-        const coords = await getCoordinatesFromPostcode(privateRecord.postcode);
-        if (coords) {
-          coordinates = { lat: coords.lat, lon: coords.lon };
-          postcodeDistrict = coords.postcodeDistrict;
+    const columns = exportColumns(req, serializer, filters);
+    const contactColumns = includeContact ? Object.keys(CONTACT_EXPORT_COLUMNS) : [];
+    const limit = Math.min(batch.total, EXPORT_MAX_ROWS);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${sector}-candidates-${new Date().toISOString().slice(0, 10)}.csv"`,
+      'X-Total-Count': String(batch.total)
+    });
+    res.write(csvLine([...columns, ...contactColumns]));
+
+    let written = 0;
+    try {
+      for (let page = 1; ; page++) {
+        const candidates = batch.candidates.slice(0, limit - written);
+        const contacts = includeContact
+          ? await repositories.candidates.contacts(sector, candidates.map(c => c.candidateId))
+          : null;
+
+        const chunk = candidates.map((candidate) => {
+          const card = present(candidate);
+          const contact = contacts?.get(candidate.candidateId) || {};
+          return csvLine([
+            ...columns.map(column => exportCell(card, column)),
+            ...contactColumns.map(column => contact[CONTACT_EXPORT_COLUMNS[column]])
+          ]);
+        }).join('');
+
+        written += candidates.length;
+        if (!res.write(chunk)) {
+          await new Promise(resolve => { res.once('drain', resolve); res.once('close', resolve); });
         }
+        if (res.destroyed || inMemory || candidates.length < batchSize || written >= limit) break;
+
+        batch = await fetchBatch(page + 1);
+        if (batch.error) throw batch.error;
       }
-      
-      return {
-        id: c.id,
-        candidateId: c.candidate_id,
-        role: c.job_title,
-        location: c.city,
-        postcodeDistrict: postcodeDistrict,
-        postcodeCoords: coordinates,
-        yearsExperience: c.years_experience,
-        availability: c.status || 'Unknown',
-        sector: c.sector,
-        workType: c.work_type,
-        machines: c.machines ? c.machines.split(',').map(m => m.trim()).filter(m => m && m !== 'None selected') : [],
-        products: c.products ? c.products.split(',').map(p => p.trim()).filter(p => p && p !== 'None selected') : [],
-        materials: c.materials ? c.materials.split(',').map(m => m.trim()).filter(m => m && m !== 'None selected') : [],
-        sewingTechniques: c.sewing_techniques ? c.sewing_techniques.split(',').map(t => t.trim()).filter(t => t && t !== 'None selected') : [],
-        desiredSalary: c.desired_salary || 'Competitive',
-        travelDistance: c.travel_distance,
-        type: 'sewing'
-      };
-    }));
+    } catch (error) {
+      // Too late for an error status; cutting the response short tells the client it's incomplete
+      req.log.error('Candidate export failed part-way', { sector, written, error });
+      return res.destroy();
+    }
 
-    console.log(`✅ Found ${candidates.length} sewing candidates`);
-    res.json(candidates);
+    res.end();
+    req.log.info('Candidates exported', { sector, rows: written, withContacts: includeContact });
 
-  } catch (error) {
-    console.error('🔴 Error:', error);
-    res.status(500).json({ error: 'Failed to fetch sewing candidates' });
+    if (includeContact) {
+      await recordAudit(projectClients[sector], {
+        actor: req.user,
+        action: 'candidate.private_data_exported',
+        targetType: `${sector}_candidate`,
+        targetId: null,
+        details: { rows: written, query: req.query }
+      });
+    }
   }
-});
-
-// Get single sewing candidate (PUBLIC)
-app.get('/api/candidates/:id', async (req, res) => {
-  try {
-    console.log(`📋 Fetching sewing candidate: ${req.params.id}`);
-    
-    const { data: publicData, error: publicError } = await supabaseSewing
-      .from('candidates_public')
-      .select('*')
-      .eq('candidate_id', req.params.id)
-      .single();
-    
-    const { data: privateData } = await supabaseSewing
-      .from('candidates_private')
-      .select('candidate_id, postcode')
-      .eq('candidate_id', req.params.id)
-      .single();
-
-    if (publicError) {
-      return res.status(404).json({ error: 'Candidate not found' });
+
+  // Merge order for /api/search. Mirrors the per-project database order so a
+  // merged page looks the same as a single-sector one.
+  const searchComparators = {
+    newest: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+    experience: (a, b) => (b.yearsExperience ?? -1) - (a.yearsExperience ?? -1) ||
+      (b.createdAt || '').localeCompare(a.createdAt || ''),
+    nearest: (a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity)
+  };
+
+  // ========== UNIFIED SEARCH ==========
+
+  // Search both trades at once (PUBLIC) - same filters as the per-sector routes plus type=sewing,upholstery
+  app.get('/api/search', ...rateLimits.public, optionalSupabaseToken, parseRequestedFields(searchSerializers.sewing), async (req, res) => {
+    try {
+      const { filters, error: queryError } = parseCandidateQuery(req.query, null);
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
+      }
+
+      const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()) : Object.keys(candidateSerializers);
+      const unknownType = types.find(t => !candidateSerializers[t]);
+      if (unknownType) {
+        return res.status(400).json({ error: `Unknown candidate type: ${unknownType}` });
+      }
+
+      if (filters.page * filters.limit > MAX_SEARCH_DEPTH) {
+        return res.status(400).json({
+          error: `Search only reaches the first ${MAX_SEARCH_DEPTH} results; narrow the filters to see more`
+        });
+      }
+
+      // Each project has to supply enough rows to fill the requested page once merged
+      const sectorFilters = { ...filters, page: 1, limit: filters.page * filters.limit };
+      const sectors = types.filter(sector => supportsListFilters(filters, sector));
+
+      const settled = await Promise.allSettled(sectors.map(sector => listCandidates(sector, sectorFilters, {
+        toCandidate: serializeAs(searchSerializers[sector], req.apiVersion)
+      })));
+
+      const results = [];
+      const warnings = [];
+      let total = 0;
+      let failed = 0;
+
+      for (const [i, outcome] of settled.entries()) {
+        const sector = sectors[i];
+        const error = outcome.status === 'rejected' ? outcome.reason : outcome.value.error;
+
+        if (error?.status === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        if (error) {
+          req.log.error('Candidate search failed for one project', { sector, error });
+          warnings.push({ type: sector, message: `${sector} candidates are temporarily unavailable; results are incomplete` });
+          failed++;
+          continue;
+        }
+
+        if (outcome.value.warning) {
+          warnings.push({ type: sector, message: outcome.value.warning });
+        }
+        results.push(...outcome.value.candidates);
+        total += outcome.value.total;
+      }
+
+      if (sectors.length > 0 && failed === sectors.length) {
+        return res.status(503).json({ error: 'Candidate search is temporarily unavailable', warnings });
+      }
+
+      results.sort(searchComparators[filters.sort]);
+      const page = paginate(results, filters);
+
+      req.log.debug('Search complete', { total, projects: sectors.length - failed });
+      res.json({
+        results: page.map(candidatePresenter(req)),
+        total,
+        page: filters.page,
+        limit: filters.limit,
+        totalPages: Math.max(1, Math.ceil(total / filters.limit)),
+        warnings
+      });
+
+    } catch (error) {
+      req.log.error('Candidate search error', { error });
+      res.status(500).json({ error: 'Failed to search candidates' });
     }
+  });
 
-    let coordinates = null;
-    let postcodeDistrict = null;
-    
-    if (privateData?.postcode) {
-      const coords = await getCoordinatesFromPostcode(privateData.postcode);
-      if (coords) {
-        coordinates = { lat: coords.lat, lon: coords.lon };
-        postcodeDistrict = coords.postcodeDistrict;
+  // ========== API DOCUMENTATION ==========
+  app.use('/api/schemas', schemasRouter);
+
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument(req.apiVersion));
+  });
+
+  app.get('/api/docs', (req, res) => {
+    const specUrl = req.apiVersion === 1 ? '/api/openapi.json' : `/api/v${req.apiVersion}/openapi.json`;
+    res.type('html').send(docsPage(specUrl));
+  });
+
+  // ========== ADMIN ==========
+  app.use('/api/admin', verifySupabaseTokenStrict, ...rateLimits.authenticated, requireRole('admin'), adminRouter);
+
+  // ========== JOB POSTINGS ==========
+  app.use('/api/jobs/:jobId/shortlist', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, shortlistsRouter);
+  app.use('/api/jobs', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, jobsRouter);
+
+  // ========== SAVED SEARCHES ==========
+  // Unsubscribe links from the digests - the token is the credential
+  app.use('/api/saved-searches/unsubscribe', ...rateLimits.public, unsubscribeRoutes);
+  app.use('/api/saved-searches', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, savedSearchesRouter);
+
+  // The alerts job runs the same search as the list routes, as an employer
+  // would see it. index.js starts it; tests call runDue() directly.
+  app.locals.savedSearchAlerts = createSavedSearchAlerts({
+    clients: projectClients,
+    notifier: app.locals.notifier,
+    findCandidates: (sector, filters) => listCandidates(sector, filters, {
+      toCandidate: serializeAs(searchSerializers[sector], LATEST_API_VERSION)
+    })
+  });
+
+  // ========== INTRODUCTIONS ==========
+  app.post('/api/candidates/:id/contact', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, requestIntroduction('sewing'));
+  app.post('/api/upholstery/:id/contact', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, requestIntroduction('upholstery'));
+  app.get('/api/introductions', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, listIntroductions);
+  app.get('/api/introductions/:type/:id', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, getIntroduction);
+  // Candidate accept/decline links - the token is the credential
+  app.use('/api/introductions', ...rateLimits.public, introductionsRouter);
+
+  // ========== CANDIDATE MATCHING ==========
+
+  // Most recent candidates considered per match run
+  const MATCH_POOL_SIZE = 500;
+
+  // Rank candidates against the logged-in employer's saved requirements,
+  // or against one of their job postings with ?jobId=
+  app.get('/api/matches', verifySupabaseToken, ...rateLimits.authenticated, employerOrAdmin, async (req, res) => {
+    try {
+      const sector = req.accountType;
+      req.log.debug('Matching candidates', { sector, jobId: req.query.jobId });
+
+      // Jobs use the same requirement columns as client_registrations
+      const { data: registration, error: regError } = req.query.jobId
+        ? await repositories.jobs.findOwn(req.accountType, req.user.id, req.query.jobId)
+        : await repositories.registrations.findLatestForUser(req.accountType, req.user);
+
+      if (regError) {
+        req.log.error('Requirements lookup error', { error: regError.message });
+        return res.status(400).json({ error: regError.message });
+      }
+
+      if (!registration) {
+        return res.status(404).json({
+          error: req.query.jobId ? 'Job not found' : 'No saved requirements found for this account'
+        });
       }
+
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const minScore = Math.max(0, Number(req.query.minScore) || 0);
+
+      const requirements = requirementsFromRegistration(registration);
+      const { filters } = parseCandidateQuery({}, sector);
+      const poolFilters = { ...filters, limit: MATCH_POOL_SIZE };
+
+      let pool = await listCandidates(sector, { ...poolFilters, near: requirements.postcode }, {
+        toCandidate: serializeAs(searchSerializers[sector], req.apiVersion)
+      });
+
+      // An unrecognised employer postcode shouldn't stop matching, just the distance scoring
+      if (pool.error?.status === 400 && requirements.postcode) {
+        req.log.warn('Could not locate employer postcode, matching without distance');
+        requirements.postcode = null;
+        pool = await listCandidates(sector, poolFilters, {
+          toCandidate: serializeAs(searchSerializers[sector], req.apiVersion)
+        });
+      }
+
+      if (pool.error) {
+        req.log.error('Candidate lookup error', { error: pool.error.message });
+        return res.status(400).json({ error: pool.error.message });
+      }
+
+      const ranked = rankCandidates(pool.candidates, requirements).filter(m => m.score >= minScore);
+
+      req.log.debug('Ranked candidates', { sector, ranked: ranked.length });
+      res.json({
+        requirements,
+        results: paginate(ranked, { page, limit }),
+        total: ranked.length,
+        page,
+        limit
+      });
+    } catch (error) {
+      req.log.error('Match error', { error });
+      return res.status(500).json({ error: 'Failed to match candidates' });
     }
+  });
 
-    const candidate = {
-      id: publicData.id,
-      candidateId: publicData.candidate_id,
-      role: publicData.job_title,
-      location: publicData.city,
-      postcodeDistrict: postcodeDistrict,
-      postcodeCoords: coordinates,
-      yearsExperience: publicData.years_experience,
-      availability: publicData.status || 'Unknown',
-      sector: publicData.sector,
-      workType: publicData.work_type,
-      machines: publicData.machines ? publicData.machines.split(',').map(m => m.trim()).filter(m => m && m !== 'None selected') : [],
-      products: publicData.products ? publicData.products.split(',').map(p => p.trim()).filter(p => p && p !== 'None selected') : [],
-      materials: publicData.materials ? publicData.materials.split(',').map(m => m.trim()).filter(m => m && m !== 'None selected') : [],
-      sewingTechniques: publicData.sewing_techniques ? publicData.sewing_techniques.split(',').map(t => t.trim()).filter(t => t && t !== 'None selected') : [],
-      desiredSalary: publicData.desired_salary || 'Competitive',
-      travelDistance: publicData.travel_distance,
-      type: 'sewing'
-    };
+  // ========== SEWING CANDIDATES ==========
 
-    res.json(candidate);
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: 'Failed to fetch candidate' });
-  }
-});
-
-// ========== UPHOLSTERY CANDIDATES ==========
-
-// Get all upholstery candidates (PUBLIC)
-app.get('/api/upholstery', async (req, res) => {
-  try {
-    console.log('📋 Fetching upholstery candidates (PUBLIC endpoint)');
-    
-    const { data: publicData, error: publicError } = await supabaseUpholstery
-      .from('upholstery_public')
-      .select('*')
-      .order('created_at', { ascending: false });
-    
-    const { data: privateData } = await supabaseUpholstery
-      .from('upholstery_private')
-      .select('candidate_id, postcode')
-      .order('created_at', { ascending: false });
-
-    if (publicError) {
-      console.error('❌ Error:', publicError);
-      return res.status(400).json({ error: publicError.message });
+  // Get sewing candidates (PUBLIC) - supports filtering, radius search, sorting and pagination
+  app.get('/api/candidates', ...rateLimits.public, optionalSupabaseToken, parseRequestedFields(candidateSerializers.sewing), async (req, res) => {
+    try {
+      const { filters, error: queryError } = parseCandidateQuery(req.query, 'sewing');
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
+      }
+
+      if (req.validated.query.format === 'csv') {
+        return await exportCandidates(req, res, 'sewing', filters);
+      }
+
+      const { candidates, total, warning, error } = await cachedList('sewing', filters, req.apiVersion);
+
+      if (error) {
+        req.log.error('Sewing candidate list error', { error });
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+
+      setPaginationHeaders(res, filters, total);
+      if (warning) {
+        req.log.warn('Sewing candidate list incomplete', { warning });
+      }
+      req.log.debug('Listed sewing candidates', { total, page: filters.page });
+      sendCacheable(req, res, candidates.map(candidatePresenter(req)), cacheControl);
+
+    } catch (error) {
+      req.log.error('Sewing candidate list error', { error });
+      res.status(500).json({ error: 'Failed to fetch sewing candidates' });
     }
+  });
+
+  // Get single sewing candidate (PUBLIC)
+  app.get('/api/candidates/:id', ...rateLimits.public, optionalSupabaseToken, parseRequestedFields(candidateSerializers.sewing), async (req, res) => {
+    try {
+      const candidate = await cachedCandidate('sewing', req.params.id, req.apiVersion);
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found' });
+      }
 
-    if (!Array.isArray(publicData) || publicData.length === 0) {
-      return res.json([]);
+      sendCacheable(req, res, candidatePresenter(req)(candidate), cacheControl);
+    } catch (error) {
+      req.log.error('Candidate lookup error', { error });
+      res.status(500).json({ error: 'Failed to fetch candidate' });
     }
+  });
 
-    const candidates = await Promise.all(publicData.map(async (c) => {
-      const privateRecord = privateData?.find(p => p.candidate_id === c.candidate_id);
-      
-      let coordinates = null;
-      let postcodeDistrict = null;
-      
-      if (privateRecord?.postcode) {
-        const coords = await getCoordinatesFromPostcode(privateRecord.postcode);
-        if (coords) {
-          coordinates = { lat: coords.lat, lon: coords.lon };
-          postcodeDistrict = coords.postcodeDistrict;
-        }
+  // ========== UPHOLSTERY CANDIDATES ==========
+
+  // Get upholstery candidates (PUBLIC) - supports filtering, radius search, sorting and pagination
+  app.get('/api/upholstery', ...rateLimits.public, optionalSupabaseToken, parseRequestedFields(candidateSerializers.upholstery), async (req, res) => {
+    try {
+      const { filters, error: queryError } = parseCandidateQuery(req.query, 'upholstery');
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
       }
-      
-      return {
-        id: c.id,
-        candidateId: c.candidate_id,
-        role: c.job_title || 'Upholsterer',
-        location: c.city || '',
-        postcodeDistrict: postcodeDistrict,
-        postcodeCoords: coordinates,
-        yearsExperience: c.years_experience || 'Not specified',
-        availability: c.status || 'Not specified',
-        noticePeriod: c.availability || 'Not specified',
-        sector: c.sector || 'Upholstery',
-        workType: c.work_type || 'Not specified',
-        travelDistance: c.travel_distance || 'Not specified',
-        driversLicense: c.drivers_license || 'Not specified',
-        ownVehicle: c.own_vehicle || 'Not specified',
-        products: c.products ? (Array.isArray(c.products) ? c.products : c.products.split(',').map(s => s.trim())) : [],
-        techniques: c.techniques ? (Array.isArray(c.techniques) ? c.techniques : c.techniques.split(',').map(s => s.trim())) : [],
-        sewingMachineExperience: c.sewing_machine_experience || 'None',
-        sewingMachines: c.sewing_machines_used ? c.sewing_machines_used.split(', ') : [],
-        willingToRelocate: c.willing_to_relocate || 'Not specified',
-        type: 'upholstery'
-      };
-    }));
 
-    console.log(`✅ Found ${candidates.length} upholstery candidates`);
-    res.json(candidates);
+      if (req.validated.query.format === 'csv') {
+        return await exportCandidates(req, res, 'upholstery', filters);
+      }
 
-  } catch (error) {
-    console.error('🔴 Error:', error);
-    res.status(500).json({ error: 'Failed to fetch upholstery candidates' });
-  }
-});
-
-// Get single upholstery candidate (PUBLIC)
-app.get('/api/upholstery/:id', async (req, res) => {
-  try {
-    console.log(`📋 Fetching upholstery candidate: ${req.params.id}`);
-    
-    const { data: publicData, error: publicError } = await supabaseUpholstery
-      .from('upholstery_public')
-      .select('*')
-      .eq('candidate_id', req.params.id)
-      .single();
-    
-    const { data: privateData } = await supabaseUpholstery
-      .from('upholstery_private')
-      .select('candidate_id, postcode')
-      .eq('candidate_id', req.params.id)
-      .single();
-
-    if (publicError) {
-      return res.status(404).json({ error: 'Candidate not found' });
-    }
+      const { candidates, total, warning, error } = await cachedList('upholstery', filters, req.apiVersion);
+
+      if (error) {
+        req.log.error('Upholstery candidate list error', { error });
+        return res.status(error.status || 400).json({ error: error.message });
+      }
 
-    let coordinates = null;
-    let postcodeDistrict = null;
-    
-    if (privateData?.postcode) {
-      const coords = await getCoordinatesFromPostcode(privateData.postcode);
-      if (coords) {
-        coordinates = { lat: coords.lat, lon: coords.lon };
-        postcodeDistrict = coords.postcodeDistrict;
+      setPaginationHeaders(res, filters, total);
+      if (warning) {
+        req.log.warn('Upholstery candidate list incomplete', { warning });
       }
+      req.log.debug('Listed upholstery candidates', { total, page: filters.page });
+      sendCacheable(req, res, candidates.map(candidatePresenter(req)), cacheControl);
+
+    } catch (error) {
+      req.log.error('Upholstery candidate list error', { error });
+      res.status(500).json({ error: 'Failed to fetch upholstery candidates' });
     }
+  });
 
-    const candidate = {
-      id: publicData.id,
-      candidateId: publicData.candidate_id,
-      role: publicData.job_title || 'Upholsterer',
-      location: publicData.city || '',
-      postcodeDistrict: postcodeDistrict,
-      postcodeCoords: coordinates,
-      yearsExperience: publicData.years_experience || 'Not specified',
-      availability: publicData.status || 'Not specified',
-      noticePeriod: publicData.availability || 'Not specified',
-      sector: publicData.sector || 'Upholstery',
-      workType: publicData.work_type || 'Not specified',
-      travelDistance: publicData.travel_distance || 'Not specified',
-      driversLicense: publicData.drivers_license || 'Not specified',
-      ownVehicle: publicData.own_vehicle || 'Not specified',
-      products: publicData.products ? (Array.isArray(publicData.products) ? publicData.products : publicData.products.split(',').map(s => s.trim())) : [],
-      techniques: publicData.techniques ? (Array.isArray(publicData.techniques) ? publicData.techniques : publicData.techniques.split(',').map(s => s.trim())) : [],
-      sewingMachineExperience: publicData.sewing_machine_experience || 'None',
-      sewingMachines: publicData.sewing_machines_used ? publicData.sewing_machines_used.split(', ') : [],
-      willingToRelocate: publicData.willing_to_relocate || 'Not specified',
-      type: 'upholstery'
-    };
+  // Get single upholstery candidate (PUBLIC)
+  app.get('/api/upholstery/:id', ...rateLimits.public, optionalSupabaseToken, parseRequestedFields(candidateSerializers.upholstery), async (req, res) => {
+    try {
+      const candidate = await cachedCandidate('upholstery', req.params.id, req.apiVersion);
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found' });
+      }
 
-    res.json(candidate);
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: 'Failed to fetch candidate' });
-  }
-});
-
-// ========== 404 HANDLER ==========
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Not Found',
-    availableRoutes: [
-      'GET /health',
-      'POST /api/register - Register new employer account',
-      'POST /api/login - Login with email/password (returns Supabase token)',
-      'GET /api/profile - Get profile (requires Supabase token)',
-      'GET /api/candidates - All sewing candidates (public)',
-      'GET /api/candidates/:id - Single sewing candidate (public)',
-      'GET /api/upholstery - All upholstery candidates (public)',
-      'GET /api/upholstery/:id - Single upholstery candidate (public)'
-    ]
+      sendCacheable(req, res, candidatePresenter(req)(candidate), cacheControl);
+    } catch (error) {
+      req.log.error('Candidate lookup error', { error });
+      res.status(500).json({ error: 'Failed to fetch candidate' });
+    }
   });
-});
-
-// ========== ERROR HANDLER ==========
-app.use((err, req, res, next) => {
-  console.error('🔴 Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal Server Error',
-    message: err.message
+
+  // ========== 404 HANDLER ==========
+  app.use((req, res) => {
+    res.status(404).json({ 
+      error: 'Not Found',
+      availableRoutes: routeList(),
+      documentation: '/api/docs'
+    });
+  });
+
+  // ========== ERROR HANDLER ==========
+  app.use((err, req, res, next) => {
+    // Body parser failures (malformed JSON, oversized bodies) are the client's mistake
+    if (err.expose && err.status >= 400 && err.status < 500) {
+      req.log.warn('Bad request', { error: err.message });
+      return res.status(err.status).json({ error: err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message });
+    }
+
+    req.log.error('Unhandled error', { error: err });
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: err.message
+    });
   });
-});
 
-export default app;
+  return app;
+}
@@ -0,0 +1,190 @@
+// ========== src/config.js ==========
+// Settings read from the environment. Nothing here exits the process: callers
+// decide what a bad configuration means (src/index.js refuses to start, tests
+// never get this far because they inject their own data source).
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_RATE_LIMITS, parseRateLimit } from './utils/rateLimit.js';
+import { TRANSPORTS } from './services/notifier.js';
+import { DEFAULT_RETRY_POLICY } from './services/webhooks.js';
+import { DEFAULT_CANDIDATE_CACHE } from './services/candidateCache.js';
+
+export const DATA_SOURCES = ['supabase', 'memory'];
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'fixtures');
+
+export class ConfigError extends Error {}
+
+// RATE_LIMIT_<GROUP>_<SCOPE> → where it goes in the rate limit config
+const RATE_LIMIT_VARIABLES = {
+  RATE_LIMIT_AUTH_IP: ['auth', 'ip'],
+  RATE_LIMIT_AUTH_EMAIL: ['auth', 'email'],
+  RATE_LIMIT_PUBLIC_IP: ['public', 'ip'],
+  RATE_LIMIT_AUTHENTICATED_USER: ['authenticated', 'user']
+};
+
+/**
+ * DEFAULT_RATE_LIMITS with any overrides from the environment. Each
+ * RATE_LIMIT_* variable is "<requests>/<window>" (e.g. 30/15m) or "off";
+ * LOGIN_LOCKOUT_AFTER is a number of failed logins or "off", and
+ * RATE_LIMITS=off turns the lot off.
+ */
+function loadRateLimits(env) {
+  if (env.RATE_LIMITS === 'off') return false;
+
+  const limits = structuredClone(DEFAULT_RATE_LIMITS);
+
+  for (const [name, [group, scope]] of Object.entries(RATE_LIMIT_VARIABLES)) {
+    if (!env[name]) continue;
+    if (env[name] === 'off') {
+      limits[group][scope] = false;
+      continue;
+    }
+    const parsed = parseRateLimit(env[name]);
+    if (!parsed) {
+      throw new ConfigError(`${name} must look like 30/15m (requests per window, in ms, s, m or h) or be "off"`);
+    }
+    limits[group][scope] = parsed;
+  }
+
+  if (env.LOGIN_LOCKOUT_AFTER === 'off') {
+    limits.auth.lockout = false;
+  } else if (env.LOGIN_LOCKOUT_AFTER) {
+    const failures = Number(env.LOGIN_LOCKOUT_AFTER);
+    if (!Number.isInteger(failures) || failures < 1) {
+      throw new ConfigError('LOGIN_LOCKOUT_AFTER must be a whole number of failed logins or "off"');
+    }
+    limits.auth.lockout.failures = failures;
+  }
+
+  return limits;
+}
+
+/**
+ * Where outbound email goes. NOTIFIER_TRANSPORT=log (default) only logs it,
+ * file appends it to NOTIFIER_FILE, smtp sends it through SMTP_URL from
+ * NOTIFIER_FROM.
+ */
+function loadNotifier(env) {
+  const transport = env.NOTIFIER_TRANSPORT || 'log';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new ConfigError(`NOTIFIER_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+  if (transport === 'smtp' && (!env.SMTP_URL || !env.NOTIFIER_FROM)) {
+    throw new ConfigError('NOTIFIER_TRANSPORT=smtp needs SMTP_URL and NOTIFIER_FROM');
+  }
+
+  return {
+    transport,
+    file: env.NOTIFIER_FILE || 'notifications.log',
+    smtpUrl: env.SMTP_URL,
+    from: env.NOTIFIER_FROM
+  };
+}
+
+// Saved search alert job: checked every SAVED_SEARCH_ALERTS_INTERVAL minutes
+// (default 15), or SAVED_SEARCH_ALERTS=off where another instance sends them
+function loadSavedSearchAlerts(env) {
+  if (env.SAVED_SEARCH_ALERTS === 'off') return false;
+
+  const minutes = env.SAVED_SEARCH_ALERTS_INTERVAL === undefined ? 15 : Number(env.SAVED_SEARCH_ALERTS_INTERVAL);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new ConfigError('SAVED_SEARCH_ALERTS_INTERVAL must be a number of minutes');
+  }
+  return { intervalMs: minutes * 60 * 1000 };
+}
+
+// Webhook retries: pending deliveries are checked every WEBHOOK_RETRY_INTERVAL
+// seconds (default 30, or off where another instance retries them), and
+// given up after WEBHOOK_MAX_ATTEMPTS tries (default 8)
+function loadWebhooks(env) {
+  const seconds = env.WEBHOOK_RETRY_INTERVAL === undefined ? 30 : Number(env.WEBHOOK_RETRY_INTERVAL);
+  if (env.WEBHOOK_RETRY_INTERVAL !== 'off' && (!Number.isFinite(seconds) || seconds <= 0)) {
+    throw new ConfigError('WEBHOOK_RETRY_INTERVAL must be a number of seconds or off');
+  }
+
+  const maxAttempts = env.WEBHOOK_MAX_ATTEMPTS === undefined ? DEFAULT_RETRY_POLICY.maxAttempts : Number(env.WEBHOOK_MAX_ATTEMPTS);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new ConfigError('WEBHOOK_MAX_ATTEMPTS must be a whole number of at least 1');
+  }
+
+  return {
+    retryIntervalMs: env.WEBHOOK_RETRY_INTERVAL === 'off' ? false : seconds * 1000,
+    retry: { maxAttempts }
+  };
+}
+
+// Public candidate cache: entries kept CANDIDATE_CACHE_TTL seconds (default
+// 60; 0 or off turns it off), and clients told they may reuse responses for
+// CANDIDATE_CACHE_MAX_AGE seconds (default 0: revalidate with the ETag)
+function loadCandidateCache(env) {
+  const seconds = (name, fallback) => {
+    if (env[name] === undefined) return fallback;
+    if (env[name] === 'off') return 0;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ConfigError(`${name} must be a number of seconds or off`);
+    }
+    return value;
+  };
+
+  return {
+    ttlMs: seconds('CANDIDATE_CACHE_TTL', DEFAULT_CANDIDATE_CACHE.ttlMs / 1000) * 1000,
+    maxAgeSeconds: seconds('CANDIDATE_CACHE_MAX_AGE', DEFAULT_CANDIDATE_CACHE.maxAgeSeconds)
+  };
+}
+
+// TRUST_PROXY as Express wants it: hop count, true/false, or a list of addresses
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * DATA_SOURCE=supabase (default) talks to the two live projects and needs their
+ * URLs and service-role keys. DATA_SOURCE=memory serves both projects from
+ * in-process stand-ins seeded from FIXTURES_DIR, so nothing external is needed.
+ */
+export function loadConfig(env = process.env) {
+  const dataSource = env.DATA_SOURCE || 'supabase';
+  if (!DATA_SOURCES.includes(dataSource)) {
+    throw new ConfigError(`DATA_SOURCE must be one of: ${DATA_SOURCES.join(', ')}`);
+  }
+
+  const projects = {
+    sewing: {
+      url: env.SUPABASE_URL_SEWING,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY_SEWING,
+      jwtSecret: env.SUPABASE_JWT_SECRET_SEWING
+    },
+    upholstery: {
+      url: env.SUPABASE_URL_UPHOLSTERY,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY_UPHOLSTERY,
+      jwtSecret: env.SUPABASE_JWT_SECRET_UPHOLSTERY
+    }
+  };
+
+  if (dataSource === 'supabase') {
+    for (const [name, project] of Object.entries(projects)) {
+      if (!project.url || !project.serviceRoleKey) {
+        const label = name.charAt(0).toUpperCase() + name.slice(1);
+        throw new ConfigError(`Missing ${label} Supabase environment variables`);
+      }
+    }
+  }
+
+  return {
+    dataSource,
+    projects,
+    fixturesDir: env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+    rateLimits: loadRateLimits(env),
+    // Behind a load balancer (Railway, Heroku) set this so per-IP limits see the
+    // client address from X-Forwarded-For rather than the proxy's
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    notifier: loadNotifier(env),
+    savedSearchAlerts: loadSavedSearchAlerts(env),
+    webhooks: loadWebhooks(env),
+    candidateCache: loadCandidateCache(env)
+  };
+}
@@ -0,0 +1,89 @@
+// ========== src/datasources/index.js ==========
+// A data source is everything the app needs to reach the two projects:
+//
+//   clients          { sewing, upholstery } service-role clients
+//   projects         [{ accountType, url, client, jwtSecret }] for token verification
+//   createAuthClient(accountType) → a session-less client for sign-in, refresh
+//                    and password checks
+//
+// Both implementations hand out objects with the supabase-js client API.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+import { createMemoryClient } from './memoryClient.js';
+import { logger } from '../utils/logger.js';
+
+const ACCOUNT_TYPES = ['sewing', 'upholstery'];
+
+export function createSupabaseDataSource({ projects }) {
+  const clients = Object.fromEntries(ACCOUNT_TYPES.map(type => [
+    type,
+    createClient(projects[type].url, projects[type].serviceRoleKey)
+  ]));
+
+  logger.info('Supabase clients initialized', { projects: ACCOUNT_TYPES });
+
+  return {
+    name: 'supabase',
+    clients,
+    projects: ACCOUNT_TYPES.map(type => ({
+      accountType: type,
+      url: projects[type].url,
+      client: clients[type],
+      jwtSecret: projects[type].jwtSecret
+    })),
+
+    // Throwaway client for sign-in, refresh and password checks. Doing those on the
+    // shared clients would replace their service-role session with the user's.
+    createAuthClient(accountType) {
+      const { url, serviceRoleKey } = projects[accountType];
+      return createClient(url, serviceRoleKey, { auth: { persistSession: false, autoRefreshToken: false } });
+    }
+  };
+}
+
+/**
+ * In-memory projects. `seed` is { sewing: { tables, users }, upholstery: {...} };
+ * each project gets its own store, URL and token secret.
+ */
+export function createMemoryDataSource({ seed = {}, projects = {} } = {}) {
+  const settings = Object.fromEntries(ACCOUNT_TYPES.map(type => [type, {
+    url: projects[type]?.url || `http://${type}.memory.local`,
+    // Tokens only need to survive as long as the process
+    jwtSecret: projects[type]?.jwtSecret || crypto.randomBytes(32).toString('hex')
+  }]));
+
+  const clients = Object.fromEntries(ACCOUNT_TYPES.map(type => [
+    type,
+    createMemoryClient({ ...settings[type], tables: seed[type]?.tables, users: seed[type]?.users })
+  ]));
+
+  return {
+    name: 'memory',
+    clients,
+    projects: ACCOUNT_TYPES.map(type => ({ accountType: type, ...settings[type], client: clients[type] })),
+    // Stand-in clients keep no session, so the shared one is safe to use
+    createAuthClient: accountType => clients[accountType]
+  };
+}
+
+// <dir>/sewing.json and <dir>/upholstery.json, each { tables, users }
+export function loadFixtures(dir) {
+  return Object.fromEntries(ACCOUNT_TYPES.map((type) => {
+    const file = path.join(dir, `${type}.json`);
+    return [type, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}];
+  }));
+}
+
+export function createDataSource(config) {
+  if (config.dataSource === 'memory') {
+    logger.info('Using in-memory data source', { fixturesDir: config.fixturesDir });
+    // Memory projects get their own URLs so tokens are never mistaken for live ones
+    return createMemoryDataSource({
+      seed: loadFixtures(config.fixturesDir),
+      projects: Object.fromEntries(ACCOUNT_TYPES.map(type => [type, { jwtSecret: config.projects[type].jwtSecret }]))
+    });
+  }
+  return createSupabaseDataSource(config);
+}
@@ -0,0 +1,590 @@
+// ========== src/datasources/memoryClient.js ==========
+// In-process stand-in for a Supabase project. It implements the slice of the
+// supabase-js client this API uses - from(table) query builders with the
+// PostgREST filters we call, and the auth / auth.admin methods - over plain
+// arrays, so repositories and routers run against it unchanged.
+//
+// Access tokens are real HS256 JWTs signed with the project's secret and
+// issued by `${url}/auth/v1`, so utils/auth.js verifies them exactly as it
+// verifies Supabase's own. Not for production: nothing is persisted and
+// passwords only live as long as the process.
+import crypto from 'node:crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const BCRYPT_ROUNDS = 8;
+
+const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+function pgError(message, code, status = 400) {
+  return { message, code, details: null, hint: null, status };
+}
+
+// ========== FILTERS ==========
+
+// LIKE pattern → anchored RegExp. \% and \_ are literal, as in Postgres.
+function likeToRegExp(pattern, flags) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+function compare(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  return String(a).localeCompare(String(b));
+}
+
+function isValue(value, expected) {
+  const text = String(expected).toLowerCase();
+  if (text === 'null') return value === null || value === undefined;
+  if (text === 'true') return value === true;
+  if (text === 'false') return value === false;
+  return false;
+}
+
+// PostgREST list literal: (a,b,"c,d")
+function parseList(text) {
+  return splitTopLevel(String(text).replace(/^\(|\)$/g, '')).map(unquote);
+}
+
+function unquote(text) {
+  return /^".*"$/.test(text) ? text.slice(1, -1).replace(/\\(.)/g, '$1') : text;
+}
+
+const OPERATORS = {
+  eq: (value, expected) => value !== null && value !== undefined && String(value) === String(expected),
+  neq: (value, expected) => value !== null && value !== undefined && String(value) !== String(expected),
+  gt: (value, expected) => value !== null && value !== undefined && compare(value, expected) > 0,
+  gte: (value, expected) => value !== null && value !== undefined && compare(value, expected) >= 0,
+  lt: (value, expected) => value !== null && value !== undefined && compare(value, expected) < 0,
+  lte: (value, expected) => value !== null && value !== undefined && compare(value, expected) <= 0,
+  like: (value, pattern) => value !== null && value !== undefined && likeToRegExp(String(pattern), 's').test(String(value)),
+  ilike: (value, pattern) => value !== null && value !== undefined && likeToRegExp(String(pattern), 'is').test(String(value)),
+  is: isValue,
+  in: (value, list) => value !== null && value !== undefined &&
+    (Array.isArray(list) ? list : parseList(list)).map(String).includes(String(value))
+};
+
+function condition(column, operator, expected, negate = false) {
+  const test = OPERATORS[operator];
+  if (!test) throw new Error(`Unsupported filter operator: ${operator}`);
+  // SQL three-valued logic: a comparison with NULL is never true, negated or not
+  return row => {
+    const value = row[column];
+    if (negate && operator !== 'is' && (value === null || value === undefined)) return false;
+    return negate ? !test(value, expected) : test(value, expected);
+  };
+}
+
+// Split on commas that aren't inside parentheses or quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && quoted) {
+      current += char + (text[++i] ?? '');
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+// "a.ilike.%x%,b.not.is.null,and(c.eq.1,d.eq.2)" → predicate
+function parseLogicTree(text, combine = 'or') {
+  const predicates = splitTopLevel(text).map((part) => {
+    const nested = part.match(/^(not\.)?(and|or)\((.*)\)$/);
+    if (nested) {
+      const inner = parseLogicTree(nested[3], nested[2]);
+      return nested[1] ? row => !inner(row) : inner;
+    }
+
+    const [column, ...rest] = part.split('.');
+    const negate = rest[0] === 'not';
+    if (negate) rest.shift();
+    const [operator, ...valueParts] = rest;
+    return condition(column, operator, unquote(valueParts.join('.')), negate);
+  });
+
+  return combine === 'and'
+    ? row => predicates.every(test => test(row))
+    : row => predicates.some(test => test(row));
+}
+
+// ========== QUERY BUILDER ==========
+
+class MemoryQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.cardinality = null;
+    this.payload = null;
+  }
+
+  get rows() {
+    if (!this.store.tables.has(this.table)) this.store.tables.set(this.table, []);
+    return this.store.tables.get(this.table);
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.operation === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, pattern) { return this.filter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+
+  not(column, operator, value) {
+    this.filters.push(condition(column, operator, value, true));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseLogicTree(expression));
+    return this;
+  }
+
+  match(query) {
+    for (const [column, value] of Object.entries(query)) this.eq(column, value);
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(condition(column, operator, value));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    // Postgres puts NULLs last ascending and first descending unless told otherwise
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom ?? 0;
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matching() {
+    return this.rows.filter(row => this.filters.every(test => test(row)));
+  }
+
+  sorted(rows) {
+    if (this.orders.length === 0) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aNull = a[column] === null || a[column] === undefined;
+        const bNull = b[column] === null || b[column] === undefined;
+        if (aNull || bNull) {
+          if (aNull && bNull) continue;
+          return aNull === nullsFirst ? -1 : 1;
+        }
+        const difference = compare(a[column], b[column]);
+        if (difference !== 0) return ascending ? difference : -difference;
+      }
+      return 0;
+    });
+  }
+
+  project(row) {
+    if (this.columns === '*' || !this.columns) return clone(row);
+    const columns = this.columns.split(',').map(column => column.trim()).filter(Boolean);
+    return Object.fromEntries(columns.map(column => [column, clone(row[column]) ?? null]));
+  }
+
+  execute() {
+    let affected;
+
+    if (this.operation === 'insert') {
+      affected = this.payload.map(values => {
+        const row = { ...clone(values) };
+        if (row.id === undefined) row.id = this.store.nextId(this.table);
+        this.rows.push(row);
+        return row;
+      });
+    } else if (this.operation === 'update') {
+      affected = this.matching();
+      for (const row of affected) Object.assign(row, clone(this.payload));
+    } else if (this.operation === 'delete') {
+      affected = this.matching();
+      const doomed = new Set(affected);
+      this.store.tables.set(this.table, this.rows.filter(row => !doomed.has(row)));
+    } else {
+      affected = this.sorted(this.matching());
+    }
+
+    const count = this.countMode ? affected.length : null;
+
+    if (this.operation === 'select' && this.rangeFrom !== null) {
+      affected = affected.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null, count, status: this.operation === 'insert' ? 201 : 204 };
+    }
+
+    if (this.head) {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    const data = affected.map(row => this.project(row));
+
+    if (this.cardinality) {
+      if (data.length > 1 || (data.length === 0 && this.cardinality === 'single')) {
+        return {
+          data: null,
+          error: pgError('JSON object requested, multiple (or no) rows returned', 'PGRST116', 406),
+          count,
+          status: 406
+        };
+      }
+      return { data: data[0] ?? null, error: null, count, status: 200 };
+    }
+
+    return { data, error: null, count, status: 200 };
+  }
+}
+
+// ========== AUTH ==========
+
+function authError(message, code, status = 400) {
+  return { data: { user: null, session: null }, error: { message, code, status, name: 'AuthApiError' } };
+}
+
+// Go-style durations as accepted by ban_duration: "24h", "90m", "1.5h"
+function parseDuration(text) {
+  const match = String(text).match(/^(\d+(?:\.\d+)?)(ns|us|µs|ms|s|m|h)$/);
+  if (!match) return null;
+  const unitMs = { ns: 1e-6, us: 1e-3, 'µs': 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]];
+  return Number(match[1]) * unitMs;
+}
+
+function createMemoryAuth({ issuer, jwtSecret, users }) {
+  // refresh token → { sessionId, userId }
+  const refreshTokens = new Map();
+  // session id → user id
+  const sessions = new Map();
+
+  const findByEmail = email => users.find(user => user.email === String(email || '').toLowerCase());
+  const findById = id => users.find(user => user.id === id);
+
+  const isBanned = user => Boolean(user.banned_until) && new Date(user.banned_until) > new Date();
+
+  // What Supabase hands back: no password hash, never the internal fields
+  function publicUser(user) {
+    const { password_hash, ...rest } = user;
+    return clone(rest);
+  }
+
+  function issueSession(user, sessionId = crypto.randomUUID()) {
+    sessions.set(sessionId, user.id);
+    const refreshToken = crypto.randomBytes(24).toString('base64url');
+    refreshTokens.set(refreshToken, { sessionId, userId: user.id });
+    user.last_sign_in_at = new Date().toISOString();
+
+    const accessToken = jwt.sign({
+      sub: user.id,
+      email: user.email,
+      role: 'authenticated',
+      aud: 'authenticated',
+      app_metadata: user.app_metadata,
+      user_metadata: user.user_metadata,
+      session_id: sessionId
+    }, jwtSecret, { algorithm: 'HS256', issuer, expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      expires_at: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS,
+      user: publicUser(user)
+    };
+  }
+
+  // The live session and user behind an access token, or null
+  function resolve(token) {
+    try {
+      const claims = jwt.verify(token, jwtSecret, { algorithms: ['HS256'], issuer });
+      const user = findById(claims.sub);
+      if (!user || !sessions.has(claims.session_id) || isBanned(user)) return null;
+      return { user, sessionId: claims.session_id };
+    } catch {
+      return null;
+    }
+  }
+
+  function endSessions(predicate) {
+    for (const [sessionId, userId] of sessions) {
+      if (predicate(sessionId, userId)) sessions.delete(sessionId);
+    }
+    for (const [token, { sessionId }] of refreshTokens) {
+      if (!sessions.has(sessionId)) refreshTokens.delete(token);
+    }
+  }
+
+  function applyAttributes(user, attributes) {
+    if (attributes.email !== undefined) user.email = String(attributes.email).toLowerCase();
+    if (attributes.password !== undefined) user.password_hash = bcrypt.hashSync(attributes.password, BCRYPT_ROUNDS);
+    if (attributes.email_confirm) user.email_confirmed_at = user.email_confirmed_at || new Date().toISOString();
+    if (attributes.app_metadata) user.app_metadata = { ...user.app_metadata, ...attributes.app_metadata };
+    if (attributes.user_metadata) user.user_metadata = { ...user.user_metadata, ...attributes.user_metadata };
+    if (attributes.ban_duration !== undefined) {
+      user.banned_until = attributes.ban_duration === 'none'
+        ? null
+        : new Date(Date.now() + parseDuration(attributes.ban_duration)).toISOString();
+    }
+    user.updated_at = new Date().toISOString();
+  }
+
+  return {
+    async signInWithPassword({ email, password }) {
+      const user = findByEmail(email);
+      if (!user || !user.password_hash || !bcrypt.compareSync(String(password), user.password_hash)) {
+        return authError('Invalid login credentials', 'invalid_credentials');
+      }
+      if (!user.email_confirmed_at) {
+        return authError('Email not confirmed', 'email_not_confirmed');
+      }
+      if (isBanned(user)) {
+        return authError('User is banned', 'user_banned');
+      }
+      const session = issueSession(user);
+      return { data: { user: session.user, session }, error: null };
+    },
+
+    async refreshSession({ refresh_token: refreshToken } = {}) {
+      const entry = refreshTokens.get(refreshToken);
+      const user = entry && findById(entry.userId);
+      if (!entry || !user || !sessions.has(entry.sessionId) || isBanned(user)) {
+        return authError('Invalid Refresh Token: Refresh Token Not Found', 'refresh_token_not_found');
+      }
+      // Refresh tokens are single use
+      refreshTokens.delete(refreshToken);
+      const session = issueSession(user, entry.sessionId);
+      return { data: { user: session.user, session }, error: null };
+    },
+
+    async getUser(token) {
+      const resolved = resolve(token);
+      if (!resolved) return authError('invalid JWT', 'bad_jwt', 401);
+      return { data: { user: publicUser(resolved.user) }, error: null };
+    },
+
+    // No mail goes out from the stand-in; the request just succeeds
+    async resetPasswordForEmail() {
+      return { data: {}, error: null };
+    },
+
+    admin: {
+      async createUser({ email, password, email_confirm: emailConfirm, app_metadata: appMetadata, user_metadata: userMetadata } = {}) {
+        if (!email) return authError('Unable to validate email address: invalid format', 'validation_failed');
+        if (findByEmail(email)) {
+          return authError('A user with this email address has already been registered', 'email_exists', 422);
+        }
+        const now = new Date().toISOString();
+        const user = {
+          id: crypto.randomUUID(),
+          aud: 'authenticated',
+          role: 'authenticated',
+          email: String(email).toLowerCase(),
+          email_confirmed_at: null,
+          app_metadata: { provider: 'email', providers: ['email'] },
+          user_metadata: {},
+          banned_until: null,
+          created_at: now,
+          updated_at: now
+        };
+        applyAttributes(user, { password, email_confirm: emailConfirm, app_metadata: appMetadata, user_metadata: userMetadata });
+        users.push(user);
+        return { data: { user: publicUser(user) }, error: null };
+      },
+
+      async updateUserById(id, attributes = {}) {
+        const user = findById(id);
+        if (!user) return authError('User not found', 'user_not_found', 404);
+        if (attributes.email && findByEmail(attributes.email) && findByEmail(attributes.email) !== user) {
+          return authError('A user with this email address has already been registered', 'email_exists', 422);
+        }
+        applyAttributes(user, attributes);
+        return { data: { user: publicUser(user) }, error: null };
+      },
+
+      async deleteUser(id) {
+        const index = users.findIndex(user => user.id === id);
+        if (index === -1) return authError('User not found', 'user_not_found', 404);
+        users.splice(index, 1);
+        endSessions((sessionId, userId) => userId === id);
+        return { data: { user: null }, error: null };
+      },
+
+      // The link points at the stand-in's issuer; there's nothing there to follow it
+      async generateLink({ type, email, newEmail } = {}) {
+        const user = findByEmail(email);
+        if (!user) return authError('User not found', 'user_not_found', 404);
+        if (newEmail && findByEmail(newEmail)) {
+          return authError('A user with this email address has already been registered', 'email_exists', 422);
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        return {
+          data: {
+            user: publicUser(user),
+            properties: {
+              action_link: `${issuer}/verify?token=${token}&type=${type}`,
+              hashed_token: crypto.createHash('sha256').update(token).digest('hex'),
+              verification_type: type
+            }
+          },
+          error: null
+        };
+      },
+
+      async signOut(token, scope = 'global') {
+        const resolved = resolve(token);
+        if (!resolved) return { data: null, error: { message: 'invalid JWT', status: 401 } };
+        const { user, sessionId } = resolved;
+        endSessions((id, userId) => userId === user.id && (
+          scope === 'global' || (scope === 'local' ? id === sessionId : id !== sessionId)
+        ));
+        return { data: null, error: null };
+      }
+    }
+  };
+}
+
+// ========== CLIENT ==========
+
+/**
+ * @param {object} options
+ * @param {string} options.url - project URL; tokens are issued by `${url}/auth/v1`
+ * @param {string} options.jwtSecret - HS256 secret for access tokens
+ * @param {object} [options.tables] - table name → array of rows
+ * @param {Array} [options.users] - auth users; `password` is hashed on load
+ */
+export function createMemoryClient({ url, jwtSecret, tables = {}, users = [] }) {
+  const store = {
+    tables: new Map(Object.entries(tables).map(([name, rows]) => [name, clone(rows)])),
+    sequences: new Map(),
+
+    // Numeric ids carry on from the highest seeded id
+    nextId(table) {
+      if (!this.sequences.has(table)) {
+        const ids = (this.tables.get(table) || []).map(row => Number(row.id)).filter(Number.isFinite);
+        this.sequences.set(table, ids.length ? Math.max(...ids) : 0);
+      }
+      const id = this.sequences.get(table) + 1;
+      this.sequences.set(table, id);
+      return id;
+    }
+  };
+
+  const now = new Date().toISOString();
+  const authUsers = users.map(({ password, ...user }) => ({
+    aud: 'authenticated',
+    role: 'authenticated',
+    email_confirmed_at: now,
+    app_metadata: {},
+    user_metadata: {},
+    banned_until: null,
+    created_at: now,
+    updated_at: now,
+    ...clone(user),
+    id: user.id || crypto.randomUUID(),
+    email: String(user.email).toLowerCase(),
+    password_hash: password ? bcrypt.hashSync(password, BCRYPT_ROUNDS) : null
+  }));
+
+  return {
+    from: table => new MemoryQuery(store, table),
+    auth: createMemoryAuth({ issuer: `${url.replace(/\/+$/, '')}/auth/v1`, jwtSecret, users: authUsers })
+  };
+}
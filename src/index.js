@@ -1,25 +1,54 @@
 // ========== src/index.js ==========
-import app from './app.js';
+import { createApp } from './app.js';
+import { loadConfig, ConfigError } from './config.js';
+import { createDataSource } from './datasources/index.js';
+import { createNotifier, createTransport } from './services/notifier.js';
+import { routesByTag } from './openapi/index.js';
+import { logger } from './utils/logger.js';
+
+let app;
+try {
+  const config = loadConfig();
+  app = createApp({
+    dataSource: createDataSource(config),
+    notifier: createNotifier({ transport: createTransport(config.notifier) }),
+    webhookRetry: config.webhooks.retry,
+    rateLimits: config.rateLimits,
+    candidateCache: config.candidateCache,
+    trustProxy: config.trustProxy
+  });
+
+  if (config.savedSearchAlerts) {
+    app.locals.savedSearchAlerts.start(config.savedSearchAlerts.intervalMs);
+  }
+  if (config.webhooks.retryIntervalMs) {
+    app.locals.webhooks.start(config.webhooks.retryIntervalMs);
+  }
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error(error.message);
+  process.exit(1);
+}
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
+  logger.info('Server running', { port: Number(PORT) });
+
+  // The route banner is for people; log collectors only get the JSON line above
+  if (!process.stdout.isTTY) return;
+
   console.log(`\n✅ Server running at http://localhost:${PORT}`);
-  
-  console.log(`\n🔐 AUTHENTICATION:`);
-  console.log(`   POST http://localhost:${PORT}/api/login`);
-  console.log(`   GET http://localhost:${PORT}/api/profile (requires token)`);
-  console.log(`   PUT http://localhost:${PORT}/api/profile/update (requires token)`);
-  console.log(`   PUT http://localhost:${PORT}/api/profile/change-password (requires token)`);
-  
-  console.log(`\n📍 SEWING CANDIDATES (PUBLIC):`);
-  console.log(`   GET http://localhost:${PORT}/api/candidates`);
-  console.log(`   GET http://localhost:${PORT}/api/candidates/:id`);
-  
-  console.log(`\n🛋️  UPHOLSTERY CANDIDATES (PUBLIC):`);
-  console.log(`   GET http://localhost:${PORT}/api/upholstery`);
-  console.log(`   GET http://localhost:${PORT}/api/upholstery/:id`);
-  
-  console.log(`\n🏥 HEALTH CHECK:`);
-  console.log(`   GET http://localhost:${PORT}/health\n`);
+
+  // Same table as the OpenAPI document, so this list can't go stale
+  for (const { name, emoji, operations } of routesByTag()) {
+    console.log(`\n${emoji} ${name.toUpperCase()}:`);
+    for (const { method, path, auth, roles } of operations) {
+      const access = auth === 'token' ? ` (${roles ? roles.join(' or ') : 'any'} token)` : '';
+      console.log(`   ${method.toUpperCase()} http://localhost:${PORT}${path.replace(/\{(\w+)\}/g, ':$1')}${access}`);
+    }
+  }
+
+  console.log(`\n📖 Docs: http://localhost:${PORT}/api/docs (OpenAPI: /api/openapi.json)`);
+  console.log(`   /api/v2/... or Accept-Version: 2 for version 2 responses; ?fields= on candidate routes\n`);
 });
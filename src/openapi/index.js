@@ -0,0 +1,341 @@
+// ========== src/openapi/index.js ==========
+// Turns the operations table into an OpenAPI 3.1 document, a request
+// validation middleware and the human-readable route lists.
+import { validate, ruleToJsonSchema, toJsonSchema } from '../utils/validation.js';
+import { responseSchema } from '../serializers/index.js';
+import { API_VERSIONS, DEFAULT_API_VERSION } from '../utils/apiVersion.js';
+import { OPERATIONS, TAGS } from './operations.js';
+import { RESPONSE_SCHEMAS } from './schemas.js';
+
+export { OPERATIONS, TAGS };
+
+// Schemas the serializers publish (src/serializers) → component names
+const SERIALIZER_COMPONENTS = {
+  'sewing-candidate': 'SewingCandidate',
+  'upholstery-candidate': 'UpholsteryCandidate',
+  'search-candidate': 'SearchCandidate',
+  'search-response': 'SearchResponse'
+};
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content', 304: 'Not modified since the ETag given', 400: 'Invalid request', 401: 'No token provided',
+  403: 'Invalid token, or not allowed for this role', 404: 'Not found', 409: 'Conflict', 415: 'Unsupported media type',
+  422: 'Cannot be processed', 429: 'Too many requests', 503: 'Temporarily unavailable'
+};
+
+// Set by utils/rateLimit.js on every limited route; Retry-After only on 429s
+const RATE_LIMIT_HEADERS = {
+  'RateLimit-Limit': 'Requests allowed per window',
+  'RateLimit-Remaining': 'Requests left in the current window',
+  'RateLimit-Reset': 'Seconds until a request slot frees up',
+  'Retry-After': 'Seconds to wait before trying again'
+};
+
+const PAGINATION_HEADERS = {
+  'X-Total-Count': 'Matching results across all pages',
+  'X-Page': 'This page',
+  'X-Limit': 'Page size',
+  'X-Total-Pages': 'Number of pages'
+};
+
+// Set by utils/httpCache.js on cacheable responses
+const CACHE_HEADERS = {
+  'ETag': 'Strong validator; send it back as If-None-Match to get a 304 if nothing changed',
+  'Cache-Control': 'public for anonymous callers, private for signed-in ones'
+};
+
+// /api/jobs/{id} → /api/jobs/:id
+const expressPath = path => path.replace(/\{(\w+)\}/g, ':$1');
+
+function authLabel(operation) {
+  if (operation.auth !== 'token') return '';
+  if (operation.roles?.length === 1 && operation.roles[0] === 'admin') return ' (admin)';
+  return ' (requires Supabase token)';
+}
+
+/**
+ * "METHOD /path - summary" for every operation, as listed by the 404 handler.
+ */
+export function routeList() {
+  return OPERATIONS.map(op => `${op.method.toUpperCase()} ${expressPath(op.path)} - ${op.summary}${authLabel(op)}`);
+}
+
+/**
+ * Operations grouped by tag, in TAGS order, for the startup banner.
+ */
+export function routesByTag() {
+  return TAGS.map(tag => ({ ...tag, operations: OPERATIONS.filter(op => op.tag === tag.name) }));
+}
+
+// ========== DOCUMENT ==========
+
+// The published schemas stand alone and point at each other by name; inside
+// the document they become components
+function asComponent(schema) {
+  const { $schema, $id, ...rest } = schema;
+  return JSON.parse(JSON.stringify(rest), (key, value) => (
+    key === '$ref' && SERIALIZER_COMPONENTS[value] ? `#/components/schemas/${SERIALIZER_COMPONENTS[value]}` : value
+  ));
+}
+
+function componentSchemas(version) {
+  return {
+    ...RESPONSE_SCHEMAS,
+    ...Object.fromEntries(Object.entries(SERIALIZER_COMPONENTS).map(([name, component]) => [
+      component,
+      asComponent(responseSchema(version, name))
+    ]))
+  };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${SERIALIZER_COMPONENTS[name] || name}` });
+
+function responseContent(schema) {
+  if (typeof schema === 'object') {
+    return { 'application/json': { schema: { type: 'array', items: ref(schema.array) } } };
+  }
+  // Candidate lists are arrays of the single-candidate schema
+  if (schema.endsWith('-candidate-list')) {
+    return { 'application/json': { schema: { type: 'array', items: ref(schema.replace('-list', '')) } } };
+  }
+  return { 'application/json': { schema: ref(schema) } };
+}
+
+function parameters(operation) {
+  const list = [];
+  for (const [location, schema] of [['path', operation.params], ['query', operation.query]]) {
+    for (const [name, rule] of Object.entries(schema?.fields || {})) {
+      const { description, ...jsonSchema } = ruleToJsonSchema(rule);
+      list.push({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(rule.required),
+        ...(description && { description }),
+        schema: jsonSchema
+      });
+    }
+  }
+  if (operation.cached) {
+    list.push({
+      name: 'If-None-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag of a copy you hold',
+      schema: { type: 'string' }
+    });
+  }
+  return list;
+}
+
+function security(operation) {
+  if (operation.auth === 'token') return [{ bearerAuth: [] }];
+  // Anonymous calls are allowed too, and get the public view
+  if (operation.auth === 'optional') return [{}, { bearerAuth: [] }];
+  return [];
+}
+
+// post /api/jobs/{jobId}/shortlist → postApiJobsByJobIdShortlist
+function operationId({ method, path }) {
+  const words = path.replace(/\{(\w+)\}/g, 'by-$1').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return method + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function toOpenApiOperation(operation) {
+  const responses = {};
+  const statuses = { ...operation.responses };
+  if (operation.params || operation.query || operation.body) statuses[400] ??= 'Error';
+  if (operation.auth === 'token') {
+    statuses[401] ??= 'Error';
+    statuses[403] ??= 'Error';
+  }
+  // Everything but the Meta routes sits behind a rate limit group
+  const limited = operation.tag !== 'Meta';
+  if (limited) statuses[429] ??= 'Error';
+  statuses[500] ??= 'Error';
+
+  for (const [status, schema] of Object.entries(statuses)) {
+    responses[status] = {
+      description: STATUS_DESCRIPTIONS[status] || 'Server error',
+      ...(schema !== null && { content: responseContent(schema) })
+    };
+  }
+
+  if (limited) {
+    responses[429].headers = Object.fromEntries(Object.entries(RATE_LIMIT_HEADERS).map(([name, description]) => [
+      name, { description, schema: { type: 'integer' } }
+    ]));
+  }
+
+  if (operation.csv) {
+    responses[200].content['text/csv'] = { schema: { type: 'string', description: 'Header row of field names, then one row per candidate' } };
+  }
+
+  if (operation.headers) {
+    responses[200].headers = Object.fromEntries(Object.entries(PAGINATION_HEADERS).map(([name, description]) => [
+      name, { description, schema: { type: 'integer' } }
+    ]));
+  }
+
+  if (operation.cached) {
+    responses[304] = { description: STATUS_DESCRIPTIONS[304] };
+    responses[200].headers = {
+      ...responses[200].headers,
+      ...Object.fromEntries(Object.entries(CACHE_HEADERS).map(([name, description]) => [
+        name, { description, schema: { type: 'string' } }
+      ]))
+    };
+  }
+
+  const roles = operation.roles ? ` Roles: ${operation.roles.join(', ')}.` : '';
+  return {
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(roles && { description: roles.trim() }),
+    operationId: operationId(operation),
+    parameters: parameters(operation),
+    ...(operation.body && {
+      requestBody: {
+        required: Object.values(operation.body.fields).some(rule => rule.required),
+        content: { 'application/json': { schema: toJsonSchema(operation.body) } }
+      }
+    }),
+    ...(operation.csvBody && {
+      requestBody: {
+        required: true,
+        content: { 'text/csv': { schema: { type: 'string', description: operation.csvBody } } }
+      }
+    }),
+    security: security(operation),
+    responses,
+    ...(operation.roles && { 'x-roles': operation.roles })
+  };
+}
+
+const documents = new Map();
+
+/**
+ * The OpenAPI document for one API version. Version 2 paths carry the /api/v2
+ * prefix so "try it out" in the docs UI asks for the right shapes.
+ */
+export function openApiDocument(version = DEFAULT_API_VERSION) {
+  if (documents.has(version)) return documents.get(version);
+
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    const path = version === DEFAULT_API_VERSION ? operation.path : operation.path.replace(/^\/api\//, `/api/v${version}/`);
+    paths[path] = { ...paths[path], [operation.method]: toOpenApiOperation(operation) };
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Stitchway API',
+      version: `${version}.0.0`,
+      description: [
+        'Candidate login and search for the sewing and upholstery projects.',
+        `API versions: ${API_VERSIONS.join(', ')}. Pick one with an /api/vN path prefix or an Accept-Version header;`,
+        'version 2 sends null where version 1 sends placeholder strings.'
+      ].join(' ')
+    },
+    tags: TAGS.map(({ name, description }) => ({ name, description })),
+    paths,
+    components: {
+      schemas: componentSchemas(version),
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /api/login, issued by either Supabase project'
+        }
+      }
+    }
+  };
+
+  documents.set(version, document);
+  return document;
+}
+
+// ========== DOCS UI ==========
+
+export function docsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Stitchway API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs' });
+  </script>
+</body>
+</html>`;
+}
+
+// ========== REQUEST VALIDATION ==========
+
+// Express routes ignore case, so the lookup must too: a path it would route
+// but this didn't match would reach the handler unvalidated
+const matchers = OPERATIONS.map(operation => ({
+  operation,
+  pattern: new RegExp(`^${operation.path.replace(/\{\w+\}/g, '([^/]+)')}/?$`, 'i'),
+  names: [...operation.path.matchAll(/\{(\w+)\}/g)].map(match => match[1])
+}));
+
+function findOperation(method, path) {
+  for (const { operation, pattern, names } of matchers) {
+    if (operation.method !== method) continue;
+    const match = path.match(pattern);
+    if (match) {
+      return { operation, params: Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks path parameters, query string and JSON body against the operation's
+ * schemas before the route runs, answering 400 { error, fields } when they
+ * don't fit. Validated values are left on req.validated. Requests for paths
+ * that aren't in the table pass straight through to the 404 handler.
+ */
+export function validateRequest() {
+  return (req, res, next) => {
+    let found;
+    try {
+      // Express answers HEAD with the GET route, so it gets the GET checks too
+      const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+      found = findOperation(method, req.path);
+    } catch {
+      // Badly encoded path parameter
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+    if (!found) return next();
+
+    const { operation, params } = found;
+    const fields = {};
+    const validated = {};
+
+    for (const [part, input] of [['params', params], ['query', req.query], ['body', req.body]]) {
+      if (!operation[part]) continue;
+      const result = validate(operation[part], input || {});
+      if (result.fields) Object.assign(fields, result.fields);
+      validated[part] = result.values;
+    }
+
+    if (Object.keys(fields).length > 0) {
+      req.log.warn('Request failed validation', { fields: Object.keys(fields) });
+      return res.status(400).json({
+        error: operation.invalid || 'Invalid request',
+        fields
+      });
+    }
+
+    req.validated = validated;
+    next();
+  };
+}
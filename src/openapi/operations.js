@@ -0,0 +1,687 @@
+// ========== src/openapi/operations.js ==========
+// Every route the API serves, in one table. The OpenAPI document, the request
+// validation middleware, the 404 route list and the startup banner are all
+// built from it, so a route that isn't listed here isn't documented or
+// validated anywhere.
+//
+// Each operation has:
+//   method, path     OpenAPI-style path ({id} rather than :id)
+//   tag, summary     grouping and one-line description
+//   auth             'public', 'optional' (anonymous callers get public cards)
+//                    or 'token'; roles narrows 'token' to those roles
+//   params, query,   validation schemas (src/utils/validation.js), checked
+//   body             before the route runs
+//   csvBody          description of a text/csv request body, for uploads
+//   invalid          error message for a failed body check (default 'Invalid request')
+//   responses        status → schema name, { array: name }, or null for no body
+//   csv              the 200 response can also be text/csv (?format=csv)
+//   cached           answered with an ETag and Cache-Control, and 304 for a
+//                    matching If-None-Match (see utils/httpCache.js)
+import { SORTS, SECTORS, MAX_LIMIT, MAX_SEARCH_DEPTH } from '../utils/candidateFilters.js';
+import { EMPLOYMENT_TYPES, CANDIDATE_PROFILE_FIELDS } from '../utils/candidateProfileFields.js';
+import { JOB_STATUSES } from '../routes/jobsRouter.js';
+import { STAGES } from '../routes/shortlistsRouter.js';
+import { REGISTRATION_STATUSES } from '../routes/adminRouter.js';
+import { IMPORT_COLUMNS, DUPLICATE_ACTIONS, MAX_IMPORT_ROWS } from '../services/candidateImport.js';
+import { ALERT_SETTINGS } from '../services/savedSearchAlerts.js';
+import { SUBSCRIBABLE_EVENTS, DELIVERY_STATUSES, parseEvents } from '../services/webhooks.js';
+import { MAX_SAVED_SEARCHES } from '../routes/savedSearchesRouter.js';
+import { ROLES } from '../utils/roles.js';
+import { passwordProblem } from '../utils/validation.js';
+
+const ACCOUNT_TYPES = Object.keys(SECTORS);
+
+export const TAGS = [
+  { name: 'Authentication', emoji: '🔐', description: 'Employer and candidate sign-up, login and sessions' },
+  { name: 'Profile', emoji: '🏢', description: "The logged-in employer's account and company details" },
+  { name: 'Jobs', emoji: '💼', description: 'Job postings and their shortlists' },
+  { name: 'Saved searches', emoji: '🔔', description: 'Candidate searches employers keep, with emailed alerts for new matches' },
+  { name: 'Candidates', emoji: '🔎', description: 'Candidate search. Anonymous callers see public cards; employers see full profiles' },
+  { name: 'Candidate profile', emoji: '🧵', description: "A candidate's own profile: what search shows and how to reach them" },
+  { name: 'Introductions', emoji: '🤝', description: 'Employer requests for candidate contact details' },
+  { name: 'Admin', emoji: '🛡️', description: 'Staff moderation across both projects' },
+  { name: 'Meta', emoji: '📐', description: 'Health, schemas and this document' }
+];
+
+// ========== REQUEST SCHEMAS ==========
+
+function passwordChecks(body) {
+  const problem = passwordProblem(body.password, { email: body.email });
+  if (problem) return { password: problem };
+  if (body.password !== body.confirmPassword) return { confirmPassword: 'Passwords do not match' };
+  return null;
+}
+
+export const REGISTRATION_SCHEMA = {
+  fields: {
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, secret: true, description: 'At least 10 characters with upper and lower case letters and a number' },
+    confirmPassword: { type: 'string', required: true, secret: true },
+    accountType: { type: 'enum', values: ACCOUNT_TYPES, required: true, column: 'account_type' },
+    company: { type: 'string', required: true, max: 200, column: 'company_name' },
+    postcode: { type: 'postcode' },
+    city: { type: 'string', max: 100 },
+    county: { type: 'string', max: 100 },
+    jobTitle: { type: 'string', max: 120, column: 'job_title' },
+    jobDescription: { type: 'string', max: 5000, column: 'job_description' },
+    employmentType: { type: 'enum', values: EMPLOYMENT_TYPES, column: 'employment_type' },
+    salaryFrom: { type: 'number', min: 0, column: 'salary_from' },
+    salaryTo: { type: 'number', min: 0, column: 'salary_to' },
+    hoursPerWeek: { type: 'number', min: 0, max: 168, column: 'hours_per_week' },
+    benefits: { type: 'string', max: 1000 },
+    experienceRequired: { type: 'string', max: 100, column: 'experience_required' },
+    machines: { type: 'list', max: 50 },
+    techniques: { type: 'list', max: 50 }
+  },
+  checks: [
+    (body, values, fields) => {
+      if (fields.salaryFrom || fields.salaryTo) return null;
+      if (values.salary_from !== undefined && values.salary_to !== undefined && values.salary_from > values.salary_to) {
+        return { salaryTo: 'salaryTo must not be less than salaryFrom' };
+      }
+      return null;
+    },
+    passwordChecks
+  ]
+};
+
+export const CANDIDATE_REGISTRATION_SCHEMA = {
+  fields: {
+    email: REGISTRATION_SCHEMA.fields.email,
+    password: REGISTRATION_SCHEMA.fields.password,
+    confirmPassword: REGISTRATION_SCHEMA.fields.confirmPassword,
+    accountType: { type: 'enum', values: ACCOUNT_TYPES, required: true, description: 'Which trade: sewing or upholstery' }
+  },
+  checks: [passwordChecks]
+};
+
+// Column names differ between the sectors; fields that are one sector's are
+// refused for the other (see utils/candidateProfileFields.js)
+const CANDIDATE_PROFILE_BODY = { fields: CANDIDATE_PROFILE_FIELDS };
+
+const NEW_CANDIDATE_PROFILE_BODY = {
+  fields: Object.fromEntries(Object.entries(CANDIDATE_PROFILE_BODY.fields).map(([name, rule]) => [
+    name,
+    ['firstName', 'lastName', 'jobTitle'].includes(name) ? { ...rule, required: true } : rule
+  ]))
+};
+
+const accountTypeRule = { type: 'enum', values: ACCOUNT_TYPES };
+// Where the server can only find some accounts itself
+const accountTypeFromClient = {
+  ...accountTypeRule,
+  description: 'Found from the email if left out, except for candidates who have no profile yet'
+};
+const reasonBody = { fields: { reason: { type: 'string', max: 1000, description: 'Kept in the audit log' } } };
+const typeAndId = { fields: { type: { ...accountTypeRule, required: true }, id: { type: 'string', required: true } } };
+const paging = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT }
+};
+
+const CANDIDATE_QUERY = {
+  fields: {
+    q: { type: 'string', description: 'Keyword across role, location, sector and skills' },
+    sector: { type: 'list' },
+    workType: { type: 'list' },
+    availability: { type: 'list' },
+    machines: { type: 'list' },
+    techniques: { type: 'list' },
+    products: { type: 'list' },
+    materials: { type: 'list', description: 'Sewing candidates only' },
+    match: { type: 'enum', values: ['any', 'all'], description: 'Whether list filters need any or all of their values' },
+    minExperience: { type: 'number', min: 0 },
+    salaryMin: { type: 'number', min: 0 },
+    salaryMax: { type: 'number', min: 0 },
+    near: { type: 'string', description: 'Postcode to measure distances from' },
+    radius: { type: 'number', min: 0, description: 'Miles from near=' },
+    sort: { type: 'enum', values: SORTS },
+    page: paging.page,
+    limit: { type: 'integer', min: 1, description: `Capped at ${MAX_LIMIT}` },
+    fields: { type: 'string', description: 'Comma-separated fields to return' }
+  }
+};
+
+const CANDIDATE_LIST_QUERY = {
+  fields: {
+    ...CANDIDATE_QUERY.fields,
+    format: {
+      type: 'enum',
+      values: ['json', 'csv'],
+      description: 'csv downloads every matching candidate (page and limit are ignored); admins also get contact details'
+    }
+  }
+};
+
+// The list filters a saved search keeps; paging, order and output options are per request
+const SAVED_SEARCH_FILTERS = {
+  fields: Object.fromEntries(Object.entries(CANDIDATE_QUERY.fields)
+    .filter(([name]) => !['sort', 'page', 'limit', 'fields'].includes(name)))
+};
+
+const SAVED_SEARCH_BODY = {
+  fields: {
+    name: { type: 'string', min: 1, max: 100 },
+    type: { ...accountTypeRule, description: 'Which trade to search; defaults to your own' },
+    filters: { type: 'object', schema: SAVED_SEARCH_FILTERS, description: 'The same filters as GET /api/candidates. Sent on PATCH, they replace the saved ones' },
+    alerts: { type: 'enum', values: ALERT_SETTINGS, description: 'How often to email new matches (default daily)' }
+  }
+};
+
+const NEW_SAVED_SEARCH_BODY = { fields: { ...SAVED_SEARCH_BODY.fields, name: { ...SAVED_SEARCH_BODY.fields.name, required: true } } };
+
+const JOB_BODY = {
+  fields: {
+    title: { type: 'string', max: 120 },
+    description: { type: 'string', max: 5000 },
+    employmentType: { type: 'string', max: 50 },
+    benefits: { type: 'string', max: 1000 },
+    experienceRequired: { type: 'string', max: 100 },
+    postcode: { type: 'string', max: 10 },
+    city: { type: 'string', max: 100 },
+    county: { type: 'string', max: 100 },
+    salaryFrom: { type: 'number', min: 0 },
+    salaryTo: { type: 'number', min: 0 },
+    hoursPerWeek: { type: 'number', min: 0 },
+    machines: { type: 'list' },
+    techniques: { type: 'list' },
+    status: { type: 'enum', values: JOB_STATUSES },
+    expiresAt: { type: 'date' }
+  }
+};
+
+const NEW_JOB_BODY = { fields: { ...JOB_BODY.fields, title: { ...JOB_BODY.fields.title, required: true } } };
+
+const WEBHOOK_BODY = {
+  fields: {
+    url: { type: 'url', description: 'Where deliveries are POSTed' },
+    events: { type: 'array', max: SUBSCRIBABLE_EVENTS.length, description: `Any of: ${SUBSCRIBABLE_EVENTS.join(', ')} ('*' is every event)` },
+    description: { type: 'string', max: 500 },
+    enabled: { type: 'boolean', description: 'Disabled endpoints get no new deliveries, and pending ones are given up' }
+  },
+  checks: [
+    (body, values) => {
+      const unknown = parseEvents(values.events).filter(type => !SUBSCRIBABLE_EVENTS.includes(type));
+      return unknown.length > 0 ? { events: `Unknown event type(s): ${unknown.join(', ')}` } : null;
+    }
+  ]
+};
+
+const NEW_WEBHOOK_BODY = {
+  ...WEBHOOK_BODY,
+  fields: {
+    ...WEBHOOK_BODY.fields,
+    url: { ...WEBHOOK_BODY.fields.url, required: true },
+    events: { ...WEBHOOK_BODY.fields.events, required: true }
+  }
+};
+
+const deliveryParams = { fields: { ...typeAndId.fields, deliveryId: { type: 'string', required: true } } };
+
+// ========== OPERATIONS ==========
+
+const candidateRoutes = (sector, base, label) => [
+  {
+    method: 'get', path: base, tag: 'Candidates', auth: 'optional',
+    summary: `Search ${label} candidates (filterable & paginated)`,
+    query: CANDIDATE_LIST_QUERY,
+    responses: { 200: `${sector}-candidate-list`, 400: 'Error' },
+    headers: true,
+    cached: true,
+    csv: true
+  },
+  {
+    method: 'get', path: `${base}/{id}`, tag: 'Candidates', auth: 'optional',
+    summary: `Single ${label} candidate`,
+    params: { fields: { id: { type: 'string', required: true } } },
+    query: { fields: { fields: CANDIDATE_QUERY.fields.fields } },
+    responses: { 200: `${sector}-candidate`, 404: 'Error' },
+    cached: true
+  },
+  {
+    method: 'post', path: `${base}/{id}/contact`, tag: 'Introductions', auth: 'token', roles: ['employer', 'admin'],
+    summary: `Request an introduction to a ${label} candidate`,
+    params: { fields: { id: { type: 'string', required: true } } },
+    body: { fields: { message: { type: 'string', max: 2000 }, jobId: { type: 'string' } } },
+    responses: { 201: 'Introduction', 403: 'Error', 404: 'Error', 409: 'Error', 422: 'Error', 429: 'Error' }
+  }
+];
+
+export const OPERATIONS = [
+  // ---- Meta ----
+  { method: 'get', path: '/health', tag: 'Meta', auth: 'public', summary: 'Health check', responses: { 200: 'Health' } },
+  { method: 'get', path: '/api/openapi.json', tag: 'Meta', auth: 'public', summary: 'This OpenAPI document', responses: { 200: null } },
+  { method: 'get', path: '/api/docs', tag: 'Meta', auth: 'public', summary: 'Interactive API documentation', responses: { 200: null } },
+  { method: 'get', path: '/api/schemas', tag: 'Meta', auth: 'public', summary: 'JSON Schemas for the candidate responses', responses: { 200: 'SchemaIndex' } },
+  {
+    method: 'get', path: '/api/schemas/{name}', tag: 'Meta', auth: 'public', summary: 'One response schema',
+    params: { fields: { name: { type: 'string', required: true } } },
+    responses: { 200: null, 404: 'Error' }
+  },
+
+  // ---- Authentication ----
+  {
+    method: 'post', path: '/api/register', tag: 'Authentication', auth: 'public',
+    summary: 'Register new employer account',
+    body: REGISTRATION_SCHEMA, invalid: 'Invalid registration',
+    responses: { 201: 'Registration', 400: 'Error', 409: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/register/resend-verification', tag: 'Authentication', auth: 'public',
+    summary: 'Resend the email confirmation link',
+    body: { fields: { email: { type: 'email', required: true }, accountType: accountTypeFromClient } },
+    responses: { 200: 'Success' }
+  },
+  {
+    method: 'post', path: '/api/register/candidate', tag: 'Authentication', auth: 'public',
+    summary: 'Register new candidate account (then create a profile)',
+    body: CANDIDATE_REGISTRATION_SCHEMA, invalid: 'Invalid registration',
+    responses: { 201: 'CandidateRegistration', 409: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/login', tag: 'Authentication', auth: 'public',
+    summary: 'Login with email/password (returns Supabase token and refresh token)',
+    body: { fields: { email: { type: 'string', required: true }, password: { type: 'string', required: true, secret: true } } },
+    responses: { 200: 'Session', 401: 'Error', 403: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/token/refresh', tag: 'Authentication', auth: 'public',
+    summary: 'Exchange a refresh token for a new session',
+    body: { fields: { refreshToken: { type: 'string', required: true }, accountType: { ...accountTypeRule, required: true } } },
+    responses: { 200: 'Session', 401: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/logout', tag: 'Authentication', auth: 'token',
+    summary: 'Revoke the current session',
+    body: { fields: { scope: { type: 'enum', values: ['local', 'global', 'others'] } } },
+    responses: { 200: 'Success' }
+  },
+  {
+    method: 'post', path: '/api/password/forgot', tag: 'Authentication', auth: 'public',
+    summary: 'Email a password reset link',
+    body: { fields: { email: { type: 'string', required: true }, accountType: accountTypeFromClient } },
+    responses: { 200: 'Success' }
+  },
+  {
+    method: 'post', path: '/api/password/reset', tag: 'Authentication', auth: 'public',
+    summary: 'Set a new password from a reset link',
+    body: {
+      fields: {
+        accessToken: { type: 'string', required: true, description: 'The recovery token from the reset link' },
+        password: { type: 'string', required: true, secret: true },
+        confirmPassword: { type: 'string', secret: true },
+        accountType: { ...accountTypeRule, required: true }
+      }
+    },
+    responses: { 200: 'Success', 401: 'Error' }
+  },
+
+  // ---- Profile ----
+  {
+    method: 'get', path: '/api/profile', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Get profile and company details', responses: { 200: 'Profile' }
+  },
+  {
+    method: 'put', path: '/api/profile/update', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Update company details (only the fields sent change)',
+    body: {
+      fields: Object.fromEntries(Object.entries(REGISTRATION_SCHEMA.fields)
+        .filter(([name]) => !['email', 'password', 'confirmPassword', 'accountType'].includes(name))
+        .map(([name, rule]) => [name, { ...rule, required: false }]))
+    },
+    responses: { 200: 'ProfileUpdate', 404: 'Error' }
+  },
+  {
+    method: 'put', path: '/api/profile/change-password', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Change password',
+    body: {
+      fields: {
+        currentPassword: { type: 'string', required: true, secret: true },
+        newPassword: { type: 'string', required: true, secret: true },
+        confirmPassword: { type: 'string', secret: true }
+      }
+    },
+    responses: { 200: 'Success', 401: 'Error' }
+  },
+  {
+    method: 'put', path: '/api/profile/change-email', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Change login email (confirmed from the new inbox first when email verification is on)',
+    body: { fields: { newEmail: { type: 'email', required: true }, password: { type: 'string', required: true, secret: true } } },
+    responses: { 200: 'EmailChange', 202: 'PendingEmailChange', 401: 'Error', 409: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/profile', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Delete account and all its data',
+    body: { fields: { password: { type: 'string', required: true, secret: true } } },
+    responses: { 204: null, 401: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/matches', tag: 'Profile', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Candidates ranked against your saved requirements, or a job with ?jobId=',
+    query: { fields: { jobId: { type: 'string' }, ...paging, minScore: { type: 'number', min: 0, max: 100 } } },
+    responses: { 200: 'Matches', 404: 'Error' }
+  },
+
+  // ---- Jobs ----
+  {
+    method: 'get', path: '/api/jobs', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Your job postings',
+    query: { fields: { status: { type: 'list', description: `Any of: ${JOB_STATUSES.join(', ')}` } } },
+    responses: { 200: { array: 'Job' } }
+  },
+  {
+    method: 'post', path: '/api/jobs', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Create a job posting', body: NEW_JOB_BODY, invalid: 'Invalid job',
+    responses: { 201: 'Job' }
+  },
+  {
+    method: 'get', path: '/api/jobs/{id}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'One of your job postings',
+    params: { fields: { id: { type: 'string', required: true } } },
+    responses: { 200: 'Job', 404: 'Error' }
+  },
+  {
+    method: 'patch', path: '/api/jobs/{id}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Update a job posting', body: JOB_BODY, invalid: 'Invalid job',
+    params: { fields: { id: { type: 'string', required: true } } },
+    responses: { 200: 'Job', 404: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/jobs/{id}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Delete a job posting',
+    params: { fields: { id: { type: 'string', required: true } } },
+    responses: { 204: null, 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/jobs/{jobId}/shortlist', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Shortlist for a job, optionally by ?stage=',
+    params: { fields: { jobId: { type: 'string', required: true } } },
+    query: { fields: { stage: { type: 'enum', values: STAGES } } },
+    responses: { 200: { array: 'ShortlistEntry' }, 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/jobs/{jobId}/shortlist', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Add a candidate to a shortlist',
+    params: { fields: { jobId: { type: 'string', required: true } } },
+    body: {
+      fields: {
+        candidateId: { type: 'string', required: true },
+        candidateType: { ...accountTypeRule, required: true },
+        notes: { type: 'string', max: 5000 }
+      }
+    },
+    responses: { 201: 'ShortlistEntry', 404: 'Error', 409: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/jobs/{jobId}/shortlist/{entryId}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Shortlist entry with its stage history',
+    params: { fields: { jobId: { type: 'string', required: true }, entryId: { type: 'string', required: true } } },
+    responses: { 200: 'ShortlistEntry', 404: 'Error' }
+  },
+  {
+    method: 'patch', path: '/api/jobs/{jobId}/shortlist/{entryId}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Move a candidate through the pipeline or update notes',
+    params: { fields: { jobId: { type: 'string', required: true }, entryId: { type: 'string', required: true } } },
+    body: { fields: { stage: { type: 'enum', values: STAGES }, notes: { type: 'string', max: 5000 } } },
+    responses: { 200: 'ShortlistEntry', 404: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/jobs/{jobId}/shortlist/{entryId}', tag: 'Jobs', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Remove a candidate from a shortlist',
+    params: { fields: { jobId: { type: 'string', required: true }, entryId: { type: 'string', required: true } } },
+    responses: { 204: null, 404: 'Error' }
+  },
+
+  // ---- Saved searches ----
+  {
+    method: 'get', path: '/api/saved-searches', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Your saved searches',
+    responses: { 200: { array: 'SavedSearch' } }
+  },
+  {
+    method: 'post', path: '/api/saved-searches', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: `Save a search (up to ${MAX_SAVED_SEARCHES}); alerts cover candidates who join from now on`,
+    body: NEW_SAVED_SEARCH_BODY, invalid: 'Invalid saved search',
+    responses: { 201: 'SavedSearch', 409: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/saved-searches/{id}', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'One of your saved searches',
+    params: { fields: { id: { type: 'string', required: true } } },
+    responses: { 200: 'SavedSearch', 404: 'Error' }
+  },
+  {
+    method: 'patch', path: '/api/saved-searches/{id}', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Rename a saved search, change its filters or alerts',
+    params: { fields: { id: { type: 'string', required: true } } },
+    body: SAVED_SEARCH_BODY, invalid: 'Invalid saved search',
+    responses: { 200: 'SavedSearch', 404: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/saved-searches/{id}', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Delete a saved search and its match history',
+    params: { fields: { id: { type: 'string', required: true } } },
+    responses: { 204: null, 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/saved-searches/{id}/matches', tag: 'Saved searches', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Candidates the alerts have reported for a search, newest first',
+    params: { fields: { id: { type: 'string', required: true } } },
+    query: { fields: paging },
+    responses: { 200: { array: 'SavedSearchMatch' }, 404: 'Error' },
+    headers: true
+  },
+  {
+    method: 'get', path: '/api/saved-searches/unsubscribe/{type}/{token}', tag: 'Saved searches', auth: 'public',
+    summary: 'Which search an unsubscribe link is for',
+    params: { fields: { type: { ...accountTypeRule, required: true }, token: { type: 'string', required: true } } },
+    responses: { 200: 'SavedSearchAlerts', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/saved-searches/unsubscribe/{type}/{token}', tag: 'Saved searches', auth: 'public',
+    summary: 'Turn off alerts from the link in a digest (also the one-click List-Unsubscribe target)',
+    params: { fields: { type: { ...accountTypeRule, required: true }, token: { type: 'string', required: true } } },
+    responses: { 200: 'SavedSearchAlerts', 404: 'Error' }
+  },
+
+  // ---- Candidates ----
+  {
+    method: 'get', path: '/api/search', tag: 'Candidates', auth: 'optional',
+    summary: 'Search sewing and upholstery candidates together',
+    query: {
+      fields: {
+        ...CANDIDATE_QUERY.fields,
+        page: { ...CANDIDATE_QUERY.fields.page, description: `page × limit may be at most ${MAX_SEARCH_DEPTH}` },
+        type: { type: 'list', description: 'sewing, upholstery or both (default)' }
+      }
+    },
+    responses: { 200: 'search-response', 400: 'Error', 503: 'Error' }
+  },
+  ...candidateRoutes('sewing', '/api/candidates', 'sewing'),
+  ...candidateRoutes('upholstery', '/api/upholstery', 'upholstery'),
+
+  // ---- Candidate profile ----
+  {
+    method: 'get', path: '/api/candidate/profile', tag: 'Candidate profile', auth: 'token', roles: ['candidate'],
+    summary: 'Your profile, including its private half',
+    responses: { 200: 'CandidateProfile', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/candidate/profile', tag: 'Candidate profile', auth: 'token', roles: ['candidate'],
+    summary: 'Create your profile', body: NEW_CANDIDATE_PROFILE_BODY, invalid: 'Invalid profile',
+    responses: { 201: 'CandidateProfile', 409: 'Error' }
+  },
+  {
+    method: 'patch', path: '/api/candidate/profile', tag: 'Candidate profile', auth: 'token', roles: ['candidate'],
+    summary: 'Update your profile, availability, skills or visibility (only the fields sent change)',
+    body: CANDIDATE_PROFILE_BODY, invalid: 'Invalid profile',
+    responses: { 200: 'CandidateProfile', 404: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/candidate/profile', tag: 'Candidate profile', auth: 'token', roles: ['candidate'],
+    summary: 'Withdraw your profile (deletes both halves; the account stays)',
+    responses: { 204: null, 404: 'Error' }
+  },
+
+  // ---- Introductions ----
+  {
+    method: 'get', path: '/api/introductions', tag: 'Introductions', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Your introduction requests',
+    query: { fields: { status: { type: 'enum', values: ['pending', 'accepted', 'declined', 'expired'] } } },
+    responses: { 200: { array: 'Introduction' } }
+  },
+  {
+    method: 'get', path: '/api/introductions/{type}/{id}', tag: 'Introductions', auth: 'token', roles: ['employer', 'admin'],
+    summary: 'Introduction request, with contact details once accepted',
+    params: typeAndId,
+    responses: { 200: 'Introduction', 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/introductions/respond/{type}/{token}', tag: 'Introductions', auth: 'public',
+    summary: 'Candidate view of an introduction request',
+    params: { fields: { type: { ...accountTypeRule, required: true }, token: { type: 'string', required: true } } },
+    responses: { 200: 'IntroductionPreview', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/introductions/respond/{type}/{token}', tag: 'Introductions', auth: 'public',
+    summary: 'Candidate accepts or declines',
+    params: { fields: { type: { ...accountTypeRule, required: true }, token: { type: 'string', required: true } } },
+    body: { fields: { decision: { type: 'enum', values: ['accept', 'decline'], required: true } } },
+    responses: { 200: 'IntroductionResponse', 404: 'Error', 409: 'Error' }
+  },
+
+  // ---- Admin ----
+  {
+    method: 'get', path: '/api/admin/registrations', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Employer registrations by ?status=',
+    query: { fields: { status: { type: 'enum', values: REGISTRATION_STATUSES, description: 'Defaults to pending' }, ...paging } },
+    responses: { 200: 'AdminRegistrationList' }
+  },
+  {
+    method: 'post', path: '/api/admin/registrations/{type}/{id}/{decision}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Approve or reject an employer registration',
+    params: { fields: { ...typeAndId.fields, decision: { type: 'enum', values: ['approve', 'reject'], required: true } } },
+    body: reasonBody,
+    responses: { 200: 'AdminRegistration', 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/admin/candidates', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Flagged or hidden candidates',
+    query: { fields: { status: { type: 'enum', values: ['flagged', 'hidden'], description: 'Defaults to flagged' } } },
+    responses: { 200: 'ModeratedCandidateList' }
+  },
+  {
+    method: 'post', path: '/api/admin/candidates/{type}/{id}/{action}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Hide, unhide, flag or unflag a candidate',
+    params: { fields: { ...typeAndId.fields, action: { type: 'enum', values: ['hide', 'unhide', 'flag', 'unflag'], required: true } } },
+    body: reasonBody,
+    responses: { 200: 'ModerationResult', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/admin/candidates/{type}/import', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Import candidates from a CSV file',
+    params: { fields: { type: typeAndId.fields.type } },
+    query: {
+      fields: {
+        dryRun: { type: 'enum', values: ['true', 'false'], description: 'Check the file and report what would happen, without saving' },
+        onDuplicate: { type: 'enum', values: DUPLICATE_ACTIONS, description: 'What to do with rows matching an existing candidate by candidateId or email (default update)' }
+      }
+    },
+    csvBody: `Header row, then up to ${MAX_IMPORT_ROWS} candidates. Columns: ${IMPORT_COLUMNS.join(', ')}. ` +
+      'email is required; new candidates also need firstName, lastName and jobTitle. List columns are comma-separated within the cell.',
+    responses: { 200: 'CandidateImport', 404: 'Error', 415: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/admin/users/{type}/{id}/suspend', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Suspend a user',
+    params: typeAndId,
+    body: { fields: { duration: { type: 'string', description: 'Such as 24h or 30m; indefinite if left out' }, ...reasonBody.fields } },
+    responses: { 200: 'Suspension', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/admin/users/{type}/{id}/unsuspend', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Lift a suspension',
+    params: typeAndId,
+    responses: { 200: 'Suspension', 404: 'Error' }
+  },
+  {
+    method: 'put', path: '/api/admin/users/{type}/{id}/role', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: "Change a user's role",
+    params: typeAndId,
+    body: { fields: { role: { type: 'enum', values: ROLES, required: true } } },
+    responses: { 200: 'RoleChange', 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Webhook endpoints in both projects',
+    responses: { 200: 'WebhookList' }
+  },
+  {
+    method: 'post', path: '/api/admin/webhooks', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Add a webhook endpoint (the signing secret is only returned here)',
+    body: NEW_WEBHOOK_BODY, invalid: 'Invalid webhook',
+    responses: { 201: 'Webhook' }
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks/dead-letters', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Webhook deliveries that ran out of retries',
+    query: { fields: paging },
+    responses: { 200: 'WebhookDeliveryList' },
+    headers: true
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks/{type}/{id}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'One webhook endpoint',
+    params: typeAndId,
+    responses: { 200: 'Webhook', 404: 'Error' }
+  },
+  {
+    method: 'patch', path: '/api/admin/webhooks/{type}/{id}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Change, enable or disable a webhook endpoint',
+    params: typeAndId,
+    body: WEBHOOK_BODY, invalid: 'Invalid webhook',
+    responses: { 200: 'Webhook', 404: 'Error' }
+  },
+  {
+    method: 'delete', path: '/api/admin/webhooks/{type}/{id}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Delete a webhook endpoint and its delivery log',
+    params: typeAndId,
+    responses: { 204: null, 404: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks/{type}/{id}/deliveries', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: "An endpoint's delivery log, newest first",
+    params: typeAndId,
+    query: { fields: { status: { type: 'enum', values: DELIVERY_STATUSES }, ...paging } },
+    responses: { 200: 'WebhookDeliveryList', 404: 'Error' },
+    headers: true
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks/{type}/{id}/deliveries/{deliveryId}', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'One delivery with its payload and every attempt',
+    params: deliveryParams,
+    responses: { 200: 'WebhookDelivery', 404: 'Error' }
+  },
+  {
+    method: 'post', path: '/api/admin/webhooks/{type}/{id}/deliveries/{deliveryId}/retry', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Send a finished delivery again with a fresh set of retries',
+    params: deliveryParams,
+    responses: { 202: 'WebhookDelivery', 404: 'Error', 409: 'Error' }
+  },
+  {
+    method: 'get', path: '/api/admin/audit', tag: 'Admin', auth: 'token', roles: ['admin'],
+    summary: 'Audit log across both projects',
+    query: {
+      fields: {
+        action: { type: 'string' },
+        actorId: { type: 'string' },
+        targetType: { type: 'string' },
+        targetId: { type: 'string' },
+        since: { type: 'date' },
+        until: { type: 'date' },
+        ...paging
+      }
+    },
+    responses: { 200: 'AuditLog' }
+  }
+];
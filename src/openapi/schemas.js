@@ -0,0 +1,400 @@
+// ========== src/openapi/schemas.js ==========
+// Response bodies for everything except candidates, whose schemas come from
+// the serializers (src/serializers). Referenced from operations.js by name.
+import { JOB_STATUSES } from '../routes/jobsRouter.js';
+import { STAGES } from '../routes/shortlistsRouter.js';
+import { REGISTRATION_STATUSES } from '../routes/adminRouter.js';
+import { ALERT_SETTINGS } from '../services/savedSearchAlerts.js';
+import { SUBSCRIBABLE_EVENTS, DELIVERY_STATUSES } from '../services/webhooks.js';
+import { ROLES } from '../utils/roles.js';
+import { SECTORS, VISIBILITIES } from '../utils/candidateFilters.js';
+
+const ACCOUNT_TYPES = Object.keys(SECTORS);
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+const strings = { type: 'array', items: string };
+const accountType = { type: 'string', enum: ACCOUNT_TYPES };
+
+function object(properties, { required = Object.keys(properties), ...rest } = {}) {
+  return { type: 'object', properties, required, ...rest };
+}
+
+const warnings = {
+  type: 'array',
+  description: 'Projects that could not be reached; results from them are missing',
+  items: object({ type: string, message: string })
+};
+
+export const RESPONSE_SCHEMAS = {
+  Error: object({
+    error: string,
+    code: { type: 'string', description: 'Machine-readable reason, where there is one' },
+    retryAfter: { type: 'integer', description: 'Seconds to wait, on 429 responses' },
+    fields: {
+      type: 'object',
+      additionalProperties: string,
+      description: 'One message per invalid field'
+    }
+  }, { required: ['error'] }),
+
+  Success: object({ success: { const: true }, message: string }, { required: ['success'] }),
+
+  Health: object({ status: { const: 'ok' }, timestamp, environment: string }),
+
+  Registration: object({
+    success: { const: true },
+    message: string,
+    email: { type: 'string', format: 'email' },
+    accountType,
+    company: string,
+    emailVerificationRequired: { type: 'boolean' },
+    verificationEmailSent: { type: 'boolean', description: 'Only when email verification is required' }
+  }, { required: ['success', 'message', 'email', 'accountType', 'company', 'emailVerificationRequired'] }),
+
+  CandidateRegistration: object({
+    success: { const: true },
+    message: string,
+    email: { type: 'string', format: 'email' },
+    accountType,
+    role: { const: 'candidate' },
+    emailVerificationRequired: { type: 'boolean' },
+    verificationEmailSent: { type: 'boolean', description: 'Only when email verification is required' }
+  }, { required: ['success', 'message', 'email', 'accountType', 'role', 'emailVerificationRequired'] }),
+
+  CandidateProfile: object({
+    profile: object({
+      candidateId: string,
+      accountType,
+      visibility: { type: 'string', enum: VISIBILITIES },
+      hiddenByModerator: { type: 'boolean', description: 'Staff have hidden the profile; it stays hidden whatever the visibility' },
+      contact: object({
+        firstName: nullableString,
+        lastName: nullableString,
+        email: { type: 'string', format: 'email' },
+        phone: nullableString,
+        postcode: nullableString
+      }, { description: 'Only shared with employers whose introduction request you accept' }),
+      card: {
+        description: 'Your profile as employers see it (without the salary band and distance rounding applied to anonymous visitors)',
+        oneOf: [{ $ref: '#/components/schemas/SewingCandidate' }, { $ref: '#/components/schemas/UpholsteryCandidate' }]
+      },
+      createdAt: nullableTimestamp,
+      updatedAt: nullableTimestamp
+    })
+  }),
+
+  Session: object({
+    token: { type: 'string', description: 'Supabase access token; send as Authorization: Bearer <token>' },
+    refreshToken: string,
+    accountType,
+    user: object({
+      id: string,
+      email: { type: 'string', format: 'email' },
+      accountType,
+      role: { type: 'string', enum: ROLES }
+    }),
+    expiresIn: { type: 'integer', description: 'Seconds until the token expires' }
+  }),
+
+  Company: {
+    type: ['object', 'null'],
+    properties: {
+      company: nullableString,
+      postcode: nullableString,
+      city: nullableString,
+      county: nullableString,
+      jobTitle: nullableString,
+      jobDescription: nullableString,
+      employmentType: nullableString,
+      salaryFrom: nullableNumber,
+      salaryTo: nullableNumber,
+      hoursPerWeek: nullableNumber,
+      benefits: nullableString,
+      experienceRequired: nullableString,
+      machines: nullableString,
+      techniques: nullableString
+    }
+  },
+
+  Profile: object({
+    profile: object({
+      id: string,
+      email: { type: 'string', format: 'email' },
+      createdAt: nullableTimestamp,
+      accountType,
+      company: { $ref: '#/components/schemas/Company' }
+    })
+  }),
+
+  ProfileUpdate: object({ success: { const: true }, company: { $ref: '#/components/schemas/Company' } }),
+
+  EmailChange: object({ success: { const: true }, email: { type: 'string', format: 'email' } }),
+  PendingEmailChange: object({
+    success: { const: true },
+    email: { type: 'string', format: 'email', description: 'Still the login email until the change is confirmed' },
+    pendingEmail: { type: 'string', format: 'email' },
+    message: string
+  }),
+
+  Job: object({
+    id: { type: ['integer', 'string'] },
+    title: string,
+    description: nullableString,
+    employmentType: nullableString,
+    salaryFrom: nullableNumber,
+    salaryTo: nullableNumber,
+    hoursPerWeek: nullableNumber,
+    benefits: nullableString,
+    experienceRequired: nullableString,
+    machines: strings,
+    techniques: strings,
+    postcode: nullableString,
+    city: nullableString,
+    county: nullableString,
+    status: { type: 'string', enum: JOB_STATUSES },
+    expiresAt: nullableTimestamp,
+    expired: { type: 'boolean' },
+    createdAt: timestamp,
+    updatedAt: nullableTimestamp
+  }),
+
+  ShortlistEntry: object({
+    id: { type: ['integer', 'string'] },
+    jobId: { type: ['integer', 'string'] },
+    candidateId: string,
+    candidateType: accountType,
+    stage: { type: 'string', enum: STAGES },
+    notes: nullableString,
+    createdAt: timestamp,
+    updatedAt: nullableTimestamp,
+    history: {
+      type: 'array',
+      description: 'Only on single-entry responses',
+      items: object({
+        fromStage: { type: ['string', 'null'], enum: [...STAGES, null] },
+        toStage: { type: 'string', enum: STAGES },
+        changedBy: string,
+        changedAt: timestamp
+      })
+    }
+  }, { required: ['id', 'jobId', 'candidateId', 'candidateType', 'stage', 'notes', 'createdAt', 'updatedAt'] }),
+
+  SavedSearch: object({
+    id: { type: ['integer', 'string'] },
+    name: string,
+    type: accountType,
+    filters: { type: 'object', description: 'Candidate list filters, as query parameters' },
+    alerts: { type: 'string', enum: ALERT_SETTINGS },
+    lastCheckedAt: { ...timestamp, description: 'When the alerts last looked for new candidates' },
+    createdAt: timestamp,
+    updatedAt: nullableTimestamp
+  }),
+
+  SavedSearchMatch: object({
+    candidateId: string,
+    candidateType: accountType,
+    role: nullableString,
+    location: nullableString,
+    emailed: { type: 'boolean', description: 'Whether the digest listing it was sent' },
+    matchedAt: timestamp
+  }),
+
+  SavedSearchAlerts: object({ name: string, alerts: { type: 'string', enum: ALERT_SETTINGS } }),
+
+  Introduction: object({
+    id: { type: ['integer', 'string'] },
+    candidateId: string,
+    candidateType: accountType,
+    jobId: { type: ['integer', 'string', 'null'] },
+    message: nullableString,
+    status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'expired'] },
+    expiresAt: timestamp,
+    respondedAt: nullableTimestamp,
+    createdAt: timestamp,
+    contact: {
+      type: ['object', 'null'],
+      description: "The candidate's contact details, once they have accepted"
+    }
+  }, { required: ['id', 'candidateId', 'candidateType', 'status', 'expiresAt', 'createdAt'] }),
+
+  IntroductionPreview: object({
+    companyName: nullableString,
+    message: nullableString,
+    status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'expired'] },
+    expiresAt: timestamp
+  }),
+
+  IntroductionResponse: object({ status: { type: 'string', enum: ['accepted', 'declined'] } }),
+
+  Matches: object({
+    requirements: object({
+      skills: strings,
+      yearsExperience: nullableNumber,
+      salaryFrom: nullableNumber,
+      salaryTo: nullableNumber,
+      workType: nullableString,
+      postcode: nullableString
+    }),
+    results: {
+      type: 'array',
+      items: object({
+        candidate: { $ref: '#/components/schemas/SearchCandidate' },
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        breakdown: {
+          type: 'object',
+          description: 'One entry per criterion the employer specified',
+          additionalProperties: object({ score: { type: 'number' }, weight: { type: 'number' }, reason: string }, {
+            required: ['score', 'weight', 'reason']
+          })
+        },
+        reasons: strings
+      })
+    },
+    total: { type: 'integer' },
+    page: { type: 'integer' },
+    limit: { type: 'integer' }
+  }),
+
+  AdminRegistration: object({
+    id: { type: ['integer', 'string'] },
+    type: accountType,
+    email: { type: 'string', format: 'email' },
+    company: nullableString,
+    postcode: nullableString,
+    city: nullableString,
+    county: nullableString,
+    jobTitle: nullableString,
+    status: { type: 'string', enum: REGISTRATION_STATUSES },
+    reviewNote: nullableString,
+    reviewedAt: nullableTimestamp,
+    reviewedBy: nullableString,
+    createdAt: nullableTimestamp
+  }),
+
+  AdminRegistrationList: object({
+    registrations: { type: 'array', items: { $ref: '#/components/schemas/AdminRegistration' } },
+    warnings
+  }),
+
+  ModeratedCandidateList: object({
+    candidates: {
+      type: 'array',
+      items: object({
+        id: { type: ['integer', 'string'] },
+        candidateId: string,
+        type: accountType,
+        role: nullableString,
+        location: nullableString,
+        hidden: { type: 'boolean' },
+        hiddenReason: nullableString,
+        flagged: { type: 'boolean' },
+        flagReason: nullableString,
+        moderatedAt: nullableTimestamp
+      })
+    },
+    warnings
+  }),
+
+  ModerationResult: object({ candidateId: string, type: accountType, hidden: { type: 'boolean' }, flagged: { type: 'boolean' } }),
+
+  CandidateImport: object({
+    dryRun: { type: 'boolean' },
+    total: { type: 'integer', description: 'Data rows in the file' },
+    created: { type: 'integer' },
+    updated: { type: 'integer' },
+    skipped: { type: 'integer' },
+    failed: { type: 'integer' },
+    rows: {
+      type: 'array',
+      items: object({
+        row: { type: 'integer', description: 'Line in the file where the row starts' },
+        action: { type: 'string', enum: ['create', 'update', 'skip', 'error'], description: 'What was done, or on a dry run what would be' },
+        candidateId: nullableString,
+        errors: { type: 'object', additionalProperties: string, description: 'One message per invalid column' }
+      }, { required: ['row', 'action', 'candidateId'] })
+    }
+  }),
+
+  Webhook: object({
+    id: { type: ['integer', 'string'] },
+    type: { ...accountType, description: 'The project it is stored in; it receives events from both' },
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', items: { type: 'string', enum: SUBSCRIBABLE_EVENTS } },
+    description: nullableString,
+    enabled: { type: 'boolean' },
+    createdBy: nullableString,
+    createdAt: timestamp,
+    updatedAt: nullableTimestamp,
+    secret: { type: 'string', description: 'For checking X-Webhook-Signature. Only returned when the endpoint is created' }
+  }, { required: ['id', 'type', 'url', 'events', 'description', 'enabled', 'createdAt'] }),
+
+  WebhookList: object({
+    webhooks: { type: 'array', items: { $ref: '#/components/schemas/Webhook' } },
+    warnings
+  }),
+
+  WebhookDelivery: object({
+    id: { type: ['integer', 'string'] },
+    type: accountType,
+    subscriptionId: { type: ['integer', 'string'] },
+    event: { type: 'string', enum: SUBSCRIBABLE_EVENTS.filter(type => type !== '*') },
+    eventId: string,
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: { type: 'integer', minimum: 0 },
+    nextAttemptAt: nullableTimestamp,
+    lastStatusCode: { type: ['integer', 'null'] },
+    lastError: nullableString,
+    createdAt: timestamp,
+    deliveredAt: nullableTimestamp,
+    payload: { type: 'object', description: 'The event as sent: { id, type, occurredAt, data }. Single deliveries only' },
+    log: {
+      type: 'array',
+      description: 'Every attempt, oldest first. Single deliveries only',
+      items: object({
+        attempt: { type: 'integer', minimum: 1 },
+        statusCode: { type: ['integer', 'null'] },
+        error: nullableString,
+        durationMs: { type: 'integer' },
+        attemptedAt: timestamp
+      })
+    }
+  }, { required: ['id', 'type', 'subscriptionId', 'event', 'eventId', 'status', 'attempts', 'createdAt'] }),
+
+  WebhookDeliveryList: object({
+    deliveries: { type: 'array', items: { $ref: '#/components/schemas/WebhookDelivery' } },
+    total: { type: 'integer', description: "One endpoint's log only" },
+    warnings
+  }, { required: ['deliveries'] }),
+
+  Suspension: object({ id: string, type: accountType, bannedUntil: nullableTimestamp }),
+
+  RoleChange: object({ id: string, type: accountType, role: { type: 'string', enum: ROLES } }),
+
+  AuditLog: object({
+    entries: {
+      type: 'array',
+      items: object({
+        id: { type: ['integer', 'string'] },
+        project: accountType,
+        actorId: nullableString,
+        actorEmail: nullableString,
+        action: string,
+        targetType: string,
+        targetId: { type: ['string', 'integer'] },
+        details: { type: ['object', 'null'] },
+        createdAt: timestamp
+      })
+    },
+    total: { type: 'integer' },
+    warnings
+  }),
+
+  SchemaIndex: object({
+    version: { type: 'integer' },
+    schemas: { type: 'array', items: object({ name: string, url: string }) }
+  })
+};
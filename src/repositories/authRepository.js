@@ -0,0 +1,75 @@
+// ========== src/repositories/authRepository.js ==========
+// Supabase Auth operations, addressed by project. Every method resolves to an
+// object with `error` set on failure rather than throwing, like supabase-js.
+
+export function createAuthRepository({ clients, createAuthClient }) {
+  return {
+    async createUser(accountType, { email, password, emailConfirmed, role }) {
+      const { data, error } = await clients[accountType].auth.admin.createUser({
+        email,
+        password,
+        email_confirm: emailConfirmed,
+        // app_metadata can only be written with the service role, so users can't promote themselves
+        app_metadata: { role }
+      });
+      return { user: data?.user ?? null, error };
+    },
+
+    async deleteUser(accountType, userId) {
+      const { error } = await clients[accountType].auth.admin.deleteUser(userId);
+      return { error };
+    },
+
+    async updateUser(accountType, userId, attributes) {
+      const { data, error } = await clients[accountType].auth.admin.updateUserById(userId, attributes);
+      return { user: data?.user ?? null, error };
+    },
+
+    // Sign-in and refresh use a session-less client so the shared one keeps its service role
+    async signIn(accountType, email, password) {
+      const { data, error } = await createAuthClient(accountType).auth.signInWithPassword({ email, password });
+      return { user: data?.user ?? null, session: data?.session ?? null, error };
+    },
+
+    async refresh(accountType, refreshToken) {
+      const { data, error } = await createAuthClient(accountType).auth.refreshSession({ refresh_token: refreshToken });
+      return { user: data?.user ?? null, session: data?.session ?? null, error };
+    },
+
+    async getUser(accountType, accessToken) {
+      const { data, error } = await clients[accountType].auth.getUser(accessToken);
+      return { user: data?.user ?? null, error };
+    },
+
+    async signOut(accountType, accessToken, scope) {
+      const { error } = await clients[accountType].auth.admin.signOut(accessToken, scope);
+      return { error };
+    },
+
+    async sendPasswordReset(accountType, email, redirectTo) {
+      const { error } = await createAuthClient(accountType).auth.resetPasswordForEmail(email, { redirectTo });
+      return { error };
+    },
+
+    // One-time sign-in link; following it also confirms the email address
+    async generateMagicLink(accountType, email, redirectTo) {
+      const { data, error } = await clients[accountType].auth.admin.generateLink({
+        type: 'magiclink',
+        email,
+        options: { redirectTo }
+      });
+      return { link: data?.properties?.action_link ?? null, user: data?.user ?? null, error };
+    },
+
+    // Link that changes the account's email to newEmail once followed. Nothing changes until then.
+    async generateEmailChangeLink(accountType, email, newEmail, redirectTo) {
+      const { data, error } = await clients[accountType].auth.admin.generateLink({
+        type: 'email_change_new',
+        email,
+        newEmail,
+        options: { redirectTo }
+      });
+      return { link: data?.properties?.action_link ?? null, error };
+    }
+  };
+}
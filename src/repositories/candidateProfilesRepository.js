@@ -0,0 +1,203 @@
+// ========== src/repositories/candidateProfilesRepository.js ==========
+// Writing candidate profiles, for the self-service routes and staff imports. A
+// profile is two rows sharing a candidate_id: the card in *_public (what search
+// shows) and the contact half in *_private (read only through accepted
+// introductions). When a candidate manages their own profile the private row
+// carries user_id, tying it to their account; imported profiles have none.
+//
+// There's no transaction across the two tables, so creates undo the first
+// write if the second fails, the same way employer registration does.
+//
+// Every profile write goes through here, so this is where candidate.created
+// and candidate.availability_changed are emitted (see services/events.js), and
+// where onChange(sector, candidateId) is told so cached lists can be dropped.
+import crypto from 'node:crypto';
+import { SECTORS } from '../utils/candidateFilters.js';
+import { logger } from '../utils/logger.js';
+
+const ID_PREFIXES = { sewing: 'sew', upholstery: 'uph' };
+
+const newCandidateId = sector => `${ID_PREFIXES[sector]}-${crypto.randomBytes(6).toString('hex')}`;
+
+// Keeps .in() and .or() filters to a sensible URL length
+const LOOKUP_BATCH_SIZE = 200;
+const EMAIL_BATCH_SIZE = 50;
+
+function batches(values, size = LOOKUP_BATCH_SIZE) {
+  const result = [];
+  for (let i = 0; i < values.length; i += size) result.push(values.slice(i, i + size));
+  return result;
+}
+
+// An .or() condition matching the email in any case. LIKE wildcards are
+// escaped, then the value is quoted so commas and dots stay inside it.
+const emailMatches = email => {
+  const pattern = email.replace(/[\\%_]/g, char => `\\${char}`);
+  return `email.ilike."${pattern.replace(/["\\]/g, char => `\\${char}`)}"`;
+};
+
+export function createCandidateProfilesRepository(clients, { events = null, onChange = null } = {}) {
+  const publicRows = sector => clients[sector].from(SECTORS[sector].publicTable);
+  const privateRows = sector => clients[sector].from(SECTORS[sector].privateTable);
+
+  const repository = {
+    /**
+     * The account's profile as { contact, card } rows, whatever its visibility
+     * or moderation state. Resolves to { profile } (null if they have none) or { error }.
+     */
+    async findByUser(sector, userId) {
+      const { data: contact, error } = await privateRows(sector)
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) return { error };
+      if (!contact) return { profile: null };
+
+      const { data: card, error: cardError } = await publicRows(sector)
+        .select('*')
+        .eq('candidate_id', contact.candidate_id)
+        .maybeSingle();
+
+      if (cardError) return { error: cardError };
+      // A contact row without a card is a half-finished create; treat it as no profile
+      return { profile: card ? { contact, card } : null };
+    },
+
+    /**
+     * Private rows (candidate_id, email and user_id) matching any of the
+     * emails, whatever their case, or candidate IDs. Resolves to { rows } or { error }.
+     */
+    async findContacts(sector, { emails = [], candidateIds = [] }) {
+      const columns = 'candidate_id, email, user_id';
+      const lookups = [
+        ...batches(emails, EMAIL_BATCH_SIZE).map(batch => privateRows(sector).select(columns).or(batch.map(emailMatches).join(','))),
+        ...batches(candidateIds).map(batch => privateRows(sector).select(columns).in('candidate_id', batch))
+      ];
+
+      const rows = new Map();
+      for (const { data, error } of await Promise.all(lookups)) {
+        if (error) return { error };
+        for (const row of data) rows.set(row.candidate_id, row);
+      }
+      return { rows: [...rows.values()] };
+    },
+
+    /**
+     * Which project has a self-managed profile for the email, whatever its
+     * case, or null. Resolves to { accountType } or { error }.
+     */
+    async findAccountType(email) {
+      for (const sector of Object.keys(SECTORS)) {
+        const { rows, error } = await repository.findContacts(sector, { emails: [email] });
+        if (error) return { error };
+        if (rows.some(row => row.user_id)) return { accountType: sector };
+      }
+      return { accountType: null };
+    },
+
+    /**
+     * Write both halves of a new profile. contact and card are column → value;
+     * candidateId is generated unless given (imports may bring their own).
+     * Resolves to { profile } or { error }.
+     */
+    async create(sector, { userId = null, email, contact, card, candidateId = newCandidateId(sector) }) {
+      const now = new Date().toISOString();
+
+      const { data: contactRow, error } = await privateRows(sector)
+        .insert({ ...contact, candidate_id: candidateId, user_id: userId, email, created_at: now })
+        .select()
+        .single();
+
+      if (error) return { error };
+
+      const { data: cardRow, error: cardError } = await publicRows(sector)
+        .insert({ visibility: 'visible', ...card, candidate_id: candidateId, created_at: now, updated_at: now })
+        .select()
+        .single();
+
+      if (cardError) {
+        const { error: undoError } = await privateRows(sector).delete().eq('candidate_id', candidateId);
+        if (undoError) {
+          logger.error('Could not remove contact row after failed profile create - delete it manually', {
+            sector,
+            candidateId,
+            error: undoError.message
+          });
+        }
+        return { error: cardError };
+      }
+
+      events?.emit('candidate.created', {
+        type: sector,
+        candidateId,
+        role: cardRow.job_title ?? null,
+        availability: cardRow.status ?? null,
+        // Self-service profiles belong to an account; imported ones don't
+        source: userId ? 'profile' : 'import'
+      });
+      await onChange?.(sector, candidateId);
+
+      return { profile: { contact: contactRow, card: cardRow } };
+    },
+
+    /**
+     * Change whichever halves have changes. current is the profile as found;
+     * only its contact row is needed. Resolves to { profile } or { error }.
+     */
+    async update(sector, { contact: current, card: currentCard }, { contact = {}, card = {} }) {
+      const candidateId = current.candidate_id;
+      let contactRow = current;
+      let cardRow = currentCard;
+
+      if (Object.keys(contact).length > 0) {
+        const { data, error } = await privateRows(sector)
+          .update(contact)
+          .eq('candidate_id', candidateId)
+          .select()
+          .single();
+        if (error) return { error };
+        contactRow = data;
+      }
+
+      if (Object.keys(card).length > 0) {
+        // Imports pass only the contact row, so read the availability they might change
+        let previous = currentCard;
+        if ('status' in card && !previous) {
+          ({ data: previous } = await publicRows(sector).select('status').eq('candidate_id', candidateId).maybeSingle());
+        }
+
+        const { data, error } = await publicRows(sector)
+          .update({ ...card, updated_at: new Date().toISOString() })
+          .eq('candidate_id', candidateId)
+          .select()
+          .single();
+        if (error) return { error };
+        cardRow = data;
+
+        if ('status' in card && (previous?.status ?? null) !== (cardRow.status ?? null)) {
+          events?.emit('candidate.availability_changed', {
+            type: sector,
+            candidateId,
+            from: previous?.status ?? null,
+            to: cardRow.status ?? null
+          });
+        }
+      }
+
+      await onChange?.(sector, candidateId);
+      return { profile: { contact: contactRow, card: cardRow } };
+    },
+
+    // Card first, so a failure part-way leaves nothing visible. Resolves to { error }.
+    async remove(sector, candidateId) {
+      const { error } = await publicRows(sector).delete().eq('candidate_id', candidateId);
+      if (error) return { error };
+
+      const { error: contactError } = await privateRows(sector).delete().eq('candidate_id', candidateId);
+      await onChange?.(sector, candidateId);
+      return { error: contactError };
+    }
+  };
+  return repository;
+}
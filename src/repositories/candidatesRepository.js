@@ -0,0 +1,109 @@
+// ========== src/repositories/candidatesRepository.js ==========
+// Candidate rows from the *_public tables, plus the one private column the
+// public API needs (the postcode, for distances). Contact details are only
+// read through introductions and, for staff, CSV exports.
+import { SECTORS, applyCandidateFilters, publiclyVisible } from '../utils/candidateFilters.js';
+import { logger } from '../utils/logger.js';
+
+// PostgREST caps how many rows one request returns (1000 by default), and
+// .in() lists travel in the URL, so longer reads are split up
+const PAGE_SIZE = 1000;
+const LOOKUP_BATCH_SIZE = 200;
+
+function batches(values, size = LOOKUP_BATCH_SIZE) {
+  const result = [];
+  for (let i = 0; i < values.length; i += size) result.push(values.slice(i, i + size));
+  return result;
+}
+
+export function createCandidatesRepository(clients) {
+  const repository = {
+    /**
+     * Public rows matching filters, newest first (see applyCandidateFilters).
+     * With range { from, to } only that slice is fetched; count is always the
+     * full number of matches. Resolves to { rows, count } or { error }.
+     */
+    async list(sector, filters, { range = null } = {}) {
+      let query = applyCandidateFilters(
+        clients[sector].from(SECTORS[sector].publicTable).select('*', { count: 'exact' }),
+        filters,
+        sector
+      );
+
+      if (range) {
+        query = query.range(range.from, range.to);
+      }
+
+      const { data, error, count } = await query;
+      if (error) return { error };
+      return { rows: Array.isArray(data) ? data : [], count: count ?? 0 };
+    },
+
+    /**
+     * The first max public rows matching filters, newest first, fetched a page
+     * at a time. count is the full number of matches, so count > rows.length
+     * means some were left out. Resolves to { rows, count } or { error }.
+     */
+    async listAll(sector, filters, { max }) {
+      const rows = [];
+      for (;;) {
+        const from = rows.length;
+        const page = await repository.list(sector, filters, { range: { from, to: Math.min(from + PAGE_SIZE, max) - 1 } });
+        if (page.error) return page;
+        rows.push(...page.rows);
+        if (page.rows.length === 0 || rows.length >= Math.min(page.count, max)) return { rows, count: page.count };
+      }
+    },
+
+    // A publicly visible candidate's public row, or null. Lookup errors (e.g. an id that
+    // isn't valid for the column type) count as not found.
+    async findById(sector, candidateId) {
+      const { data, error } = await publiclyVisible(clients[sector]
+        .from(SECTORS[sector].publicTable)
+        .select('*')
+        .eq('candidate_id', candidateId))
+        .maybeSingle();
+
+      if (error) {
+        logger.warn('Candidate lookup failed', { sector, error: error.message });
+        return null;
+      }
+      return data;
+    },
+
+    // candidate_id → postcode, for the candidates that have one. Resolves to
+    // { postcodes } or { error }: distances worked out without them would be wrong.
+    async postcodes(sector, candidateIds) {
+      const results = await Promise.all(batches(candidateIds).map(batch => clients[sector]
+        .from(SECTORS[sector].privateTable)
+        .select('candidate_id, postcode')
+        .in('candidate_id', batch)));
+
+      const postcodes = new Map();
+      for (const { data, error } of results) {
+        if (error) {
+          logger.error('Candidate postcode lookup failed', { sector, error: error.message });
+          return { error };
+        }
+        for (const row of data || []) {
+          if (row.postcode) postcodes.set(row.candidate_id, row.postcode);
+        }
+      }
+      return { postcodes };
+    },
+
+    // candidate_id → private row. Staff only.
+    async contacts(sector, candidateIds) {
+      if (candidateIds.length === 0) return new Map();
+
+      const { data, error } = await clients[sector]
+        .from(SECTORS[sector].privateTable)
+        .select('*')
+        .in('candidate_id', candidateIds);
+
+      if (error) throw new Error(`Contact lookup failed: ${error.message}`);
+      return new Map(data.map(row => [row.candidate_id, row]));
+    }
+  };
+  return repository;
+}
@@ -0,0 +1,18 @@
+// ========== src/repositories/jobsRepository.js ==========
+// Employer job postings (jobs) in both projects. A posting uses the same
+// requirement columns as client_registrations, so it can stand in for the
+// company record wherever requirements are read.
+
+export function createJobsRepository(clients) {
+  return {
+    // The employer's own posting, or null if it's someone else's. Resolves to { data, error } like a query.
+    findOwn(accountType, employerId, jobId) {
+      return clients[accountType]
+        .from('jobs')
+        .select('*')
+        .eq('id', jobId)
+        .eq('employer_id', employerId)
+        .maybeSingle();
+    }
+  };
+}
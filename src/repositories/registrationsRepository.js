@@ -0,0 +1,124 @@
+// ========== src/repositories/registrationsRepository.js ==========
+// Employer company records (client_registrations) in both projects.
+//
+// Records are found by the employer's email. An email change that needs
+// confirming leaves the new address in pending_email; once the employer
+// confirms it their token carries the new address, and the first lookup by it
+// moves the record (and the copies on postings and saved searches) across.
+
+const ACCOUNT_TYPES = ['sewing', 'upholstery'];
+
+// LIKE treats % and _ as wildcards; company names can contain both
+const likeLiteral = text => text.replace(/[\\%_]/g, char => `\\${char}`);
+
+export function createRegistrationsRepository(clients) {
+  // Registrations that still count: rejected applications don't block anyone
+  const active = accountType => clients[accountType]
+    .from('client_registrations')
+    .select('id', { count: 'exact', head: true })
+    .or('status.is.null,status.neq.rejected');
+
+  const repository = {
+    // The employer's latest company record. Resolves to { data, error } like a query.
+    findLatestByEmail(accountType, email) {
+      return clients[accountType]
+        .from('client_registrations')
+        .select('*')
+        .eq('email', email)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    },
+
+    // findLatestByEmail for a signed-in user, finishing an email change they've confirmed
+    async findLatestForUser(accountType, user) {
+      const found = await repository.findLatestByEmail(accountType, user.email);
+      if (found.error || found.data) return found;
+
+      const { moved, error } = await repository.completeEmailChange(accountType, { userId: user.id, email: user.email });
+      if (error) return { data: null, error };
+      return moved ? repository.findLatestByEmail(accountType, user.email) : found;
+    },
+
+    // Resolves to { error } (null on success)
+    async startEmailChange(accountType, registrationId, newEmail) {
+      const { error } = await clients[accountType]
+        .from('client_registrations')
+        .update({ pending_email: newEmail })
+        .eq('id', registrationId);
+      return { error };
+    },
+
+    /**
+     * Move the records waiting on a change to email across to it. The company
+     * record goes last, so a failure part way leaves the change pending and
+     * the next lookup tries again. Resolves to { moved } or { error }.
+     */
+    async completeEmailChange(accountType, { userId, email }) {
+      const client = clients[accountType];
+      const { data: pending, error } = await client
+        .from('client_registrations')
+        .select('id')
+        .eq('pending_email', email);
+
+      if (error) return { error };
+      if (pending.length === 0) return { moved: false };
+
+      // Postings and alert digests carry their own copy of the address
+      for (const table of ['jobs', 'saved_searches']) {
+        const { error: copyError } = await client.from(table).update({ employer_email: email }).eq('employer_id', userId);
+        if (copyError) return { error: copyError };
+      }
+
+      const { error: moveError } = await client
+        .from('client_registrations')
+        .update({ email, pending_email: null })
+        .in('id', pending.map(row => row.id));
+
+      if (moveError) return { error: moveError };
+      return { moved: true };
+    },
+
+    // Which project an email belongs to, from the company records, whatever its case
+    async findAccountType(email) {
+      for (const accountType of ACCOUNT_TYPES) {
+        const { data, error } = await clients[accountType]
+          .from('client_registrations')
+          .select('id')
+          .ilike('email', likeLiteral(email))
+          .limit(1)
+          .maybeSingle();
+        if (error) throw new Error(`Account lookup failed: ${error.message}`);
+        if (data) return accountType;
+      }
+      return null;
+    },
+
+    /**
+     * Whether the email or company is already registered in either project.
+     * Resolves to 'email', 'company' or null.
+     */
+    async findDuplicate({ email, company }) {
+      for (const accountType of ACCOUNT_TYPES) {
+        const [byEmail, byCompany] = await Promise.all([
+          active(accountType).ilike('email', likeLiteral(email)),
+          active(accountType).ilike('company_name', likeLiteral(company))
+        ]);
+
+        const error = byEmail.error || byCompany.error;
+        if (error) throw new Error(`Duplicate check failed: ${error.message}`);
+
+        if (byEmail.count) return 'email';
+        if (byCompany.count) return 'company';
+      }
+      return null;
+    },
+
+    // Resolves to { error } (null on success)
+    async create(accountType, values) {
+      const { error } = await clients[accountType].from('client_registrations').insert(values);
+      return { error };
+    }
+  };
+  return repository;
+}
@@ -0,0 +1,840 @@
+// ========== src/routes/adminRouter.js ==========
+// Staff moderation across both projects. Mounted at /api/admin behind
+// verifySupabaseToken and requireRole('admin'). Records are addressed as
+// /:type/:id where type is the project (sewing or upholstery), and every
+// change is written to that project's audit log.
+import express, { Router } from 'express';
+import { SECTORS, DEFAULT_LIMIT, MAX_LIMIT, paginate, setPaginationHeaders } from '../utils/candidateFilters.js';
+import { ROLES } from '../utils/roles.js';
+import { recordAudit } from '../services/auditLog.js';
+import { importCandidates } from '../services/candidateImport.js';
+import { newWebhookSecret, parseEvents } from '../services/webhooks.js';
+
+const routes = Router();
+
+export const REGISTRATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// ban_duration accepts Go-style durations; 'none' lifts a ban
+const INDEFINITE_BAN = '876000h';
+const BAN_DURATION = /^\d+(\.\d+)?(ns|us|µs|ms|s|m|h)$/;
+
+// POST /candidates/:type/:id/:action → columns to set
+const CANDIDATE_ACTIONS = {
+  hide: reason => ({ hidden: true, hidden_reason: reason }),
+  unhide: () => ({ hidden: false, hidden_reason: null }),
+  flag: reason => ({ flagged: true, flag_reason: reason }),
+  unflag: () => ({ flagged: false, flag_reason: null })
+};
+
+function project(req) {
+  return req.app.locals.supabase[req.params.type] || null;
+}
+
+function parsePaging(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  return { page, limit };
+}
+
+function reasonFrom(body) {
+  const reason = body?.reason;
+  if (reason === undefined || reason === null) return { reason: null };
+  if (typeof reason !== 'string' || reason.length > 1000) {
+    return { error: 'reason must be a string of at most 1000 characters' };
+  }
+  return { reason: reason.trim() || null };
+}
+
+// Run the same query against both projects and merge the rows, newest first.
+// A project that fails is reported in warnings rather than failing the request.
+async function fromBothProjects(req, buildQuery) {
+  const warnings = [];
+  const rows = [];
+
+  await Promise.all(Object.entries(req.app.locals.supabase).map(async ([type, supabase]) => {
+    const { data, error } = await buildQuery(supabase, type);
+    if (error) {
+      req.log.error('Admin query error', { type, error: error.message });
+      warnings.push({ type, message: `${type} data is unavailable; results are incomplete` });
+      return;
+    }
+    rows.push(...data.map(row => ({ ...row, type })));
+  }));
+
+  rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return { rows, warnings };
+}
+
+function toRegistration(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    email: row.email,
+    company: row.company_name,
+    postcode: row.postcode,
+    city: row.city,
+    county: row.county,
+    jobTitle: row.job_title,
+    status: row.status || 'approved',
+    reviewNote: row.review_note ?? null,
+    reviewedAt: row.reviewed_at ?? null,
+    reviewedBy: row.reviewed_by ?? null,
+    createdAt: row.created_at
+  };
+}
+
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    project: row.type,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    details: row.details,
+    createdAt: row.created_at
+  };
+}
+
+// ========== EMPLOYER REGISTRATIONS ==========
+
+// ?status=pending (default), approved or rejected
+routes.get('/registrations', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REGISTRATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REGISTRATION_STATUSES.join(', ')}` });
+    }
+
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    // Each project must supply enough rows to fill the requested page once merged
+    let total = 0;
+    const { rows, warnings } = await fromBothProjects(req, async (supabase) => {
+      let query = supabase
+        .from('client_registrations')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .limit(paging.page * paging.limit);
+      // Registrations from before moderation have no status and count as approved
+      query = status === 'approved' ? query.or('status.eq.approved,status.is.null') : query.eq('status', status);
+
+      const result = await query;
+      total += result.count || 0;
+      return result;
+    });
+
+    setPaginationHeaders(res, paging, total);
+    res.json({ registrations: paginate(rows, paging).map(toRegistration), warnings });
+  } catch (error) {
+    req.log.error('Admin registrations fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch registrations' });
+  }
+});
+
+// Body: { reason? } - the reason is included in the email to the employer
+routes.post('/registrations/:type/:id/:decision(approve|reject)', async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const { reason, error: reasonError } = reasonFrom(req.body);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const status = req.params.decision === 'approve' ? 'approved' : 'rejected';
+    const { data: registration, error } = await supabase
+      .from('client_registrations')
+      .update({
+        status,
+        review_note: reason,
+        reviewed_at: new Date().toISOString(),
+        reviewed_by: req.user.id
+      })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      req.log.error('Registration review error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: `registration.${status}`,
+      targetType: 'client_registration',
+      targetId: registration.id,
+      details: { email: registration.email, reason }
+    });
+
+    await req.app.locals.notifier.send({
+      to: registration.email,
+      subject: status === 'approved' ? 'Your employer account has been approved' : 'Your employer account application',
+      text: status === 'approved'
+        ? 'Your account has been approved. You can now contact candidates.'
+        : `We were unable to approve your account.${reason ? `\n\nReason: ${reason}` : ''}`
+    });
+
+    req.log.info('Registration reviewed', { type: req.params.type, registrationId: registration.id, status, adminId: req.user.id });
+    res.json(toRegistration({ ...registration, type: req.params.type }));
+  } catch (error) {
+    req.log.error('Registration review error', { error });
+    res.status(500).json({ error: 'Failed to review registration' });
+  }
+});
+
+// ========== CANDIDATE MODERATION ==========
+
+// Moderation queue: ?status=flagged (default) or hidden
+routes.get('/candidates', async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+    if (!['flagged', 'hidden'].includes(status)) {
+      return res.status(400).json({ error: 'status must be flagged or hidden' });
+    }
+
+    const { rows, warnings } = await fromBothProjects(req, (supabase, type) => supabase
+      .from(SECTORS[type].publicTable)
+      .select('id, candidate_id, job_title, city, hidden, hidden_reason, flagged, flag_reason, moderated_at, created_at')
+      .eq(status, true));
+
+    res.json({
+      candidates: rows.map(row => ({
+        id: row.id,
+        candidateId: row.candidate_id,
+        type: row.type,
+        role: row.job_title,
+        location: row.city,
+        hidden: Boolean(row.hidden),
+        hiddenReason: row.hidden_reason,
+        flagged: Boolean(row.flagged),
+        flagReason: row.flag_reason,
+        moderatedAt: row.moderated_at
+      })),
+      warnings
+    });
+  } catch (error) {
+    req.log.error('Admin candidates fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch candidates' });
+  }
+});
+
+// Hidden candidates drop out of every public list and lookup. Body: { reason? }
+routes.post('/candidates/:type/:id/:action(hide|unhide|flag|unflag)', async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const { reason, error: reasonError } = reasonFrom(req.body);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const { action, type, id } = req.params;
+    const { data: candidate, error } = await supabase
+      .from(SECTORS[type].publicTable)
+      .update({ ...CANDIDATE_ACTIONS[action](reason), moderated_at: new Date().toISOString() })
+      .eq('candidate_id', id)
+      .select('candidate_id, hidden, flagged')
+      .maybeSingle();
+
+    if (error) {
+      req.log.error('Candidate moderation error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    await req.app.locals.candidateCache.invalidate(type);
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: `candidate.${action}`,
+      targetType: `${type}_candidate`,
+      targetId: id,
+      details: reason ? { reason } : null
+    });
+
+    req.log.info('Candidate moderated', { type, candidateId: id, action, adminId: req.user.id });
+    res.json({ candidateId: id, type, hidden: Boolean(candidate.hidden), flagged: Boolean(candidate.flagged) });
+  } catch (error) {
+    req.log.error('Candidate moderation error', { error });
+    res.status(500).json({ error: 'Failed to update candidate' });
+  }
+});
+
+// Bulk import from a CSV file sent as the text/csv body (see services/candidateImport.js).
+// ?dryRun=true checks the file without writing; ?onDuplicate=skip leaves
+// existing candidates alone instead of updating them.
+routes.post('/candidates/:type/import', express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' }), async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'Unknown candidate type' });
+    }
+
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: 'Send the file as the request body with Content-Type: text/csv' });
+    }
+
+    const { type } = req.params;
+    const { dryRun = 'false', onDuplicate = 'update' } = req.validated.query;
+
+    const { summary, error } = await importCandidates({
+      profiles: req.app.locals.repositories.candidateProfiles,
+      sector: type,
+      text: req.body,
+      dryRun: dryRun === 'true',
+      onDuplicate
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!summary.dryRun) {
+      const { created, updated, skipped, failed } = summary;
+      await recordAudit(supabase, {
+        actor: req.user,
+        action: 'candidates.imported',
+        targetType: `${type}_candidate`,
+        targetId: null,
+        details: { created, updated, skipped, failed }
+      });
+    }
+
+    req.log.info('Candidate import', {
+      type,
+      dryRun: summary.dryRun,
+      created: summary.created,
+      updated: summary.updated,
+      failed: summary.failed,
+      adminId: req.user.id
+    });
+    res.json(summary);
+  } catch (error) {
+    req.log.error('Candidate import error', { error });
+    res.status(500).json({ error: 'Failed to import candidates' });
+  }
+});
+
+// ========== USER ACCOUNTS ==========
+
+// Body: { duration?: '72h', reason? } - no duration means until lifted
+routes.post('/users/:type/:id/suspend', async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    const duration = req.body?.duration ?? INDEFINITE_BAN;
+    if (typeof duration !== 'string' || !BAN_DURATION.test(duration)) {
+      return res.status(400).json({ error: 'duration must be a duration such as 24h or 30m' });
+    }
+
+    const { reason, error: reasonError } = reasonFrom(req.body);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const { data, error } = await supabase.auth.admin.updateUserById(req.params.id, { ban_duration: duration });
+
+    if (error) {
+      req.log.error('User suspend error', { error: error.message });
+      return res.status(error.status === 404 ? 404 : 400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'user.suspended',
+      targetType: 'user',
+      targetId: req.params.id,
+      details: { email: data.user?.email, duration, reason }
+    });
+
+    req.log.info('User suspended', { type: req.params.type, userId: req.params.id, duration, adminId: req.user.id });
+    res.json({ id: req.params.id, type: req.params.type, bannedUntil: data.user?.banned_until ?? null });
+  } catch (error) {
+    req.log.error('User suspend error', { error });
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+routes.post('/users/:type/:id/unsuspend', async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data, error } = await supabase.auth.admin.updateUserById(req.params.id, { ban_duration: 'none' });
+
+    if (error) {
+      req.log.error('User unsuspend error', { error: error.message });
+      return res.status(error.status === 404 ? 404 : 400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'user.unsuspended',
+      targetType: 'user',
+      targetId: req.params.id,
+      details: { email: data.user?.email }
+    });
+
+    req.log.info('User unsuspended', { type: req.params.type, userId: req.params.id, adminId: req.user.id });
+    res.json({ id: req.params.id, type: req.params.type, bannedUntil: null });
+  } catch (error) {
+    req.log.error('User unsuspend error', { error });
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+// Body: { role } - one of ROLES. Takes effect when the user's token is next refreshed.
+routes.put('/users/:type/:id/role', async (req, res) => {
+  try {
+    const supabase = project(req);
+    if (!supabase) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const role = req.body?.role;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const { data, error } = await supabase.auth.admin.updateUserById(req.params.id, { app_metadata: { role } });
+
+    if (error) {
+      req.log.error('Role change error', { error: error.message });
+      return res.status(error.status === 404 ? 404 : 400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: req.params.id,
+      details: { email: data.user?.email, role }
+    });
+
+    req.log.info('Role changed', { type: req.params.type, userId: req.params.id, role, adminId: req.user.id });
+    res.json({ id: req.params.id, type: req.params.type, role });
+  } catch (error) {
+    req.log.error('Role change error', { error });
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// ========== WEBHOOKS ==========
+// Endpoints are created in the admin's own project and addressed by
+// /webhooks/:type/:id like everything else here; deliveries are delivered
+// and logged by services/webhooks.js.
+
+// The secret is only shown when the endpoint is created
+function toWebhook(row, { secret = false } = {}) {
+  return {
+    id: row.id,
+    type: row.type,
+    url: row.url,
+    events: parseEvents(row.events),
+    description: row.description ?? null,
+    enabled: row.enabled !== false,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at ?? null,
+    ...(secret && { secret: row.secret })
+  };
+}
+
+function toDelivery(row, attempts = null) {
+  return {
+    id: row.id,
+    type: row.type,
+    subscriptionId: row.subscription_id,
+    event: row.event_type,
+    eventId: row.event_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at ?? null,
+    lastStatusCode: row.last_status_code ?? null,
+    lastError: row.last_error ?? null,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at ?? null,
+    // The full payload and every attempt, on single-delivery responses
+    ...(attempts && {
+      payload: row.payload,
+      log: attempts.map(attempt => ({
+        attempt: attempt.attempt,
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        durationMs: attempt.duration_ms,
+        attemptedAt: attempt.attempted_at
+      }))
+    })
+  };
+}
+
+async function findWebhook(req) {
+  const supabase = project(req);
+  if (!supabase) return { supabase: null, webhook: null };
+
+  const { data } = await supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  return { supabase, webhook: data && { ...data, type: req.params.type } };
+}
+
+async function findDelivery(supabase, req) {
+  const { data } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('id', req.params.deliveryId)
+    .eq('subscription_id', req.params.id)
+    .maybeSingle();
+
+  return data && { ...data, type: req.params.type };
+}
+
+routes.get('/webhooks', async (req, res) => {
+  try {
+    const { rows, warnings } = await fromBothProjects(req, supabase => supabase.from('webhook_subscriptions').select('*'));
+    res.json({ webhooks: rows.map(row => toWebhook(row)), warnings });
+  } catch (error) {
+    req.log.error('Webhooks fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Body checked against NEW_WEBHOOK_BODY
+routes.post('/webhooks', async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase[req.accountType];
+    const { url, events, description = null, enabled = true } = req.validated.body;
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        url,
+        events,
+        description,
+        enabled,
+        // Kept as is: every delivery is signed with it
+        secret: newWebhookSecret(),
+        created_by: req.user.id,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Webhook create error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'webhook.created',
+      targetType: 'webhook_subscription',
+      targetId: data.id,
+      details: { url, events: parseEvents(events) }
+    });
+
+    req.log.info('Webhook created', { type: req.accountType, webhookId: data.id, adminId: req.user.id });
+    res.status(201).json(toWebhook({ ...data, type: req.accountType }, { secret: true }));
+  } catch (error) {
+    req.log.error('Webhook create error', { error });
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Deliveries that ran out of attempts, across both projects, most recent first
+routes.get('/webhooks/dead-letters', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    // Each project must supply enough rows to fill the requested page once merged
+    let total = 0;
+    const { rows, warnings } = await fromBothProjects(req, async (supabase) => {
+      const result = await supabase
+        .from('webhook_deliveries')
+        .select('*', { count: 'exact' })
+        .eq('status', 'dead')
+        .order('updated_at', { ascending: false })
+        .limit(paging.page * paging.limit);
+      total += result.count || 0;
+      return result;
+    });
+    // Merged newest first by when they died, as each project sorted them
+    rows.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+
+    setPaginationHeaders(res, paging, total);
+    res.json({ deliveries: paginate(rows, paging).map(row => toDelivery(row)), warnings });
+  } catch (error) {
+    req.log.error('Dead letters fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+routes.get('/webhooks/:type/:id', async (req, res) => {
+  try {
+    const { webhook } = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(toWebhook(webhook));
+  } catch (error) {
+    req.log.error('Webhook fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Body checked against WEBHOOK_BODY; only the fields sent change
+routes.patch('/webhooks/:type/:id', async (req, res) => {
+  try {
+    const { supabase, webhook } = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const changes = req.validated.body;
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No webhook fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', webhook.id)
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Webhook update error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'webhook.updated',
+      targetType: 'webhook_subscription',
+      targetId: webhook.id,
+      details: changes
+    });
+
+    res.json(toWebhook({ ...data, type: req.params.type }));
+  } catch (error) {
+    req.log.error('Webhook update error', { error });
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Deletes the endpoint with its deliveries and their log
+routes.delete('/webhooks/:type/:id', async (req, res) => {
+  try {
+    const { supabase, webhook } = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { data: deliveries } = await supabase.from('webhook_deliveries').select('id').eq('subscription_id', webhook.id);
+    const deliveryIds = (deliveries || []).map(delivery => delivery.id);
+    if (deliveryIds.length > 0) {
+      await supabase.from('webhook_delivery_attempts').delete().in('delivery_id', deliveryIds);
+    }
+    await supabase.from('webhook_deliveries').delete().eq('subscription_id', webhook.id);
+
+    const { error } = await supabase.from('webhook_subscriptions').delete().eq('id', webhook.id);
+    if (error) {
+      req.log.error('Webhook delete error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(supabase, {
+      actor: req.user,
+      action: 'webhook.deleted',
+      targetType: 'webhook_subscription',
+      targetId: webhook.id,
+      details: { url: webhook.url }
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Webhook delete error', { error });
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log for one endpoint, newest first, optionally by ?status=
+routes.get('/webhooks/:type/:id/deliveries', async (req, res) => {
+  try {
+    const { supabase, webhook } = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    const from = (paging.page - 1) * paging.limit;
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('subscription_id', webhook.id)
+      .order('created_at', { ascending: false })
+      .range(from, from + paging.limit - 1);
+
+    if (req.validated.query.status) query = query.eq('status', req.validated.query.status);
+
+    const { data, count, error } = await query;
+    if (error) {
+      req.log.error('Webhook deliveries fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    setPaginationHeaders(res, paging, count);
+    res.json({ deliveries: data.map(row => toDelivery({ ...row, type: req.params.type })), total: count });
+  } catch (error) {
+    req.log.error('Webhook deliveries fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+routes.get('/webhooks/:type/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { supabase, webhook } = await findWebhook(req);
+    const delivery = webhook && await findDelivery(supabase, req);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const { data: attempts } = await supabase
+      .from('webhook_delivery_attempts')
+      .select('*')
+      .eq('delivery_id', delivery.id)
+      .order('attempt', { ascending: true });
+
+    res.json(toDelivery(delivery, attempts || []));
+  } catch (error) {
+    req.log.error('Webhook delivery fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Start a delivery over with a fresh set of attempts, usually off the dead-letter list
+routes.post('/webhooks/:type/:id/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const { supabase, webhook } = await findWebhook(req);
+    const delivery = webhook && await findDelivery(supabase, req);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({ error: 'This delivery is still being retried' });
+    }
+
+    const requeued = await req.app.locals.webhooks.retry(req.params.type, delivery.id);
+
+    req.log.info('Webhook delivery requeued', { deliveryId: delivery.id, adminId: req.user.id });
+    res.status(202).json(toDelivery({ ...requeued, type: req.params.type }));
+  } catch (error) {
+    req.log.error('Webhook retry error', { error });
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
+  }
+});
+
+// ========== AUDIT LOG ==========
+
+// Both projects' audit logs, newest first. Filters: ?action=, ?actorId=,
+// ?targetType=, ?targetId=, ?since=, ?until=, plus page/limit.
+routes.get('/audit', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    for (const param of ['since', 'until']) {
+      if (req.query[param] && Number.isNaN(new Date(req.query[param]).getTime())) {
+        return res.status(400).json({ error: `${param} must be a valid date` });
+      }
+    }
+
+    // Each project must supply enough rows to fill the requested page once merged
+    const perProject = paging.page * paging.limit;
+    let total = 0;
+
+    const { rows, warnings } = await fromBothProjects(req, async (supabase) => {
+      let query = supabase
+        .from('audit_log')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .limit(perProject);
+
+      if (req.query.action) query = query.eq('action', String(req.query.action));
+      if (req.query.actorId) query = query.eq('actor_id', String(req.query.actorId));
+      if (req.query.targetType) query = query.eq('target_type', String(req.query.targetType));
+      if (req.query.targetId) query = query.eq('target_id', String(req.query.targetId));
+      if (req.query.since) query = query.gte('created_at', new Date(req.query.since).toISOString());
+      if (req.query.until) query = query.lte('created_at', new Date(req.query.until).toISOString());
+
+      const result = await query;
+      total += result.count || 0;
+      return result;
+    });
+
+    setPaginationHeaders(res, paging, total);
+    res.json({ entries: paginate(rows, paging).map(toAuditEntry), total, warnings });
+  } catch (error) {
+    req.log.error('Audit log fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+export default routes;
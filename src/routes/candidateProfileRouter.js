@@ -0,0 +1,165 @@
+// ========== src/routes/candidateProfileRouter.js ==========
+// A candidate's own profile. Mounted at /api/candidate/profile behind
+// verifySupabaseToken and requireRole('candidate'); the profile lives in the
+// project the account belongs to (req.accountType).
+//
+// Bodies are checked against the candidate profile schemas in
+// src/openapi/operations.js, so req.validated.body is already clean; here the
+// fields are split into the private contact half and the public card (see
+// utils/candidateProfileFields.js).
+import { Router } from 'express';
+import { sharesLocation } from '../utils/candidateFilters.js';
+import { toProfileColumns } from '../utils/candidateProfileFields.js';
+import { candidateSerializers, toLocation } from '../serializers/index.js';
+
+const routes = Router();
+
+// The card is shown as employers see it, so anonymous profiles get no location
+async function toProfile(req, { contact, card }) {
+  const sector = req.accountType;
+  const coords = sharesLocation(card) && contact.postcode
+    ? await req.app.locals.geocoder.geocode(contact.postcode)
+    : null;
+
+  return {
+    candidateId: card.candidate_id,
+    accountType: sector,
+    visibility: card.visibility || 'visible',
+    hiddenByModerator: card.hidden === true,
+    contact: {
+      firstName: contact.first_name ?? null,
+      lastName: contact.last_name ?? null,
+      email: contact.email,
+      phone: contact.phone ?? null,
+      postcode: contact.postcode ?? null
+    },
+    card: candidateSerializers[sector].serialize(card, toLocation(coords), { version: req.apiVersion }),
+    createdAt: card.created_at ?? null,
+    updatedAt: card.updated_at ?? null
+  };
+}
+
+// Resolves to the profile, or sends the response and resolves to null
+async function loadProfile(req, res) {
+  const { profile, error } = await req.app.locals.repositories.candidateProfiles.findByUser(req.accountType, req.user.id);
+
+  if (error) {
+    req.log.error('Candidate profile fetch error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch profile' });
+    return null;
+  }
+
+  if (!profile) {
+    res.status(404).json({ error: 'You have not created a profile yet' });
+    return null;
+  }
+
+  return profile;
+}
+
+routes.get('/', async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) return;
+
+    res.json({ profile: await toProfile(req, profile) });
+  } catch (error) {
+    req.log.error('Candidate profile fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Body checked against NEW_CANDIDATE_PROFILE_BODY
+routes.post('/', async (req, res) => {
+  try {
+    const sector = req.accountType;
+    const profiles = req.app.locals.repositories.candidateProfiles;
+
+    const { contact, card, fields } = toProfileColumns(sector, req.validated.body);
+    if (fields) {
+      return res.status(400).json({ error: 'Invalid profile', fields });
+    }
+
+    const { profile: existing, error: findError } = await profiles.findByUser(sector, req.user.id);
+    if (findError) {
+      req.log.error('Candidate profile fetch error', { error: findError.message });
+      return res.status(500).json({ error: 'Failed to create profile' });
+    }
+    if (existing) {
+      return res.status(409).json({ error: 'You already have a profile; update it instead' });
+    }
+
+    const { profile, error } = await profiles.create(sector, {
+      userId: req.user.id,
+      email: req.user.email,
+      contact,
+      card
+    });
+
+    if (error) {
+      req.log.error('Candidate profile create error', { sector, error: error.message });
+      return res.status(500).json({ error: 'Failed to create profile' });
+    }
+
+    req.log.info('Candidate profile created', { sector, candidateId: profile.card.candidate_id });
+    res.status(201).json({ profile: await toProfile(req, profile) });
+  } catch (error) {
+    req.log.error('Candidate profile create error', { error });
+    res.status(500).json({ error: 'Failed to create profile' });
+  }
+});
+
+// Only the fields sent change. Body checked against CANDIDATE_PROFILE_BODY.
+routes.patch('/', async (req, res) => {
+  try {
+    const sector = req.accountType;
+
+    const changes = toProfileColumns(sector, req.validated.body);
+    if (changes.fields) {
+      return res.status(400).json({ error: 'Invalid profile', fields: changes.fields });
+    }
+    if (Object.keys(changes.contact).length === 0 && Object.keys(changes.card).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    const current = await loadProfile(req, res);
+    if (!current) return;
+
+    const { profile, error } = await req.app.locals.repositories.candidateProfiles.update(sector, current, changes);
+
+    if (error) {
+      req.log.error('Candidate profile update error', { sector, error: error.message });
+      return res.status(500).json({ error: 'Failed to update profile' });
+    }
+
+    req.log.info('Candidate profile updated', { sector, candidateId: profile.card.candidate_id });
+    res.json({ profile: await toProfile(req, profile) });
+  } catch (error) {
+    req.log.error('Candidate profile update error', { error });
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Withdraw: both halves go. The account stays, so they can create a new profile later.
+routes.delete('/', async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) return;
+
+    const candidateId = profile.card.candidate_id;
+    const { error } = await req.app.locals.repositories.candidateProfiles.remove(req.accountType, candidateId);
+
+    if (error) {
+      req.log.error('Candidate profile withdraw error', { candidateId, error: error.message });
+      return res.status(500).json({ error: 'Failed to withdraw profile' });
+    }
+
+    req.log.info('Candidate profile withdrawn', { sector: req.accountType, candidateId });
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Candidate profile withdraw error', { error });
+    res.status(500).json({ error: 'Failed to withdraw profile' });
+  }
+});
+
+export default routes;
@@ -0,0 +1,350 @@
+// ========== src/routes/introductionsRouter.js ==========
+// Employer → candidate introduction requests.
+//
+// Candidate contact details live in the *_private tables and never appear in
+// public responses. An employer asks for an introduction, the candidate gets a
+// one-time link to accept or decline, and only after they accept can that
+// employer read the private record. Requests are stored in the candidate's
+// project; the raw response token is only ever emailed, we keep its hash.
+import crypto from 'node:crypto';
+import { Router } from 'express';
+import { recordAudit } from '../services/auditLog.js';
+import { publiclyVisible } from '../utils/candidateFilters.js';
+
+const routes = Router();
+
+const TABLES = {
+  sewing: { public: 'candidates_public', private: 'candidates_private' },
+  upholstery: { public: 'upholstery_public', private: 'upholstery_private' }
+};
+
+const STATUSES = ['pending', 'accepted', 'declined', 'expired'];
+const TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const DAILY_LIMIT = Number(process.env.INTRODUCTION_DAILY_LIMIT || 20);
+
+// Private columns that are bookkeeping rather than contact details
+const INTERNAL_COLUMNS = ['id', 'candidate_id', 'user_id', 'created_at', 'updated_at'];
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function baseUrl(req) {
+  return process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function effectiveStatus(row) {
+  if (row.status === 'pending' && new Date(row.expires_at) <= new Date()) return 'expired';
+  return row.status;
+}
+
+function toIntroduction(row) {
+  return {
+    id: row.id,
+    candidateId: row.candidate_id,
+    candidateType: row.candidate_type,
+    jobId: row.job_id,
+    message: row.message,
+    status: effectiveStatus(row),
+    expiresAt: row.expires_at,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at
+  };
+}
+
+function stripInternal(record) {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !INTERNAL_COLUMNS.includes(key)));
+}
+
+// Requests made by this employer in the last 24 hours, across both projects
+async function countRecentRequests(projects, employerId) {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const counts = await Promise.all(Object.values(projects).map(async (supabase) => {
+    const { count } = await supabase
+      .from('introduction_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('employer_id', employerId)
+      .gte('created_at', since);
+    return count || 0;
+  }));
+  return counts.reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * POST /api/candidates/:id/contact and /api/upholstery/:id/contact.
+ * Needs verifySupabaseToken in front. Body: { message?, jobId? }
+ */
+export function requestIntroduction(sector) {
+  return async (req, res) => {
+    try {
+      const projects = req.app.locals.supabase;
+      const supabase = projects[sector];
+      const candidateId = req.params.id;
+      const { message, jobId } = req.body || {};
+
+      if (message !== undefined && (typeof message !== 'string' || message.length > 2000)) {
+        return res.status(400).json({ error: 'message must be a string of at most 2000 characters' });
+      }
+
+      // Company name for the email comes from the employer's own project
+      const { data: registration } = await req.app.locals.repositories.registrations.findLatestForUser(req.accountType, req.user);
+
+      // Registrations from before moderation have no status and are let through
+      if (['pending', 'rejected'].includes(registration?.status)) {
+        return res.status(403).json({
+          error: registration.status === 'pending'
+            ? 'Your account is awaiting approval'
+            : 'Your account has not been approved to contact candidates'
+        });
+      }
+
+      const { data: candidate } = await publiclyVisible(supabase
+        .from(TABLES[sector].public)
+        .select('candidate_id, job_title')
+        .eq('candidate_id', candidateId))
+        .maybeSingle();
+
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found' });
+      }
+
+      if (await countRecentRequests(projects, req.user.id) >= DAILY_LIMIT) {
+        req.log.warn('Introduction limit reached', { employerId: req.user.id });
+        res.set('Retry-After', String(24 * 60 * 60));
+        return res.status(429).json({ error: `You can send at most ${DAILY_LIMIT} introduction requests per day` });
+      }
+
+      const { data: open } = await supabase
+        .from('introduction_requests')
+        .select('id, status, expires_at')
+        .eq('candidate_id', candidateId)
+        .eq('employer_id', req.user.id)
+        .in('status', ['pending', 'accepted']);
+
+      const active = (open || []).find(row => effectiveStatus(row) !== 'expired');
+      if (active) {
+        return res.status(409).json({ error: `You already have a ${active.status} request for this candidate`, id: active.id });
+      }
+
+      const { data: privateRecord } = await supabase
+        .from(TABLES[sector].private)
+        .select('email')
+        .eq('candidate_id', candidateId)
+        .maybeSingle();
+
+      if (!privateRecord?.email) {
+        return res.status(422).json({ error: 'This candidate cannot be contacted at the moment' });
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date();
+      const { data: introduction, error } = await supabase
+        .from('introduction_requests')
+        .insert({
+          candidate_id: candidateId,
+          candidate_type: sector,
+          employer_id: req.user.id,
+          employer_email: req.user.email,
+          employer_account_type: req.accountType,
+          company_name: registration?.company_name || null,
+          job_id: jobId || null,
+          message: message || null,
+          status: 'pending',
+          token_hash: hashToken(token),
+          expires_at: new Date(now.getTime() + TOKEN_TTL_MS).toISOString(),
+          created_at: now.toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        req.log.error('Introduction create error', { error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+
+      const link = `${baseUrl(req)}/api/introductions/respond/${sector}/${token}`;
+      await req.app.locals.notifier.send({
+        to: privateRecord.email,
+        subject: `${registration?.company_name || 'An employer'} would like to contact you`,
+        text: [
+          `${registration?.company_name || 'An employer'} has seen your ${candidate.job_title || 'candidate'} profile and would like your contact details.`,
+          message ? `\nTheir message:\n${message}\n` : '',
+          `Accept or decline here: ${link}`,
+          'Your details are only shared if you accept. This link expires in 14 days.'
+        ].join('\n')
+      });
+
+      req.log.info('Introduction requested', { introductionId: introduction.id, sector, candidateId });
+      res.status(201).json(toIntroduction(introduction));
+    } catch (error) {
+      req.log.error('Introduction request error', { error });
+      res.status(500).json({ error: 'Failed to request introduction' });
+    }
+  };
+}
+
+// ========== CANDIDATE RESPONSE (tokenized, no login) ==========
+
+async function findByToken(req) {
+  const sector = req.params.type;
+  if (!TABLES[sector]) return { sector, introduction: null };
+
+  const { data } = await req.app.locals.supabase[sector]
+    .from('introduction_requests')
+    .select('*')
+    .eq('token_hash', hashToken(req.params.token))
+    .maybeSingle();
+
+  return { sector, introduction: data };
+}
+
+// What the candidate sees before deciding
+routes.get('/respond/:type/:token', async (req, res) => {
+  try {
+    const { introduction } = await findByToken(req);
+
+    if (!introduction) {
+      return res.status(404).json({ error: 'Introduction request not found' });
+    }
+
+    res.json({
+      companyName: introduction.company_name,
+      message: introduction.message,
+      status: effectiveStatus(introduction),
+      expiresAt: introduction.expires_at
+    });
+  } catch (error) {
+    req.log.error('Introduction lookup error', { error });
+    res.status(500).json({ error: 'Failed to load introduction request' });
+  }
+});
+
+// Body: { decision: 'accept' | 'decline' }
+routes.post('/respond/:type/:token', async (req, res) => {
+  try {
+    const { decision } = req.body || {};
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be accept or decline' });
+    }
+
+    const { sector, introduction } = await findByToken(req);
+
+    if (!introduction) {
+      return res.status(404).json({ error: 'Introduction request not found' });
+    }
+
+    const status = effectiveStatus(introduction);
+    if (status !== 'pending') {
+      return res.status(409).json({ error: `This request has already been ${status}` });
+    }
+
+    const newStatus = decision === 'accept' ? 'accepted' : 'declined';
+    const { error } = await req.app.locals.supabase[sector]
+      .from('introduction_requests')
+      .update({ status: newStatus, responded_at: new Date().toISOString() })
+      .eq('id', introduction.id)
+      .eq('status', 'pending');
+
+    if (error) {
+      req.log.error('Introduction response error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    await req.app.locals.notifier.send({
+      to: introduction.employer_email,
+      subject: `Your introduction request was ${newStatus}`,
+      text: newStatus === 'accepted'
+        ? `The candidate has accepted. Their contact details are available at ${baseUrl(req)}/api/introductions/${sector}/${introduction.id}`
+        : 'The candidate has declined your introduction request.'
+    });
+
+    req.log.info('Introduction answered', { introductionId: introduction.id, status: newStatus });
+    res.json({ status: newStatus });
+  } catch (error) {
+    req.log.error('Introduction response error', { error });
+    res.status(500).json({ error: 'Failed to record response' });
+  }
+});
+
+// ========== EMPLOYER VIEWS (require token) ==========
+
+// Employer's own requests across both sectors, newest first. Optional ?status=
+export async function listIntroductions(req, res) {
+  try {
+    if (req.query.status && !STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const results = await Promise.all(Object.entries(req.app.locals.supabase).map(async ([sector, supabase]) => {
+      const { data, error } = await supabase
+        .from('introduction_requests')
+        .select('*')
+        .eq('employer_id', req.user.id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        req.log.error('Introductions fetch error', { sector, error: error.message });
+        return [];
+      }
+      return data;
+    }));
+
+    let introductions = results.flat().map(toIntroduction);
+    if (req.query.status) {
+      introductions = introductions.filter(i => i.status === req.query.status);
+    }
+    introductions.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    res.json(introductions);
+  } catch (error) {
+    req.log.error('Introductions fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch introductions' });
+  }
+}
+
+// One request; includes the candidate's private contact details once accepted
+export async function getIntroduction(req, res) {
+  try {
+    const sector = req.params.type;
+    if (!TABLES[sector]) {
+      return res.status(404).json({ error: 'Introduction request not found' });
+    }
+
+    const supabase = req.app.locals.supabase[sector];
+    const { data: introduction } = await supabase
+      .from('introduction_requests')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('employer_id', req.user.id)
+      .maybeSingle();
+
+    if (!introduction) {
+      return res.status(404).json({ error: 'Introduction request not found' });
+    }
+
+    const result = toIntroduction(introduction);
+
+    if (introduction.status === 'accepted') {
+      const { data: privateRecord } = await supabase
+        .from(TABLES[sector].private)
+        .select('*')
+        .eq('candidate_id', introduction.candidate_id)
+        .maybeSingle();
+
+      result.contact = privateRecord ? stripInternal(privateRecord) : null;
+
+      await recordAudit(supabase, {
+        actor: req.user,
+        action: 'candidate.private_data_accessed',
+        targetType: `${sector}_candidate`,
+        targetId: introduction.candidate_id,
+        details: { introductionId: introduction.id }
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    req.log.error('Introduction fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch introduction' });
+  }
+}
+
+export default routes;
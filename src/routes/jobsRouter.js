@@ -0,0 +1,305 @@
+// ========== src/routes/jobsRouter.js ==========
+// Employer job postings. Mounted behind verifySupabaseToken, so every handler
+// has req.user and req.supabase (the employer's own project).
+import { Router } from 'express';
+
+const routes = Router();
+
+export const JOB_STATUSES = ['draft', 'open', 'paused', 'filled', 'closed'];
+
+// Open vacancies expire after this long unless an expiry date is given
+const DEFAULT_EXPIRY_DAYS = 60;
+
+const TEXT_FIELDS = {
+  title: { column: 'title', max: 120 },
+  description: { column: 'description', max: 5000 },
+  employmentType: { column: 'employment_type', max: 50 },
+  benefits: { column: 'benefits', max: 1000 },
+  experienceRequired: { column: 'experience_required', max: 100 },
+  postcode: { column: 'postcode', max: 10 },
+  city: { column: 'city', max: 100 },
+  county: { column: 'county', max: 100 }
+};
+
+const NUMBER_FIELDS = {
+  salaryFrom: 'salary_from',
+  salaryTo: 'salary_to',
+  hoursPerWeek: 'hours_per_week'
+};
+
+const LIST_FIELDS = {
+  machines: 'machines',
+  techniques: 'techniques'
+};
+
+function toList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+function toJob(row) {
+  const expired = Boolean(row.expires_at) && new Date(row.expires_at) <= new Date();
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    employmentType: row.employment_type,
+    salaryFrom: row.salary_from,
+    salaryTo: row.salary_to,
+    hoursPerWeek: row.hours_per_week,
+    benefits: row.benefits,
+    experienceRequired: row.experience_required,
+    machines: toList(row.machines),
+    techniques: toList(row.techniques),
+    postcode: row.postcode,
+    city: row.city,
+    county: row.county,
+    status: row.status,
+    expiresAt: row.expires_at,
+    expired,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate a job payload. With `partial` only the fields present are checked
+ * (PATCH). Returns { values } as database columns, or { fields } describing
+ * what's wrong with each invalid field.
+ */
+function validateJob(body, { partial = false, existing = null } = {}) {
+  const values = {};
+  const fields = {};
+
+  if (!partial && !body.title) {
+    fields.title = 'title is required';
+  }
+
+  for (const [name, { column, max }] of Object.entries(TEXT_FIELDS)) {
+    if (body[name] === undefined) continue;
+    if (body[name] !== null && typeof body[name] !== 'string') {
+      fields[name] = `${name} must be a string`;
+    } else if (body[name] && body[name].length > max) {
+      fields[name] = `${name} must be at most ${max} characters`;
+    } else if (name === 'title' && !body[name]?.trim()) {
+      fields[name] = 'title must not be empty';
+    } else {
+      values[column] = body[name] === null ? null : body[name].trim();
+    }
+  }
+
+  for (const [name, column] of Object.entries(NUMBER_FIELDS)) {
+    if (body[name] === undefined || body[name] === null || body[name] === '') continue;
+    const number = Number(body[name]);
+    if (!Number.isFinite(number) || number < 0) {
+      fields[name] = `${name} must be a non-negative number`;
+    } else {
+      values[column] = number;
+    }
+  }
+
+  for (const [name, column] of Object.entries(LIST_FIELDS)) {
+    if (body[name] === undefined) continue;
+    const list = Array.isArray(body[name]) ? body[name] : toList(String(body[name] ?? ''));
+    if (list.some(item => typeof item !== 'string')) {
+      fields[name] = `${name} must be a list of strings`;
+    } else {
+      values[column] = list.map(item => item.trim()).filter(Boolean).join(', ');
+    }
+  }
+
+  if (body.status !== undefined) {
+    if (!JOB_STATUSES.includes(body.status)) {
+      fields.status = `status must be one of: ${JOB_STATUSES.join(', ')}`;
+    } else {
+      values.status = body.status;
+    }
+  }
+
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      fields.expiresAt = 'expiresAt must be a valid date';
+    } else if (expiresAt <= new Date()) {
+      fields.expiresAt = 'expiresAt must be in the future';
+    } else {
+      values.expires_at = expiresAt.toISOString();
+    }
+  }
+
+  const salaryFrom = values.salary_from ?? existing?.salary_from;
+  const salaryTo = values.salary_to ?? existing?.salary_to;
+  if (salaryFrom != null && salaryTo != null && salaryFrom > salaryTo && !fields.salaryFrom && !fields.salaryTo) {
+    fields.salaryTo = 'salaryTo must not be less than salaryFrom';
+  }
+
+  return Object.keys(fields).length > 0 ? { fields } : { values };
+}
+
+async function findOwnJob(req) {
+  return req.supabase
+    .from('jobs')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('employer_id', req.user.id)
+    .maybeSingle();
+}
+
+// List the employer's vacancies, optionally filtered by ?status=open,paused
+routes.get('/', async (req, res) => {
+  try {
+    let query = req.supabase
+      .from('jobs')
+      .select('*')
+      .eq('employer_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(s => s.trim());
+      const invalid = statuses.find(s => !JOB_STATUSES.includes(s));
+      if (invalid) {
+        return res.status(400).json({ error: `Unknown status: ${invalid}` });
+      }
+      query = query.in('status', statuses);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      req.log.error('Jobs fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data.map(toJob));
+  } catch (error) {
+    req.log.error('Jobs fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+routes.post('/', async (req, res) => {
+  try {
+    const { values, fields } = validateJob(req.body || {});
+    if (fields) {
+      return res.status(400).json({ error: 'Invalid job', fields });
+    }
+
+    const now = new Date();
+    const job = {
+      status: 'draft',
+      ...values,
+      employer_id: req.user.id,
+      employer_email: req.user.email,
+      account_type: req.accountType,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    if (!job.expires_at) {
+      job.expires_at = new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    req.log.info('Creating job', { employerId: req.user.id });
+    const { data, error } = await req.supabase.from('jobs').insert(job).select().single();
+
+    if (error) {
+      req.log.error('Job create error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(toJob(data));
+  } catch (error) {
+    req.log.error('Job create error', { error });
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+routes.get('/:id', async (req, res) => {
+  try {
+    const { data, error } = await findOwnJob(req);
+
+    if (error) {
+      req.log.error('Job fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(toJob(data));
+  } catch (error) {
+    req.log.error('Job fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+routes.patch('/:id', async (req, res) => {
+  try {
+    const { data: existing, error: findError } = await findOwnJob(req);
+
+    if (findError) {
+      return res.status(400).json({ error: findError.message });
+    }
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { values, fields } = validateJob(req.body || {}, { partial: true, existing });
+    if (fields) {
+      return res.status(400).json({ error: 'Invalid job', fields });
+    }
+
+    // Reopening a vacancy that has run out needs a new expiry date
+    if (values.status === 'open' && !values.expires_at && existing.expires_at && new Date(existing.expires_at) <= new Date()) {
+      return res.status(400).json({ error: 'Invalid job', fields: { expiresAt: 'expiresAt is required to reopen an expired job' } });
+    }
+
+    const { data, error } = await req.supabase
+      .from('jobs')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('employer_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Job update error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    req.log.info('Job updated', { jobId: existing.id });
+    res.json(toJob(data));
+  } catch (error) {
+    req.log.error('Job update error', { error });
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
+routes.delete('/:id', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('jobs')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('employer_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      req.log.error('Job delete error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    req.log.info('Job deleted', { jobId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Job delete error', { error });
+    res.status(500).json({ error: 'Failed to delete job' });
+  }
+});
+
+export default routes;
@@ -0,0 +1,310 @@
+// ========== src/routes/profileRouter.js ==========
+// Employer profile and account management. Mounted at /api/profile behind
+// verifySupabaseToken; req.supabase is the employer's own project.
+import { Router } from 'express';
+import { passwordProblem } from '../utils/validation.js';
+
+const routes = Router();
+
+// Request field → client_registrations column
+const PROFILE_FIELDS = {
+  company: 'company_name',
+  postcode: 'postcode',
+  city: 'city',
+  county: 'county',
+  jobTitle: 'job_title',
+  jobDescription: 'job_description',
+  employmentType: 'employment_type',
+  salaryFrom: 'salary_from',
+  salaryTo: 'salary_to',
+  hoursPerWeek: 'hours_per_week',
+  benefits: 'benefits',
+  experienceRequired: 'experience_required',
+  machines: 'machines',
+  techniques: 'techniques'
+};
+
+function toCompany(registration) {
+  if (!registration) return null;
+  return Object.fromEntries(Object.entries(PROFILE_FIELDS).map(([field, column]) => [field, registration[column] ?? null]));
+}
+
+function findRegistration(req) {
+  return req.app.locals.repositories.registrations.findLatestForUser(req.accountType, req.user);
+}
+
+// Check a password without touching the shared service-role client's session
+async function verifyPassword(req, password) {
+  if (!password) return false;
+  const client = req.app.locals.createAuthClient(req.accountType);
+  const { data, error } = await client.auth.signInWithPassword({ email: req.user.email, password });
+  return !error && data.user?.id === req.user.id;
+}
+
+routes.get('/', async (req, res) => {
+  try {
+    const user = req.user;
+    const { data: registration, error } = await findRegistration(req);
+
+    if (error) {
+      req.log.error('Company details fetch error', { error: error.message });
+    }
+
+    return res.json({
+      profile: {
+        id: user.id,
+        email: user.email,
+        createdAt: user.created_at,
+        accountType: req.accountType,
+        company: toCompany(registration)
+      },
+    });
+  } catch (error) {
+    req.log.error('Profile fetch error', { error });
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update company details. Only the fields sent are changed, in the same
+// normalised form registration stores; a field sent blank is cleared.
+routes.put('/update', async (req, res) => {
+  try {
+    const values = req.validated.body;
+    const changes = {};
+    for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+      if (values[column] !== undefined) changes[column] = values[column];
+      else if (req.body?.[field] !== undefined) changes[column] = null;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    if (changes.company_name !== undefined && !String(changes.company_name || '').trim()) {
+      return res.status(400).json({ error: 'Company name cannot be empty' });
+    }
+
+    const { data: registration, error: findError } = await findRegistration(req);
+
+    if (findError) {
+      return res.status(400).json({ error: findError.message });
+    }
+
+    if (!registration) {
+      return res.status(404).json({ error: 'No company details found for this account' });
+    }
+
+    const salaryFrom = Number(changes.salary_from ?? registration.salary_from);
+    const salaryTo = Number(changes.salary_to ?? registration.salary_to);
+    if (salaryFrom && salaryTo && salaryFrom > salaryTo) {
+      return res.status(400).json({ error: 'salaryFrom must not be greater than salaryTo' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('client_registrations')
+      .update(changes)
+      .eq('id', registration.id)
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Profile update error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    req.log.info('Profile updated', { userId: req.user.id });
+    res.json({ success: true, company: toCompany(data) });
+  } catch (error) {
+    req.log.error('Profile update error', { error });
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+routes.put('/change-password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({ error: 'Passwords do not match' });
+    }
+
+    const problem = passwordProblem(newPassword, { email: req.user.email });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    if (!await verifyPassword(req, currentPassword)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error } = await req.supabase.auth.admin.updateUserById(req.user.id, { password: newPassword });
+
+    if (error) {
+      req.log.error('Password change error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    req.log.info('Password changed', { userId: req.user.id });
+    res.json({ success: true, message: 'Password updated' });
+  } catch (error) {
+    req.log.error('Password change error', { error });
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Change the login email. Body (validated): { newEmail, password }. With
+// REQUIRE_EMAIL_VERIFICATION the new address must be confirmed first: a link
+// is sent to it, and the company record moves across once it's followed (see
+// registrationsRepository). Otherwise the change is immediate.
+routes.put('/change-email', async (req, res) => {
+  try {
+    const { newEmail } = req.validated.body;
+    const { registrations, auth } = req.app.locals.repositories;
+
+    if (!await verifyPassword(req, req.body.password)) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (newEmail === req.user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'That is already your email' });
+    }
+
+    if (await registrations.findAccountType(newEmail)) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const { data: registration, error: findError } = await findRegistration(req);
+    if (findError) {
+      req.log.error('Company details fetch error', { error: findError.message });
+      return res.status(500).json({ error: 'Failed to change email' });
+    }
+
+    if (registration) {
+      const { error } = await registrations.startEmailChange(req.accountType, registration.id, newEmail);
+      if (error) {
+        req.log.error('Email change error', { error: error.message });
+        return res.status(500).json({ error: 'Failed to change email' });
+      }
+    }
+
+    if (req.app.locals.requireEmailVerification) {
+      const { link, error } = await auth.generateEmailChangeLink(
+        req.accountType,
+        req.user.email,
+        newEmail,
+        process.env.EMAIL_VERIFICATION_REDIRECT_URL || undefined
+      );
+
+      if (error) {
+        req.log.warn('Email change link error', { error: error.message });
+        return res.status(error.code === 'email_exists' ? 409 : 400).json({ error: error.message });
+      }
+
+      await req.app.locals.notifier.send({
+        to: newEmail,
+        subject: 'Confirm your new email address',
+        text: `Please confirm this is your new email address. Until you do, keep logging in with your current one:\n${link}`
+      });
+
+      req.log.info('Email change requested', { userId: req.user.id });
+      return res.status(202).json({
+        success: true,
+        email: req.user.email,
+        pendingEmail: newEmail,
+        message: 'Check your new inbox for a link to confirm the change.'
+      });
+    }
+
+    const { error } = await auth.updateUser(req.accountType, req.user.id, { email: newEmail, email_confirm: true });
+
+    if (error) {
+      req.log.warn('Email change error', { error: error.message });
+      return res.status(error.code === 'email_exists' ? 409 : 400).json({ error: error.message });
+    }
+
+    // Company records, postings and saved searches carry the email, so move them across
+    const { error: moveError } = await registrations.completeEmailChange(req.accountType, { userId: req.user.id, email: newEmail });
+
+    if (moveError) {
+      // Still pending, so the next lookup under the new email retries the move
+      req.log.error('Email change records not moved', { userId: req.user.id, error: moveError.message });
+      return res.status(500).json({ error: 'Your email was changed, but your company details could not be moved yet. Log in with the new email to retry.' });
+    }
+
+    req.log.info('Email changed', { userId: req.user.id });
+    res.json({ success: true, email: newEmail });
+  } catch (error) {
+    req.log.error('Email change error', { error });
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+// Delete the account and everything it owns. Body: { password }
+routes.delete('/', async (req, res) => {
+  try {
+    if (!await verifyPassword(req, req.body?.password)) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const userId = req.user.id;
+    req.log.info('Deleting account', { userId });
+
+    // Finishes a confirmed email change, so the company record is found by the current email below
+    await findRegistration(req);
+
+    // Shortlist history hangs off entries and match history off saved searches,
+    // so they go first
+    const { data: entries } = await req.supabase
+      .from('shortlist_entries')
+      .select('id')
+      .eq('employer_id', userId);
+    const { data: searches } = await req.supabase
+      .from('saved_searches')
+      .select('id')
+      .eq('employer_id', userId);
+
+    const cleanup = [
+      entries?.length
+        ? req.supabase.from('shortlist_stage_history').delete().in('entry_id', entries.map(e => e.id))
+        : null,
+      req.supabase.from('shortlist_entries').delete().eq('employer_id', userId),
+      searches?.length
+        ? req.supabase.from('saved_search_matches').delete().in('saved_search_id', searches.map(s => s.id))
+        : null,
+      req.supabase.from('saved_searches').delete().eq('employer_id', userId),
+      req.supabase.from('jobs').delete().eq('employer_id', userId),
+      req.supabase.from('client_registrations').delete().eq('email', req.user.email),
+      // Introduction requests live in the candidate's project, which may be either one
+      ...Object.values(req.app.locals.supabase).map(project =>
+        project.from('introduction_requests').delete().eq('employer_id', userId))
+    ];
+
+    for (const step of cleanup) {
+      if (!step) continue;
+      const { error } = await step;
+      if (error) {
+        req.log.error('Account cleanup error', { error: error.message });
+        return res.status(500).json({ error: 'Failed to delete account data' });
+      }
+    }
+
+    const { error } = await req.supabase.auth.admin.deleteUser(userId);
+
+    if (error) {
+      req.log.error('Auth user delete error', { error: error.message });
+      return res.status(500).json({ error: 'Failed to delete account' });
+    }
+
+    req.log.info('Account deleted', { userId });
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Account delete error', { error });
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+export default routes;
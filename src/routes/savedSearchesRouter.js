@@ -0,0 +1,322 @@
+// ========== src/routes/savedSearchesRouter.js ==========
+// Employers' saved candidate searches and their new-candidate alerts. A
+// search is a set of list filters (as on GET /api/candidates) for one trade,
+// kept in the employer's own project with its match history; the alerts job
+// in services/savedSearchAlerts.js runs them and emails the digests.
+//
+// The default export is mounted behind verifySupabaseToken. unsubscribeRoutes
+// serves the links in the digests, where the token is the credential.
+import crypto from 'node:crypto';
+import { Router } from 'express';
+import { parseCandidateQuery, setPaginationHeaders, DEFAULT_LIMIT } from '../utils/candidateFilters.js';
+
+const routes = Router();
+export const unsubscribeRoutes = Router();
+
+export const MAX_SAVED_SEARCHES = 20;
+
+function toSavedSearch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.candidate_type,
+    filters: row.filters || {},
+    alerts: row.alerts,
+    lastCheckedAt: row.last_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toMatch(row) {
+  return {
+    candidateId: row.candidate_id,
+    candidateType: row.candidate_type,
+    role: row.role,
+    location: row.location,
+    emailed: row.emailed,
+    matchedAt: row.matched_at
+  };
+}
+
+// The same checks the list routes make, plus a postcode we can place, so a
+// search that can't run is refused now rather than failing every alert
+async function filtersProblem(req, type, filters) {
+  const { error } = parseCandidateQuery(filters, type);
+  if (error) return error;
+  if (filters.near && !(await req.app.locals.geocoder.geocode(filters.near))) {
+    return `Could not locate postcode ${filters.near}`;
+  }
+  return null;
+}
+
+async function findOwnSearch(req) {
+  return req.supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('employer_id', req.user.id)
+    .maybeSingle();
+}
+
+routes.get('/', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('employer_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      req.log.error('Saved searches fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data.map(toSavedSearch));
+  } catch (error) {
+    req.log.error('Saved searches fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// Body checked against NEW_SAVED_SEARCH_BODY
+routes.post('/', async (req, res) => {
+  try {
+    const { name, type = req.accountType, filters = {}, alerts = 'daily' } = req.validated.body;
+
+    const problem = await filtersProblem(req, type, filters);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid saved search', fields: { filters: problem } });
+    }
+
+    const { count } = await req.supabase
+      .from('saved_searches')
+      .select('id', { count: 'exact', head: true })
+      .eq('employer_id', req.user.id);
+
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({ error: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await req.supabase
+      .from('saved_searches')
+      .insert({
+        employer_id: req.user.id,
+        employer_email: req.user.email,
+        name,
+        candidate_type: type,
+        filters,
+        alerts,
+        // Kept as is rather than hashed: every digest has to carry the link,
+        // and all it can do is turn the alerts off
+        unsubscribe_token: crypto.randomBytes(24).toString('base64url'),
+        // Alerts cover candidates who join from now on
+        last_run_at: now,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Saved search create error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    req.log.info('Search saved', { searchId: data.id, type, alerts });
+    res.status(201).json(toSavedSearch(data));
+  } catch (error) {
+    req.log.error('Saved search create error', { error });
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+routes.get('/:id', async (req, res) => {
+  try {
+    const { data } = await findOwnSearch(req);
+
+    if (!data) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json(toSavedSearch(data));
+  } catch (error) {
+    req.log.error('Saved search fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch saved search' });
+  }
+});
+
+// Body checked against SAVED_SEARCH_BODY; only the fields sent change, and
+// filters, when sent, replace the saved ones
+routes.patch('/:id', async (req, res) => {
+  try {
+    const { data: existing } = await findOwnSearch(req);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { name, type, filters, alerts } = req.validated.body;
+    const changes = {
+      ...(name !== undefined && { name }),
+      ...(type !== undefined && { candidate_type: type }),
+      ...(filters !== undefined && { filters }),
+      ...(alerts !== undefined && { alerts })
+    };
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No saved search fields to update' });
+    }
+
+    if (type !== undefined || filters !== undefined) {
+      const problem = await filtersProblem(req, type ?? existing.candidate_type, filters ?? existing.filters ?? {});
+      if (problem) {
+        return res.status(400).json({ error: 'Invalid saved search', fields: { filters: problem } });
+      }
+    }
+
+    const now = new Date().toISOString();
+    // Alerts switched back on start from now, not from whenever they were turned off
+    if (alerts !== undefined && alerts !== 'off' && existing.alerts === 'off') {
+      changes.last_run_at = now;
+    }
+
+    const { data, error } = await req.supabase
+      .from('saved_searches')
+      .update({ ...changes, updated_at: now })
+      .eq('id', existing.id)
+      .eq('employer_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Saved search update error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(toSavedSearch(data));
+  } catch (error) {
+    req.log.error('Saved search update error', { error });
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+routes.delete('/:id', async (req, res) => {
+  try {
+    const { data: existing } = await findOwnSearch(req);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await req.supabase.from('saved_search_matches').delete().eq('saved_search_id', existing.id);
+    const { error } = await req.supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', existing.id)
+      .eq('employer_id', req.user.id);
+
+    if (error) {
+      req.log.error('Saved search delete error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Saved search delete error', { error });
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// Candidates the alerts have reported for this search, newest first
+routes.get('/:id/matches', async (req, res) => {
+  try {
+    const { data: search } = await findOwnSearch(req);
+
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { page = 1, limit = DEFAULT_LIMIT } = req.validated.query;
+    const from = (page - 1) * limit;
+    const { data, count, error } = await req.supabase
+      .from('saved_search_matches')
+      .select('*', { count: 'exact' })
+      .eq('saved_search_id', search.id)
+      .order('matched_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      req.log.error('Saved search matches fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    setPaginationHeaders(res, { page, limit }, count);
+    res.json(data.map(toMatch));
+  } catch (error) {
+    req.log.error('Saved search matches fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch saved search matches' });
+  }
+});
+
+// ========== UNSUBSCRIBE (tokenized, no login) ==========
+
+async function findByToken(req) {
+  const supabase = req.app.locals.supabase[req.params.type];
+  if (!supabase) return null;
+
+  const { data } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('unsubscribe_token', req.params.token)
+    .maybeSingle();
+
+  return data;
+}
+
+// Which search the link is for, so the page can confirm before turning it off
+unsubscribeRoutes.get('/:type/:token', async (req, res) => {
+  try {
+    const search = await findByToken(req);
+
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ name: search.name, alerts: search.alerts });
+  } catch (error) {
+    req.log.error('Unsubscribe lookup error', { error });
+    res.status(500).json({ error: 'Failed to load saved search' });
+  }
+});
+
+// Also the List-Unsubscribe-Post one-click target, so it takes no body and
+// succeeds again if the alerts are already off
+unsubscribeRoutes.post('/:type/:token', async (req, res) => {
+  try {
+    const search = await findByToken(req);
+
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { error } = await req.app.locals.supabase[req.params.type]
+      .from('saved_searches')
+      .update({ alerts: 'off', updated_at: new Date().toISOString() })
+      .eq('id', search.id);
+
+    if (error) {
+      req.log.error('Unsubscribe error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    req.log.info('Saved search alerts turned off', { searchId: search.id });
+    res.json({ name: search.name, alerts: 'off' });
+  } catch (error) {
+    req.log.error('Unsubscribe error', { error });
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+export default routes;
@@ -0,0 +1,24 @@
+// ========== src/routes/schemasRouter.js ==========
+// Published JSON Schemas for the candidate responses. Mounted at /api/schemas,
+// so /api/v2/schemas/... (or Accept-Version: 2) returns the version 2 shapes.
+import { Router } from 'express';
+import { SCHEMA_NAMES, responseSchema } from '../serializers/index.js';
+
+const routes = Router();
+
+routes.get('/', (req, res) => {
+  res.json({
+    version: req.apiVersion,
+    schemas: SCHEMA_NAMES.map(name => ({ name, url: `/api/v${req.apiVersion}/schemas/${name}` }))
+  });
+});
+
+routes.get('/:name', (req, res) => {
+  const schema = responseSchema(req.apiVersion, req.params.name.replace(/\.json$/, ''));
+  if (!schema) {
+    return res.status(404).json({ error: 'Schema not found', available: SCHEMA_NAMES });
+  }
+  res.type('application/schema+json').json(schema);
+});
+
+export default routes;
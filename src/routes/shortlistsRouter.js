@@ -0,0 +1,314 @@
+// ========== src/routes/shortlistsRouter.js ==========
+// Per-job shortlists and hiring pipeline. Mounted at /api/jobs/:jobId/shortlist
+// behind verifySupabaseToken. Entries live in the employer's own project and can
+// point at candidates from either sector.
+import { Router } from 'express';
+import { publiclyVisible } from '../utils/candidateFilters.js';
+
+const routes = Router({ mergeParams: true });
+
+export const STAGES = ['shortlisted', 'contacted', 'interviewing', 'offered', 'hired', 'rejected'];
+const FINAL_STAGES = ['hired', 'rejected'];
+
+const CANDIDATE_TABLES = {
+  sewing: 'candidates_public',
+  upholstery: 'upholstery_public'
+};
+
+// Candidates move forward through the pipeline (skipping steps is fine) or get
+// rejected at any point. Hired and rejected are final.
+export function canMoveStage(from, to) {
+  if (!STAGES.includes(to) || FINAL_STAGES.includes(from) || from === to) return false;
+  return to === 'rejected' || STAGES.indexOf(to) > STAGES.indexOf(from);
+}
+
+function toEntry(row, history) {
+  const entry = {
+    id: row.id,
+    jobId: row.job_id,
+    candidateId: row.candidate_id,
+    candidateType: row.candidate_type,
+    stage: row.stage,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  if (history) {
+    entry.history = history.map(h => ({
+      fromStage: h.from_stage,
+      toStage: h.to_stage,
+      changedBy: h.changed_by,
+      changedAt: h.changed_at
+    }));
+  }
+
+  return entry;
+}
+
+async function recordStageChange(req, entryId, fromStage, toStage) {
+  const { error } = await req.supabase.from('shortlist_stage_history').insert({
+    entry_id: entryId,
+    employer_id: req.user.id,
+    from_stage: fromStage,
+    to_stage: toStage,
+    changed_by: req.user.id,
+    changed_at: new Date().toISOString()
+  });
+
+  if (error) {
+    req.log.error('Stage history save error', { error: error.message });
+  }
+}
+
+// Every route needs the job to exist and belong to the caller
+routes.use(async (req, res, next) => {
+  try {
+    const { data: job, error } = await req.supabase
+      .from('jobs')
+      .select('id')
+      .eq('id', req.params.jobId)
+      .eq('employer_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function findOwnEntry(req) {
+  return req.supabase
+    .from('shortlist_entries')
+    .select('*')
+    .eq('id', req.params.entryId)
+    .eq('job_id', req.params.jobId)
+    .eq('employer_id', req.user.id)
+    .maybeSingle();
+}
+
+routes.get('/', async (req, res) => {
+  try {
+    let query = req.supabase
+      .from('shortlist_entries')
+      .select('*')
+      .eq('job_id', req.params.jobId)
+      .eq('employer_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (req.query.stage) {
+      if (!STAGES.includes(req.query.stage)) {
+        return res.status(400).json({ error: `stage must be one of: ${STAGES.join(', ')}` });
+      }
+      query = query.eq('stage', req.query.stage);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      req.log.error('Shortlist fetch error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data.map(row => toEntry(row)));
+  } catch (error) {
+    req.log.error('Shortlist fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch shortlist' });
+  }
+});
+
+// Add a candidate: { candidateId, candidateType: 'sewing' | 'upholstery', notes? }
+routes.post('/', async (req, res) => {
+  try {
+    const { candidateId, candidateType, notes } = req.body || {};
+
+    if (!candidateId || !CANDIDATE_TABLES[candidateType]) {
+      return res.status(400).json({ error: 'candidateId and candidateType (sewing or upholstery) are required' });
+    }
+
+    // The candidate may live in the other sector's project. Candidates hidden
+    // by themselves or a moderator can't be shortlisted, as they can't be found.
+    const candidateProject = req.app.locals.supabase[candidateType];
+    const { data: candidate } = await publiclyVisible(candidateProject
+      .from(CANDIDATE_TABLES[candidateType])
+      .select('candidate_id')
+      .eq('candidate_id', candidateId))
+      .maybeSingle();
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const { data: existing } = await req.supabase
+      .from('shortlist_entries')
+      .select('id')
+      .eq('job_id', req.params.jobId)
+      .eq('employer_id', req.user.id)
+      .eq('candidate_id', candidateId)
+      .eq('candidate_type', candidateType)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ error: 'Candidate is already on this shortlist', id: existing.id });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await req.supabase
+      .from('shortlist_entries')
+      .insert({
+        job_id: req.params.jobId,
+        employer_id: req.user.id,
+        candidate_id: candidateId,
+        candidate_type: candidateType,
+        stage: 'shortlisted',
+        notes: notes || null,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Shortlist add error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordStageChange(req, data.id, null, 'shortlisted');
+
+    req.log.info('Candidate shortlisted', { candidateType, candidateId, jobId: req.params.jobId });
+    res.status(201).json(toEntry(data));
+  } catch (error) {
+    req.log.error('Shortlist add error', { error });
+    res.status(500).json({ error: 'Failed to add candidate to shortlist' });
+  }
+});
+
+routes.get('/:entryId', async (req, res) => {
+  try {
+    const { data, error } = await findOwnEntry(req);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Shortlist entry not found' });
+    }
+
+    const { data: history } = await req.supabase
+      .from('shortlist_stage_history')
+      .select('*')
+      .eq('entry_id', data.id)
+      .order('changed_at', { ascending: true });
+
+    res.json(toEntry(data, history || []));
+  } catch (error) {
+    req.log.error('Shortlist entry fetch error', { error });
+    res.status(500).json({ error: 'Failed to fetch shortlist entry' });
+  }
+});
+
+// Move a candidate through the pipeline and/or update notes: { stage?, notes? }
+routes.patch('/:entryId', async (req, res) => {
+  try {
+    const { stage, notes } = req.body || {};
+
+    if (stage === undefined && notes === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data: entry, error: findError } = await findOwnEntry(req);
+
+    if (findError) {
+      return res.status(400).json({ error: findError.message });
+    }
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Shortlist entry not found' });
+    }
+
+    const changes = { updated_at: new Date().toISOString() };
+
+    if (stage !== undefined) {
+      if (!canMoveStage(entry.stage, stage)) {
+        return res.status(400).json({ error: `Cannot move candidate from ${entry.stage} to ${stage}` });
+      }
+      changes.stage = stage;
+    }
+
+    if (notes !== undefined) {
+      changes.notes = notes;
+    }
+
+    const { data, error } = await req.supabase
+      .from('shortlist_entries')
+      .update(changes)
+      .eq('id', entry.id)
+      .eq('employer_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      req.log.error('Shortlist update error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (changes.stage) {
+      await recordStageChange(req, entry.id, entry.stage, changes.stage);
+      req.log.info('Shortlist stage changed', { entryId: entry.id, from: entry.stage, to: changes.stage });
+      req.app.locals.events.emit('shortlist.stage_changed', {
+        accountType: req.accountType,
+        employerId: req.user.id,
+        jobId: entry.job_id,
+        entryId: entry.id,
+        candidateId: entry.candidate_id,
+        candidateType: entry.candidate_type,
+        from: entry.stage,
+        to: changes.stage
+      });
+    }
+
+    res.json(toEntry(data));
+  } catch (error) {
+    req.log.error('Shortlist update error', { error });
+    res.status(500).json({ error: 'Failed to update shortlist entry' });
+  }
+});
+
+routes.delete('/:entryId', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('shortlist_entries')
+      .delete()
+      .eq('id', req.params.entryId)
+      .eq('job_id', req.params.jobId)
+      .eq('employer_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      req.log.error('Shortlist remove error', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Shortlist entry not found' });
+    }
+
+    await req.supabase.from('shortlist_stage_history').delete().eq('entry_id', data[0].id);
+
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Shortlist remove error', { error });
+    res.status(500).json({ error: 'Failed to remove candidate from shortlist' });
+  }
+});
+
+export default routes;
@@ -0,0 +1,145 @@
+// ========== src/serializers/fields.js ==========
+// Building blocks for the candidate serializers. A serializer is a table of
+// fields, each with a JSON Schema type, a reader that pulls the value out of a
+// database row, and optionally the placeholder version 1 shows instead of null:
+//
+//   role: text('job_title', { v1: 'Upholsterer' })
+//
+// The same table produces the response objects and their published schemas,
+// so the two can't drift apart.
+
+export const NONE_SELECTED = 'None selected';
+
+// Comma-separated columns (or arrays) → trimmed values, without blanks or the
+// "None selected" the sign-up forms store when nothing was ticked
+export function parseList(value) {
+  if (value === null || value === undefined) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(item => item && item !== NONE_SELECTED);
+}
+
+// 6, "6", "6 years" → 6; anything without a figure → null
+export function parseYears(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// ---- Field constructors ----
+
+export const text = (column, options = {}) => ({
+  schema: { type: 'string' },
+  nullable: true,
+  read: row => cleanText(row[column]),
+  ...options
+});
+
+export const list = (column, options = {}) => ({
+  schema: { type: 'array', items: { type: 'string' } },
+  read: row => parseList(row[column]),
+  ...options
+});
+
+export const years = (column, options = {}) => ({
+  schema: { type: 'number', minimum: 0 },
+  nullable: true,
+  read: row => parseYears(row[column]),
+  ...options
+});
+
+export const timestamp = column => ({
+  schema: { type: 'string', format: 'date-time' },
+  nullable: true,
+  read: row => row[column] || null
+});
+
+export const identity = {
+  id: { schema: { type: 'integer' }, read: row => row.id },
+  candidateId: { schema: { type: 'string' }, read: row => row.candidate_id }
+};
+
+// Filled from the private postcode; coordinates are left off public cards
+export const location = {
+  postcodeDistrict: { schema: { type: 'string' }, nullable: true, read: (row, loc) => loc.postcodeDistrict },
+  postcodeCoords: {
+    schema: {
+      type: 'object',
+      properties: { lat: { type: 'number' }, lon: { type: 'number' } },
+      required: ['lat', 'lon'],
+      additionalProperties: false
+    },
+    nullable: true,
+    optional: true,
+    read: (row, loc) => loc.postcodeCoords
+  }
+};
+
+// Added to list results on near= searches only
+const EXTRA_PROPERTIES = {
+  distanceMiles: { type: ['number', 'null'], description: 'Miles from the near= postcode' }
+};
+
+// ---- Serializer ----
+
+function placeholder(field, version) {
+  return version === 1 && Object.hasOwn(field, 'v1') ? field.v1 : undefined;
+}
+
+function schemaFor(field, version) {
+  const fallback = placeholder(field, version);
+  const schema = { ...field.schema };
+  if (!field.nullable) return schema;
+
+  // A version 1 placeholder replaces null, possibly with a string in a number
+  // field. Redacted fields can still come out null on public cards.
+  if (fallback !== undefined && !field.redacted) {
+    if (schema.type !== 'string') schema.type = [schema.type, 'string'];
+    return schema;
+  }
+  schema.type = [schema.type, 'null'];
+  return schema;
+}
+
+/**
+ * Build a serializer from a field table. Objects end with `type` set to the
+ * sector; `types` lists every value the published schema allows (both
+ * sectors for the search shape).
+ */
+export function defineSerializer({ type, types = [type], fields }) {
+  const entries = Object.entries(fields);
+
+  return {
+    fieldNames: [...entries.map(([name]) => name), 'type', ...Object.keys(EXTRA_PROPERTIES)],
+
+    serialize(row, loc, { version = 1 } = {}) {
+      const candidate = {};
+      for (const [name, field] of entries) {
+        const value = field.read(row, loc);
+        candidate[name] = value ?? placeholder(field, version) ?? value;
+      }
+      candidate.type = type;
+      return candidate;
+    },
+
+    schema(version, { id, title }) {
+      const properties = Object.fromEntries(entries.map(([name, field]) => [name, schemaFor(field, version)]));
+      properties.type = types.length === 1 ? { const: types[0] } : { enum: types };
+
+      return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: id,
+        title,
+        type: 'object',
+        properties: { ...properties, ...EXTRA_PROPERTIES },
+        required: [...entries.filter(([, field]) => !field.optional).map(([name]) => name), 'type'],
+        additionalProperties: false
+      };
+    }
+  };
+}
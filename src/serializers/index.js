@@ -0,0 +1,142 @@
+// ========== src/serializers/index.js ==========
+// Everything between a candidate row and the JSON the API sends: per-sector
+// serializers, the redacted public card, ?fields= sparse fieldsets and the
+// published JSON Schemas.
+import { parseSalary } from '../utils/candidateFilters.js';
+import sewing from './sewing.js';
+import upholstery from './upholstery.js';
+import search from './search.js';
+
+export { parseList, parseYears } from './fields.js';
+
+export const candidateSerializers = { sewing, upholstery };
+export const searchSerializers = search;
+
+export function toLocation(coords) {
+  if (!coords) {
+    return { postcodeDistrict: null, postcodeCoords: null };
+  }
+
+  return {
+    postcodeDistrict: coords.postcodeDistrict,
+    postcodeCoords: { lat: coords.lat, lon: coords.lon }
+  };
+}
+
+// Public card for anonymous visitors and candidate accounts: no coordinates
+// (a full postcode geocodes to within a few streets), distance to the nearest
+// mile and the salary as a band rather than the exact figure.
+export function redactCandidate(candidate) {
+  const { postcodeCoords, ...card } = candidate;
+  if (card.distanceMiles !== undefined && card.distanceMiles !== null) {
+    card.distanceMiles = Math.round(card.distanceMiles);
+  }
+  if (card.desiredSalary) {
+    card.desiredSalary = salaryBand(card.desiredSalary);
+  }
+  return card;
+}
+
+// Annual salaries in £5k bands, hourly rates in £2 bands. Text without a
+// figure ("Competitive", "Negotiable") is left alone.
+export function salaryBand(text) {
+  const amount = parseSalary(text);
+  if (amount === null) return /\d/.test(text) ? null : text;
+  const step = amount >= 1000 ? 5000 : 2;
+  const low = Math.floor(amount / step) * step;
+  return amount >= 1000
+    ? `£${low / 1000}k-£${(low + step) / 1000}k`
+    : `£${low}-£${low + step} per hour`;
+}
+
+// ========== SPARSE FIELDSETS ==========
+
+/**
+ * Parse ?fields=id,role,machines against the fields a serializer produces.
+ * Returns { fields } (null when the parameter is absent) or { error }.
+ */
+export function parseFields(value, serializer) {
+  if (value === undefined || value === '') return { fields: null };
+
+  const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !serializer.fieldNames.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}. Available fields: ${serializer.fieldNames.join(', ')}` };
+  }
+  return { fields };
+}
+
+// Fields missing from the object (coordinates on a public card, distance
+// outside near= searches) are left out rather than sent as null
+export function pickFields(candidate, fields) {
+  if (!fields) return candidate;
+  return Object.fromEntries(fields.filter(field => field in candidate).map(field => [field, candidate[field]]));
+}
+
+// ========== JSON SCHEMAS ==========
+
+const SCHEMA_TITLES = {
+  'sewing-candidate': ['Sewing candidate', sewing],
+  'upholstery-candidate': ['Upholstery candidate', upholstery],
+  'search-candidate': ['Candidate from either sector', search.sewing]
+};
+
+export const SCHEMA_NAMES = [
+  ...Object.keys(SCHEMA_TITLES),
+  'sewing-candidate-list',
+  'upholstery-candidate-list',
+  'search-response'
+];
+
+const schemaId = (version, name) => `/api/v${version}/schemas/${name}`;
+
+/**
+ * The JSON Schema for one response shape in the given API version, or null.
+ */
+export function responseSchema(version, name) {
+  if (SCHEMA_TITLES[name]) {
+    const [title, serializer] = SCHEMA_TITLES[name];
+    return serializer.schema(version, { id: schemaId(version, name), title });
+  }
+
+  const envelope = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: schemaId(version, name)
+  };
+
+  switch (name) {
+    case 'sewing-candidate-list':
+    case 'upholstery-candidate-list':
+      return {
+        ...envelope,
+        title: `Page of ${name.split('-')[0]} candidates (totals in the X-Total-Count and X-Total-Pages headers)`,
+        type: 'array',
+        items: { $ref: name.replace('-list', '') }
+      };
+    case 'search-response':
+      return {
+        ...envelope,
+        title: 'Cross-sector search results',
+        type: 'object',
+        properties: {
+          results: { type: 'array', items: { $ref: 'search-candidate' } },
+          total: { type: 'integer', minimum: 0 },
+          page: { type: 'integer', minimum: 1 },
+          limit: { type: 'integer', minimum: 1 },
+          totalPages: { type: 'integer', minimum: 1 },
+          warnings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { type: { type: 'string' }, message: { type: 'string' } },
+              required: ['type', 'message']
+            }
+          }
+        },
+        required: ['results', 'total', 'page', 'limit', 'totalPages', 'warnings'],
+        additionalProperties: false
+      };
+    default:
+      return null;
+  }
+}
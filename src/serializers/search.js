@@ -0,0 +1,43 @@
+// ========== src/serializers/search.js ==========
+// Cross-sector shape used by /api/search and /api/matches: the same field names
+// for both trades, null (or an empty list) where a sector doesn't record
+// something, and a `type` discriminator. It has used nulls from the start, so
+// it is the same in every API version.
+import { SECTORS } from '../utils/candidateFilters.js';
+import { defineSerializer, identity, location, text, list, years, timestamp } from './fields.js';
+
+const TYPES = Object.keys(SECTORS);
+const none = { schema: { type: 'array', items: { type: 'string' } }, read: () => [] };
+const missing = schema => ({ schema, nullable: true, read: () => null });
+
+function searchFields(sector) {
+  const { listColumns } = SECTORS[sector];
+
+  return {
+    ...identity,
+    role: text('job_title'),
+    location: text('city'),
+    ...location,
+    yearsExperience: years('years_experience'),
+    availability: text('status'),
+    noticePeriod: sector === 'upholstery' ? text('availability') : missing({ type: 'string' }),
+    sector: text('sector'),
+    workType: text('work_type'),
+    machines: list(listColumns.machines),
+    techniques: list(listColumns.techniques),
+    products: list(listColumns.products),
+    materials: listColumns.materials ? list(listColumns.materials) : none,
+    desiredSalary: text('desired_salary'),
+    travelDistance: text('travel_distance'),
+    driversLicense: text('drivers_license'),
+    ownVehicle: text('own_vehicle'),
+    willingToRelocate: text('willing_to_relocate'),
+    createdAt: timestamp('created_at')
+  };
+}
+
+// One serializer per sector (the columns differ), sharing a single schema
+export default Object.fromEntries(TYPES.map(sector => [
+  sector,
+  defineSerializer({ type: sector, types: TYPES, fields: searchFields(sector) })
+]));
@@ -0,0 +1,24 @@
+// ========== src/serializers/sewing.js ==========
+// Sewing candidates (candidates_public) as served by /api/candidates.
+import { defineSerializer, identity, location, text, list, years } from './fields.js';
+
+export default defineSerializer({
+  type: 'sewing',
+  fields: {
+    ...identity,
+    role: text('job_title'),
+    location: text('city'),
+    ...location,
+    yearsExperience: years('years_experience'),
+    availability: text('status', { v1: 'Unknown' }),
+    sector: text('sector'),
+    workType: text('work_type'),
+    machines: list('machines'),
+    products: list('products'),
+    materials: list('materials'),
+    sewingTechniques: list('sewing_techniques'),
+    // Public cards show a band, or null when the figure can't be read
+    desiredSalary: text('desired_salary', { v1: 'Competitive', redacted: true }),
+    travelDistance: text('travel_distance')
+  }
+});
@@ -0,0 +1,31 @@
+// ========== src/serializers/upholstery.js ==========
+// Upholstery candidates (upholstery_public) as served by /api/upholstery.
+// Most columns are optional on the upholstery sign-up form, hence the
+// version 1 placeholders.
+import { defineSerializer, identity, location, text, list, years } from './fields.js';
+
+const NOT_SPECIFIED = 'Not specified';
+
+export default defineSerializer({
+  type: 'upholstery',
+  fields: {
+    ...identity,
+    role: text('job_title', { v1: 'Upholsterer' }),
+    location: text('city', { v1: '' }),
+    ...location,
+    yearsExperience: years('years_experience', { v1: NOT_SPECIFIED }),
+    availability: text('status', { v1: NOT_SPECIFIED }),
+    // The upholstery table calls the notice period "availability"
+    noticePeriod: text('availability', { v1: NOT_SPECIFIED }),
+    sector: text('sector', { v1: 'Upholstery' }),
+    workType: text('work_type', { v1: NOT_SPECIFIED }),
+    travelDistance: text('travel_distance', { v1: NOT_SPECIFIED }),
+    driversLicense: text('drivers_license', { v1: NOT_SPECIFIED }),
+    ownVehicle: text('own_vehicle', { v1: NOT_SPECIFIED }),
+    products: list('products'),
+    techniques: list('techniques'),
+    sewingMachineExperience: text('sewing_machine_experience', { v1: 'None' }),
+    sewingMachines: list('sewing_machines_used'),
+    willingToRelocate: text('willing_to_relocate', { v1: NOT_SPECIFIED })
+  }
+});
@@ -0,0 +1,25 @@
+// ========== src/services/auditLog.js ==========
+// Append-only audit trail, stored in the audit_log table of whichever project
+// owns the record being acted on.
+
+import { logger } from '../utils/logger.js';
+
+/**
+ * Record an action. Failures are logged, not thrown: the action itself has
+ * already happened by the time we audit it.
+ */
+export async function recordAudit(supabase, { actor, action, targetType, targetId, details = null }) {
+  const { error } = await supabase.from('audit_log').insert({
+    actor_id: actor?.id || null,
+    actor_email: actor?.email || null,
+    action,
+    target_type: targetType,
+    target_id: targetId === undefined || targetId === null ? null : String(targetId),
+    details,
+    created_at: new Date().toISOString()
+  });
+
+  if (error) {
+    logger.error('Audit log write failed', { action, targetType, targetId, error: error.message });
+  }
+}
@@ -0,0 +1,97 @@
+// ========== src/services/candidateCache.js ==========
+// Cache for the public candidate lists and lookups. A list page costs two
+// table reads and a geocoding pass, and the data behind it changes rarely,
+// so the loaded candidates are kept for a short TTL. What's cached is the
+// data, before it's cut down for the caller (redaction, ?fields=), so every
+// audience shares one entry.
+//
+// Writes don't delete entries. Each sector has a generation that is part of
+// every key, and invalidate(sector) replaces it, so the old entries are never
+// read again and age out of the store. Because the generation lives in the
+// store too, instances sharing a store see each other's invalidations.
+//
+// A store is any object with (all may return promises):
+//   get(key)                 → value, or undefined
+//   set(key, value, ttlMs)
+import crypto from 'node:crypto';
+import { LruCache } from '../utils/lruCache.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_CANDIDATE_CACHE = {
+  ttlMs: 60 * 1000,
+  // Cache-Control max-age for clients and CDNs; 0 makes them revalidate every time
+  maxAgeSeconds: 0
+};
+
+// Generations outlive any entry made under them
+const GENERATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-process store. Each instance caches on its own, so one instance's
+ * writes only reach the others' caches once their entries expire.
+ */
+export function createMemoryCacheStore({ maxEntries = 1000 } = {}) {
+  const entries = new LruCache({ maxEntries });
+  return {
+    get: key => entries.get(key),
+    set: (key, value, ttlMs) => entries.set(key, value, ttlMs)
+  };
+}
+
+/**
+ * The cache. ttlMs 0 turns it off: every call loads.
+ *
+ * Returns { wrap(sector, key, load, { cacheable }), invalidate(sector) }.
+ */
+export function createCandidateCache({ store = createMemoryCacheStore(), ttlMs = DEFAULT_CANDIDATE_CACHE.ttlMs } = {}) {
+  const generationKey = sector => `candidates:${sector}:generation`;
+
+  async function generation(sector) {
+    const current = await store.get(generationKey(sector));
+    if (current) return current;
+
+    const fresh = crypto.randomUUID();
+    await store.set(generationKey(sector), fresh, GENERATION_TTL_MS);
+    return fresh;
+  }
+
+  return {
+    /**
+     * load()'s result for this sector and key, from the cache when there.
+     * Results cacheable(result) rejects (errors, not found) are returned but
+     * not kept. A store that fails is logged and bypassed.
+     */
+    async wrap(sector, key, load, { cacheable = result => result != null } = {}) {
+      if (!ttlMs) return load();
+
+      let entryKey;
+      try {
+        entryKey = `candidates:${sector}:${await generation(sector)}:${key}`;
+        const hit = await store.get(entryKey);
+        if (hit !== undefined) return hit;
+      } catch (error) {
+        logger.error('Candidate cache store error', { sector, error });
+        return load();
+      }
+
+      const result = await load();
+      if (cacheable(result)) {
+        try {
+          await store.set(entryKey, result, ttlMs);
+        } catch (error) {
+          logger.error('Candidate cache store error', { sector, error });
+        }
+      }
+      return result;
+    },
+
+    // Everything cached for the sector so far goes stale
+    async invalidate(sector) {
+      try {
+        await store.set(generationKey(sector), crypto.randomUUID(), GENERATION_TTL_MS);
+      } catch (error) {
+        logger.error('Candidate cache invalidation failed', { sector, error });
+      }
+    }
+  };
+}
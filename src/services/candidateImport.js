@@ -0,0 +1,193 @@
+// ========== src/services/candidateImport.js ==========
+// Bulk candidate import from a CSV file (a spreadsheet saved as CSV). The
+// header row names the columns, using the same field names as the candidate
+// profile API (firstName, jobTitle, machines, ...) plus email, which every row
+// needs, and an optional candidateId. Headers are matched loosely, so
+// "First name", "first_name" and "firstName" are the same column. List
+// columns take comma-separated values inside the one cell.
+//
+// Rows are matched to existing candidates by candidateId, or by email (in any
+// case) when the row has no ID. Matches are updated (or skipped with
+// onDuplicate: 'skip'); everything else is created. Candidates who manage
+// their own profile are never changed by an import: those rows are errors. Invalid rows are reported and left out, so one
+// bad row doesn't hold up the rest. A dry run does all of the checking and
+// reports what would happen without writing anything.
+import { parseCsv } from '../utils/csv.js';
+import { validate } from '../utils/validation.js';
+import { CANDIDATE_PROFILE_FIELDS, toProfileColumns } from '../utils/candidateProfileFields.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+export const DUPLICATE_ACTIONS = ['update', 'skip'];
+
+// Profile fields take JSON arrays from the API; in a CSV cell a list is comma-separated
+const ROW_SCHEMA = {
+  fields: {
+    candidateId: { type: 'string', max: 64 },
+    email: { type: 'email', required: true },
+    ...Object.fromEntries(Object.entries(CANDIDATE_PROFILE_FIELDS).map(([name, rule]) => [
+      name,
+      rule.type === 'array' ? { ...rule, type: 'list' } : rule
+    ]))
+  }
+};
+
+// New candidates need enough for a card to make sense
+const REQUIRED_FOR_CREATE = ['firstName', 'lastName', 'jobTitle'];
+
+export const IMPORT_COLUMNS = Object.keys(ROW_SCHEMA.fields);
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+const COLUMNS_BY_HEADER = new Map(IMPORT_COLUMNS.map(name => [normalizeHeader(name), name]));
+
+// Header row → field names, or { error }
+function readHeader(record) {
+  const columns = record.map(header => COLUMNS_BY_HEADER.get(normalizeHeader(header)));
+
+  const unknown = record.filter((header, i) => !columns[i]);
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Available columns: ${IMPORT_COLUMNS.join(', ')}` };
+  }
+
+  const repeated = columns.filter((name, i) => columns.indexOf(name) !== i);
+  if (repeated.length > 0) {
+    return { error: `Column(s) given more than once: ${[...new Set(repeated)].join(', ')}` };
+  }
+
+  if (!columns.includes('email')) {
+    return { error: 'The file needs an email column' };
+  }
+
+  return { columns };
+}
+
+// One data row → { email, candidateId, contact, card, provided } or { errors }
+function readRow(sector, columns, record) {
+  if (record.length > columns.length) {
+    return { errors: { row: `has ${record.length} cells but the header has ${columns.length} columns` } };
+  }
+
+  const cells = Object.fromEntries(columns.map((name, i) => [name, record[i] ?? '']));
+  const { values, fields } = validate(ROW_SCHEMA, cells);
+  if (fields) return { errors: fields };
+
+  const { contact, card, fields: sectorErrors } = toProfileColumns(sector, values);
+  if (sectorErrors) return { errors: sectorErrors };
+
+  return { email: values.email, candidateId: values.candidateId ?? null, contact, card, provided: values };
+}
+
+/**
+ * Check and (unless dryRun) apply an import for one sector.
+ *
+ *   profiles     candidate profiles repository
+ *   text         the CSV file
+ *   dryRun       report only
+ *   onDuplicate  'update' (default) or 'skip' rows matching an existing candidate
+ *
+ * Resolves to { summary } or, for a file that can't be read at all, { error }.
+ * summary.rows has one entry per data row: { row (line in the file), action
+ * ('create', 'update', 'skip' or 'error'), candidateId, errors? }.
+ */
+export async function importCandidates({ profiles, sector, text, dryRun = false, onDuplicate = 'update' }) {
+  const { records, error: parseError } = parseCsv(text);
+  if (parseError) return { error: parseError };
+  if (records.length === 0) return { error: 'The file is empty' };
+
+  const [headerRecord, ...dataRecords] = records;
+  if (dataRecords.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  }
+
+  const { columns, error: headerError } = readHeader(headerRecord);
+  if (headerError) return { error: headerError };
+
+  // Check every row and catch duplicates within the file
+  const firstByKey = new Map();
+  const rows = dataRecords.map((record) => {
+    const row = { line: record.line, ...readRow(sector, columns, record) };
+    if (row.errors) return row;
+
+    for (const key of [`email:${row.email}`, row.candidateId && `id:${row.candidateId}`].filter(Boolean)) {
+      if (firstByKey.has(key)) {
+        return { line: row.line, errors: { row: `duplicates row ${firstByKey.get(key)}` } };
+      }
+    }
+    firstByKey.set(`email:${row.email}`, row.line);
+    if (row.candidateId) firstByKey.set(`id:${row.candidateId}`, row.line);
+    return row;
+  });
+
+  const valid = rows.filter(row => !row.errors);
+  const { rows: existingRows, error: lookupError } = await profiles.findContacts(sector, {
+    emails: valid.map(row => row.email),
+    candidateIds: valid.map(row => row.candidateId).filter(Boolean)
+  });
+  if (lookupError) throw new Error(`Existing candidate lookup failed: ${lookupError.message}`);
+
+  const byId = new Map(existingRows.map(row => [row.candidate_id, row]));
+  const byEmail = new Map(existingRows.filter(row => row.email).map(row => [row.email.toLowerCase(), row]));
+
+  for (const row of valid) {
+    const sameEmail = byEmail.get(row.email);
+    row.existing = row.candidateId ? byId.get(row.candidateId) : sameEmail;
+
+    if (sameEmail && sameEmail !== row.existing) {
+      row.errors = { email: `email already belongs to candidate ${sameEmail.candidate_id}` };
+    } else if (row.existing?.user_id) {
+      row.errors = { row: `candidate ${row.existing.candidate_id} manages their own profile, so it can't be imported over` };
+    } else if (!row.existing) {
+      const missing = REQUIRED_FOR_CREATE.filter(name => row.provided[name] === undefined);
+      if (missing.length > 0) {
+        row.errors = Object.fromEntries(missing.map(name => [name, `${name} is required for new candidates`]));
+      }
+    }
+
+    if (!row.errors) {
+      row.action = !row.existing ? 'create' : onDuplicate === 'skip' ? 'skip' : 'update';
+    }
+  }
+
+  if (!dryRun) {
+    // One at a time: each write is two requests, and the projects are shared with live traffic
+    for (const row of rows.filter(r => r.action === 'create' || r.action === 'update')) {
+      const result = row.action === 'create'
+        ? await profiles.create(sector, {
+          email: row.email,
+          contact: row.contact,
+          card: row.card,
+          ...(row.candidateId && { candidateId: row.candidateId })
+        })
+        : await profiles.update(sector, { contact: row.existing }, {
+          contact: row.existing.email === row.email ? row.contact : { ...row.contact, email: row.email },
+          card: row.card
+        });
+
+      if (result.error) {
+        row.errors = { row: `could not be saved: ${result.error.message}` };
+      } else {
+        row.candidateId = result.profile.contact.candidate_id;
+      }
+    }
+  }
+
+  const results = rows.map(row => ({
+    row: row.line,
+    action: row.errors ? 'error' : row.action,
+    candidateId: row.candidateId ?? row.existing?.candidate_id ?? null,
+    ...(row.errors && { errors: row.errors })
+  }));
+
+  const count = action => results.filter(result => result.action === action).length;
+
+  return {
+    summary: {
+      dryRun,
+      total: results.length,
+      created: count('create'),
+      updated: count('update'),
+      skipped: count('skip'),
+      failed: count('error'),
+      rows: results
+    }
+  };
+}
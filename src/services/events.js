@@ -0,0 +1,50 @@
+// ========== src/services/events.js ==========
+// Things that happened, for whoever outside the request wants to know: today
+// that's the webhook dispatcher (services/webhooks.js). Routes and
+// repositories emit an event once the change is saved; listeners run after
+// the emitting code has moved on, so a slow or failing listener never holds
+// up or fails a request.
+//
+// Every event has the same envelope: { id, type, occurredAt, data }.
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { logger } from '../utils/logger.js';
+
+export const EVENT_TYPES = [
+  'employer.registered',
+  'candidate.created',
+  'candidate.availability_changed',
+  'shortlist.stage_changed'
+];
+
+export function createEventBus() {
+  const emitter = new EventEmitter();
+
+  return {
+    /**
+     * Publish an event. Resolves nothing and never throws for a listener's
+     * sake; an unknown type is a programming error, so that does throw.
+     */
+    emit(type, data) {
+      if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+      const event = { id: crypto.randomUUID(), type, occurredAt: new Date().toISOString(), data };
+      emitter.emit('event', event);
+      return event;
+    },
+
+    // listener(event) may be async; failures are logged. Returns an unsubscribe function.
+    subscribe(listener) {
+      const run = (event) => {
+        setImmediate(async () => {
+          try {
+            await listener(event);
+          } catch (error) {
+            logger.error('Event listener failed', { type: event.type, eventId: event.id, error });
+          }
+        });
+      };
+      emitter.on('event', run);
+      return () => emitter.off('event', run);
+    }
+  };
+}
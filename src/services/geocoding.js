@@ -0,0 +1,282 @@
+// ========== src/services/geocoding.js ==========
+// Postcode → coordinates lookups with caching, batching and an offline fallback.
+//
+// A provider is any object with:
+//   name: string
+//   lookup(postcodes: string[]): Promise<Map<string, { lat, lon, postcodeDistrict } | null>>
+// Keys are normalised postcodes (no spaces, upper case). A null value means the
+// provider doesn't know the postcode; throwing means the provider is unreachable.
+
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import { LruCache } from '../utils/lruCache.js';
+import { logger } from '../utils/logger.js';
+
+const require = createRequire(import.meta.url);
+const areaCentroids = require('../data/postcodeAreaCentroids.json');
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = 60 * 60 * 1000;
+const FALLBACK_TTL_MS = 5 * 60 * 1000;
+const BULK_LIMIT = 100;
+
+const POSTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?(\d[A-Z]{2})?$/;
+const OUTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+
+export function normalizePostcode(postcode) {
+  return String(postcode || '').replace(/\s+/g, '').toUpperCase();
+}
+
+export function outwardCode(normalized) {
+  return OUTCODE_PATTERN.test(normalized) ? normalized : normalized.slice(0, -3);
+}
+
+/**
+ * Approximate location from the bundled postcode-area centroids, used when the
+ * provider can't be reached. Good enough to keep radius searches working.
+ */
+export function lookupAreaCentroid(normalized) {
+  if (!POSTCODE_PATTERN.test(normalized)) return null;
+  const district = outwardCode(normalized);
+  const area = district.match(/^[A-Z]+/)[0];
+  const centroid = areaCentroids[area];
+  if (!centroid) return null;
+  return { lat: centroid.lat, lon: centroid.lon, postcodeDistrict: district, approximate: true };
+}
+
+// ========== PROVIDERS ==========
+
+export function createPostcodesIoProvider({
+  baseUrl = 'https://api.postcodes.io',
+  timeoutMs = 5000
+} = {}) {
+  async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`postcodes.io responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function lookupPostcodes(postcodes, results) {
+    for (let i = 0; i < postcodes.length; i += BULK_LIMIT) {
+      const chunk = postcodes.slice(i, i + BULK_LIMIT);
+      const body = await request('/postcodes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ postcodes: chunk })
+      });
+
+      for (const { query, result } of body?.result || []) {
+        results.set(normalizePostcode(query), result ? {
+          lat: result.latitude,
+          lon: result.longitude,
+          postcodeDistrict: result.outward_code
+        } : null);
+      }
+    }
+  }
+
+  // postcodes.io has no bulk outcode endpoint, but outcode-only searches are rare
+  async function lookupOutcode(outcode, results) {
+    const body = await request(`/outcodes/${encodeURIComponent(outcode)}`);
+    const result = body?.result;
+    results.set(outcode, result ? {
+      lat: result.latitude,
+      lon: result.longitude,
+      postcodeDistrict: result.outcode
+    } : null);
+  }
+
+  return {
+    name: 'postcodes.io',
+    async lookup(postcodes) {
+      const results = new Map();
+      const outcodes = postcodes.filter(p => OUTCODE_PATTERN.test(p));
+      await lookupPostcodes(postcodes.filter(p => !OUTCODE_PATTERN.test(p)), results);
+      await Promise.all(outcodes.map(outcode => lookupOutcode(outcode, results)));
+      return results;
+    }
+  };
+}
+
+/**
+ * Provider backed by a fixed table, for tests and offline development.
+ */
+export function createStaticProvider(entries = {}) {
+  const table = new Map(Object.entries(entries).map(([postcode, result]) => [normalizePostcode(postcode), result]));
+  return {
+    name: 'static',
+    async lookup(postcodes) {
+      return new Map(postcodes.map(p => [p, table.get(p) || null]));
+    }
+  };
+}
+
+// ========== PERSISTENT CACHE ==========
+
+/**
+ * JSON file cache that survives restarts. Writes are debounced so a burst of
+ * lookups results in a single write.
+ */
+export function createFileCache(filePath, { writeDelayMs = 1000 } = {}) {
+  let entries = {};
+  let writeTimer = null;
+
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Ignoring unreadable geocode cache', { filePath, error: error.message });
+    }
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      fs.promises.writeFile(filePath, JSON.stringify(entries))
+        .catch(error => logger.warn('Failed to write geocode cache', { filePath, error: error.message }));
+    }, writeDelayMs);
+    writeTimer.unref?.();
+  }
+
+  return {
+    get(key) {
+      const entry = entries[key];
+      if (!entry) return undefined;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        delete entries[key];
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value, ttlMs) {
+      entries[key] = { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 };
+      scheduleWrite();
+    }
+  };
+}
+
+// ========== GEOCODER ==========
+
+/**
+ * Create a geocoder.
+ *
+ * geocode(postcode) calls made in the same tick are collected into one bulk
+ * provider request, and concurrent lookups for the same postcode share a
+ * single request.
+ */
+export function createGeocoder({
+  provider = createPostcodesIoProvider(),
+  cache = new LruCache({ maxEntries: 5000, ttlMs: DEFAULT_TTL_MS }),
+  persistentCache = null,
+  ttlMs = DEFAULT_TTL_MS,
+  fallback = lookupAreaCentroid
+} = {}) {
+  const inFlight = new Map();
+  let pending = null;
+
+  function remember(postcode, value, entryTtlMs, persist = true) {
+    cache.set(postcode, value, entryTtlMs);
+    if (persist) persistentCache?.set(postcode, value, entryTtlMs);
+  }
+
+  async function fetchBatch(postcodes) {
+    try {
+      const results = await provider.lookup(postcodes);
+      for (const postcode of postcodes) {
+        const result = results.get(postcode) || null;
+        if (!result) {
+          logger.warn('Postcode not found', { provider: provider.name, postcode });
+        }
+        remember(postcode, result, result ? ttlMs : NOT_FOUND_TTL_MS);
+      }
+      return results;
+    } catch (error) {
+      logger.warn('Postcode lookup failed, using area centroids', {
+        provider: provider.name,
+        postcodes: postcodes.length,
+        error: error.message
+      });
+      // Only keep fallback answers briefly so we go back to the provider once it recovers
+      const results = new Map();
+      for (const postcode of postcodes) {
+        const result = fallback ? fallback(postcode) : null;
+        remember(postcode, result, FALLBACK_TTL_MS, false);
+        results.set(postcode, result);
+      }
+      return results;
+    }
+  }
+
+  /**
+   * Look up many postcodes at once. Returns a Map keyed by the postcodes as
+   * given; unknown or invalid postcodes map to null.
+   */
+  async function geocodeMany(postcodes) {
+    const lookups = new Map();
+    const toFetch = [];
+
+    for (const postcode of new Set(postcodes.map(normalizePostcode))) {
+      if (!POSTCODE_PATTERN.test(postcode)) {
+        lookups.set(postcode, null);
+        continue;
+      }
+
+      let cached = cache.get(postcode);
+      if (cached === undefined && persistentCache) {
+        cached = persistentCache.get(postcode);
+        if (cached !== undefined) cache.set(postcode, cached);
+      }
+
+      if (cached !== undefined) {
+        lookups.set(postcode, cached);
+      } else if (inFlight.has(postcode)) {
+        lookups.set(postcode, inFlight.get(postcode));
+      } else {
+        toFetch.push(postcode);
+      }
+    }
+
+    if (toFetch.length > 0) {
+      const batch = fetchBatch(toFetch);
+      for (const postcode of toFetch) {
+        const lookup = batch.then(results => results.get(postcode) || null);
+        inFlight.set(postcode, lookup);
+        lookups.set(postcode, lookup);
+        lookup.finally(() => inFlight.delete(postcode));
+      }
+    }
+
+    const results = new Map();
+    for (const postcode of postcodes) {
+      results.set(postcode, await lookups.get(normalizePostcode(postcode)));
+    }
+    return results;
+  }
+
+  function geocode(postcode) {
+    if (!postcode) return Promise.resolve(null);
+
+    if (!pending) {
+      const batch = { postcodes: new Set() };
+      batch.promise = new Promise(resolve => {
+        setImmediate(() => {
+          pending = null;
+          resolve(geocodeMany([...batch.postcodes]));
+        });
+      });
+      pending = batch;
+    }
+
+    pending.postcodes.add(postcode);
+    return pending.promise.then(results => results.get(postcode) ?? null);
+  }
+
+  return { geocode, geocodeMany };
+}
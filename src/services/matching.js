@@ -0,0 +1,178 @@
+// ========== src/services/matching.js ==========
+// Scores candidates against an employer's saved requirements (client_registrations).
+//
+// Candidates are expected in the cross-sector shape used by /api/search, with
+// distanceMiles set when the employer has a postcode. Each criterion scores 0-1;
+// criteria the employer hasn't specified are left out and the remaining weights
+// are rescaled, so an employer who only cares about machines isn't penalised for
+// leaving salary blank. Missing candidate data scores 0.5 (unknown, not a mismatch).
+
+import { parseSalary, parseTravelDistance } from '../utils/candidateFilters.js';
+import { parseList, parseYears } from '../serializers/fields.js';
+
+export const DEFAULT_WEIGHTS = {
+  skills: 0.35,
+  experience: 0.2,
+  salary: 0.15,
+  workType: 0.15,
+  distance: 0.15
+};
+
+// Used when a candidate hasn't said how far they'll travel
+const DEFAULT_TRAVEL_MILES = 30;
+const UNKNOWN = 0.5;
+
+const normalizeWord = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Turn a client_registrations row into the requirements the scorer understands.
+ */
+export function requirementsFromRegistration(registration) {
+  return {
+    skills: [...parseList(registration.machines), ...parseList(registration.techniques)],
+    yearsExperience: parseYears(registration.experience_required),
+    salaryFrom: parseSalary(registration.salary_from),
+    salaryTo: parseSalary(registration.salary_to),
+    workType: registration.employment_type || null,
+    postcode: registration.postcode || null
+  };
+}
+
+function scoreSkills(candidate, requirements) {
+  if (requirements.skills.length === 0) return null;
+
+  const candidateSkills = [...candidate.machines, ...candidate.techniques].map(normalizeWord);
+  const matched = requirements.skills.filter(skill => {
+    const wanted = normalizeWord(skill);
+    return candidateSkills.some(have => have.includes(wanted) || wanted.includes(have));
+  });
+  const missing = requirements.skills.filter(skill => !matched.includes(skill));
+
+  return {
+    score: matched.length / requirements.skills.length,
+    reason: matched.length > 0
+      ? `Has ${matched.length} of ${requirements.skills.length} required skills (${matched.join(', ')})`
+      : `Has none of the required skills (${missing.join(', ')})`,
+    matched,
+    missing
+  };
+}
+
+function scoreExperience(candidate, requirements) {
+  if (!requirements.yearsExperience) return null;
+
+  const years = parseYears(candidate.yearsExperience);
+  if (years === null) {
+    return { score: UNKNOWN, reason: 'Years of experience not stated' };
+  }
+
+  return {
+    score: Math.min(1, years / requirements.yearsExperience),
+    reason: years >= requirements.yearsExperience
+      ? `${years} years' experience meets the ${requirements.yearsExperience} required`
+      : `${years} years' experience, ${requirements.yearsExperience} required`
+  };
+}
+
+function scoreSalary(candidate, requirements) {
+  const { salaryFrom, salaryTo } = requirements;
+  if (salaryFrom === null && salaryTo === null) return null;
+
+  const desired = parseSalary(candidate.desiredSalary);
+  if (desired === null) {
+    return { score: UNKNOWN, reason: 'Desired salary not stated' };
+  }
+
+  const ceiling = salaryTo ?? salaryFrom;
+  if (desired <= ceiling) {
+    return { score: 1, reason: `Desired salary £${desired.toLocaleString('en-GB')} is within budget` };
+  }
+
+  // Falls off linearly, reaching zero at double the budget
+  return {
+    score: Math.max(0, 1 - (desired - ceiling) / ceiling),
+    reason: `Desired salary £${desired.toLocaleString('en-GB')} is above the £${ceiling.toLocaleString('en-GB')} budget`
+  };
+}
+
+function scoreWorkType(candidate, requirements) {
+  if (!requirements.workType) return null;
+
+  if (!candidate.workType) {
+    return { score: UNKNOWN, reason: 'Preferred work type not stated' };
+  }
+
+  const wanted = normalizeWord(requirements.workType);
+  const offered = normalizeWord(candidate.workType);
+  const matches = offered.includes(wanted) || wanted.includes(offered);
+
+  return {
+    score: matches ? 1 : 0,
+    reason: matches
+      ? `Looking for ${candidate.workType} work`
+      : `Looking for ${candidate.workType} work, role is ${requirements.workType}`
+  };
+}
+
+function scoreDistance(candidate, requirements) {
+  if (!requirements.postcode) return null;
+
+  if (candidate.distanceMiles === null || candidate.distanceMiles === undefined) {
+    return { score: UNKNOWN, reason: 'Candidate location unknown' };
+  }
+
+  const limit = parseTravelDistance(candidate.travelDistance) ?? DEFAULT_TRAVEL_MILES;
+  const within = candidate.distanceMiles <= limit;
+
+  return {
+    score: within ? Math.max(0, 1 - candidate.distanceMiles / (limit * 2)) : 0,
+    reason: within
+      ? `${candidate.distanceMiles} miles away, within their ${limit} mile travel range`
+      : `${candidate.distanceMiles} miles away, beyond their ${limit} mile travel range`
+  };
+}
+
+const SCORERS = {
+  skills: scoreSkills,
+  experience: scoreExperience,
+  salary: scoreSalary,
+  workType: scoreWorkType,
+  distance: scoreDistance
+};
+
+/**
+ * Score one candidate. Returns { score (0-100), breakdown, reasons } where the
+ * breakdown has one entry per criterion the employer specified.
+ */
+export function scoreCandidate(candidate, requirements, weights = DEFAULT_WEIGHTS) {
+  const breakdown = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const [criterion, scorer] of Object.entries(SCORERS)) {
+    const result = scorer(candidate, requirements);
+    if (!result || !weights[criterion]) continue;
+
+    breakdown[criterion] = { ...result, score: Math.round(result.score * 100) / 100, weight: weights[criterion] };
+    weighted += result.score * weights[criterion];
+    totalWeight += weights[criterion];
+  }
+
+  const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0;
+
+  // Strongest criteria first so the explanation leads with why they matched
+  const reasons = Object.values(breakdown)
+    .sort((a, b) => b.score * b.weight - a.score * a.weight)
+    .map(entry => entry.reason);
+
+  return { score, breakdown, reasons };
+}
+
+/**
+ * Score and rank a list of candidates, best match first.
+ */
+export function rankCandidates(candidates, requirements, weights = DEFAULT_WEIGHTS) {
+  return candidates
+    .map(candidate => ({ candidate, ...scoreCandidate(candidate, requirements, weights) }))
+    .sort((a, b) => b.score - a.score);
+}
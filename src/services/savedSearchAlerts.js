@@ -0,0 +1,190 @@
+// ========== src/services/savedSearchAlerts.js ==========
+// New-candidate alerts for saved searches. Each run picks the searches whose
+// daily or weekly alert is due, looks for candidates created since that
+// search last ran and emails the employer one digest per search. Every
+// candidate reported goes into the search's match history
+// (saved_search_matches), which is also what stops a candidate who turns up
+// in two runs from being sent twice.
+//
+// Searches live in the employer's project and are run with the service
+// clients, so no user session is needed. A run claims a search by moving its
+// last_run_at on only if it still holds the value that was read, so two
+// instances sharing a project can't send the same digest.
+import { parseCandidateQuery, MAX_LIMIT } from '../utils/candidateFilters.js';
+import { logger } from '../utils/logger.js';
+import { runEvery } from '../utils/schedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ALERT_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+export const ALERT_SETTINGS = [...Object.keys(ALERT_INTERVALS), 'off'];
+
+// Most new candidates one digest lists; it says how many more there are
+const DIGEST_SIZE = 50;
+
+const CANDIDATE_PATHS = { sewing: '/api/candidates', upholstery: '/api/upholstery' };
+
+export const unsubscribePath = (project, token) => `/api/saved-searches/unsubscribe/${project}/${token}`;
+
+function describeCandidate(candidate) {
+  return [
+    candidate.role || 'Candidate',
+    candidate.location || candidate.postcodeDistrict,
+    candidate.yearsExperience !== null && candidate.yearsExperience !== undefined && `${candidate.yearsExperience} years' experience`
+  ].filter(Boolean).join(', ');
+}
+
+// total counts matches beyond the candidates fetched, which aren't listed
+function digest(search, candidates, total, { publicUrl, unsubscribeUrl }) {
+  const listed = candidates.slice(0, DIGEST_SIZE);
+  const lines = listed.map(candidate => (
+    `- ${describeCandidate(candidate)}\n  ${publicUrl}${CANDIDATE_PATHS[search.candidate_type]}/${candidate.candidateId}`
+  ));
+  if (total > listed.length) {
+    lines.push(`...and ${total - listed.length} more. Run the search to see them all.`);
+  }
+
+  const count = total === 1 ? '1 new candidate matches' : `${total} new candidates match`;
+  return {
+    to: search.employer_email,
+    subject: `${count} your saved search "${search.name}"`,
+    text: [
+      `${count} your saved search "${search.name}":`,
+      '',
+      ...lines,
+      '',
+      `You get ${search.alerts} emails like this because you saved this search. To stop them, visit ${unsubscribeUrl}`
+    ].join('\n'),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+/**
+ * The alerts job.
+ *
+ *   clients         service clients by project (searches are read from all of them)
+ *   findCandidates  (type, filters) → { candidates, total } or { error }, the same
+ *                   search the list routes run
+ *   notifier        see services/notifier.js
+ *   publicUrl       base for candidate and unsubscribe links
+ *
+ * Returns { runDue(now), start(intervalMs) }; start runs the job straight
+ * away and then every intervalMs, and returns a function that stops it.
+ */
+export function createSavedSearchAlerts({ clients, findCandidates, notifier, publicUrl = process.env.PUBLIC_API_URL || 'http://localhost:3000' }) {
+  async function alreadyReported(supabase, search, candidateIds) {
+    if (candidateIds.length === 0) return new Set();
+    const { data, error } = await supabase
+      .from('saved_search_matches')
+      .select('candidate_id')
+      .eq('saved_search_id', search.id)
+      .in('candidate_id', candidateIds);
+    if (error) throw new Error(`Match history lookup failed: ${error.message}`);
+    return new Set(data.map(row => row.candidate_id));
+  }
+
+  // Resolves to the number of new candidates reported, or null if another run had claimed it
+  async function runSearch(project, search, now) {
+    const supabase = clients[project];
+    const ranAt = now.toISOString();
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('saved_searches')
+      .update({ last_run_at: ranAt })
+      .eq('id', search.id)
+      .eq('last_run_at', search.last_run_at)
+      .select('id')
+      .maybeSingle();
+    if (claimError) throw new Error(`Could not claim saved search: ${claimError.message}`);
+    if (!claimed) return null;
+
+    try {
+      // Saved filters were checked when they were saved; a filter that has
+      // since stopped parsing fails this search only
+      const { filters, error: filterError } = parseCandidateQuery(search.filters || {}, search.candidate_type);
+      if (filterError) throw new Error(filterError);
+
+      const { candidates, total, error } = await findCandidates(search.candidate_type, {
+        ...filters,
+        createdAfter: search.last_run_at,
+        page: 1,
+        limit: MAX_LIMIT
+      });
+      if (error) throw new Error(error.message);
+
+      const reported = await alreadyReported(supabase, search, candidates.map(c => c.candidateId));
+      const fresh = candidates.filter(c => !reported.has(c.candidateId));
+      if (fresh.length === 0) return 0;
+
+      const unsubscribeUrl = publicUrl + unsubscribePath(project, search.unsubscribe_token);
+      const unfetched = Math.max(0, total - candidates.length);
+      const emailed = await notifier.send(digest(search, fresh, fresh.length + unfetched, { publicUrl, unsubscribeUrl }));
+
+      const { error: historyError } = await supabase.from('saved_search_matches').insert(fresh.map(candidate => ({
+        saved_search_id: search.id,
+        candidate_id: candidate.candidateId,
+        candidate_type: search.candidate_type,
+        role: candidate.role ?? null,
+        location: candidate.location ?? null,
+        emailed,
+        matched_at: ranAt
+      })));
+      if (historyError) logger.error('Saved search history not recorded', { searchId: search.id, error: historyError.message });
+
+      return fresh.length;
+    } catch (error) {
+      // Hand the window back so the next run covers it again
+      await supabase
+        .from('saved_searches')
+        .update({ last_run_at: search.last_run_at })
+        .eq('id', search.id)
+        .eq('last_run_at', ranAt);
+      throw error;
+    }
+  }
+
+  /**
+   * Run every search whose alert is due at `now`. Resolves to
+   * { searches, candidates, failed }: searches run, candidates reported and
+   * searches that failed (logged, and retried next time).
+   */
+  async function runDue(now = new Date()) {
+    const summary = { searches: 0, candidates: 0, failed: 0 };
+
+    for (const [project, supabase] of Object.entries(clients)) {
+      const { data, error } = await supabase.from('saved_searches').select('*').neq('alerts', 'off');
+      if (error) {
+        logger.error('Saved searches could not be loaded', { project, error: error.message });
+        summary.failed++;
+        continue;
+      }
+
+      const due = data.filter(search => (
+        ALERT_INTERVALS[search.alerts] && new Date(search.last_run_at).getTime() + ALERT_INTERVALS[search.alerts] <= now.getTime()
+      ));
+
+      // One at a time: each search is a full candidate query
+      for (const search of due) {
+        try {
+          const reported = await runSearch(project, search, now);
+          if (reported === null) continue;
+          summary.searches++;
+          summary.candidates += reported;
+        } catch (runError) {
+          logger.error('Saved search alert failed', { project, searchId: search.id, error: runError.message });
+          summary.failed++;
+        }
+      }
+    }
+
+    if (summary.searches > 0 || summary.failed > 0) logger.info('Saved search alerts run', summary);
+    return summary;
+  }
+
+  const start = intervalMs => runEvery(intervalMs, () => runDue(), { name: 'Saved search alerts run' });
+
+  return { runDue, start };
+}
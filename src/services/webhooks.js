@@ -0,0 +1,296 @@
+// ========== src/services/webhooks.js ==========
+// Outbound webhooks. Staff register endpoints (webhook_subscriptions) with
+// the event types they want; each matching event becomes a delivery
+// (webhook_deliveries) that is POSTed to the endpoint as the JSON event
+// envelope from services/events.js, signed with the endpoint's secret.
+//
+// A delivery is tried straight away. If the endpoint doesn't answer 2xx in
+// time it is retried with exponential backoff by runDue(), which start()
+// runs on a timer; after maxAttempts it is marked dead, which is the
+// dead-letter list staff can retry from. Every attempt is kept in
+// webhook_delivery_attempts as the delivery log.
+//
+// Subscriptions live in the project of the admin who created them, but
+// events from either project go to all of them.
+//
+// Signature: X-Webhook-Signature is "t=<unix seconds>,v1=<hex>", where the
+// hex is HMAC-SHA256(secret, "<t>.<raw body>"); see verifySignature.
+import crypto from 'node:crypto';
+import { EVENT_TYPES } from './events.js';
+import { logger } from '../utils/logger.js';
+import { runEvery } from '../utils/schedule.js';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'dead'];
+
+// '*' subscribes to everything, including event types added later
+export const SUBSCRIBABLE_EVENTS = ['*', ...EVENT_TYPES];
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 8,
+  // 30s, 1m, 2m, ... so eight attempts span about an hour
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000
+};
+
+const TIMEOUT_MS = 10 * 1000;
+// Rows a retry run picks up per project; the rest wait for the next run
+const RETRY_BATCH_SIZE = 100;
+// Receivers should reject signatures older than this (replayed requests)
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+export const newWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+export const parseEvents = text => String(text || '').split(',').map(type => type.trim()).filter(Boolean);
+
+const hmac = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export function signatureHeader(secret, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header against the raw request body, as a receiver
+ * would. False if it doesn't match or is more than five minutes old.
+ */
+export function verifySignature(secret, header, body, { now = new Date() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now.getTime() - timestamp * 1000) > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const subscribedTo = (subscription, type) => {
+  const events = parseEvents(subscription.events);
+  return events.includes('*') || events.includes(type);
+};
+
+/**
+ * The dispatcher.
+ *
+ *   clients  service clients by project
+ *   retry    overrides for DEFAULT_RETRY_POLICY
+ *
+ * Returns { handle(event), runDue(now), retry(project, deliveryId), flush(), start(intervalMs) }.
+ * handle is the event bus listener; flush resolves once every delivery
+ * started so far has finished its attempt.
+ */
+export function createWebhookDispatcher({ clients, retry = {} }) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  const inFlight = new Set();
+
+  const track = (promise) => {
+    inFlight.add(promise);
+    const done = () => inFlight.delete(promise);
+    promise.then(done, done);
+    return promise;
+  };
+
+  const backoff = attempts => Math.min(policy.baseDelayMs * 2 ** (attempts - 1), policy.maxDelayMs);
+
+  async function send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'candidate-api-webhooks',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Event-Id': delivery.event_id,
+          'X-Webhook-Signature': signatureHeader(subscription.secret, body)
+        },
+        body,
+        // A redirect could point anywhere; endpoints must give their final URL
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      await response.body?.cancel();
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        statusCode: response.status,
+        error: null,
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message, durationMs: Date.now() - started };
+    }
+  }
+
+  // One attempt at a delivery. The attempts count doubles as a claim, so a
+  // retry run and the first attempt can't both send the same try.
+  async function attempt(supabase, subscription, delivery, now = new Date()) {
+    const attempts = delivery.attempts + 1;
+    const { data: claimed, error: claimError } = await supabase
+      .from('webhook_deliveries')
+      .update({ attempts, updated_at: now.toISOString() })
+      .eq('id', delivery.id)
+      .eq('status', 'pending')
+      .eq('attempts', delivery.attempts)
+      .select('id')
+      .maybeSingle();
+    if (claimError) throw new Error(`Could not claim webhook delivery: ${claimError.message}`);
+    if (!claimed) return;
+
+    const result = subscription.enabled === false
+      ? { ok: false, statusCode: null, error: 'Endpoint is disabled', durationMs: 0 }
+      : await send(subscription, delivery);
+
+    const attemptedAt = new Date().toISOString();
+    await supabase.from('webhook_delivery_attempts').insert({
+      delivery_id: delivery.id,
+      attempt: attempts,
+      status_code: result.statusCode,
+      error: result.error,
+      duration_ms: result.durationMs,
+      attempted_at: attemptedAt
+    });
+
+    const giveUp = !result.ok && (attempts >= policy.maxAttempts || subscription.enabled === false);
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status: result.ok ? 'succeeded' : giveUp ? 'dead' : 'pending',
+        last_status_code: result.statusCode,
+        last_error: result.error,
+        next_attempt_at: result.ok || giveUp ? null : new Date(now.getTime() + backoff(attempts)).toISOString(),
+        delivered_at: result.ok ? attemptedAt : null,
+        updated_at: attemptedAt
+      })
+      .eq('id', delivery.id);
+    if (error) logger.error('Webhook delivery not updated', { deliveryId: delivery.id, error: error.message });
+
+    if (!result.ok) {
+      logger.warn('Webhook delivery failed', {
+        deliveryId: delivery.id,
+        attempt: attempts,
+        statusCode: result.statusCode,
+        error: result.error,
+        dead: giveUp
+      });
+    }
+  }
+
+  // Record a delivery for every subscription in every project that wants the event, then try them
+  async function enqueue(event) {
+    for (const [project, supabase] of Object.entries(clients)) {
+      const { data: subscriptions, error } = await supabase.from('webhook_subscriptions').select('*').eq('enabled', true);
+      if (error) {
+        logger.error('Webhook subscriptions could not be loaded', { project, eventId: event.id, error: error.message });
+        continue;
+      }
+
+      for (const subscription of subscriptions.filter(s => subscribedTo(s, event.type))) {
+        const now = new Date().toISOString();
+        const { data: delivery, error: insertError } = await supabase
+          .from('webhook_deliveries')
+          .insert({
+            subscription_id: subscription.id,
+            event_id: event.id,
+            event_type: event.type,
+            payload: event,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now,
+            created_at: now,
+            updated_at: now
+          })
+          .select()
+          .single();
+
+        if (insertError) {
+          logger.error('Webhook delivery not recorded', { project, subscriptionId: subscription.id, eventId: event.id, error: insertError.message });
+          continue;
+        }
+        await attempt(supabase, subscription, delivery);
+      }
+    }
+  }
+
+  /**
+   * Retry every pending delivery that is due at `now`. Resolves to the
+   * number attempted.
+   */
+  async function runDue(now = new Date()) {
+    let attempted = 0;
+
+    for (const [project, supabase] of Object.entries(clients)) {
+      const { data: due, error } = await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(RETRY_BATCH_SIZE);
+      if (error) {
+        logger.error('Webhook retries could not be loaded', { project, error: error.message });
+        continue;
+      }
+      if (due.length === 0) continue;
+
+      const { data: subscriptions } = await supabase
+        .from('webhook_subscriptions')
+        .select('*')
+        .in('id', [...new Set(due.map(delivery => delivery.subscription_id))]);
+      const byId = new Map((subscriptions || []).map(subscription => [subscription.id, subscription]));
+
+      for (const delivery of due) {
+        // Deleting a subscription deletes its deliveries; one missing here is mid-delete
+        const subscription = byId.get(delivery.subscription_id);
+        if (!subscription) continue;
+        await track(attempt(supabase, subscription, delivery, now));
+        attempted++;
+      }
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Send a delivery again from scratch (usually off the dead-letter list).
+   * Resolves to the delivery as requeued, or null if it doesn't exist.
+   */
+  async function retryDelivery(project, deliveryId) {
+    const supabase = clients[project];
+    const now = new Date().toISOString();
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: now, updated_at: now })
+      .eq('id', deliveryId)
+      .select()
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!delivery) return null;
+
+    const { data: subscription } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('id', delivery.subscription_id)
+      .maybeSingle();
+    if (subscription) {
+      track(attempt(supabase, subscription, delivery).catch(attemptError => {
+        logger.error('Webhook retry failed', { deliveryId, error: attemptError });
+      }));
+    }
+    return delivery;
+  }
+
+  return {
+    handle: event => track(enqueue(event)),
+    runDue,
+    retry: retryDelivery,
+
+    async flush() {
+      // Bus listeners start on the next turn of the event loop
+      await new Promise(resolve => setImmediate(resolve));
+      while (inFlight.size > 0) await Promise.allSettled([...inFlight]);
+    },
+
+    start: intervalMs => runEvery(intervalMs, () => runDue(), { name: 'Webhook retry run' })
+  };
+}
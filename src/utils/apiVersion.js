@@ -0,0 +1,49 @@
+// ========== src/utils/apiVersion.js ==========
+// API versioning. Clients pick a version with a path prefix (/api/v2/candidates)
+// or an Accept-Version header (Accept-Version: 2); the prefix wins if both are
+// given. Unversioned requests get version 1, the shapes the existing front end
+// was built against. Version 2 sends null where version 1 sends placeholder
+// strings such as 'Competitive' or 'Not specified'.
+
+export const API_VERSIONS = [1, 2];
+export const DEFAULT_API_VERSION = 1;
+export const LATEST_API_VERSION = Math.max(...API_VERSIONS);
+
+const VERSION_PREFIX = /^\/api\/v(\d+)(?=\/|\?|$)/;
+
+function parseVersion(value) {
+  const match = String(value).trim().match(/^v?(\d+)$/i);
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Sets req.apiVersion and strips any /api/vN prefix so the routes only need
+ * registering once. Answers 400 for versions that don't exist.
+ */
+export function apiVersioning() {
+  return (req, res, next) => {
+    const prefix = req.url.match(VERSION_PREFIX);
+    const header = req.get('Accept-Version');
+
+    let version = DEFAULT_API_VERSION;
+    if (prefix) {
+      version = Number(prefix[1]);
+      req.url = '/api' + req.url.slice(prefix[0].length);
+    } else if (header) {
+      version = parseVersion(header);
+    }
+
+    res.vary('Accept-Version');
+
+    if (!API_VERSIONS.includes(version)) {
+      return res.status(400).json({
+        error: 'Unsupported API version',
+        supportedVersions: API_VERSIONS
+      });
+    }
+
+    req.apiVersion = version;
+    res.set('API-Version', String(version));
+    next();
+  };
+}
@@ -0,0 +1,175 @@
+// ========== src/utils/auth.js ==========
+// Supabase access token verification.
+//
+// Tokens are checked locally: the issuer claim says which project signed the
+// token, and the signature is verified against that project's JWT secret
+// (HS256) or its published signing keys (JWKS, for asymmetric keys). That saves
+// a round-trip to Supabase Auth on every request. Local checks can't see a
+// session that was revoked before the token expired, so routes where that
+// matters (password/email changes, account deletion, logout) use the remote
+// variant, which also asks Supabase Auth.
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// Don't hammer the JWKS endpoint when tokens arrive with an unknown key id
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+export class TokenError extends Error {}
+
+/**
+ * @param {Array<{ accountType, url, client, jwtSecret? }>} projects
+ */
+export function createTokenVerifier({ projects, fetchImpl = (...args) => fetch(...args) }) {
+  const byIssuer = new Map(projects.map(project => [
+    `${project.url.replace(/\/+$/, '')}/auth/v1`,
+    { ...project, jwks: null, jwksFetchedAt: 0 }
+  ]));
+
+  async function loadJwks(project) {
+    const response = await fetchImpl(`${project.url.replace(/\/+$/, '')}/auth/v1/.well-known/jwks.json`, {
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    project.jwks = new Map(keys
+      .filter(key => key.kid)
+      .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+    project.jwksFetchedAt = Date.now();
+  }
+
+  async function signingKey(project, kid) {
+    const age = Date.now() - project.jwksFetchedAt;
+    if (!project.jwks || age > JWKS_TTL_MS || (!project.jwks.has(kid) && age > JWKS_MIN_REFRESH_MS)) {
+      await loadJwks(project);
+    }
+    return project.jwks.get(kid) || null;
+  }
+
+  // Find the issuing project and check the signature. claims is null when
+  // there's no way to check locally (HS256 with no secret configured).
+  async function check(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.payload?.iss) {
+      throw new TokenError('Malformed token');
+    }
+
+    const project = byIssuer.get(decoded.payload.iss);
+    if (!project) {
+      throw new TokenError('Token issued by an unknown project');
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+    if (alg === 'HS256') {
+      if (!project.jwtSecret) return { project, claims: null };
+      key = project.jwtSecret;
+    } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+      key = await signingKey(project, kid);
+      if (!key) throw new TokenError('Unknown signing key');
+    } else {
+      throw new TokenError(`Unsupported algorithm ${alg}`);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, { algorithms: [alg], issuer: decoded.payload.iss });
+    } catch (error) {
+      throw new TokenError(error.message);
+    }
+
+    // anon and service_role keys are valid JWTs too, but they aren't users
+    if (!claims.sub || claims.role !== 'authenticated') {
+      throw new TokenError('Not a user token');
+    }
+
+    return { project, claims };
+  }
+
+  /**
+   * Verify a token locally. Resolves to { user, accountType, client }, or to
+   * { unverified: true } when the signature can't be checked locally.
+   * Throws TokenError if the token is invalid.
+   */
+  async function verify(token) {
+    const { project, claims } = await check(token);
+    if (!claims) return { unverified: true };
+
+    return {
+      accountType: project.accountType,
+      client: project.client,
+      user: {
+        id: claims.sub,
+        email: claims.email,
+        phone: claims.phone,
+        role: claims.role,
+        aud: claims.aud,
+        app_metadata: claims.app_metadata || {},
+        user_metadata: claims.user_metadata || {},
+        session_id: claims.session_id
+      }
+    };
+  }
+
+  /**
+   * Verify a token and confirm with Supabase Auth that the session is still
+   * live. Still routed by issuer, so only one project is asked.
+   */
+  async function verifyRemote(token) {
+    const { project } = await check(token);
+
+    const { data, error } = await project.client.auth.getUser(token);
+    if (error || !data?.user) {
+      throw new TokenError(error?.message || 'Session is no longer valid');
+    }
+
+    return { user: data.user, accountType: project.accountType, client: project.client };
+  }
+
+  return { verify, verifyRemote };
+}
+
+/**
+ * Express middleware that sets req.user, req.supabase, req.accountType and
+ * req.accessToken. With { remote: true } the session is also checked with
+ * Supabase Auth. With { optional: true } requests without a token carry on
+ * anonymously (req.user stays unset); a bad token is still rejected so the
+ * client knows to refresh it.
+ */
+export function createAuthMiddleware(verifier, { remote = false, optional = false } = {}) {
+  return async function verifySupabaseToken(req, res, next) {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+
+      if (!token) {
+        if (optional) return next();
+        req.log.warn('No token provided for protected route');
+        return res.status(401).json({ error: 'No token provided' });
+      }
+
+      let result = remote ? await verifier.verifyRemote(token) : await verifier.verify(token);
+
+      // No local key for this project - fall back to asking Supabase
+      if (result.unverified) {
+        result = await verifier.verifyRemote(token);
+      }
+
+      req.user = result.user;
+      req.supabase = result.client;
+      req.accountType = result.accountType;
+      req.accessToken = token;
+      next();
+    } catch (error) {
+      if (error instanceof TokenError) {
+        req.log.warn('Invalid or expired token', { error: error.message });
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+      req.log.error('Token verification error', { error });
+      return res.status(500).json({ error: 'Token verification error' });
+    }
+  };
+}
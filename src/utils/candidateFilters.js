@@ -0,0 +1,281 @@
+// ========== src/utils/candidateFilters.js ==========
+// Query-string parsing and Supabase filter building for the candidate list routes.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+// /api/search loads every row up to the end of the requested page from each
+// project, so page × limit is capped there rather than fetching whole tables
+export const MAX_SEARCH_DEPTH = 1000;
+export const SORTS = ['newest', 'experience', 'nearest'];
+
+// Per-sector table and column layout. List columns hold comma-separated values.
+export const SECTORS = {
+  sewing: {
+    publicTable: 'candidates_public',
+    privateTable: 'candidates_private',
+    keywordColumns: ['job_title', 'city', 'sector', 'work_type', 'machines', 'products', 'materials', 'sewing_techniques'],
+    listColumns: {
+      machines: 'machines',
+      techniques: 'sewing_techniques',
+      products: 'products',
+      materials: 'materials'
+    }
+  },
+  upholstery: {
+    publicTable: 'upholstery_public',
+    privateTable: 'upholstery_private',
+    keywordColumns: ['job_title', 'city', 'sector', 'work_type', 'products', 'techniques', 'sewing_machines_used'],
+    listColumns: {
+      machines: 'sewing_machines_used',
+      techniques: 'techniques',
+      products: 'products'
+    }
+  }
+};
+
+const LIST_PARAMS = ['machines', 'techniques', 'products', 'materials'];
+
+// Who a candidate's profile is shown to, as they chose it. Rows from before
+// candidates managed their own profiles have no visibility and count as visible.
+//   visible    listed and searchable
+//   anonymous  listed, but without postcode-level location (no district,
+//              coordinates or distances) - their town is all employers see
+//   hidden     not listed or viewable; the profile is kept for later
+export const VISIBILITIES = ['visible', 'anonymous', 'hidden'];
+
+/**
+ * Narrow a query on a *_public table to rows the public may see: not hidden
+ * by a moderator and not hidden by the candidate.
+ */
+export function publiclyVisible(query) {
+  return query
+    .not('hidden', 'is', true)
+    .or('visibility.is.null,visibility.neq.hidden');
+}
+
+// Anonymous candidates don't get their postcode looked up
+export const sharesLocation = row => row.visibility !== 'anonymous';
+
+// Strip anything with a meaning in PostgREST filter syntax (commas, parens, wildcards)
+function sanitizeTerm(value) {
+  return String(value)
+    .replace(/[^\p{L}\p{N}\s'&/.+-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseList(value) {
+  if (value === undefined) return [];
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw.split(',').map(sanitizeTerm).filter(Boolean);
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return { value: undefined };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    return { error: `${name} must be a non-negative number` };
+  }
+  return { value: number };
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === '') return { value: fallback };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    return { error: `${name} must be an integer of at least ${min}` };
+  }
+  return { value: Math.min(number, max) };
+}
+
+// Pull the first figure out of free-text salaries like "£25,000", "25k" or "£22k - £26k"
+export function parseSalary(text) {
+  if (typeof text === 'number') return text;
+  if (!text) return null;
+  const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/i);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return match[2] ? amount * 1000 : amount;
+}
+
+// Candidate travel distances are free text ("10 miles", "Up to 25", "15km").
+// Returns miles, or null when there's no usable limit ("Anywhere", "Not specified").
+export function parseTravelDistance(text) {
+  if (typeof text === 'number') return text;
+  if (!text) return null;
+  const match = String(text).match(/(\d+(?:\.\d+)?)\s*(km|kilomet)?/i);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return match[2] ? amount * 0.621371 : amount;
+}
+
+/**
+ * Parse list-route query parameters into a filters object.
+ * Returns { filters } on success or { error } with a message suitable for a 400.
+ * Without a sector (cross-sector search) every list filter is accepted.
+ */
+export function parseCandidateQuery(query, sector) {
+  const filters = {
+    keyword: query.q ? sanitizeTerm(query.q) : '',
+    sector: parseList(query.sector),
+    workType: parseList(query.workType),
+    availability: parseList(query.availability),
+    match: query.match === 'all' ? 'all' : 'any',
+    near: query.near ? String(query.near).trim() : null,
+    lists: {}
+  };
+
+  // Searching near a postcode ranks by distance unless another order is asked for
+  filters.sort = query.sort || (filters.near ? 'nearest' : 'newest');
+
+  if (query.match !== undefined && !['any', 'all'].includes(query.match)) {
+    return { error: 'match must be one of: any, all' };
+  }
+
+  for (const param of LIST_PARAMS) {
+    const values = parseList(query[param]);
+    if (values.length === 0) continue;
+    if (sector && !SECTORS[sector].listColumns[param]) {
+      return { error: `${param} filter is not available for ${sector} candidates` };
+    }
+    filters.lists[param] = values;
+  }
+
+  const numbers = {
+    minExperience: parseNumber(query.minExperience, 'minExperience'),
+    salaryMin: parseNumber(query.salaryMin, 'salaryMin'),
+    salaryMax: parseNumber(query.salaryMax, 'salaryMax'),
+    radius: parseNumber(query.radius, 'radius'),
+    page: parseInteger(query.page, 'page', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: 1 }),
+    limit: parseInteger(query.limit, 'limit', { min: 1, max: MAX_LIMIT, fallback: DEFAULT_LIMIT })
+  };
+
+  for (const [name, result] of Object.entries(numbers)) {
+    if (result.error) return { error: result.error };
+    filters[name] = result.value;
+  }
+
+  if (filters.salaryMin !== undefined && filters.salaryMax !== undefined && filters.salaryMin > filters.salaryMax) {
+    return { error: 'salaryMin must not be greater than salaryMax' };
+  }
+
+  if (!SORTS.includes(filters.sort)) {
+    return { error: `sort must be one of: ${SORTS.join(', ')}` };
+  }
+
+  if (filters.radius !== undefined && !filters.near) {
+    return { error: 'radius requires a near=<postcode> parameter' };
+  }
+
+  if (filters.sort === 'nearest' && !filters.near) {
+    return { error: 'sort=nearest requires a near=<postcode> parameter' };
+  }
+
+  return { filters };
+}
+
+/**
+ * Whether the request needs filtering or sorting that Supabase can't do for us
+ * (free-text salaries, anything distance-based). Those requests load every
+ * matching row and paginate in memory; everything else is paginated by the database.
+ */
+export function needsInMemoryProcessing(filters) {
+  return filters.salaryMin !== undefined ||
+    filters.salaryMax !== undefined ||
+    Boolean(filters.near);
+}
+
+/**
+ * Whether a sector can satisfy the list filters at all (e.g. upholstery rows
+ * have no materials column, so a materials search can't match them).
+ */
+export function supportsListFilters(filters, sector) {
+  return Object.keys(filters.lists).every(param => SECTORS[sector].listColumns[param]);
+}
+
+function anyOf(column, values) {
+  return values.map(value => `${column}.ilike.%${value}%`).join(',');
+}
+
+/**
+ * Apply the database-side filters and sort order to a Supabase select query.
+ */
+export function applyCandidateFilters(query, filters, sector) {
+  const config = SECTORS[sector];
+
+  query = publiclyVisible(query);
+
+  if (filters.keyword) {
+    query = query.or(config.keywordColumns.map(column => `${column}.ilike.%${filters.keyword}%`).join(','));
+  }
+
+  if (filters.sector.length > 0) query = query.or(filters.sector.map(v => `sector.ilike.${v}`).join(','));
+  if (filters.workType.length > 0) query = query.or(filters.workType.map(v => `work_type.ilike.${v}`).join(','));
+  if (filters.availability.length > 0) query = query.or(filters.availability.map(v => `status.ilike.${v}`).join(','));
+
+  if (filters.minExperience !== undefined) {
+    query = query.gte('years_experience', filters.minExperience);
+  }
+
+  // Only saved search alerts set this; it isn't a query parameter
+  if (filters.createdAfter) {
+    query = query.gt('created_at', filters.createdAfter);
+  }
+
+  for (const [param, values] of Object.entries(filters.lists)) {
+    const column = config.listColumns[param];
+    if (filters.match === 'all') {
+      for (const value of values) query = query.ilike(column, `%${value}%`);
+    } else {
+      query = query.or(anyOf(column, values));
+    }
+  }
+
+  // created_at alone isn't unique, so id breaks ties to keep pages stable
+  if (filters.sort === 'experience') {
+    query = query.order('years_experience', { ascending: false, nullsFirst: false });
+  }
+  return query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+}
+
+/**
+ * Filters applied after rows are mapped to API objects.
+ */
+export function matchesInMemoryFilters(candidate, filters) {
+  if (filters.salaryMin !== undefined || filters.salaryMax !== undefined) {
+    const salary = parseSalary(candidate.desiredSalary);
+    if (salary === null) return false;
+    if (filters.salaryMin !== undefined && salary < filters.salaryMin) return false;
+    if (filters.salaryMax !== undefined && salary > filters.salaryMax) return false;
+  }
+
+  // distanceMiles is only set on near= searches
+  if (candidate.distanceMiles !== undefined) {
+    if (filters.radius !== undefined) {
+      if (candidate.distanceMiles === null || candidate.distanceMiles > filters.radius) return false;
+    }
+    // Don't list candidates for work further away than they're willing to travel
+    const travelLimit = parseTravelDistance(candidate.travelDistance);
+    if (travelLimit !== null && candidate.distanceMiles !== null && candidate.distanceMiles > travelLimit) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+export function paginate(items, { page, limit }) {
+  const start = (page - 1) * limit;
+  return items.slice(start, start + limit);
+}
+
+export function setPaginationHeaders(res, { page, limit }, total) {
+  res.set({
+    'X-Total-Count': String(total),
+    'X-Page': String(page),
+    'X-Limit': String(limit),
+    'X-Total-Pages': String(Math.max(1, Math.ceil(total / limit)))
+  });
+}
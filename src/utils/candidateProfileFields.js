@@ -0,0 +1,113 @@
+// ========== src/utils/candidateProfileFields.js ==========
+// The fields a candidate profile is written with - by candidates themselves
+// (routes/candidateProfileRouter.js) and by staff importing spreadsheets
+// (services/candidateImport.js) - and how they map onto each sector's
+// private and public columns.
+import { SECTORS, VISIBILITIES } from './candidateFilters.js';
+
+export const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Contract', 'Temporary', 'Apprenticeship', 'Freelance'];
+
+// Candidate availability, stored in the status column the ?availability= filter reads
+export const AVAILABILITIES = ['Available now', 'Available soon', 'Open to offers', 'Not looking'];
+
+const YES_NO = ['Yes', 'No'];
+
+// Validation rules (utils/validation.js) for every profile field
+export const CANDIDATE_PROFILE_FIELDS = {
+  firstName: { type: 'string', max: 100, description: 'Private: only shared through an accepted introduction' },
+  lastName: { type: 'string', max: 100, description: 'Private' },
+  phone: { type: 'string', max: 30, description: 'Private' },
+  postcode: { type: 'postcode', description: 'Private. Employers see the district unless visibility is anonymous' },
+  jobTitle: { type: 'string', max: 120 },
+  city: { type: 'string', max: 100 },
+  yearsExperience: { type: 'integer', min: 0, max: 70 },
+  availability: { type: 'enum', values: AVAILABILITIES },
+  noticePeriod: { type: 'string', max: 50, description: 'Upholstery only' },
+  sector: { type: 'string', max: 100 },
+  workType: { type: 'enum', values: EMPLOYMENT_TYPES },
+  travelDistance: { type: 'integer', min: 0, max: 500, description: 'Miles' },
+  desiredSalary: { type: 'string', max: 50, description: 'Sewing only' },
+  machines: { type: 'array', max: 30 },
+  techniques: { type: 'array', max: 30 },
+  products: { type: 'array', max: 30 },
+  materials: { type: 'array', max: 30, description: 'Sewing only' },
+  driversLicense: { type: 'enum', values: YES_NO, description: 'Upholstery only' },
+  ownVehicle: { type: 'enum', values: YES_NO, description: 'Upholstery only' },
+  willingToRelocate: { type: 'enum', values: YES_NO, description: 'Upholstery only' },
+  sewingMachineExperience: { type: 'enum', values: YES_NO, description: 'Upholstery only' },
+  visibility: { type: 'enum', values: VISIBILITIES, description: 'visible (default), anonymous (no postcode district) or hidden' }
+};
+
+// Field → *_private column
+const CONTACT_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  phone: 'phone',
+  postcode: 'postcode'
+};
+
+// Field → *_public column. List fields (machines, techniques, ...) come from
+// SECTORS[sector].listColumns.
+const CARD_COLUMNS = {
+  sewing: {
+    jobTitle: 'job_title',
+    city: 'city',
+    yearsExperience: 'years_experience',
+    availability: 'status',
+    sector: 'sector',
+    workType: 'work_type',
+    travelDistance: 'travel_distance',
+    desiredSalary: 'desired_salary',
+    visibility: 'visibility'
+  },
+  upholstery: {
+    jobTitle: 'job_title',
+    city: 'city',
+    yearsExperience: 'years_experience',
+    availability: 'status',
+    // The upholstery table calls the notice period "availability"
+    noticePeriod: 'availability',
+    sector: 'sector',
+    workType: 'work_type',
+    travelDistance: 'travel_distance',
+    driversLicense: 'drivers_license',
+    ownVehicle: 'own_vehicle',
+    willingToRelocate: 'willing_to_relocate',
+    sewingMachineExperience: 'sewing_machine_experience',
+    visibility: 'visibility'
+  }
+};
+
+function toColumnValue(field, value) {
+  // Stored as text alongside the older sign-up form's "15 miles" / "Anywhere"
+  if (field === 'travelDistance') return `${value} miles`;
+  // An empty list clears the column
+  if (value === '') return null;
+  return value;
+}
+
+/**
+ * Split validated profile fields into { contact, card } column changes, or
+ * { fields } naming the ones this sector doesn't have. Fields not in the
+ * profile (an import's email or candidateId) are the caller's to handle.
+ */
+export function toProfileColumns(sector, values) {
+  const cardColumns = { ...CARD_COLUMNS[sector], ...SECTORS[sector].listColumns };
+  const contact = {};
+  const card = {};
+  const fields = {};
+
+  for (const [field, value] of Object.entries(values)) {
+    if (!CANDIDATE_PROFILE_FIELDS[field]) continue;
+
+    if (CONTACT_COLUMNS[field]) {
+      contact[CONTACT_COLUMNS[field]] = value;
+    } else if (cardColumns[field]) {
+      card[cardColumns[field]] = toColumnValue(field, value);
+    } else {
+      fields[field] = `${field} does not apply to ${sector} profiles`;
+    }
+  }
+
+  return Object.keys(fields).length > 0 ? { fields } : { contact, card };
+}
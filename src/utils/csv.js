@@ -0,0 +1,92 @@
+// ========== src/utils/csv.js ==========
+// CSV in and out (RFC 4180: comma-separated, double quotes around fields that
+// need them, "" for a quote inside one). Spreadsheets are saved as CSV for
+// import; there's no XLSX parser.
+
+/**
+ * Parse CSV text into records (arrays of strings). Handles quoted fields with
+ * commas and line breaks, CRLF or LF line endings and a leading byte order
+ * mark. Blank lines are skipped. Each record carries the line it started on
+ * as `record.line`, for error messages.
+ *
+ * Returns { records } or { error }.
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // A line with nothing on it isn't a record
+    if (record.length > 1 || record[0] !== '') {
+      record.line = recordLine;
+      records.push(record);
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: `Unterminated quoted field starting on line ${quoteLine}` };
+  if (field !== '' || record.length > 0) endRecord();
+  return { records };
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(', ') : String(value);
+  // Whatever the cell came from: a list's first entry can be a formula too.
+  // Numbers are the exception, so negative figures stay numbers.
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line, CRLF-terminated. Arrays become comma-separated lists in a
+ * single cell; null and undefined become empty cells.
+ */
+export function csvLine(values) {
+  return `${values.map(formatCell).join(',')}\r\n`;
+}
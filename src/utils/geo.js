@@ -0,0 +1,14 @@
+// ========== src/utils/geo.js ==========
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance in miles between two { lat, lon } points
+export function haversineMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,48 @@
+// ========== src/utils/httpCache.js ==========
+// Conditional GETs for the public candidate routes. Responses carry a strong
+// ETag, a hash of the exact bytes sent, so a client (or CDN) holding the same
+// bytes gets a 304 without the body. Express's own check (req.fresh) won't
+// answer 304 to a request carrying Cache-Control: no-cache, which fetch()
+// adds to every conditional request, so If-None-Match is compared here.
+import crypto from 'node:crypto';
+
+// X-Total-Count can change while a page's body doesn't, and a 304 would leave
+// the client's stale count in place, so it counts towards the ETag too
+const VALIDATED_HEADERS = ['X-Total-Count'];
+
+// If-None-Match uses the weak comparison: W/"x" matches "x"
+const opaque = tag => tag.trim().replace(/^W\//, '');
+
+function matchesIfNoneMatch(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => opaque(tag) === etag);
+}
+
+function strongETag(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(String(part ?? '')).update('\n');
+  return `"${hash.digest('base64url').slice(0, 32)}"`;
+}
+
+/**
+ * Send body as JSON with an ETag and Cache-Control. Anonymous responses may
+ * be stored by shared caches; signed-in callers may see full profiles, so
+ * theirs are private. maxAgeSeconds 0 means stored copies must be
+ * revalidated before each use.
+ */
+export function sendCacheable(req, res, body, { maxAgeSeconds = 0 } = {}) {
+  const json = JSON.stringify(body);
+  const etag = strongETag(...VALIDATED_HEADERS.map(name => res.get(name)), json);
+  const freshness = maxAgeSeconds > 0 ? `max-age=${maxAgeSeconds}` : 'no-cache';
+
+  res.set({
+    'Cache-Control': `${req.user ? 'private' : 'public'}, ${freshness}`,
+    'ETag': etag
+  });
+
+  if (matchesIfNoneMatch(req.get('If-None-Match'), etag)) {
+    return res.status(304).end();
+  }
+  res.type('json').send(json);
+}
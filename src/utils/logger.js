@@ -1,7 +1,113 @@
-export const info = (...params) => {
-	console.log(...params);
-};
+// ========== src/utils/logger.js ==========
+// JSON-lines logger: one { time, level, msg, ...fields } object per line.
+//
+// Everything is redacted on the way out, so an email, token or full postcode
+// interpolated into a message or passed as a field never reaches the log:
+//   - fields named like passwords, tokens, secrets or auth headers are dropped
+//   - emails keep their first character and domain (j***@example.com)
+//   - JWTs and bearer credentials become [token]
+//   - postcodes keep their outward code (M4 ***), which is all the public
+//     candidate cards show anyway
+//
+// LOG_LEVEL sets the threshold (debug, info, warn, error or silent; default info).
 
-export const error = (...params) => {
-	console.error(...params);
-};
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SECRET_KEY = /pass(word)?|token|secret|authori[sz]ation|cookie|api[-_]?key/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BEARER = /\b(Bearer|Basic)\s+[^\s"']+/gi;
+const POSTCODE = /\b([A-Z]{1,2}\d[A-Z\d]?)[ +]?\d[A-Z]{2}\b/gi;
+const SECRET_PARAM = /([?&](?:access_token|refresh_token|token|token_hash|code|key)=)[^&#\s]*/gi;
+const MAX_DEPTH = 6;
+
+export function redactString(value) {
+  return String(value)
+    .replace(JWT, '[token]')
+    .replace(BEARER, '$1 [token]')
+    .replace(SECRET_PARAM, '$1[redacted]')
+    .replace(EMAIL, '$1***@$2')
+    .replace(POSTCODE, '$1 ***');
+}
+
+/**
+ * Deep copy with secrets removed and emails, tokens and postcodes masked.
+ * Errors become { name, message, code?, stack }.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.status !== undefined && { status: value.status }),
+      stack: value.stack
+    }, depth + 1);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) && item !== undefined && item !== null && typeof item !== 'boolean'
+      ? '[redacted]'
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Supabase and fetch failures come back as plain objects or Errors; either way
+ * the message and code are what's worth logging.
+ */
+function normalizeFields(fields) {
+  if (fields instanceof Error) return { error: fields };
+  if (fields === undefined || fields === null) return {};
+  if (typeof fields !== 'object') return { detail: fields };
+  return fields;
+}
+
+/**
+ * Create a logger. Children made with child() share the parent's level, so
+ * setLevel() on the root logger quietens every request logger too.
+ *
+ *   level   threshold; unset means read LOG_LEVEL on each call
+ *   write   where finished lines go (default stdout)
+ */
+export function createLogger({ level, write = line => process.stdout.write(`${line}\n`) } = {}) {
+  const state = { level };
+
+  const threshold = () => LEVELS[state.level ?? process.env.LOG_LEVEL] ?? LEVELS.info;
+
+  function build(bound) {
+    const log = levelName => (msg, fields) => {
+      if (LEVELS[levelName] < threshold()) return;
+      const entry = redact({ ...bound, ...normalizeFields(fields) });
+      write(JSON.stringify({ time: new Date().toISOString(), level: levelName, msg: redactString(msg), ...entry }));
+    };
+
+    return {
+      debug: log('debug'),
+      info: log('info'),
+      warn: log('warn'),
+      error: log('error'),
+      child: fields => build({ ...bound, ...fields }),
+      isLevelEnabled: levelName => LEVELS[levelName] >= threshold(),
+      setLevel(levelName) {
+        if (levelName !== undefined && !(levelName in LEVELS)) {
+          throw new Error(`Unknown log level "${levelName}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        state.level = levelName;
+      }
+    };
+  }
+
+  return build({});
+}
+
+// Shared by everything that logs outside a request; route handlers use req.log
+export const logger = createLogger();
@@ -1,10 +1,65 @@
-import "./logger.js";
+// ========== src/utils/middleware.js ==========
+import crypto from 'crypto';
+import { logger as rootLogger, redactString } from './logger.js';
+
+// Accept a caller's correlation ID only if it's something sensible to echo back
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function loggablePath(url) {
+  let path = url;
+  try {
+    path = decodeURIComponent(url.replace(/\+/g, ' '));
+  } catch {
+    // Malformed escapes - log it as sent
+  }
+  return redactString(path);
+}
+
+/**
+ * Give every request an ID (the caller's X-Request-Id, or a new one), echo it in
+ * the response, and hang a logger carrying it on req.log. Unless logRequests is
+ * false, one line per request is logged once the response has gone out.
+ */
+export function requestLogger({ logger = rootLogger, logRequests = true } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    if (logRequests) {
+      const started = process.hrtime.bigint();
+      let logged = false;
+
+      const done = () => {
+        if (logged) return;
+        logged = true;
+        const status = res.headersSent ? res.statusCode : null;
+        const level = status === null || status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+        req.log[level](status === null ? 'Request aborted' : 'Request completed', {
+          method: req.method,
+          path: loggablePath(req.originalUrl),
+          status,
+          durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+          ...(req.apiVersion && { apiVersion: req.apiVersion }),
+          ...(req.user && { userId: req.user.id })
+        });
+      };
+
+      res.once('finish', done);
+      res.once('close', done);
+    }
+
+    next();
+  };
+}
 
 export const unknownEndpoint = (req, res) => {
-	res.status(404).send({ error: `uknonwn endpoint` });
+  res.status(404).send({ error: 'unknown endpoint' });
 };
 
 export const errorHandler = (error, req, res, next) => {
-	logger.error(error.message);
-	next(error);
+  (req.log || rootLogger).error(error.message, { error });
+  next(error);
 };
@@ -0,0 +1,241 @@
+// ========== src/utils/rateLimit.js ==========
+// Sliding-window rate limits and login lockouts.
+//
+// Limits are grouped the way the routes are: auth (sign-up, login, password
+// resets - per IP and per email), public (candidate search - per IP) and
+// authenticated (everything behind a token - per user). Each window is a
+// sliding log: a request is allowed while fewer than `limit` requests were
+// accepted in the last `windowMs`. Rejected requests aren't counted, so a
+// client that backs off gets back in as soon as the window slides on.
+//
+// State lives in a store so several instances can share it. A store is any
+// object with (all may return promises):
+//   hit(key, { limit, windowMs })  → { allowed, count, resetMs }
+//                                    record a request if fewer than limit are
+//                                    in the window, atomically
+//   get(key) / set(key, value, ttlMs)
+//   delete(key)                    forget a key, whether hit() or set() made it
+import { LruCache } from './lruCache.js';
+import { logger } from './logger.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+export const DEFAULT_RATE_LIMITS = {
+  auth: {
+    ip: { limit: 30, windowMs: 15 * MINUTE },
+    email: { limit: 10, windowMs: 15 * MINUTE },
+    // After `failures` failed logins for an email within windowMs it's locked
+    // for baseMs, doubling with each further lockout up to maxMs. The count of
+    // lockouts is forgotten after a day without one.
+    lockout: { failures: 5, windowMs: 15 * MINUTE, baseMs: MINUTE, maxMs: HOUR }
+  },
+  public: {
+    ip: { limit: 120, windowMs: MINUTE }
+  },
+  authenticated: {
+    user: { limit: 300, windowMs: MINUTE }
+  }
+};
+
+const LOCKOUT_MEMORY_MS = 24 * HOUR;
+
+/**
+ * In-process store. Fine for a single instance; state is lost on restart.
+ */
+export function createMemoryRateLimitStore({ maxKeys = 50000 } = {}) {
+  const logs = new LruCache({ maxEntries: maxKeys });
+  const values = new LruCache({ maxEntries: maxKeys });
+
+  return {
+    hit(key, { limit, windowMs }) {
+      const now = Date.now();
+      const log = (logs.get(key) || []).filter(at => at > now - windowMs);
+      const allowed = log.length < limit;
+      if (allowed) log.push(now);
+      logs.set(key, log, windowMs);
+      return { allowed, count: log.length, resetMs: log.length > 0 ? log[0] + windowMs - now : 0 };
+    },
+    get: key => values.get(key),
+    set: (key, value, ttlMs) => values.set(key, value, ttlMs),
+    delete(key) {
+      logs.delete(key);
+      values.delete(key);
+    }
+  };
+}
+
+const UNITS = { ms: 1, s: SECOND, m: MINUTE, h: HOUR };
+
+/**
+ * "30/15m" → { limit: 30, windowMs: 900000 }. Null for anything else.
+ */
+export function parseRateLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*(ms|s|m|h)\s*$/.exec(String(value));
+  if (!match) return null;
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+}
+
+const normalizeEmail = email => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+const seconds = ms => Math.max(1, Math.ceil(ms / SECOND));
+
+// Several limiters can apply to one request; the headers describe whichever
+// is closest to running out
+function setHeaders(req, res, { limit, windowMs }, { count, resetMs }) {
+  const remaining = Math.max(0, limit - count);
+  if (req.rateLimit && req.rateLimit.remaining <= remaining) return;
+
+  req.rateLimit = { limit, remaining, resetMs };
+  res.set({
+    'RateLimit-Policy': `${limit};w=${Math.round(windowMs / SECOND)}`,
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(seconds(resetMs))
+  });
+}
+
+function tooMany(res, retryMs, body) {
+  const retryAfter = seconds(retryMs);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ ...body, retryAfter });
+}
+
+/**
+ * Middleware allowing `limit` requests per `windowMs` for each key. key(req)
+ * returning null skips the limit (e.g. no email in the body).
+ */
+export function rateLimit({ name, limit, windowMs, key, store }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) return next();
+
+    try {
+      const result = await store.hit(`${name}:${id}`, { limit, windowMs });
+      setHeaders(req, res, { limit, windowMs }, result);
+
+      if (!result.allowed) {
+        req.log.warn('Rate limit exceeded', { limiter: name });
+        return tooMany(res, result.resetMs, { error: 'Too many requests. Please try again later.', code: 'rate_limited' });
+      }
+      next();
+    } catch (error) {
+      // A store outage shouldn't take the API down with it
+      req.log.error('Rate limit store error', { limiter: name, error });
+      next();
+    }
+  };
+}
+
+/**
+ * Progressive lockout for failed logins, keyed by email.
+ *
+ *   guard        middleware refusing locked-out emails with 429
+ *   recordFailure(email) / recordSuccess(email)
+ */
+export function createLoginLockout({ failures, windowMs, baseMs, maxMs, store }) {
+  const keys = email => ({
+    failures: `login-failures:${email}`,
+    lockedUntil: `login-locked:${email}`,
+    lockouts: `login-lockouts:${email}`
+  });
+
+  async function lockedFor(email) {
+    const until = await store.get(keys(email).lockedUntil);
+    return until && until > Date.now() ? until - Date.now() : 0;
+  }
+
+  return {
+    async guard(req, res, next) {
+      const email = normalizeEmail(req.body?.email);
+      if (!email) return next();
+
+      try {
+        const remainingMs = await lockedFor(email);
+        if (remainingMs > 0) {
+          req.log.warn('Login attempt during lockout');
+          return tooMany(res, remainingMs, {
+            error: 'Too many failed login attempts. Please try again later.',
+            code: 'login_locked'
+          });
+        }
+      } catch (error) {
+        req.log.error('Rate limit store error', { limiter: 'login-lockout', error });
+      }
+      next();
+    },
+
+    // Resolves to the lockout length in ms when this failure triggers one, else 0.
+    // Like the other store calls, a store error is logged rather than thrown.
+    async recordFailure(email) {
+      email = normalizeEmail(email);
+      if (!email) return 0;
+
+      try {
+        const k = keys(email);
+        const { count } = await store.hit(k.failures, { limit: Infinity, windowMs });
+        if (count < failures) return 0;
+
+        const lockouts = ((await store.get(k.lockouts)) || 0) + 1;
+        const durationMs = Math.min(maxMs, baseMs * 2 ** (lockouts - 1));
+        await store.set(k.lockouts, lockouts, LOCKOUT_MEMORY_MS);
+        await store.set(k.lockedUntil, Date.now() + durationMs, durationMs);
+        // The next lockout needs a fresh run of failures
+        await store.delete(k.failures);
+        return durationMs;
+      } catch (error) {
+        logger.error('Rate limit store error', { limiter: 'login-lockout', error });
+        return 0;
+      }
+    },
+
+    async recordSuccess(email) {
+      email = normalizeEmail(email);
+      if (!email) return;
+
+      try {
+        const k = keys(email);
+        await Promise.all([store.delete(k.failures), store.delete(k.lockouts), store.delete(k.lockedUntil)]);
+      } catch (error) {
+        logger.error('Rate limit store error', { limiter: 'login-lockout', error });
+      }
+    }
+  };
+}
+
+/**
+ * Build the limiters for each route group from a config shaped like
+ * DEFAULT_RATE_LIMITS. Groups (or scopes within them) set to false are off;
+ * rateLimits: false turns everything off.
+ *
+ * Returns { auth: [middleware], public: [...], authenticated: [...], lockout }.
+ */
+export function createRateLimiters(config = DEFAULT_RATE_LIMITS, { store = createMemoryRateLimitStore() } = {}) {
+  const group = name => (config === false ? false : config[name] ?? DEFAULT_RATE_LIMITS[name]);
+  const scope = (groupName, scopeName) => {
+    const settings = group(groupName);
+    return settings === false ? false : settings[scopeName] ?? DEFAULT_RATE_LIMITS[groupName][scopeName];
+  };
+
+  const limiter = (groupName, scopeName, key) => {
+    const settings = scope(groupName, scopeName);
+    return settings ? [rateLimit({ name: `${groupName}-${scopeName}`, ...settings, key, store })] : [];
+  };
+
+  const lockoutSettings = scope('auth', 'lockout');
+  // With the lockout off these are no-ops, so the login route needn't check
+  const lockout = lockoutSettings
+    ? createLoginLockout({ ...lockoutSettings, store })
+    : { guard: (req, res, next) => next(), recordFailure: async () => 0, recordSuccess: async () => {} };
+
+  return {
+    auth: [
+      ...limiter('auth', 'ip', req => req.ip),
+      ...limiter('auth', 'email', req => normalizeEmail(req.body?.email))
+    ],
+    public: limiter('public', 'ip', req => req.ip),
+    authenticated: limiter('authenticated', 'user', req => req.user?.id ?? req.ip),
+    lockout
+  };
+}
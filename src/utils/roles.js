@@ -0,0 +1,32 @@
+// ========== src/utils/roles.js ==========
+// Role-based access control. A user's role lives in app_metadata.role, which
+// only the service role can change (user_metadata is editable by the user, so
+// it can't be trusted for this). Accounts created before roles existed are all
+// employer sign-ups, so a missing role means employer.
+
+export const ROLES = ['employer', 'candidate', 'admin'];
+
+export function getRole(user) {
+  if (!user) return 'anonymous';
+  const role = user.app_metadata?.role;
+  return ROLES.includes(role) ? role : 'employer';
+}
+
+// Employers and staff see full candidate cards; everyone else gets the redacted version
+export function canViewFullProfiles(user) {
+  return ['employer', 'admin'].includes(getRole(user));
+}
+
+/**
+ * Middleware allowing only the given roles. Goes after verifySupabaseToken.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = getRole(req.user);
+    if (!roles.includes(role)) {
+      req.log.warn('Access denied', { role, method: req.method, path: req.originalUrl });
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,31 @@
+// ========== src/utils/schedule.js ==========
+// Background jobs inside the API process (saved search alerts, webhook
+// retries). Each instance runs its own timer, so jobs guard against running
+// twice themselves.
+import { logger } from './logger.js';
+
+/**
+ * Run task now and then every intervalMs. A tick is skipped while the last
+ * run is still going, and the timer doesn't keep the process alive. Failures
+ * are logged under name. Returns a function that stops it.
+ */
+export function runEvery(intervalMs, task, { name }) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`${name} failed`, { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,257 @@
+// ========== src/utils/validation.js ==========
+// Declarative request validation. A schema maps each body field to a rule:
+//
+//   { type: 'string' | 'email' | 'postcode' | 'url' | 'number' | 'integer' | 'boolean' | 'date' | 'list' | 'array' | 'enum' | 'object',
+//     required?, min?, max?, values? (enum), schema? (object), column?, secret?, description? }
+//
+// plus optional cross-field `checks`. validate() returns { values } keyed by
+// column (or field name), or { fields } with one message per invalid field,
+// ready for res.status(400).json({ error, fields }). Secret fields (passwords)
+// are checked but never copied into values. The same schemas describe request
+// parameters and bodies in the OpenAPI document (see toJsonSchema).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Full UK postcode, space optional: SW1A 1AA, M1 1AE, B33 8TH, GIR 0AA
+const UK_POSTCODE_PATTERN = /^(GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/i;
+
+export const PASSWORD_MIN_LENGTH = 10;
+
+// The most common leaked passwords that would still pass the character rules
+const COMMON_PASSWORDS = new Set([
+  'password1!', 'password123', 'qwerty1234', 'welcome123', 'letmein123',
+  'iloveyou12', 'admin12345', 'passw0rd12', 'abc123456789', 'qwertyuiop1'
+]);
+
+// "sw1a1aa" → "SW1A 1AA"
+export function formatPostcode(postcode) {
+  const compact = String(postcode).replace(/\s+/g, '').toUpperCase();
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+const RULES = {
+  string(value, rule) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const text = value.trim();
+    if (rule.min && text.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+    if (rule.max && text.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+    return { value: text };
+  },
+
+  email(value) {
+    if (typeof value !== 'string' || value.length > 254 || !EMAIL_PATTERN.test(value.trim())) {
+      return { error: 'must be a valid email address' };
+    }
+    return { value: value.trim().toLowerCase() };
+  },
+
+  postcode(value) {
+    if (typeof value !== 'string' || !UK_POSTCODE_PATTERN.test(value.trim())) {
+      return { error: 'must be a valid UK postcode' };
+    }
+    return { value: formatPostcode(value) };
+  },
+
+  // Absolute http(s) URLs only; passed on normalised
+  url(value) {
+    let url = null;
+    try {
+      url = typeof value === 'string' && value.length <= 2000 ? new URL(value.trim()) : null;
+    } catch {
+      // not a URL
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http or https URL' };
+    return { value: url.href };
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+
+  integer(value, rule) {
+    const result = RULES.number(value, rule);
+    if (result.error || Number.isInteger(result.value)) return result;
+    return { error: 'must be a whole number' };
+  },
+
+  // JSON true/false, or the strings from a query string
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  // Anything Date can parse; passed on as an ISO timestamp
+  date(value) {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+    return { value: date.toISOString() };
+  },
+
+  // Arrays or comma-separated strings; stored comma-separated like the rest of the schema
+  list(value, rule) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    if (items.some(item => typeof item !== 'string')) return { error: 'must be a list of strings' };
+    const cleaned = items.map(item => item.trim()).filter(Boolean);
+    if (rule.max && cleaned.length > rule.max) return { error: `must have at most ${rule.max} entries` };
+    return { value: cleaned.join(', ') };
+  },
+
+  // Strictly a JSON array of strings (for new endpoints; list also takes
+  // comma strings). Entries can't contain commas, since the columns store
+  // the list comma-separated. An empty array clears the column.
+  array(value, rule) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { error: 'must be an array of strings' };
+    }
+    const cleaned = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+    if (cleaned.some(item => item.includes(','))) return { error: 'entries must not contain commas' };
+    if (cleaned.some(item => item.length > 100)) return { error: 'entries must be at most 100 characters' };
+    if (rule.max && cleaned.length > rule.max) return { error: `must have at most ${rule.max} entries` };
+    return { value: cleaned.join(', ') };
+  },
+
+  // Case-insensitive match, stored in the canonical spelling
+  enum(value, rule) {
+    const match = typeof value === 'string' &&
+      rule.values.find(allowed => allowed.toLowerCase() === value.trim().toLowerCase());
+    if (!match) return { error: `must be one of: ${rule.values.join(', ')}` };
+    return { value: match };
+  },
+
+  // A nested JSON object checked against rule.schema; keys it doesn't list are refused
+  object(value, rule) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return { error: 'must be an object' };
+    const unknown = Object.keys(value).filter(key => !rule.schema.fields[key]);
+    if (unknown.length > 0) return { error: `has unknown fields: ${unknown.join(', ')}` };
+    const { values, fields } = validate(rule.schema, value);
+    if (fields) return { error: `has invalid fields: ${Object.values(fields).join('; ')}` };
+    return { value: values };
+  }
+};
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate body against schema. Blank optional fields are left out of values.
+ */
+export function validate(schema, body = {}) {
+  const values = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const value = body?.[name];
+    if (isBlank(value)) {
+      if (rule.required) fields[name] = `${name} is required`;
+      continue;
+    }
+
+    const result = RULES[rule.type](value, rule);
+    if (result.error) {
+      fields[name] = `${name} ${result.error}`;
+    } else if (!rule.secret) {
+      values[rule.column || name] = result.value;
+    }
+  }
+
+  // Cross-field checks only run once the fields they compare are valid
+  for (const check of schema.checks || []) {
+    const problem = check(body, values, fields);
+    if (problem) Object.assign(fields, problem);
+  }
+
+  return Object.keys(fields).length > 0 ? { fields } : { values };
+}
+
+/**
+ * JSON Schema for one rule, as published in the OpenAPI document.
+ */
+export function ruleToJsonSchema(rule) {
+  const described = schema => (rule.description ? { ...schema, description: rule.description } : schema);
+
+  switch (rule.type) {
+    case 'email':
+      return described({ type: 'string', format: 'email', maxLength: 254 });
+    case 'postcode':
+      return described({ type: 'string', pattern: UK_POSTCODE_PATTERN.source.replace(/A-Z/g, 'A-Za-z'), example: 'M1 1AE' });
+    case 'number':
+    case 'integer':
+      return described({
+        type: rule.type,
+        ...(rule.min !== undefined && { minimum: rule.min }),
+        ...(rule.max !== undefined && { maximum: rule.max })
+      });
+    case 'url':
+      return described({ type: 'string', format: 'uri', maxLength: 2000 });
+    case 'boolean':
+      return described({ type: 'boolean' });
+    case 'date':
+      return described({ type: 'string', format: 'date-time' });
+    case 'list':
+      return described({
+        oneOf: [
+          { type: 'array', items: { type: 'string' }, ...(rule.max && { maxItems: rule.max }) },
+          { type: 'string', description: 'Comma-separated' }
+        ]
+      });
+    case 'array':
+      return described({
+        type: 'array',
+        items: { type: 'string', maxLength: 100, pattern: '^[^,]*$' },
+        ...(rule.max && { maxItems: rule.max })
+      });
+    case 'enum':
+      return described({ type: 'string', enum: rule.values });
+    case 'object':
+      return described({ ...toJsonSchema(rule.schema), additionalProperties: false });
+    default:
+      return described({
+        type: 'string',
+        ...(rule.secret && { format: 'password' }),
+        ...(rule.min && { minLength: rule.min }),
+        ...(rule.max && { maxLength: rule.max })
+      });
+  }
+}
+
+/**
+ * JSON Schema for a request body described by a validation schema.
+ */
+export function toJsonSchema(schema) {
+  const entries = Object.entries(schema.fields);
+  const required = entries.filter(([, rule]) => rule.required).map(([name]) => name);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(entries.map(([name, rule]) => [name, ruleToJsonSchema(rule)])),
+    ...(required.length > 0 && { required })
+  };
+}
+
+/**
+ * Password policy: at least PASSWORD_MIN_LENGTH characters, with upper and
+ * lower case letters and a digit, not a well-known password and not built
+ * from the email address. Returns a message, or null if the password is fine.
+ */
+export function passwordProblem(password, { email } = {}) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > 72) {
+    // bcrypt ignores anything past 72 bytes
+    return 'Password must be at most 72 characters';
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain upper and lower case letters and a number';
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return 'This password is too common';
+  }
+  const localPart = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+    return 'Password must not contain your email address';
+  }
+  return null;
+}
@@ -0,0 +1,257 @@
+// ========== test/admin.test.js ==========
+// Staff moderation: employer approval, hiding candidates, suspending accounts
+// and the audit trail each of them leaves.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+
+const registration = (id, status, createdAt) => ({
+  id,
+  email: `hr${id}@example.com`,
+  company_name: `Company ${id}`,
+  status,
+  created_at: createdAt
+});
+
+describe('admin registrations', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+    await api.dataSource.clients.sewing.from('client_registrations').insert([
+      registration(2, 'pending', '2024-05-01T00:00:00.000Z'),
+      registration(3, 'pending', '2024-05-03T00:00:00.000Z'),
+      // From before moderation
+      registration(4, null, '2023-01-01T00:00:00.000Z')
+    ]);
+    await api.dataSource.clients.upholstery.from('client_registrations').insert(registration(2, 'pending', '2024-05-02T00:00:00.000Z'));
+  });
+  after(() => api.close());
+
+  it('is for staff only', async () => {
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    const { status } = await api.request('GET', '/api/admin/registrations', { token: employer });
+    assert.equal(status, 403);
+  });
+
+  it('pages pending registrations from both projects, newest first', async () => {
+    const first = await api.request('GET', '/api/admin/registrations?limit=2', { token: admin });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.registrations.map(r => [r.type, r.company]), [['sewing', 'Company 3'], ['upholstery', 'Company 2']]);
+    assert.equal(first.headers.get('x-total-count'), '3');
+    assert.equal(first.headers.get('x-total-pages'), '2');
+
+    const second = await api.request('GET', '/api/admin/registrations?limit=2&page=2', { token: admin });
+    assert.deepEqual(second.body.registrations.map(r => [r.type, r.company]), [['sewing', 'Company 2']]);
+  });
+
+  it('asks each project only for the rows the page needs', async () => {
+    const client = api.dataSource.clients.sewing;
+    const realFrom = client.from;
+    const returned = [];
+    client.from = (name) => {
+      const query = realFrom.call(client, name);
+      const execute = query.execute.bind(query);
+      query.execute = async () => {
+        const result = await execute();
+        if (name === 'client_registrations') returned.push(result.data.length);
+        return result;
+      };
+      return query;
+    };
+
+    try {
+      const { body, headers } = await api.request('GET', '/api/admin/registrations?limit=1', { token: admin });
+      assert.deepEqual(body.registrations.map(r => r.company), ['Company 3']);
+      assert.equal(headers.get('x-total-count'), '3');
+      assert.deepEqual(returned, [1]);
+    } finally {
+      client.from = realFrom;
+    }
+  });
+
+  it('counts registrations without a status as approved', async () => {
+    const { body, headers } = await api.request('GET', '/api/admin/registrations?status=approved', { token: admin });
+    assert.deepEqual(body.registrations.map(r => [r.type, r.company, r.status]), [
+      ['sewing', 'Stitch Works', 'approved'],
+      ['upholstery', 'Chair Makers', 'approved'],
+      ['sewing', 'Company 4', 'approved']
+    ]);
+    assert.equal(headers.get('x-total-count'), '3');
+
+    assert.equal((await api.request('GET', '/api/admin/registrations?status=banned', { token: admin })).status, 400);
+    assert.equal((await api.request('GET', '/api/admin/registrations?limit=0', { token: admin })).status, 400);
+  });
+
+  it('approves a registration and tells the employer', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/registrations/sewing/2/approve', { token: admin, body: {} });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.status, body.reviewedBy, body.reviewNote], ['approved', USERS.sewingAdmin.id, null]);
+    assert.ok(body.reviewedAt);
+
+    const email = api.sent.at(-1);
+    assert.equal(email.to, 'hr2@example.com');
+    assert.equal(email.subject, 'Your employer account has been approved');
+  });
+
+  it('rejects with a reason, which the employer is sent', async () => {
+    const tooLong = await api.request('POST', '/api/admin/registrations/upholstery/2/reject', { token: admin, body: { reason: 'x'.repeat(1001) } });
+    assert.equal(tooLong.status, 400);
+
+    const { body } = await api.request('POST', '/api/admin/registrations/upholstery/2/reject', {
+      token: admin,
+      body: { reason: ' Not a manufacturer ' }
+    });
+    assert.deepEqual([body.type, body.status, body.reviewNote], ['upholstery', 'rejected', 'Not a manufacturer']);
+    assert.match(api.sent.at(-1).text, /Reason: Not a manufacturer/);
+
+    const { body: pending } = await api.request('GET', '/api/admin/registrations', { token: admin });
+    assert.deepEqual(pending.registrations.map(r => r.company), ['Company 3']);
+  });
+
+  it('answers 404 for unknown registrations', async () => {
+    const { status } = await api.request('POST', '/api/admin/registrations/sewing/99/approve', { token: admin, body: {} });
+    assert.equal(status, 404);
+  });
+});
+
+describe('admin candidate moderation', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  it('hides a candidate from every public list and lookup', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/candidates/sewing/sew-2/hide', {
+      token: admin,
+      body: { reason: 'Duplicate profile' }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { candidateId: 'sew-2', type: 'sewing', hidden: true, flagged: false });
+
+    assert.equal((await api.request('GET', '/api/candidates/sew-2')).status, 404);
+    const { body: list } = await api.request('GET', '/api/candidates');
+    assert.ok(!list.some(c => c.candidateId === 'sew-2'));
+
+    const { body: queue } = await api.request('GET', '/api/admin/candidates?status=hidden', { token: admin });
+    assert.deepEqual(queue.candidates.map(c => [c.candidateId, c.hiddenReason]), [['sew-2', 'Duplicate profile']]);
+  });
+
+  it('unhides them again', async () => {
+    const { body } = await api.request('POST', '/api/admin/candidates/sewing/sew-2/unhide', { token: admin, body: {} });
+    assert.equal(body.hidden, false);
+
+    assert.equal((await api.request('GET', '/api/candidates/sew-2')).status, 200);
+    const { body: queue } = await api.request('GET', '/api/admin/candidates?status=hidden', { token: admin });
+    assert.deepEqual(queue.candidates, []);
+  });
+
+  it('keeps a flagged queue for review', async () => {
+    await api.request('POST', '/api/admin/candidates/upholstery/uph-1/flag', { token: admin, body: { reason: 'Check references' } });
+
+    const { body } = await api.request('GET', '/api/admin/candidates', { token: admin });
+    assert.deepEqual(body.candidates.map(c => [c.type, c.candidateId, c.flagReason]), [['upholstery', 'uph-1', 'Check references']]);
+    assert.equal((await api.request('GET', '/api/admin/candidates?status=deleted', { token: admin })).status, 400);
+  });
+
+  it('answers 404 for unknown candidates', async () => {
+    const { status } = await api.request('POST', '/api/admin/candidates/sewing/sew-404/hide', { token: admin, body: {} });
+    assert.equal(status, 404);
+  });
+});
+
+describe('admin user accounts', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  const suspend = (id, body = {}) => api.request('POST', `/api/admin/users/sewing/${id}/suspend`, { token: admin, body });
+  const canLogIn = async email => (await api.request('POST', '/api/login', { body: { email, password: PASSWORD } })).status === 200;
+
+  it('suspends an account until lifted', async () => {
+    const { status, body } = await suspend(USERS.sewingEmployer.id, { duration: '24h', reason: 'Spam' });
+    assert.equal(status, 200);
+    assert.ok(new Date(body.bannedUntil) > new Date());
+    assert.equal(await canLogIn(USERS.sewingEmployer.email), false);
+
+    const lifted = await api.request('POST', `/api/admin/users/sewing/${USERS.sewingEmployer.id}/unsuspend`, { token: admin, body: {} });
+    assert.equal(lifted.body.bannedUntil, null);
+    assert.equal(await canLogIn(USERS.sewingEmployer.email), true);
+  });
+
+  it('refuses bad durations, unknown users and suspending yourself', async () => {
+    assert.equal((await suspend(USERS.sewingEmployer.id, { duration: '3 days' })).status, 400);
+    assert.equal((await suspend('99999999-9999-4999-8999-999999999999')).status, 404);
+
+    const self = await suspend(USERS.sewingAdmin.id);
+    assert.equal(self.status, 400);
+    assert.equal(self.body.error, 'You cannot suspend your own account');
+  });
+
+  it('changes roles, but not away from your own admin', async () => {
+    const changeRole = (id, role) => api.request('PUT', `/api/admin/users/sewing/${id}/role`, { token: admin, body: { role } });
+
+    const { status, body } = await changeRole(USERS.sewingCandidate.id, 'employer');
+    assert.equal(status, 200);
+    assert.equal(body.role, 'employer');
+    const login = await api.request('POST', '/api/login', { body: { email: USERS.sewingCandidate.email, password: PASSWORD } });
+    assert.equal(login.body.user.role, 'employer');
+
+    assert.equal((await changeRole(USERS.sewingCandidate.id, 'owner')).status, 400);
+    assert.equal((await changeRole(USERS.sewingAdmin.id, 'employer')).status, 400);
+  });
+});
+
+describe('admin audit log', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+    await api.request('POST', '/api/admin/candidates/sewing/sew-1/hide', { token: admin, body: { reason: 'Asked to be removed' } });
+    await api.request('POST', '/api/admin/candidates/upholstery/uph-1/hide', { token: admin, body: {} });
+    await api.request('POST', `/api/admin/users/sewing/${USERS.sewingEmployer.id}/suspend`, { token: admin, body: {} });
+  });
+  after(() => api.close());
+
+  it('lists every moderation action from both projects, newest first', async () => {
+    const { status, body, headers } = await api.request('GET', '/api/admin/audit', { token: admin });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.entries.map(e => [e.project, e.action, e.targetId]), [
+      ['sewing', 'user.suspended', USERS.sewingEmployer.id],
+      ['upholstery', 'candidate.hide', 'uph-1'],
+      ['sewing', 'candidate.hide', 'sew-1']
+    ]);
+    assert.equal(body.total, 3);
+    assert.equal(headers.get('x-total-count'), '3');
+
+    const [, , hidden] = body.entries;
+    assert.deepEqual([hidden.actorId, hidden.actorEmail, hidden.details], [USERS.sewingAdmin.id, USERS.sewingAdmin.email, { reason: 'Asked to be removed' }]);
+  });
+
+  it('filters and pages', async () => {
+    const { body } = await api.request('GET', '/api/admin/audit?action=candidate.hide&limit=1&page=2', { token: admin });
+    assert.deepEqual(body.entries.map(e => e.targetId), ['sew-1']);
+    assert.equal(body.total, 2);
+
+    const { body: byTarget } = await api.request('GET', '/api/admin/audit?targetType=upholstery_candidate', { token: admin });
+    assert.deepEqual(byTarget.entries.map(e => e.targetId), ['uph-1']);
+
+    assert.equal((await api.request('GET', '/api/admin/audit?since=yesterday', { token: admin })).status, 400);
+  });
+});
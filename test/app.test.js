@@ -0,0 +1,54 @@
+// ========== test/app.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+
+describe('app', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('reports health', async () => {
+    const { status, body } = await api.request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('lists the available routes for unknown paths', async () => {
+    const { status, body } = await api.request('GET', '/api/nope');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Not Found');
+    assert.ok(Array.isArray(body.availableRoutes));
+    assert.ok(body.availableRoutes.includes('GET /health - Health check'));
+    assert.ok(body.availableRoutes.includes('GET /api/admin/audit - Audit log across both projects (admin)'));
+    assert.equal(body.documentation, '/api/docs');
+  });
+
+  it('answers malformed JSON with 400 rather than a server error', async () => {
+    const { status, body } = await api.request('POST', '/api/login', { body: '{"email":' });
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'Malformed JSON body' });
+  });
+
+  it('passes other body parser errors through with their status', async () => {
+    const { status, body } = await api.request('POST', '/api/login', {
+      body: JSON.stringify({ email: 'x'.repeat(200 * 1024) })
+    });
+    assert.equal(status, 413);
+    assert.deepEqual(body, { error: 'request entity too large' });
+  });
+
+  it('answers with a 500 when token verification itself fails', async () => {
+    const broken = await startApp({
+      deps: { tokenVerifier: { verify: async () => { throw new Error('key store unavailable'); } } }
+    });
+    try {
+      const { status, body } = await broken.request('GET', '/api/jobs', { token: 'a.b.c' });
+      assert.equal(status, 500);
+      assert.deepEqual(body, { error: 'Token verification error' });
+    } finally {
+      await broken.close();
+    }
+  });
+});
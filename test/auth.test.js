@@ -0,0 +1,323 @@
+// ========== test/auth.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { PASSWORD, USERS } from './fixtures.js';
+
+const registration = (overrides = {}) => ({
+  email: 'new@company.test',
+  password: 'Sturdy-Seams9',
+  confirmPassword: 'Sturdy-Seams9',
+  accountType: 'sewing',
+  company: 'New Company',
+  postcode: 'm1 1ae',
+  employmentType: 'full-time',
+  salaryFrom: 20000,
+  salaryTo: 24000,
+  machines: ['Overlocker', ' Flatlock '],
+  ...overrides
+});
+
+describe('POST /api/register', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('creates a pending employer and normalises the company record', async () => {
+    const { status, body } = await api.request('POST', '/api/register', { body: registration() });
+
+    assert.equal(status, 201);
+    assert.deepEqual(body, {
+      success: true,
+      message: 'Registration successful. You can now login; we will review your account before you can contact candidates.',
+      email: 'new@company.test',
+      accountType: 'sewing',
+      company: 'New Company',
+      emailVerificationRequired: false
+    });
+
+    const { data: row } = await api.dataSource.clients.sewing
+      .from('client_registrations').select('*').eq('email', 'new@company.test').single();
+    assert.equal(row.status, 'pending');
+    assert.equal(row.postcode, 'M1 1AE');
+    assert.equal(row.employment_type, 'Full-time');
+    assert.equal(row.machines, 'Overlocker, Flatlock');
+
+    const login = await api.request('POST', '/api/login', { body: { email: 'new@company.test', password: 'Sturdy-Seams9' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.role, 'employer');
+  });
+
+  it('reports every invalid field at once', async () => {
+    const { status, body } = await api.request('POST', '/api/register', {
+      body: registration({
+        email: 'not-an-email',
+        password: 'short',
+        accountType: 'knitting',
+        postcode: '12345',
+        employmentType: 'Gig',
+        salaryFrom: 30000,
+        salaryTo: 20000
+      })
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid registration');
+    assert.deepEqual(Object.keys(body.fields).sort(), [
+      'accountType', 'email', 'employmentType', 'password', 'postcode', 'salaryTo'
+    ]);
+  });
+
+  it('rejects mismatched passwords', async () => {
+    const { status, body } = await api.request('POST', '/api/register', {
+      body: registration({ email: 'mismatch@company.test', company: 'Mismatch Ltd', confirmPassword: 'Sturdy-Seams8' })
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.fields, { confirmPassword: 'Passwords do not match' });
+  });
+
+  it('refuses a company already registered in the other project', async () => {
+    const { status, body } = await api.request('POST', '/api/register', {
+      body: registration({ email: 'someone@else.test', company: 'chair makers' })
+    });
+    assert.equal(status, 409);
+    assert.ok(body.fields.company);
+  });
+
+  it('removes the auth user when the company record cannot be saved', async () => {
+    const { clients } = api.dataSource;
+    const realFrom = clients.upholstery.from;
+    clients.upholstery.from = (table) => {
+      const query = realFrom(table);
+      if (table === 'client_registrations') {
+        query.insert = () => Promise.resolve({ data: null, error: { message: 'insert failed' } });
+      }
+      return query;
+    };
+
+    try {
+      const { status } = await api.request('POST', '/api/register', {
+        body: registration({ email: 'orphan@company.test', company: 'Orphan Ltd', accountType: 'upholstery' })
+      });
+      assert.equal(status, 500);
+    } finally {
+      clients.upholstery.from = realFrom;
+    }
+
+    const login = await api.request('POST', '/api/login', { body: { email: 'orphan@company.test', password: 'Sturdy-Seams9' } });
+    assert.equal(login.status, 401);
+  });
+});
+
+describe('POST /api/login', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  for (const [accountType, user] of [['sewing', USERS.sewingEmployer], ['upholstery', USERS.upholsteryEmployer]]) {
+    it(`signs in a ${accountType} account`, async () => {
+      const { status, body } = await api.request('POST', '/api/login', { body: { email: user.email, password: PASSWORD } });
+
+      assert.equal(status, 200);
+      assert.equal(body.accountType, accountType);
+      assert.deepEqual(body.user, { id: user.id, email: user.email, accountType, role: 'employer' });
+      assert.equal(typeof body.token, 'string');
+      assert.equal(typeof body.refreshToken, 'string');
+      assert.equal(body.expiresIn, 3600);
+    });
+  }
+
+  it('rejects a wrong password without saying which part was wrong', async () => {
+    const { status, body } = await api.request('POST', '/api/login', {
+      body: { email: USERS.sewingEmployer.email, password: 'Wrong-Password1' }
+    });
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'Invalid email or password' });
+  });
+
+  it('requires email and password', async () => {
+    const { status } = await api.request('POST', '/api/login', { body: { email: USERS.sewingEmployer.email } });
+    assert.equal(status, 400);
+  });
+
+  it('refreshes and revokes sessions', async () => {
+    const login = await api.request('POST', '/api/login', {
+      body: { email: USERS.upholsteryEmployer.email, password: PASSWORD }
+    });
+
+    const refreshed = await api.request('POST', '/api/token/refresh', {
+      body: { refreshToken: login.body.refreshToken, accountType: 'upholstery' }
+    });
+    assert.equal(refreshed.status, 200);
+
+    // Refresh tokens are single use
+    const reused = await api.request('POST', '/api/token/refresh', {
+      body: { refreshToken: login.body.refreshToken, accountType: 'upholstery' }
+    });
+    assert.equal(reused.status, 401);
+
+    const logout = await api.request('POST', '/api/logout', { token: refreshed.body.token });
+    assert.equal(logout.status, 200);
+
+    const profile = await api.request('GET', '/api/profile', { token: refreshed.body.token });
+    assert.equal(profile.status, 403);
+  });
+});
+
+describe('verifySupabaseToken', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  const employer = { sub: USERS.sewingEmployer.id, email: USERS.sewingEmployer.email, app_metadata: { role: 'employer' } };
+
+  it('accepts a token signed by the issuing project', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs', { token: signToken('sewing', employer) });
+    assert.equal(status, 200);
+    assert.deepEqual(body, []);
+  });
+
+  it('returns 401 without a token', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs');
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'No token provided' });
+  });
+
+  const rejected = {
+    'a token signed with the wrong secret': () => signToken('sewing', employer, { secret: 'not-the-secret' }),
+    'an expired token': () => signToken('sewing', employer, { expiresIn: -10 }),
+    'a token from an unknown issuer': () => signToken('sewing', { ...employer, iss: 'http://elsewhere.test/auth/v1' }),
+    'a service-role key': () => signToken('sewing', { role: 'service_role' }),
+    'garbage': () => 'not.a.jwt'
+  };
+
+  for (const [name, token] of Object.entries(rejected)) {
+    it(`returns 403 for ${name}`, async () => {
+      const { status, body } = await api.request('GET', '/api/jobs', { token: token() });
+      assert.equal(status, 403);
+      assert.deepEqual(body, { error: 'Invalid or expired token' });
+    });
+  }
+
+  it('routes a token to the project that issued it', async () => {
+    const token = signToken('upholstery', {
+      sub: USERS.upholsteryEmployer.id,
+      email: USERS.upholsteryEmployer.email,
+      app_metadata: { role: 'employer' }
+    });
+    const { status, body } = await api.request('POST', '/api/jobs', { token, body: { title: 'Upholsterer' } });
+
+    assert.equal(status, 201);
+    const { data } = await api.dataSource.clients.upholstery.from('jobs').select('*').eq('id', body.id).single();
+    assert.equal(data.account_type, 'upholstery');
+  });
+
+  it('keeps candidates and anonymous users out of employer routes', async () => {
+    const token = signToken('sewing', { sub: USERS.sewingCandidate.id, email: USERS.sewingCandidate.email, app_metadata: { role: 'candidate' } });
+    const { status } = await api.request('GET', '/api/jobs', { token });
+    assert.equal(status, 403);
+  });
+});
+
+describe('PUT /api/profile/update', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('stores changes in the same form as registration', async () => {
+    const token = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    const { status, body } = await api.request('PUT', '/api/profile/update', {
+      token,
+      body: { postcode: 'm4 1hn', machines: ['Overlocker', ' Coverstitch '], employmentType: 'part-time', techniques: '' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.company.company, 'Stitch Works');
+
+    const { data: row } = await api.dataSource.clients.sewing
+      .from('client_registrations').select('*').eq('email', USERS.sewingEmployer.email).single();
+    assert.equal(row.postcode, 'M4 1HN');
+    assert.equal(row.machines, 'Overlocker, Coverstitch');
+    assert.equal(row.employment_type, 'Part-time');
+    assert.equal(row.techniques, null);
+  });
+});
+
+describe('PUT /api/profile/change-email', () => {
+  const changeEmail = (api, token, newEmail) => api.request('PUT', '/api/profile/change-email', {
+    token,
+    body: { newEmail, password: PASSWORD }
+  });
+
+  const registrationRows = async (api) => (await api.dataSource.clients.sewing
+    .from('client_registrations').select('email, pending_email')).data;
+
+  it('refuses addresses already in use, whatever their case', async () => {
+    const api = await startApp();
+    try {
+      const token = await api.login(USERS.sewingEmployer.email, PASSWORD);
+      const { status } = await changeEmail(api, token, USERS.upholsteryEmployer.email.toUpperCase());
+      assert.equal(status, 409);
+      assert.equal((await changeEmail(api, token, 'not-an-email')).status, 400);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('waits for the new address to be confirmed when verification is required', async () => {
+    const api = await startApp({ deps: { requireEmailVerification: true } });
+    try {
+      const token = await api.login(USERS.sewingEmployer.email, PASSWORD);
+      await api.request('POST', '/api/jobs', { token, body: { title: 'Machinist' } });
+
+      const { status, body } = await changeEmail(api, token, 'New.Boss@Sewing.test');
+      assert.equal(status, 202);
+      assert.equal(body.email, USERS.sewingEmployer.email);
+      assert.equal(body.pendingEmail, 'new.boss@sewing.test');
+      assert.deepEqual(api.sent.map(message => message.to), ['new.boss@sewing.test']);
+
+      // Nothing changes until the link is followed
+      await api.login(USERS.sewingEmployer.email, PASSWORD);
+      assert.deepEqual(await registrationRows(api), [{ email: USERS.sewingEmployer.email, pending_email: 'new.boss@sewing.test' }]);
+
+      // What following the link does in Supabase
+      await api.dataSource.clients.sewing.auth.admin.updateUserById(USERS.sewingEmployer.id, { email: 'new.boss@sewing.test' });
+
+      const moved = await api.login('new.boss@sewing.test', PASSWORD);
+      const profile = await api.request('GET', '/api/profile', { token: moved });
+      assert.equal(profile.body.profile.company.company, 'Stitch Works');
+      assert.deepEqual(await registrationRows(api), [{ email: 'new.boss@sewing.test', pending_email: null }]);
+
+      const { data: jobs } = await api.dataSource.clients.sewing.from('jobs').select('employer_email');
+      assert.deepEqual(jobs.map(job => job.employer_email), ['new.boss@sewing.test']);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('reports records it could not move, and moves them on the next lookup', async () => {
+    const api = await startApp();
+    const client = api.dataSource.clients.sewing;
+    const realFrom = client.from;
+    try {
+      const token = await api.login(USERS.sewingEmployer.email, PASSWORD);
+      client.from = (table) => {
+        const query = realFrom.call(client, table);
+        if (table === 'saved_searches') query.update = () => ({ eq: async () => ({ error: { message: 'update failed' } }) });
+        return query;
+      };
+
+      const { status } = await changeEmail(api, token, 'moved@sewing.test');
+      assert.equal(status, 500);
+      client.from = realFrom;
+
+      const moved = await api.login('moved@sewing.test', PASSWORD);
+      const profile = await api.request('GET', '/api/profile', { token: moved });
+      assert.equal(profile.body.profile.company.company, 'Stitch Works');
+      assert.deepEqual(await registrationRows(api), [{ email: 'moved@sewing.test', pending_email: null }]);
+    } finally {
+      client.from = realFrom;
+      await api.close();
+    }
+  });
+});
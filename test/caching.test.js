@@ -0,0 +1,159 @@
+// ========== test/caching.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { createMemoryCacheStore } from '../src/services/candidateCache.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+
+// Counts reads of the sewing public table, which is what the cache saves
+function countReads(api) {
+  const client = api.dataSource.clients.sewing;
+  const from = client.from.bind(client);
+  const counter = { reads: 0 };
+  client.from = (table) => {
+    if (table === 'candidates_public') counter.reads++;
+    return from(table);
+  };
+  return counter;
+}
+
+describe('candidate response caching', () => {
+  let api;
+  let counter;
+  let admin;
+  let candidate;
+
+  before(async () => {
+    api = await startApp();
+    counter = countReads(api);
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+    candidate = await api.login(USERS.sewingCandidate.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  it('sends strong ETags and answers a matching If-None-Match with 304', async () => {
+    const first = await api.request('GET', '/api/candidates?limit=2');
+    const etag = first.headers.get('etag');
+
+    assert.equal(first.status, 200);
+    assert.match(etag, /^"[\w-]+"$/);
+    assert.equal(first.headers.get('cache-control'), 'public, no-cache');
+
+    const again = await api.request('GET', '/api/candidates?limit=2', { headers: { 'If-None-Match': etag } });
+    assert.equal(again.status, 304);
+    assert.equal(again.text, '');
+    assert.equal(again.headers.get('etag'), etag);
+
+    const other = await api.request('GET', '/api/candidates?limit=2', { headers: { 'If-None-Match': '"something-else"' } });
+    assert.equal(other.status, 200);
+    assert.deepEqual(other.body, first.body);
+  });
+
+  it('serves repeat requests from the cache', async () => {
+    await api.request('GET', '/api/candidates?limit=1');
+    const before = counter.reads;
+
+    await api.request('GET', '/api/candidates?limit=1');
+    await api.request('GET', '/api/candidates?limit=1', { token: admin });
+    await api.request('GET', '/api/candidates/sew-1');
+    await api.request('GET', '/api/candidates/sew-1');
+    assert.equal(counter.reads - before, 1);
+  });
+
+  it('keeps signed-in responses private and apart from anonymous ones', async () => {
+    const anonymous = await api.request('GET', '/api/candidates/sew-1');
+    const full = await api.request('GET', '/api/candidates/sew-1', { token: admin });
+
+    assert.equal(full.headers.get('cache-control'), 'private, no-cache');
+    assert.notEqual(full.headers.get('etag'), anonymous.headers.get('etag'));
+    assert.match(full.headers.get('vary'), /Authorization/);
+
+    const fields = await api.request('GET', '/api/candidates/sew-1?fields=role');
+    assert.deepEqual(fields.body, { role: anonymous.body.role });
+  });
+
+  it('drops cached responses when a profile changes through the API', async () => {
+    const list = await api.request('GET', '/api/candidates');
+    await api.request('POST', '/api/candidate/profile', {
+      token: candidate,
+      body: { firstName: 'Ada', lastName: 'Stitch', jobTitle: 'Overlocker', availability: 'Available now' }
+    });
+
+    const fresh = await api.request('GET', '/api/candidates', { headers: { 'If-None-Match': list.headers.get('etag') } });
+    assert.equal(fresh.status, 200);
+    assert.equal(fresh.body[0].role, 'Overlocker');
+    assert.equal(fresh.headers.get('x-total-count'), String(list.body.length + 1));
+
+    const id = fresh.body[0].candidateId;
+    await api.request('GET', `/api/candidates/${id}`);
+    await api.request('PATCH', '/api/candidate/profile', { token: candidate, body: { jobTitle: 'Sample Machinist' } });
+    assert.equal((await api.request('GET', `/api/candidates/${id}`)).body.role, 'Sample Machinist');
+  });
+
+  it('drops cached responses when staff hide a candidate', async () => {
+    assert.equal((await api.request('GET', '/api/candidates/sew-2')).status, 200);
+
+    await api.request('POST', '/api/admin/candidates/sewing/sew-2/hide', { token: admin, body: { reason: 'Duplicate' } });
+
+    assert.equal((await api.request('GET', '/api/candidates/sew-2')).status, 404);
+    assert.ok(!(await api.request('GET', '/api/candidates')).body.some(c => c.candidateId === 'sew-2'));
+  });
+
+  it('leaves errors and CSV exports alone', async () => {
+    const missing = await api.request('GET', '/api/candidates/sew-404');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get('cache-control'), null);
+
+    const csv = await api.request('GET', '/api/candidates?format=csv');
+    assert.equal(csv.headers.get('cache-control'), null);
+  });
+});
+
+describe('candidate cache settings', () => {
+  it('loads every time with the cache off, but still sends ETags', async () => {
+    const api = await startApp({ deps: { candidateCache: { ttlMs: 0, maxAgeSeconds: 30 } } });
+    try {
+      const counter = countReads(api);
+      const { headers } = await api.request('GET', '/api/candidates');
+      await api.request('GET', '/api/candidates');
+
+      assert.equal(counter.reads, 2);
+      assert.ok(headers.get('etag'));
+      assert.equal(headers.get('cache-control'), 'public, max-age=30');
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('shares entries and invalidations between apps using the same store', async () => {
+    const store = createMemoryCacheStore();
+    const one = await startApp({ deps: { candidateCacheStore: store } });
+    const two = await startApp({ deps: { candidateCacheStore: store, dataSource: one.dataSource } });
+    try {
+      await one.request('GET', '/api/candidates');
+      const counter = countReads(two);
+      await two.request('GET', '/api/candidates');
+      assert.equal(counter.reads, 0);
+
+      const admin = await one.login(USERS.sewingAdmin.email, PASSWORD);
+      await one.request('POST', '/api/admin/candidates/sewing/sew-1/hide', { token: admin, body: {} });
+      const { body } = await two.request('GET', '/api/candidates');
+      assert.ok(!body.some(c => c.candidateId === 'sew-1'));
+    } finally {
+      await one.close();
+      await two.close();
+    }
+  });
+
+  it('reads CANDIDATE_CACHE_TTL and CANDIDATE_CACHE_MAX_AGE', () => {
+    const env = extra => ({ DATA_SOURCE: 'memory', ...extra });
+
+    assert.deepEqual(loadConfig(env()).candidateCache, { ttlMs: 60 * 1000, maxAgeSeconds: 0 });
+    assert.deepEqual(loadConfig(env({ CANDIDATE_CACHE_TTL: 'off', CANDIDATE_CACHE_MAX_AGE: '120' })).candidateCache, {
+      ttlMs: 0, maxAgeSeconds: 120
+    });
+    assert.throws(() => loadConfig(env({ CANDIDATE_CACHE_TTL: 'ten' })), ConfigError);
+    assert.throws(() => loadConfig(env({ CANDIDATE_CACHE_MAX_AGE: '-1' })), ConfigError);
+  });
+});
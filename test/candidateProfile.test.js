@@ -0,0 +1,236 @@
+// ========== test/candidateProfile.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+
+const NEW_PASSWORD = 'Sturdy-Seams42';
+
+describe('candidate registration', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('creates a candidate account that can log in', async () => {
+    const { status, body } = await api.request('POST', '/api/register/candidate', {
+      body: { email: 'New.Machinist@example.com', password: NEW_PASSWORD, confirmPassword: NEW_PASSWORD, accountType: 'sewing' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.email, 'new.machinist@example.com');
+    assert.equal(body.role, 'candidate');
+
+    const login = await api.request('POST', '/api/login', { body: { email: 'new.machinist@example.com', password: NEW_PASSWORD } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.role, 'candidate');
+    assert.equal(login.body.accountType, 'sewing');
+  });
+
+  it('refuses emails already in use', async () => {
+    const register = email => api.request('POST', '/api/register/candidate', {
+      body: { email, password: NEW_PASSWORD, confirmPassword: NEW_PASSWORD, accountType: 'upholstery' }
+    });
+
+    // An employer in the other project, then an existing upholstery account
+    assert.equal((await register(USERS.sewingEmployer.email)).status, 409);
+    assert.equal((await register(USERS.upholsteryEmployer.email)).status, 409);
+  });
+
+  it('sends password resets to candidates, found by their profile or told their trade', async () => {
+    const resets = [];
+    const { auth } = api.app.locals.repositories;
+    const sendPasswordReset = auth.sendPasswordReset;
+    auth.sendPasswordReset = async (accountType, email) => {
+      resets.push([accountType, email]);
+      return { error: null };
+    };
+    try {
+      const token = await api.login(USERS.sewingCandidate.email, PASSWORD);
+      const created = await api.request('POST', '/api/candidate/profile', {
+        token,
+        body: { firstName: 'Ada', lastName: 'Stitch', jobTitle: 'Overlocker' }
+      });
+      assert.equal(created.status, 201);
+
+      const forgot = body => api.request('POST', '/api/password/forgot', { body });
+      assert.equal((await forgot({ email: USERS.sewingCandidate.email.toUpperCase() })).status, 200);
+      // No profile to find them by, so only sent when the client says which trade
+      await forgot({ email: 'new.machinist@example.com' });
+      await forgot({ email: 'new.machinist@example.com', accountType: 'sewing' });
+      await forgot({ email: 'nobody@example.com' });
+
+      assert.deepEqual(resets, [
+        ['sewing', USERS.sewingCandidate.email.toUpperCase()],
+        ['sewing', 'new.machinist@example.com']
+      ]);
+    } finally {
+      auth.sendPasswordReset = sendPasswordReset;
+    }
+  });
+
+  it('resends confirmation links to candidates who say their trade', async () => {
+    await api.dataSource.clients.upholstery.auth.admin.createUser({
+      email: 'unconfirmed@example.com', password: NEW_PASSWORD, email_confirm: false, app_metadata: { role: 'candidate' }
+    });
+
+    const resend = body => api.request('POST', '/api/register/resend-verification', { body });
+    assert.equal((await resend({ email: 'Unconfirmed@example.com' })).status, 200);
+    assert.equal(api.sent.length, 0);
+
+    assert.equal((await resend({ email: 'Unconfirmed@example.com', accountType: 'upholstery' })).status, 200);
+    assert.deepEqual(api.sent.map(message => message.to), ['unconfirmed@example.com']);
+  });
+
+  it('validates the body', async () => {
+    const { status, body } = await api.request('POST', '/api/register/candidate', {
+      body: { email: 'someone@example.com', password: 'short', confirmPassword: 'short', accountType: 'knitting' }
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.fields.password);
+    assert.ok(body.fields.accountType);
+  });
+});
+
+describe('candidate profile', () => {
+  let api;
+  let token;
+  let candidateId;
+
+  before(async () => {
+    api = await startApp();
+    token = await api.login(USERS.sewingCandidate.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  const profileRequest = (method, body) => api.request(method, '/api/candidate/profile', { token, body });
+
+  it('has no profile until one is created', async () => {
+    assert.equal((await profileRequest('GET')).status, 404);
+    assert.equal((await profileRequest('PATCH', { city: 'Leeds' })).status, 404);
+  });
+
+  it('creates both halves, with machines and techniques as arrays', async () => {
+    const { status, body } = await profileRequest('POST', {
+      firstName: 'Ada',
+      lastName: 'Stitch',
+      phone: '07700 900123',
+      postcode: 'm11ae',
+      jobTitle: 'Overlocker Machinist',
+      city: 'Manchester',
+      yearsExperience: 4,
+      availability: 'available now',
+      machines: ['Overlocker', ' Flatlock ', 'Overlocker'],
+      techniques: ['Hemming'],
+      travelDistance: 20
+    });
+
+    assert.equal(status, 201);
+    const { profile } = body;
+    candidateId = profile.candidateId;
+    assert.match(candidateId, /^sew-[0-9a-f]{12}$/);
+    assert.equal(profile.visibility, 'visible');
+    assert.deepEqual(profile.contact, {
+      firstName: 'Ada', lastName: 'Stitch', email: USERS.sewingCandidate.email, phone: '07700 900123', postcode: 'M1 1AE'
+    });
+    assert.deepEqual(profile.card.machines, ['Overlocker', 'Flatlock']);
+    assert.deepEqual(profile.card.sewingTechniques, ['Hemming']);
+    assert.equal(profile.card.availability, 'Available now');
+    assert.equal(profile.card.travelDistance, '20 miles');
+    assert.equal(profile.card.postcodeDistrict, 'M1');
+
+    // Employers find the card but not the contact half
+    const { body: card } = await api.request('GET', `/api/candidates/${candidateId}`);
+    assert.equal(card.role, 'Overlocker Machinist');
+    assert.ok(!JSON.stringify(card).includes('Stitch'));
+
+    assert.equal((await profileRequest('POST', { firstName: 'Ada', lastName: 'Stitch', jobTitle: 'Again' })).status, 409);
+  });
+
+  it('updates only the fields sent', async () => {
+    const { status, body } = await profileRequest('PATCH', {
+      availability: 'Open to offers',
+      machines: ['Lockstitch'],
+      techniques: [],
+      phone: '07700 900456'
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.profile.card.availability, 'Open to offers');
+    assert.deepEqual(body.profile.card.machines, ['Lockstitch']);
+    assert.deepEqual(body.profile.card.sewingTechniques, []);
+    assert.equal(body.profile.card.role, 'Overlocker Machinist');
+    assert.equal(body.profile.contact.phone, '07700 900456');
+  });
+
+  it('rejects comma strings, commas inside entries and fields for the other sector', async () => {
+    const commaString = await profileRequest('PATCH', { machines: 'Overlocker, Flatlock' });
+    assert.equal(commaString.status, 400);
+    assert.match(commaString.body.fields.machines, /array of strings/);
+
+    const commaEntry = await profileRequest('PATCH', { techniques: ['Hemming, Seaming'] });
+    assert.equal(commaEntry.status, 400);
+    assert.match(commaEntry.body.fields.techniques, /commas/);
+
+    const upholsteryOnly = await profileRequest('PATCH', { ownVehicle: 'Yes' });
+    assert.equal(upholsteryOnly.status, 400);
+    assert.match(upholsteryOnly.body.fields.ownVehicle, /does not apply to sewing/);
+  });
+
+  it('keeps the postcode district back when anonymous', async () => {
+    const { body } = await profileRequest('PATCH', { visibility: 'anonymous' });
+    assert.equal(body.profile.visibility, 'anonymous');
+    assert.equal(body.profile.card.postcodeDistrict, null);
+
+    const { body: card } = await api.request('GET', `/api/candidates/${candidateId}`);
+    assert.equal(card.location, 'Manchester');
+    assert.equal(card.postcodeDistrict, null);
+
+    const { body: nearby } = await api.request('GET', '/api/candidates?near=M1%201AE&radius=5');
+    assert.ok(!nearby.some(c => c.id === candidateId));
+  });
+
+  it('drops out of search when hidden', async () => {
+    await profileRequest('PATCH', { visibility: 'hidden' });
+
+    assert.equal((await api.request('GET', `/api/candidates/${candidateId}`)).status, 404);
+    const { body: list } = await api.request('GET', '/api/candidates');
+    assert.ok(!list.some(c => c.id === candidateId));
+    const { body: search } = await api.request('GET', '/api/search?q=Machinist');
+    assert.ok(!search.results.some(c => c.id === candidateId));
+
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    const { body: job } = await api.request('POST', '/api/jobs', { token: employer, body: { title: 'Machinist' } });
+    const shortlist = await api.request('POST', `/api/jobs/${job.id}/shortlist`, {
+      token: employer,
+      body: { candidateId, candidateType: 'sewing' }
+    });
+    assert.equal(shortlist.status, 404);
+
+    // Still theirs to see
+    assert.equal((await profileRequest('GET')).body.profile.visibility, 'hidden');
+  });
+
+  it('shows when a moderator has hidden the profile', async () => {
+    await profileRequest('PATCH', { visibility: 'visible' });
+    await api.dataSource.clients.sewing.from('candidates_public').update({ hidden: true }).eq('candidate_id', candidateId);
+
+    const { body } = await profileRequest('GET');
+    assert.equal(body.profile.hiddenByModerator, true);
+    assert.equal((await api.request('GET', `/api/candidates/${candidateId}`)).status, 404);
+  });
+
+  it('withdraws both halves', async () => {
+    assert.equal((await profileRequest('DELETE')).status, 204);
+    assert.equal((await profileRequest('GET')).status, 404);
+
+    const { data } = await api.dataSource.clients.sewing.from('candidates_private').select('*').eq('candidate_id', candidateId);
+    assert.deepEqual(data, []);
+  });
+
+  it('is only for candidate accounts', async () => {
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    assert.equal((await api.request('GET', '/api/candidate/profile', { token: employer })).status, 403);
+    assert.equal((await api.request('GET', '/api/candidate/profile')).status, 401);
+  });
+});
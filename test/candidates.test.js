@@ -0,0 +1,295 @@
+// ========== test/candidates.test.js ==========
+// Contract tests for the candidate routes: these pin the shapes the front end
+// renders, so a failing assertion here usually means a client change too.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS } from './fixtures.js';
+
+const employerToken = () => signToken('sewing', {
+  sub: USERS.sewingEmployer.id,
+  email: USERS.sewingEmployer.email,
+  app_metadata: { role: 'employer' }
+});
+
+describe('sewing candidates', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('lists newest first with pagination headers', async () => {
+    const { status, headers, body } = await api.request('GET', '/api/candidates?limit=2', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(c => c.candidateId), ['sew-1', 'sew-2']);
+    assert.equal(headers.get('x-total-count'), '3');
+    assert.equal(headers.get('x-page'), '1');
+    assert.equal(headers.get('x-limit'), '2');
+    assert.equal(headers.get('x-total-pages'), '2');
+  });
+
+  it('maps a full row for employers, joining the private postcode', async () => {
+    const { status, body } = await api.request('GET', '/api/candidates/sew-1', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      id: 1,
+      candidateId: 'sew-1',
+      role: 'Sewing Machinist',
+      location: 'Manchester',
+      postcodeDistrict: 'M4',
+      postcodeCoords: { lat: 53.4839, lon: -2.2353 },
+      yearsExperience: 6,
+      availability: 'Available now',
+      sector: 'Garments',
+      workType: 'Full-time',
+      machines: ['Overlocker', 'Flatlock'],
+      products: ['Sportswear'],
+      materials: ['Jersey'],
+      sewingTechniques: ['Hemming', 'Seaming'],
+      desiredSalary: '£24,000',
+      travelDistance: '15 miles',
+      type: 'sewing'
+    });
+  });
+
+  it('fills in defaults for sparse rows', async () => {
+    const { body } = await api.request('GET', '/api/candidates/sew-2', { token: employerToken() });
+
+    assert.equal(body.availability, 'Unknown');
+    assert.equal(body.desiredSalary, 'Competitive');
+    assert.deepEqual(body.machines, []);
+    assert.deepEqual(body.products, []);
+    assert.deepEqual(body.sewingTechniques, []);
+  });
+
+  it('leaves the location empty when there is no private postcode', async () => {
+    const { body } = await api.request('GET', '/api/candidates/sew-3', { token: employerToken() });
+    assert.equal(body.postcodeDistrict, null);
+    assert.equal(body.postcodeCoords, null);
+  });
+
+  it('returns 404 for an unknown or hidden candidate', async () => {
+    await api.dataSource.clients.sewing.from('candidates_public').update({ hidden: true }).eq('candidate_id', 'sew-3');
+    // Written behind the API's back, so the cached list doesn't know yet
+    await api.app.locals.candidateCache.invalidate('sewing');
+
+    for (const id of ['sew-404', 'sew-3']) {
+      const { status, body } = await api.request('GET', `/api/candidates/${id}`, { token: employerToken() });
+      assert.equal(status, 404);
+      assert.deepEqual(body, { error: 'Candidate not found' });
+    }
+
+    const list = await api.request('GET', '/api/candidates');
+    assert.ok(!list.body.some(c => c.candidateId === 'sew-3'));
+  });
+
+  it('ranks by distance on near= searches and applies the radius', async () => {
+    const { status, body } = await api.request('GET', '/api/candidates?near=M1%201AE&radius=10', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(c => c.candidateId), ['sew-1']);
+    assert.equal(typeof body[0].distanceMiles, 'number');
+    assert.ok(body[0].distanceMiles < 1);
+  });
+
+  it('rejects postcodes it cannot locate and invalid query parameters', async () => {
+    const unknown = await api.request('GET', '/api/candidates?near=ZZ9%209ZZ');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Could not locate postcode ZZ9 9ZZ');
+
+    const radiusOnly = await api.request('GET', '/api/candidates?radius=10');
+    assert.equal(radiusOnly.status, 400);
+  });
+});
+
+describe('sewing searches filtered in memory', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  // Swaps in a query for one table, restoring the real client afterwards
+  async function withQuery(table, change, run) {
+    const client = api.dataSource.clients.sewing;
+    const realFrom = client.from;
+    client.from = (name) => {
+      const query = realFrom.call(client, name);
+      if (name === table) change(query);
+      return query;
+    };
+    try {
+      await api.app.locals.candidateCache.invalidate('sewing');
+      return await run();
+    } finally {
+      client.from = realFrom;
+    }
+  }
+
+  it('pages through every match when the database caps rows per request', async () => {
+    // Like PostgREST's max-rows: each request gets at most two rows, whatever range it asks for
+    const capRows = (query) => {
+      const execute = query.execute.bind(query);
+      query.execute = async () => {
+        const result = await execute();
+        return { ...result, data: result.data?.slice(0, 2) };
+      };
+    };
+
+    await withQuery('candidates_public', capRows, async () => {
+      const { status, headers, body } = await api.request('GET', '/api/candidates?near=M1%201AE', { token: employerToken() });
+      assert.equal(status, 200);
+      assert.equal(headers.get('x-total-count'), '3');
+      assert.deepEqual(body.map(c => c.candidateId).sort(), ['sew-1', 'sew-2', 'sew-3']);
+    });
+  });
+
+  it('fails rather than dropping candidates when their postcodes cannot be read', async () => {
+    const failLookups = (query) => {
+      query.in = () => Promise.resolve({ data: null, error: { message: 'lookup failed' } });
+    };
+
+    await withQuery('candidates_private', failLookups, async () => {
+      const { status, body } = await api.request('GET', '/api/candidates?near=M1%201AE&radius=10', { token: employerToken() });
+      assert.notEqual(status, 200);
+      assert.equal(body.error, 'lookup failed');
+    });
+  });
+});
+
+describe('upholstery candidates', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('maps a full row, splitting list columns', async () => {
+    const { status, body } = await api.request('GET', '/api/upholstery/uph-1', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      id: 1,
+      candidateId: 'uph-1',
+      role: 'Upholsterer',
+      location: 'Bristol',
+      postcodeDistrict: 'BS1',
+      postcodeCoords: { lat: 51.4545, lon: -2.5879 },
+      yearsExperience: 8,
+      availability: 'Available now',
+      noticePeriod: '2 weeks',
+      sector: 'Furniture',
+      workType: 'Full-time',
+      travelDistance: '25 miles',
+      driversLicense: 'Yes',
+      ownVehicle: 'No',
+      products: ['Sofas', 'Chairs'],
+      techniques: ['Deep buttoning'],
+      sewingMachineExperience: 'Yes',
+      sewingMachines: ['Walking foot', 'Lockstitch'],
+      willingToRelocate: 'No',
+      type: 'upholstery'
+    });
+  });
+
+  it('uses placeholder strings for an empty row', async () => {
+    const { body } = await api.request('GET', '/api/upholstery/uph-2', { token: employerToken() });
+
+    assert.deepEqual(body, {
+      id: 2,
+      candidateId: 'uph-2',
+      role: 'Upholsterer',
+      location: '',
+      postcodeDistrict: null,
+      postcodeCoords: null,
+      yearsExperience: 'Not specified',
+      availability: 'Not specified',
+      noticePeriod: 'Not specified',
+      sector: 'Upholstery',
+      workType: 'Not specified',
+      travelDistance: 'Not specified',
+      driversLicense: 'Not specified',
+      ownVehicle: 'Not specified',
+      products: [],
+      techniques: [],
+      sewingMachineExperience: 'None',
+      sewingMachines: [],
+      willingToRelocate: 'Not specified',
+      type: 'upholstery'
+    });
+  });
+
+  it('lists both candidates', async () => {
+    const { status, headers, body } = await api.request('GET', '/api/upholstery');
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(c => c.candidateId), ['uph-1', 'uph-2']);
+    assert.equal(headers.get('x-total-count'), '2');
+  });
+
+  it('returns 404 for an unknown candidate', async () => {
+    const { status } = await api.request('GET', '/api/upholstery/uph-404');
+    assert.equal(status, 404);
+  });
+});
+
+describe('public candidate cards', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('hides coordinates and bands the salary for anonymous visitors', async () => {
+    const { status, headers, body } = await api.request('GET', '/api/candidates/sew-1');
+
+    assert.equal(status, 200);
+    assert.equal(body.postcodeDistrict, 'M4');
+    assert.ok(!('postcodeCoords' in body));
+    assert.equal(body.desiredSalary, '£20k-£25k');
+    assert.match(headers.get('vary'), /Authorization/);
+  });
+
+  it('treats candidate accounts like anonymous visitors', async () => {
+    const token = signToken('sewing', {
+      sub: USERS.sewingCandidate.id,
+      email: USERS.sewingCandidate.email,
+      app_metadata: { role: 'candidate' }
+    });
+    const { body } = await api.request('GET', '/api/candidates?near=M1%201AE', { token });
+
+    assert.ok(body.every(c => !('postcodeCoords' in c)));
+    assert.ok(body.every(c => c.distanceMiles === null || Number.isInteger(c.distanceMiles)));
+  });
+});
+
+describe('GET /api/search', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('merges both projects into one schema', async () => {
+    const { status, body } = await api.request('GET', '/api/search', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 5);
+    assert.deepEqual(body.warnings, []);
+    assert.deepEqual(body.results.map(c => `${c.type}:${c.candidateId}`), [
+      'sewing:sew-1', 'upholstery:uph-1', 'sewing:sew-2', 'upholstery:uph-2', 'sewing:sew-3'
+    ]);
+
+    const empty = body.results.find(c => c.candidateId === 'uph-2');
+    assert.equal(empty.role, null);
+    assert.equal(empty.yearsExperience, null);
+    assert.deepEqual(empty.machines, []);
+  });
+
+  it('rejects unknown types', async () => {
+    const { status, body } = await api.request('GET', '/api/search?type=knitting');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Unknown candidate type: knitting');
+  });
+
+  it('refuses pages beyond the first 1000 results', async () => {
+    const { status, body } = await api.request('GET', `/api/search?page=${Number.MAX_SAFE_INTEGER}&limit=100`);
+    assert.equal(status, 400);
+    assert.match(body.error, /first 1000 results/);
+
+    assert.equal((await api.request('GET', '/api/search?page=10&limit=100')).status, 200);
+    assert.equal((await api.request('GET', '/api/search?page=11&limit=100')).status, 400);
+  });
+});
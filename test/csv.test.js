@@ -0,0 +1,200 @@
+// ========== test/csv.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { parseCsv, csvLine } from '../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('handles quotes, embedded commas and line breaks, CRLF and a BOM', () => {
+    const { records } = parseCsv('\uFEFFname,notes\r\n"Smith, Jo","said ""hi""\nthen left"\r\n\r\nLee,\n');
+
+    assert.deepEqual(records.map(r => [...r]), [
+      ['name', 'notes'],
+      ['Smith, Jo', 'said "hi"\nthen left'],
+      ['Lee', '']
+    ]);
+    assert.deepEqual(records.map(r => r.line), [1, 2, 5]);
+  });
+
+  it('reports an unterminated quote', () => {
+    assert.match(parseCsv('a,b\n"open,1\n').error, /line 2/);
+  });
+
+  it('writes lines that read back the same, without live formulas', () => {
+    const line = csvLine(['Smith, Jo', ['Overlocker', 'Flatlock'], null, 6, '=SUM(A1)']);
+    assert.equal(line, '"Smith, Jo","Overlocker, Flatlock",,6,\'=SUM(A1)\r\n');
+    assert.deepEqual([...parseCsv(line).records[0]], ['Smith, Jo', 'Overlocker, Flatlock', '', '6', "'=SUM(A1)"]);
+
+    const list = csvLine([['=HYPERLINK("http://evil.test")', 'Flatlock'], -3]);
+    assert.equal(list, '"\'=HYPERLINK(""http://evil.test""), Flatlock",-3\r\n');
+  });
+});
+
+describe('candidate import', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  const upload = (text, query = '', token = admin) => api.request('POST', `/api/admin/candidates/sewing/import${query}`, {
+    token,
+    body: text,
+    headers: { 'content-type': 'text/csv' }
+  });
+
+  const FILE = [
+    'Email,First name,last_name,jobTitle,machines,availability,postcode',
+    'new.one@example.com,Ann,Lee,Machinist,"Overlocker, Coverstitch",available now,M1 1AE',
+    'sew1@example.com,,,,Lockstitch,,',
+    'bad-email,Bob,Ray,Cutter,,,',
+    'new.two@example.com,Cy,Dee,,,,',
+    'NEW.ONE@example.com,Ann,Lee,Machinist,,,'
+  ].join('\n');
+
+  it('checks every row on a dry run without saving', async () => {
+    const { status, body } = await upload(FILE, '?dryRun=true');
+
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual([body.total, body.created, body.updated, body.failed], [5, 1, 1, 3]);
+    assert.deepEqual(body.rows.map(r => r.action), ['create', 'update', 'error', 'error', 'error']);
+    assert.equal(body.rows[1].candidateId, 'sew-1');
+    assert.match(body.rows[2].errors.email, /valid email/);
+    assert.match(body.rows[3].errors.jobTitle, /required for new candidates/);
+    assert.match(body.rows[4].errors.row, /duplicates row 2/);
+
+    const { data } = await api.dataSource.clients.sewing.from('candidates_private').select('*').eq('email', 'new.one@example.com');
+    assert.deepEqual(data, []);
+  });
+
+  it('creates new candidates and updates matches, leaving bad rows out', async () => {
+    const { body } = await upload(FILE);
+
+    assert.deepEqual([body.created, body.updated, body.failed], [1, 1, 3]);
+    const newId = body.rows[0].candidateId;
+    assert.match(newId, /^sew-/);
+
+    const { body: created } = await api.request('GET', `/api/candidates/${newId}`);
+    assert.equal(created.role, 'Machinist');
+    assert.deepEqual(created.machines, ['Overlocker', 'Coverstitch']);
+    assert.equal(created.postcodeDistrict, 'M1');
+
+    // Blank cells leave existing values alone
+    const { body: updated } = await api.request('GET', '/api/candidates/sew-1');
+    assert.deepEqual(updated.machines, ['Lockstitch']);
+    assert.equal(updated.role, 'Sewing Machinist');
+
+    const { data: audit } = await api.dataSource.clients.sewing.from('audit_log').select('*').eq('action', 'candidates.imported');
+    assert.deepEqual(audit[0].details, { created: 1, updated: 1, skipped: 0, failed: 3 });
+  });
+
+  it('matches on candidateId and can skip existing candidates', async () => {
+    const file = 'candidateId,email,city\nsew-2,sew2@example.com,Derby\nsew-3,sew1@example.com,York\n';
+
+    const skipped = await upload(file, '?onDuplicate=skip');
+    assert.deepEqual(skipped.body.rows.map(r => r.action), ['skip', 'error']);
+    assert.match(skipped.body.rows[1].errors.email, /belongs to candidate sew-1/);
+
+    await upload(file);
+    assert.equal((await api.request('GET', '/api/candidates/sew-2')).body.location, 'Derby');
+  });
+
+  it('matches emails in any case and never imports over self-managed profiles', async () => {
+    await api.dataSource.clients.sewing.from('candidates_private').update({ email: 'Sew3.Mixed@Example.com' }).eq('candidate_id', 'sew-3');
+    const candidate = await api.login(USERS.sewingCandidate.email, PASSWORD);
+    await api.request('POST', '/api/candidate/profile', {
+      token: candidate,
+      body: { firstName: 'Ada', lastName: 'Stitch', jobTitle: 'Machinist', city: 'Leeds' }
+    });
+
+    const file = `email,city\nsew3.mixed@example.com,Hull\n${USERS.sewingCandidate.email.toUpperCase()},York\n`;
+    const dryRun = await upload(file, '?dryRun=true');
+    assert.deepEqual(dryRun.body.rows.map(r => [r.action, r.candidateId]), [['update', 'sew-3'], ['error', dryRun.body.rows[1].candidateId]]);
+    assert.match(dryRun.body.rows[1].errors.row, /manages their own profile/);
+
+    const contacts = async () => (await api.dataSource.clients.sewing.from('candidates_private').select('candidate_id')).data.length;
+    const before = await contacts();
+    await upload(file);
+    const { body: own } = await api.request('GET', '/api/candidate/profile', { token: candidate });
+    assert.equal(own.profile.card.location, 'Leeds');
+    assert.equal(await contacts(), before);
+    assert.equal((await api.request('GET', '/api/candidates/sew-3')).body.location, 'Hull');
+  });
+
+  it('rejects files it cannot read', async () => {
+    const unknown = await upload('email,favouriteColour\na@example.com,blue\n');
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown column\(s\): favouriteColour/);
+
+    assert.match((await upload('firstName\nAnn\n')).body.error, /email column/);
+
+    const json = await api.request('POST', '/api/admin/candidates/sewing/import', { token: admin, body: { email: 'a@example.com' } });
+    assert.equal(json.status, 415);
+  });
+
+  it('is for admins only', async () => {
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    assert.equal((await upload(FILE, '', employer)).status, 403);
+  });
+});
+
+describe('candidate CSV export', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  const rowsOf = text => parseCsv(text).records.map(r => [...r]);
+
+  it('exports the filtered list with the JSON field names, redacted for the public', async () => {
+    const { status, headers, text } = await api.request('GET', '/api/candidates?format=csv&workType=Full-time,Part-time&limit=1');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="sewing-candidates-\d{4}-\d{2}-\d{2}\.csv"/);
+    assert.equal(headers.get('x-total-count'), '2');
+
+    const [header, ...rows] = rowsOf(text);
+    assert.ok(header.includes('role') && header.includes('machines'));
+    assert.ok(!header.includes('postcodeCoords.lat'));
+    assert.ok(!header.includes('email'));
+    // Every match, not just the requested page
+    assert.equal(rows.length, 2);
+
+    const first = Object.fromEntries(header.map((name, i) => [name, rows[0][i]]));
+    assert.equal(first.candidateId, 'sew-1');
+    assert.equal(first.machines, 'Overlocker, Flatlock');
+    assert.equal(first.desiredSalary, '£20k-£25k');
+  });
+
+  it('honours ?fields= and near= searches', async () => {
+    const { text } = await api.request('GET', '/api/upholstery?format=csv&fields=candidateId,distanceMiles&near=BS1%204DJ');
+    assert.deepEqual(rowsOf(text), [['candidateId', 'distanceMiles'], ['uph-1', '0'], ['uph-2', '']]);
+  });
+
+  it('adds contact details for admins and audits it', async () => {
+    const admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+    const { text } = await api.request('GET', '/api/candidates?format=csv&fields=candidateId', { token: admin });
+
+    const [header, ...rows] = rowsOf(text);
+    assert.deepEqual(header, ['candidateId', 'firstName', 'lastName', 'email', 'phone', 'postcode']);
+    assert.deepEqual(rows.find(r => r[0] === 'sew-1'), ['sew-1', '', '', 'sew1@example.com', '', 'M4 1HN']);
+
+    const { data: audit } = await api.dataSource.clients.sewing.from('audit_log').select('*').eq('action', 'candidate.private_data_exported');
+    assert.equal(audit[0].details.rows, 3);
+  });
+
+  it('gives employers full cards without contact details', async () => {
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    const { text } = await api.request('GET', '/api/candidates?format=csv&q=Sewing', { token: employer });
+
+    const [header, row] = rowsOf(text);
+    assert.ok(header.includes('postcodeCoords.lat'));
+    assert.ok(!header.includes('email'));
+    assert.equal(row[header.indexOf('desiredSalary')], '£24,000');
+  });
+});
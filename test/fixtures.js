@@ -0,0 +1,148 @@
+// ========== test/fixtures.js ==========
+// Seed data for the in-memory projects. Rows mirror what the live tables hold,
+// including the awkward bits the mappers have to cope with ("None selected",
+// missing columns, candidates without a private postcode).
+
+export const PASSWORD = 'Correct-Horse1';
+
+export const USERS = {
+  sewingEmployer: { id: '11111111-1111-4111-8111-111111111111', email: 'boss@sewing.test' },
+  upholsteryEmployer: { id: '22222222-2222-4222-8222-222222222222', email: 'boss@upholstery.test' },
+  sewingAdmin: { id: '33333333-3333-4333-8333-333333333333', email: 'staff@sewing.test' },
+  sewingCandidate: { id: '44444444-4444-4444-8444-444444444444', email: 'worker@sewing.test' }
+};
+
+// Postcode → coordinates for the stub geocoder
+export const POSTCODES = {
+  'M1 1AE': { lat: 53.4794, lon: -2.2453, postcodeDistrict: 'M1' },
+  'M4 1HN': { lat: 53.4839, lon: -2.2353, postcodeDistrict: 'M4' },
+  'LE1 5WW': { lat: 52.6369, lon: -1.1398, postcodeDistrict: 'LE1' },
+  'BS1 4DJ': { lat: 51.4545, lon: -2.5879, postcodeDistrict: 'BS1' }
+};
+
+export function createSeed() {
+  return {
+    sewing: {
+      users: [
+        { ...USERS.sewingEmployer, password: PASSWORD, app_metadata: { role: 'employer' } },
+        { ...USERS.sewingAdmin, password: PASSWORD, app_metadata: { role: 'admin' } },
+        { ...USERS.sewingCandidate, password: PASSWORD, app_metadata: { role: 'candidate' } }
+      ],
+      tables: {
+        client_registrations: [{
+          id: 1,
+          email: USERS.sewingEmployer.email,
+          company_name: 'Stitch Works',
+          postcode: 'M1 1AE',
+          employment_type: 'Full-time',
+          salary_from: 22000,
+          salary_to: 26000,
+          experience_required: '2 years',
+          machines: 'Overlocker',
+          techniques: 'Hemming',
+          account_type: 'sewing',
+          status: 'approved',
+          created_at: '2024-01-01T00:00:00.000Z'
+        }],
+        candidates_public: [
+          {
+            id: 1,
+            candidate_id: 'sew-1',
+            job_title: 'Sewing Machinist',
+            city: 'Manchester',
+            years_experience: 6,
+            status: 'Available now',
+            sector: 'Garments',
+            work_type: 'Full-time',
+            machines: 'Overlocker, None selected, Flatlock',
+            products: 'Sportswear',
+            materials: 'Jersey',
+            sewing_techniques: 'Hemming, Seaming',
+            desired_salary: '£24,000',
+            travel_distance: '15 miles',
+            created_at: '2024-03-01T00:00:00.000Z'
+          },
+          {
+            id: 2,
+            candidate_id: 'sew-2',
+            job_title: 'Pattern Cutter',
+            city: 'Leicester',
+            years_experience: 12,
+            status: null,
+            sector: 'Fashion',
+            work_type: 'Part-time',
+            machines: 'None selected',
+            products: null,
+            materials: null,
+            sewing_techniques: null,
+            desired_salary: null,
+            travel_distance: 'Anywhere',
+            created_at: '2024-02-01T00:00:00.000Z'
+          },
+          {
+            id: 3,
+            candidate_id: 'sew-3',
+            job_title: 'Sample Machinist',
+            city: 'London',
+            years_experience: 2,
+            status: 'Available now',
+            sector: 'Fashion',
+            work_type: 'Contract',
+            machines: 'Lockstitch',
+            created_at: '2024-01-15T00:00:00.000Z'
+          }
+        ],
+        candidates_private: [
+          { id: 1, candidate_id: 'sew-1', email: 'sew1@example.com', postcode: 'M4 1HN' },
+          { id: 2, candidate_id: 'sew-2', email: 'sew2@example.com', postcode: 'LE1 5WW' },
+          { id: 3, candidate_id: 'sew-3', email: 'sew3@example.com', postcode: null }
+        ]
+      }
+    },
+    upholstery: {
+      users: [
+        { ...USERS.upholsteryEmployer, password: PASSWORD, app_metadata: { role: 'employer' } }
+      ],
+      tables: {
+        client_registrations: [{
+          id: 1,
+          email: USERS.upholsteryEmployer.email,
+          company_name: 'Chair Makers',
+          account_type: 'upholstery',
+          status: 'approved',
+          created_at: '2024-01-01T00:00:00.000Z'
+        }],
+        upholstery_public: [
+          {
+            id: 1,
+            candidate_id: 'uph-1',
+            job_title: 'Upholsterer',
+            city: 'Bristol',
+            years_experience: 8,
+            status: 'Available now',
+            availability: '2 weeks',
+            sector: 'Furniture',
+            work_type: 'Full-time',
+            travel_distance: '25 miles',
+            drivers_license: 'Yes',
+            own_vehicle: 'No',
+            products: 'Sofas, Chairs',
+            techniques: 'Deep buttoning',
+            sewing_machine_experience: 'Yes',
+            sewing_machines_used: 'Walking foot,Lockstitch, None selected',
+            willing_to_relocate: 'No',
+            created_at: '2024-03-01T00:00:00.000Z'
+          },
+          {
+            id: 2,
+            candidate_id: 'uph-2',
+            created_at: '2024-02-01T00:00:00.000Z'
+          }
+        ],
+        upholstery_private: [
+          { id: 1, candidate_id: 'uph-1', email: 'uph1@example.com', postcode: 'BS1 4DJ' }
+        ]
+      }
+    }
+  };
+}
@@ -0,0 +1,220 @@
+// ========== test/geocoding.test.js ==========
+// The geocoder against postcodes.io with fetch stubbed out, so these cover the
+// real provider's requests as well as the caching and batching in front of it.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createGeocoder,
+  createPostcodesIoProvider,
+  lookupAreaCentroid,
+  normalizePostcode
+} from '../src/services/geocoding.js';
+import { LruCache } from '../src/utils/lruCache.js';
+
+const KNOWN = {
+  M11AE: { latitude: 53.4794, longitude: -2.2453, outward_code: 'M1' },
+  M41HN: { latitude: 53.4839, longitude: -2.2353, outward_code: 'M4' },
+  LE15WW: { latitude: 52.6369, longitude: -1.1398, outward_code: 'LE1' }
+};
+const OUTCODES = { M1: { latitude: 53.48, longitude: -2.24, outcode: 'M1' } };
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Answers like postcodes.io from the tables above, recording what was asked
+function stubPostcodesIo() {
+  const requests = [];
+  mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/postcodes') {
+      const { postcodes } = JSON.parse(options.body);
+      requests.push(postcodes);
+      return json({
+        status: 200,
+        result: postcodes.map(query => ({ query, result: KNOWN[normalizePostcode(query)] || null }))
+      });
+    }
+    requests.push(pathname);
+    const outcode = decodeURIComponent(pathname.split('/').pop());
+    return OUTCODES[outcode] ? json({ status: 200, result: OUTCODES[outcode] }) : json({ status: 404 }, 404);
+  });
+  return requests;
+}
+
+const failFetch = () => mock.method(globalThis, 'fetch', async () => {
+  throw new TypeError('fetch failed');
+});
+
+// A Map behind the persistent cache interface, without the file
+function memoryStore() {
+  const entries = new Map();
+  return { entries, get: key => entries.get(key), set: (key, value) => entries.set(key, value) };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('postcodes.io provider', () => {
+  it('looks postcodes up in bulk, 100 at a time', async () => {
+    const requests = stubPostcodesIo();
+    const postcodes = ['M11AE', ...Array.from({ length: 149 }, (_, i) => `ZZ${i}1AA`)];
+
+    const results = await createPostcodesIoProvider().lookup(postcodes);
+
+    assert.deepEqual(requests.map(batch => batch.length), [100, 50]);
+    assert.deepEqual(results.get('M11AE'), { lat: 53.4794, lon: -2.2453, postcodeDistrict: 'M1' });
+    assert.equal(results.get('ZZ01AA'), null);
+  });
+
+  it('looks outcodes up one by one, treating 404 as unknown', async () => {
+    const requests = stubPostcodesIo();
+
+    const results = await createPostcodesIoProvider().lookup(['M1', 'ZZ9']);
+
+    assert.deepEqual(requests.sort(), ['/outcodes/M1', '/outcodes/ZZ9']);
+    assert.deepEqual(results.get('M1'), { lat: 53.48, lon: -2.24, postcodeDistrict: 'M1' });
+    assert.equal(results.get('ZZ9'), null);
+  });
+
+  it('throws when the service is failing', async () => {
+    mock.method(globalThis, 'fetch', async () => json({ status: 503 }, 503));
+    await assert.rejects(createPostcodesIoProvider().lookup(['M11AE']), /responded with 503/);
+  });
+});
+
+describe('geocoder', () => {
+  let requests;
+  beforeEach(() => { requests = stubPostcodesIo(); });
+
+  it('asks once for each postcode, however it is written', async () => {
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider() });
+
+    const results = await geocoder.geocodeMany(['m1 1ae', 'M1 1AE', 'M11AE', 'LE1 5WW', 'not a postcode']);
+
+    assert.deepEqual(requests, [['M11AE', 'LE15WW']]);
+    assert.deepEqual([...results.keys()], ['m1 1ae', 'M1 1AE', 'M11AE', 'LE1 5WW', 'not a postcode']);
+    assert.equal(results.get('m1 1ae').postcodeDistrict, 'M1');
+    assert.deepEqual(results.get('m1 1ae'), results.get('M11AE'));
+    assert.equal(results.get('not a postcode'), null);
+  });
+
+  it('collects lookups made in the same tick into one request', async () => {
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider() });
+
+    const [first, second, again] = await Promise.all([
+      geocoder.geocode('M1 1AE'),
+      geocoder.geocode('LE1 5WW'),
+      geocoder.geocode('m11ae')
+    ]);
+
+    assert.deepEqual(requests, [['M11AE', 'LE15WW']]);
+    assert.equal(first.postcodeDistrict, 'M1');
+    assert.equal(second.postcodeDistrict, 'LE1');
+    assert.deepEqual(again, first);
+  });
+
+  it('shares a request already in flight', async () => {
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider() });
+
+    const [a, b] = await Promise.all([geocoder.geocodeMany(['M1 1AE']), geocoder.geocodeMany(['M1 1AE', 'M4 1HN'])]);
+
+    assert.deepEqual(requests, [['M11AE'], ['M41HN']]);
+    assert.deepEqual(a.get('M1 1AE'), b.get('M1 1AE'));
+  });
+
+  it('caches answers, including unknown postcodes for a while', async () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider() });
+
+    await geocoder.geocodeMany(['M1 1AE', 'ZZ1 1ZZ']);
+    const cached = await geocoder.geocodeMany(['M1 1AE', 'ZZ1 1ZZ']);
+    assert.equal(requests.length, 1);
+    assert.equal(cached.get('ZZ1 1ZZ'), null);
+
+    // Unknown postcodes are asked about again after an hour; known ones keep
+    Date.now.mock.mockImplementation(() => now + 60 * 60 * 1000 + 1);
+    await geocoder.geocodeMany(['M1 1AE', 'ZZ1 1ZZ']);
+    assert.deepEqual(requests, [['M11AE', 'ZZ11ZZ'], ['ZZ11ZZ']]);
+  });
+
+  it('forgets the least recently used postcode when the cache is full', async () => {
+    const geocoder = createGeocoder({
+      provider: createPostcodesIoProvider(),
+      cache: new LruCache({ maxEntries: 2 })
+    });
+
+    await geocoder.geocodeMany(['M1 1AE']);
+    await geocoder.geocodeMany(['M4 1HN']);
+    await geocoder.geocodeMany(['M1 1AE']);
+    await geocoder.geocodeMany(['LE1 5WW']);
+    assert.equal(requests.length, 3);
+
+    await geocoder.geocodeMany(['M1 1AE']);
+    assert.equal(requests.length, 3);
+    await geocoder.geocodeMany(['M4 1HN']);
+    assert.deepEqual(requests.at(-1), ['M41HN']);
+  });
+
+  it('reads and fills the persistent cache', async () => {
+    const store = memoryStore();
+    await createGeocoder({ provider: createPostcodesIoProvider(), persistentCache: store }).geocodeMany(['M1 1AE']);
+    assert.equal(store.get('M11AE').postcodeDistrict, 'M1');
+
+    // As after a restart
+    const results = await createGeocoder({ provider: createPostcodesIoProvider(), persistentCache: store }).geocodeMany(['M1 1AE']);
+    assert.equal(requests.length, 1);
+    assert.equal(results.get('M1 1AE').postcodeDistrict, 'M1');
+  });
+});
+
+describe('geocoder when postcodes.io is down', () => {
+  it('falls back to the postcode area centroid', async () => {
+    failFetch();
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider() });
+
+    const results = await geocoder.geocodeMany(['M1 1AE', 'LE1 5WW', 'ZZ1 1ZZ']);
+
+    assert.deepEqual(results.get('M1 1AE'), { lat: 53.48, lon: -2.24, postcodeDistrict: 'M1', approximate: true });
+    assert.equal(results.get('LE1 5WW').postcodeDistrict, 'LE1');
+    assert.equal(results.get('ZZ1 1ZZ'), null);
+  });
+
+  it('goes back to postcodes.io after a few minutes, never persisting the fallback', async () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    const fetch = failFetch();
+    const store = memoryStore();
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider(), persistentCache: store });
+
+    assert.equal((await geocoder.geocode('M1 1AE')).approximate, true);
+    assert.equal((await geocoder.geocode('M1 1AE')).approximate, true);
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(store.entries.size, 0);
+
+    fetch.mock.restore();
+    const requests = stubPostcodesIo();
+    Date.now.mock.mockImplementation(() => now + 5 * 60 * 1000 + 1);
+
+    const recovered = await geocoder.geocode('M1 1AE');
+    assert.deepEqual(requests, [['M11AE']]);
+    assert.deepEqual(recovered, { lat: 53.4794, lon: -2.2453, postcodeDistrict: 'M1' });
+    assert.deepEqual(store.get('M11AE'), recovered);
+  });
+
+  it('answers null when the fallback is turned off', async () => {
+    failFetch();
+    const geocoder = createGeocoder({ provider: createPostcodesIoProvider(), fallback: null });
+    assert.equal(await geocoder.geocode('M1 1AE'), null);
+  });
+});
+
+describe('lookupAreaCentroid', () => {
+  it('only places full postcodes and outcodes in a known area', () => {
+    assert.equal(lookupAreaCentroid('LE15WW').postcodeDistrict, 'LE1');
+    assert.equal(lookupAreaCentroid('M1').postcodeDistrict, 'M1');
+    assert.equal(lookupAreaCentroid('ZZ11ZZ'), null);
+    assert.equal(lookupAreaCentroid('NOTAPOSTCODE'), null);
+  });
+});
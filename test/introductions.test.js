@@ -0,0 +1,153 @@
+// ========== test/introductions.test.js ==========
+// Introductions are the only way an employer sees a candidate's contact
+// details, so these pin down when they are (and aren't) released.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS } from './fixtures.js';
+
+const employerToken = () => signToken('sewing', {
+  sub: USERS.sewingEmployer.id,
+  email: USERS.sewingEmployer.email,
+  app_metadata: { role: 'employer' }
+});
+
+// The one-time response path from the email the candidate was sent
+function responsePath(message) {
+  return new URL(message.text.match(/https?:\/\/\S+\/api\/introductions\/respond\/\S+/)[0]).pathname;
+}
+
+describe('introduction requests', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  const requestIntroduction = (candidateId, body = {}) => api.request('POST', `/api/candidates/${candidateId}/contact`, {
+    token: employerToken(),
+    body
+  });
+
+  const auditEntries = async () => (await api.dataSource.clients.sewing.from('audit_log').select('*')).data;
+
+  it('emails the candidate a response link and shares nothing until they accept', async () => {
+    const { status, body } = await requestIntroduction('sew-1', { message: 'We have a vacancy' });
+
+    assert.equal(status, 201);
+    assert.equal(body.status, 'pending');
+    assert.equal(body.candidateId, 'sew-1');
+
+    const [email] = api.sent;
+    assert.equal(email.to, 'sew1@example.com');
+    assert.match(email.subject, /^Stitch Works would like to contact you/);
+    assert.match(email.text, /We have a vacancy/);
+
+    const { data: [stored] } = await api.dataSource.clients.sewing.from('introduction_requests').select('*');
+    assert.ok(!Object.values(stored).includes(responsePath(email).split('/').pop()), 'only the token hash is kept');
+
+    const pending = await api.request('GET', `/api/introductions/sewing/${body.id}`, { token: employerToken() });
+    assert.equal(pending.body.status, 'pending');
+    assert.ok(!('contact' in pending.body));
+    assert.deepEqual(await auditEntries(), []);
+  });
+
+  it('refuses a second open request for the same candidate', async () => {
+    const { status, body } = await requestIntroduction('sew-1');
+    assert.equal(status, 409);
+    assert.match(body.error, /already have a pending request/);
+  });
+
+  it('releases contact details once accepted, and audits each read', async () => {
+    const path = responsePath(api.sent[0]);
+
+    const preview = await api.request('GET', path);
+    assert.deepEqual([preview.body.companyName, preview.body.status], ['Stitch Works', 'pending']);
+
+    const accepted = await api.request('POST', path, { body: { decision: 'accept' } });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.status, 'accepted');
+    assert.equal(api.sent.at(-1).to, USERS.sewingEmployer.email);
+
+    // The link only works once
+    assert.equal((await api.request('POST', path, { body: { decision: 'decline' } })).status, 409);
+
+    const [introduction] = (await api.request('GET', '/api/introductions?status=accepted', { token: employerToken() })).body;
+    const { body } = await api.request('GET', `/api/introductions/sewing/${introduction.id}`, { token: employerToken() });
+    assert.deepEqual(body.contact, { email: 'sew1@example.com', postcode: 'M4 1HN' });
+
+    const entries = await auditEntries();
+    assert.equal(entries.length, 1);
+    assert.deepEqual(
+      [entries[0].action, entries[0].actor_id, entries[0].target_id, entries[0].details],
+      ['candidate.private_data_accessed', USERS.sewingEmployer.id, 'sew-1', { introductionId: introduction.id }]
+    );
+  });
+
+  it('keeps contact details private when declined', async () => {
+    const { body: introduction } = await requestIntroduction('sew-2');
+    const path = responsePath(api.sent.at(-1));
+
+    assert.equal((await api.request('POST', path, { body: { decision: 'maybe' } })).status, 400);
+    assert.equal((await api.request('POST', path, { body: { decision: 'decline' } })).body.status, 'declined');
+
+    const { body } = await api.request('GET', `/api/introductions/sewing/${introduction.id}`, { token: employerToken() });
+    assert.equal(body.status, 'declined');
+    assert.ok(!('contact' in body));
+  });
+
+  it('treats expired links as answered', async () => {
+    const { body: introduction } = await requestIntroduction('sew-3');
+    const path = responsePath(api.sent.at(-1));
+    await api.dataSource.clients.sewing.from('introduction_requests')
+      .update({ expires_at: '2020-01-01T00:00:00.000Z' }).eq('id', introduction.id);
+
+    const { status, body } = await api.request('POST', path, { body: { decision: 'accept' } });
+    assert.equal(status, 409);
+    assert.equal(body.error, 'This request has already been expired');
+  });
+
+  it('answers 404 for unknown tokens and other employers\' requests', async () => {
+    assert.equal((await api.request('GET', '/api/introductions/respond/sewing/not-a-token')).status, 404);
+    assert.equal((await api.request('POST', '/api/introductions/respond/sewing/not-a-token', { body: { decision: 'accept' } })).status, 404);
+
+    const [introduction] = (await api.request('GET', '/api/introductions?status=accepted', { token: employerToken() })).body;
+    const rival = signToken('sewing', { sub: '55555555-5555-4555-8555-555555555555', email: 'rival@sewing.test', app_metadata: { role: 'employer' } });
+    const { status } = await api.request('GET', `/api/introductions/sewing/${introduction.id}`, { token: rival });
+    assert.equal(status, 404);
+  });
+});
+
+describe('introduction limits', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('allows 20 requests a day across both projects', async () => {
+    const now = new Date().toISOString();
+    const rows = (count, offset) => Array.from({ length: count }, (_, i) => ({
+      id: offset + i,
+      candidate_id: `old-${offset + i}`,
+      employer_id: USERS.sewingEmployer.id,
+      status: 'declined',
+      created_at: now
+    }));
+    await api.dataSource.clients.sewing.from('introduction_requests').insert(rows(11, 100));
+    await api.dataSource.clients.upholstery.from('introduction_requests').insert(rows(8, 200));
+
+    const contact = candidateId => api.request('POST', `/api/candidates/${candidateId}/contact`, { token: employerToken(), body: {} });
+    assert.equal((await contact('sew-1')).status, 201);
+
+    const { status, headers, body } = await contact('sew-2');
+    assert.equal(status, 429);
+    assert.equal(headers.get('retry-after'), String(24 * 60 * 60));
+    assert.match(body.error, /at most 20/);
+    assert.deepEqual(api.sent.map(message => message.to), ['sew1@example.com']);
+  });
+
+  it('refuses employers who are not approved', async () => {
+    await api.dataSource.clients.sewing.from('client_registrations').update({ status: 'pending' }).eq('id', 1);
+
+    const { status, body } = await api.request('POST', '/api/candidates/sew-3/contact', { token: employerToken(), body: {} });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Your account is awaiting approval');
+  });
+});
@@ -0,0 +1,128 @@
+// ========== test/jobs.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS } from './fixtures.js';
+
+const employerToken = () => signToken('sewing', {
+  sub: USERS.sewingEmployer.id,
+  email: USERS.sewingEmployer.email,
+  app_metadata: { role: 'employer' }
+});
+
+// A second employer in the same project
+const otherEmployerToken = () => signToken('sewing', {
+  sub: '55555555-5555-4555-8555-555555555555',
+  email: 'rival@sewing.test',
+  app_metadata: { role: 'employer' }
+});
+
+describe('job postings', () => {
+  let api;
+  let job;
+
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('creates a draft that expires in 60 days', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', {
+      token: employerToken(),
+      body: { title: ' Sample Machinist ', salaryFrom: 22000, salaryTo: '26000', machines: ['Overlocker', ' Flatlock '] }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.title, 'Sample Machinist');
+    assert.equal(body.status, 'draft');
+    assert.equal(body.salaryTo, 26000);
+    assert.deepEqual(body.machines, ['Overlocker', 'Flatlock']);
+    assert.equal(body.expired, false);
+
+    const days = (new Date(body.expiresAt) - new Date(body.createdAt)) / (24 * 60 * 60 * 1000);
+    assert.equal(Math.round(days), 60);
+    job = body;
+  });
+
+  it('lists only the employer\'s own jobs, filtered by status', async () => {
+    await api.request('POST', '/api/jobs', { token: employerToken(), body: { title: 'Cutter', status: 'open' } });
+    await api.request('POST', '/api/jobs', { token: otherEmployerToken(), body: { title: 'Presser' } });
+
+    const all = await api.request('GET', '/api/jobs', { token: employerToken() });
+    assert.deepEqual(all.body.map(j => j.title).sort(), ['Cutter', 'Sample Machinist']);
+
+    const open = await api.request('GET', '/api/jobs?status=open,paused', { token: employerToken() });
+    assert.deepEqual(open.body.map(j => j.title), ['Cutter']);
+
+    assert.equal((await api.request('GET', '/api/jobs?status=archived', { token: employerToken() })).status, 400);
+  });
+
+  it('changes only the fields sent', async () => {
+    const { status, body } = await api.request('PATCH', `/api/jobs/${job.id}`, {
+      token: employerToken(),
+      body: { status: 'open', hoursPerWeek: 37.5 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'open');
+    assert.equal(body.hoursPerWeek, 37.5);
+    assert.equal(body.title, 'Sample Machinist');
+    assert.equal(body.salaryFrom, 22000);
+
+    const fetched = await api.request('GET', `/api/jobs/${job.id}`, { token: employerToken() });
+    assert.deepEqual(fetched.body, body);
+  });
+
+  it('refuses invalid fields with 400', async () => {
+    const create = await api.request('POST', '/api/jobs', {
+      token: employerToken(),
+      body: { salaryFrom: -1, status: 'archived', expiresAt: 'soon' }
+    });
+    assert.equal(create.status, 400);
+    assert.equal(create.body.error, 'Invalid job');
+    assert.deepEqual(Object.keys(create.body.fields).sort(), ['expiresAt', 'salaryFrom', 'status', 'title']);
+
+    const past = await api.request('POST', '/api/jobs', { token: employerToken(), body: { title: 'Late', expiresAt: '2000-01-01' } });
+    assert.equal(past.status, 400);
+    assert.equal(past.body.fields.expiresAt, 'expiresAt must be in the future');
+
+    // Checked against the salary already saved
+    const update = await api.request('PATCH', `/api/jobs/${job.id}`, { token: employerToken(), body: { salaryTo: 20000 } });
+    assert.equal(update.status, 400);
+    assert.ok(update.body.fields.salaryTo);
+  });
+
+  it('needs a new expiry date to reopen an expired job', async () => {
+    await api.dataSource.clients.sewing.from('jobs')
+      .update({ status: 'paused', expires_at: '2020-01-01T00:00:00.000Z' }).eq('id', job.id);
+
+    const expired = await api.request('GET', `/api/jobs/${job.id}`, { token: employerToken() });
+    assert.equal(expired.body.expired, true);
+
+    const refused = await api.request('PATCH', `/api/jobs/${job.id}`, { token: employerToken(), body: { status: 'open' } });
+    assert.equal(refused.status, 400);
+    assert.ok(refused.body.fields.expiresAt);
+
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const reopened = await api.request('PATCH', `/api/jobs/${job.id}`, { token: employerToken(), body: { status: 'open', expiresAt } });
+    assert.equal(reopened.status, 200);
+    assert.equal(reopened.body.expired, false);
+  });
+
+  it('answers 404 for another employer\'s job', async () => {
+    const token = otherEmployerToken();
+    for (const [method, body] of [['GET'], ['PATCH', { title: 'Mine now' }], ['DELETE']]) {
+      const { status } = await api.request(method, `/api/jobs/${job.id}`, { token, body });
+      assert.equal(status, 404, method);
+    }
+
+    const { body } = await api.request('GET', `/api/jobs/${job.id}`, { token: employerToken() });
+    assert.equal(body.title, 'Sample Machinist');
+  });
+
+  it('deletes jobs', async () => {
+    const { status } = await api.request('DELETE', `/api/jobs/${job.id}`, { token: employerToken() });
+    assert.equal(status, 204);
+
+    assert.equal((await api.request('GET', `/api/jobs/${job.id}`, { token: employerToken() })).status, 404);
+    assert.equal((await api.request('DELETE', `/api/jobs/${job.id}`, { token: employerToken() })).status, 404);
+  });
+});
@@ -0,0 +1,130 @@
+// ========== test/logging.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { createLogger, redact } from '../src/utils/logger.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('redact', () => {
+  it('masks emails, tokens and postcodes inside strings', () => {
+    assert.equal(
+      redact('Login for jo.bloggs@example.co.uk from M4 1HN with Bearer abc.def'),
+      'Login for j***@example.co.uk from M4 *** with Bearer [token]'
+    );
+    assert.equal(redact('eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln'), '[token]');
+    assert.equal(redact('/verify?token=abc123&next=%2F'), '/verify?token=[redacted]&next=%2F');
+  });
+
+  it('drops secret fields and walks nested objects and errors', () => {
+    const error = Object.assign(new Error('Lookup for LE1 5WW failed'), { code: 'E_GEO' });
+
+    const result = redact({
+      password: 'hunter2',
+      refreshToken: 'r-123',
+      passwordChanged: true,
+      user: { email: 'sew1@example.com', postcodes: ['BS1 4DJ'] },
+      error
+    });
+
+    assert.equal(result.password, '[redacted]');
+    assert.equal(result.refreshToken, '[redacted]');
+    assert.equal(result.passwordChanged, true);
+    assert.deepEqual(result.user, { email: 's***@example.com', postcodes: ['BS1 ***'] });
+    assert.equal(result.error.message, 'Lookup for LE1 *** failed');
+    assert.equal(result.error.code, 'E_GEO');
+  });
+});
+
+describe('createLogger', () => {
+  it('writes one JSON object per line, at or above its level', () => {
+    const lines = [];
+    const log = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+
+    log.debug('hidden');
+    log.child({ requestId: 'abc' }).warn('Careful', { count: 2 });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].msg, 'Careful');
+    assert.equal(lines[0].requestId, 'abc');
+    assert.equal(lines[0].count, 2);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+
+  it('shares the level with its children', () => {
+    const lines = [];
+    const log = createLogger({ level: 'info', write: line => lines.push(line) });
+    const child = log.child({ requestId: 'abc' });
+
+    log.setLevel('silent');
+    child.error('Not written');
+
+    assert.equal(lines.length, 0);
+    assert.throws(() => log.setLevel('loud'), /Unknown log level/);
+  });
+});
+
+describe('request logging', () => {
+  let api;
+  let lines;
+
+  before(async () => {
+    lines = [];
+    const logger = createLogger({ level: 'debug', write: line => lines.push(line) });
+    api = await startApp({ deps: { logger, logRequests: true } });
+  });
+  after(() => api.close());
+
+  const entries = () => lines.map(line => JSON.parse(line));
+
+  it('generates a request ID and logs the request with it', async () => {
+    lines.length = 0;
+    const { headers } = await api.request('GET', '/api/candidates?near=M4%201HN&radius=50');
+
+    const requestId = headers.get('x-request-id');
+    assert.match(requestId, UUID);
+
+    const [entry] = entries().filter(e => e.msg === 'Request completed');
+    assert.equal(entry.requestId, requestId);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.method, 'GET');
+    assert.equal(entry.status, 200);
+    assert.equal(entry.path, '/api/candidates?near=M4 ***&radius=50');
+    assert.equal(typeof entry.durationMs, 'number');
+  });
+
+  it("echoes the caller's request ID and ignores unusable ones", async () => {
+    const echoed = await api.request('GET', '/health', { headers: { 'X-Request-Id': 'upstream-42' } });
+    assert.equal(echoed.headers.get('x-request-id'), 'upstream-42');
+
+    const replaced = await api.request('GET', '/health', { headers: { 'X-Request-Id': 'no spaces <allowed>' } });
+    assert.match(replaced.headers.get('x-request-id'), UUID);
+  });
+
+  it('logs client errors as warnings', async () => {
+    lines.length = 0;
+    await api.request('GET', '/api/jobs');
+
+    const [entry] = entries().filter(e => e.msg === 'Request completed');
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.status, 401);
+  });
+
+  it('keeps emails, passwords and tokens out of the log', async () => {
+    lines.length = 0;
+    const token = await api.login(USERS.sewingEmployer.email, PASSWORD);
+    await api.request('GET', '/api/profile', { token });
+
+    const output = lines.join('\n');
+    assert.ok(lines.length > 0);
+    assert.ok(!output.includes(USERS.sewingEmployer.email));
+    assert.ok(!output.includes(PASSWORD));
+    assert.ok(!output.includes(token));
+
+    const login = entries().find(e => e.msg === 'Login successful');
+    assert.equal(login.userId, USERS.sewingEmployer.id);
+    assert.equal(login.accountType, 'sewing');
+  });
+});
@@ -0,0 +1,190 @@
+// ========== test/matching.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS } from './fixtures.js';
+import { requirementsFromRegistration, scoreCandidate, rankCandidates } from '../src/services/matching.js';
+
+const requirements = (overrides = {}) => ({
+  skills: [],
+  yearsExperience: null,
+  salaryFrom: null,
+  salaryTo: null,
+  workType: null,
+  postcode: null,
+  ...overrides
+});
+
+const candidate = (overrides = {}) => ({
+  machines: [],
+  techniques: [],
+  yearsExperience: null,
+  desiredSalary: null,
+  workType: null,
+  travelDistance: null,
+  distanceMiles: null,
+  ...overrides
+});
+
+describe('requirementsFromRegistration', () => {
+  it('reads the requirement columns, dropping placeholders', () => {
+    assert.deepEqual(requirementsFromRegistration({
+      machines: 'Overlocker, None selected',
+      techniques: ['Hemming'],
+      experience_required: '2 years',
+      salary_from: '£22k',
+      salary_to: 26000,
+      employment_type: '',
+      postcode: 'M1 1AE'
+    }), {
+      skills: ['Overlocker', 'Hemming'],
+      yearsExperience: 2,
+      salaryFrom: 22000,
+      salaryTo: 26000,
+      workType: null,
+      postcode: 'M1 1AE'
+    });
+  });
+});
+
+describe('scoreCandidate', () => {
+  it('scores only the criteria the employer specified', () => {
+    const { score, breakdown } = scoreCandidate(
+      candidate({ machines: ['Overlocker'], desiredSalary: '£90,000' }),
+      requirements({ skills: ['overlocker'] })
+    );
+
+    assert.equal(score, 100);
+    assert.deepEqual(Object.keys(breakdown), ['skills']);
+  });
+
+  it('matches skills loosely and lists the missing ones', () => {
+    const { breakdown } = scoreCandidate(
+      candidate({ machines: ['Over-locker'], techniques: ['Hand hemming'] }),
+      requirements({ skills: ['Overlocker', 'Hemming', 'Cover stitch'] })
+    );
+
+    assert.equal(breakdown.skills.score, 0.67);
+    assert.deepEqual(breakdown.skills.matched, ['Overlocker', 'Hemming']);
+    assert.deepEqual(breakdown.skills.missing, ['Cover stitch']);
+  });
+
+  it('treats missing candidate details as unknown, not a mismatch', () => {
+    const { score, reasons } = scoreCandidate(candidate(), requirements({
+      yearsExperience: 2,
+      salaryTo: 25000,
+      workType: 'Full-time',
+      postcode: 'M1 1AE'
+    }));
+
+    assert.equal(score, 50);
+    assert.deepEqual(reasons.sort(), [
+      'Candidate location unknown',
+      'Desired salary not stated',
+      'Preferred work type not stated',
+      'Years of experience not stated'
+    ]);
+  });
+
+  it('scales experience and salary, and caps them at a full score', () => {
+    const wanted = requirements({ yearsExperience: 4, salaryFrom: 20000, salaryTo: 24000 });
+
+    const junior = scoreCandidate(candidate({ yearsExperience: 1, desiredSalary: '£30,000' }), wanted).breakdown;
+    assert.equal(junior.experience.score, 0.25);
+    assert.equal(junior.salary.score, 0.75);
+
+    const senior = scoreCandidate(candidate({ yearsExperience: '10 years', desiredSalary: '22k' }), wanted).breakdown;
+    assert.equal(senior.experience.score, 1);
+    assert.equal(senior.salary.score, 1);
+
+    const costly = scoreCandidate(candidate({ desiredSalary: 60000 }), wanted).breakdown;
+    assert.equal(costly.salary.score, 0);
+  });
+
+  it('scores distance against the candidate\'s own travel range', () => {
+    const wanted = requirements({ postcode: 'M1 1AE' });
+
+    assert.equal(scoreCandidate(candidate({ distanceMiles: 5, travelDistance: '10 miles' }), wanted).breakdown.distance.score, 0.75);
+    assert.equal(scoreCandidate(candidate({ distanceMiles: 12, travelDistance: '10 miles' }), wanted).breakdown.distance.score, 0);
+    // No stated range falls back to 30 miles
+    assert.equal(scoreCandidate(candidate({ distanceMiles: 15, travelDistance: 'Anywhere' }), wanted).breakdown.distance.score, 0.75);
+  });
+
+  it('weights criteria and leads the reasons with the strongest', () => {
+    const { score, reasons } = scoreCandidate(
+      candidate({ machines: ['Overlocker'], workType: 'Part-time' }),
+      requirements({ skills: ['Overlocker'], workType: 'Full-time' })
+    );
+
+    // skills 1 × 0.35 and work type 0 × 0.15, out of 0.5
+    assert.equal(score, 70);
+    assert.deepEqual(reasons, [
+      'Has 1 of 1 required skills (Overlocker)',
+      'Looking for Part-time work, role is Full-time'
+    ]);
+  });
+
+  it('takes custom weights, ignoring criteria weighted zero', () => {
+    const { score, breakdown } = scoreCandidate(
+      candidate({ machines: ['Overlocker'], workType: 'Part-time' }),
+      requirements({ skills: ['Overlocker'], workType: 'Full-time' }),
+      { skills: 1, workType: 0 }
+    );
+
+    assert.equal(score, 100);
+    assert.deepEqual(Object.keys(breakdown), ['skills']);
+  });
+
+  it('scores 0 when nothing was specified', () => {
+    assert.deepEqual(scoreCandidate(candidate(), requirements()), { score: 0, breakdown: {}, reasons: [] });
+  });
+});
+
+describe('rankCandidates', () => {
+  it('puts the best match first', () => {
+    const ranked = rankCandidates(
+      [candidate({ id: 'weak' }), candidate({ id: 'strong', machines: ['Overlocker'] })],
+      requirements({ skills: ['Overlocker'] })
+    );
+
+    assert.deepEqual(ranked.map(match => [match.candidate.id, match.score]), [['strong', 100], ['weak', 0]]);
+  });
+});
+
+describe('GET /api/matches', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  const employerToken = (user = USERS.sewingEmployer) => signToken('sewing', {
+    sub: user.id,
+    email: user.email,
+    app_metadata: { role: 'employer' }
+  });
+
+  it('matches against the company\'s saved requirements', async () => {
+    const { status, body } = await api.request('GET', '/api/matches', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.requirements.skills, ['Overlocker', 'Hemming']);
+    assert.equal(body.total, 3);
+    assert.equal(body.results[0].candidate.candidateId, 'sew-1');
+  });
+
+  it('matches against one of the employer\'s own job postings', async () => {
+    const { body: job } = await api.request('POST', '/api/jobs', {
+      token: employerToken(),
+      body: { title: 'Cutter', machines: ['Lockstitch'], employmentType: 'Contract' }
+    });
+
+    const { status, body } = await api.request('GET', `/api/matches?jobId=${job.id}`, { token: employerToken() });
+    assert.equal(status, 200);
+    assert.deepEqual(body.requirements.skills, ['Lockstitch']);
+    assert.equal(body.results[0].candidate.candidateId, 'sew-3');
+
+    const rival = { id: '55555555-5555-4555-8555-555555555555', email: 'rival@sewing.test' };
+    const other = await api.request('GET', `/api/matches?jobId=${job.id}`, { token: employerToken(rival) });
+    assert.equal(other.status, 404);
+    assert.equal(other.body.error, 'Job not found');
+  });
+});
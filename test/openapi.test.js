@@ -0,0 +1,147 @@
+// ========== test/openapi.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { OPERATIONS } from '../src/openapi/index.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every (method, path) Express has a route for, with mount paths put back on.
+// Leans on Express 4 internals, which is fine for a test.
+function registeredRoutes(stack, prefix = '') {
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      const path = (prefix + layer.route.path).replace(/\(.*?\)/g, '').replace(/(.)\/$/, '$1');
+      for (const method of METHODS) {
+        if (layer.route.methods[method]) routes.push(`${method} ${path}`);
+      }
+    } else if (layer.handle?.stack) {
+      let key = 0;
+      const mount = layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[key++].name}`)
+        .replace(/\\\//g, '/');
+      routes.push(...registeredRoutes(layer.handle.stack, prefix + mount));
+    }
+  }
+  return routes;
+}
+
+const documented = OPERATIONS.map(op => `${op.method} ${op.path.replace(/\{(\w+)\}/g, ':$1')}`);
+
+describe('OpenAPI document', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('documents exactly the routes the app serves', () => {
+    const served = registeredRoutes(api.app._router.stack);
+    assert.deepEqual(served.filter(route => !documented.includes(route)), [], 'served but not documented');
+    assert.deepEqual(documented.filter(route => !served.includes(route)), [], 'documented but not served');
+  });
+
+  it('serves an OpenAPI 3.1 document whose references all resolve', async () => {
+    const { status, body } = await api.request('GET', '/api/openapi.json');
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.equal(Object.values(body.paths).reduce((n, item) => n + Object.keys(item).length, 0), OPERATIONS.length);
+
+    const refs = JSON.stringify(body).match(/"\$ref":"[^"]+"/g).map(ref => ref.slice(8, -1));
+    for (const ref of new Set(refs)) {
+      assert.match(ref, /^#\/components\/schemas\//);
+      assert.ok(body.components.schemas[ref.split('/').pop()], `${ref} is missing`);
+    }
+
+    const login = body.paths['/api/login'].post;
+    assert.deepEqual(login.requestBody.content['application/json'].schema.required, ['email', 'password']);
+    assert.deepEqual(login.security, []);
+
+    const audit = body.paths['/api/admin/audit'].get;
+    assert.deepEqual(audit.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(audit['x-roles'], ['admin']);
+    assert.ok(audit.parameters.some(p => p.name === 'since' && p.schema.format === 'date-time'));
+
+    assert.deepEqual(body.paths['/api/candidates'].get.security, [{}, { bearerAuth: [] }]);
+  });
+
+  it('prefixes version 2 paths and uses the version 2 candidate schemas', async () => {
+    const { body } = await api.request('GET', '/api/v2/openapi.json');
+    assert.ok(body.paths['/api/v2/candidates']);
+    assert.ok(body.paths['/health']);
+    assert.deepEqual(body.components.schemas.SewingCandidate.properties.desiredSalary.type, ['string', 'null']);
+  });
+
+  it('serves the docs UI', async () => {
+    const { status, headers, text } = await api.request('GET', '/api/docs');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/html/);
+    assert.match(text, /url: "\/api\/openapi\.json"/);
+  });
+});
+
+describe('request validation', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  // Admin routes re-check the session with the project, so this has to be a real login
+  let admin;
+  before(async () => { admin = await api.login(USERS.sewingAdmin.email, PASSWORD); });
+
+  it('checks query parameters', async () => {
+    const { status, body } = await api.request('GET', '/api/candidates?limit=0&sort=random');
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      error: 'Invalid request',
+      fields: {
+        limit: 'limit must be at least 1',
+        sort: 'sort must be one of: newest, experience, nearest'
+      }
+    });
+  });
+
+  it('checks path parameters', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/users/knitting/abc/suspend', { token: admin });
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.fields), ['type']);
+  });
+
+  it('checks bodies, with the route-specific message', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', {
+      token: signToken('sewing', { sub: USERS.sewingEmployer.id, email: USERS.sewingEmployer.email }),
+      body: { salaryFrom: 'lots', status: 'archived' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid job');
+    assert.deepEqual(Object.keys(body.fields).sort(), ['salaryFrom', 'status', 'title']);
+  });
+
+  it('lets valid requests through to the route', async () => {
+    const { status } = await api.request('GET', '/api/admin/audit?since=2024-01-01&limit=10', { token: admin });
+    assert.equal(status, 200);
+  });
+
+  it('validates HEAD requests like the GETs they run', async () => {
+    for (const path of ['/api/candidates?limit=2', '/api/upholstery', '/api/candidates/sew-1', '/api/admin/webhooks/dead-letters']) {
+      const { status, headers } = await api.request('HEAD', path, { token: admin });
+      assert.equal(status, 200, path);
+      assert.ok(headers.get('content-length'), path);
+    }
+    assert.equal((await api.request('HEAD', '/api/candidates?limit=0')).status, 400);
+  });
+
+  it('validates paths in any case, as Express routes them', async () => {
+    const list = await api.request('GET', '/API/Candidates?limit=2');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 2);
+    assert.equal((await api.request('GET', '/API/Candidates?limit=0')).status, 400);
+
+    const { status, body } = await api.request('POST', '/API/REGISTER', { body: { email: 'nope' } });
+    assert.equal(status, 400);
+    assert.ok(body.fields.email);
+  });
+});
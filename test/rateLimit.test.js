@@ -0,0 +1,227 @@
+// ========== test/rateLimit.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { createMemoryRateLimitStore, createLoginLockout } from '../src/utils/rateLimit.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+
+const MINUTE = 60 * 1000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const login = (api, email, password) => api.request('POST', '/api/login', { body: { email, password } });
+
+describe('memory rate limit store', () => {
+  it('counts requests in a sliding window and ignores rejected ones', async () => {
+    const store = createMemoryRateLimitStore();
+    const window = { limit: 2, windowMs: 80 };
+
+    assert.equal(store.hit('k', window).allowed, true);
+    assert.equal(store.hit('k', window).allowed, true);
+    const rejected = store.hit('k', window);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.count, 2);
+    assert.ok(rejected.resetMs > 0 && rejected.resetMs <= 80);
+
+    await sleep(100);
+    assert.deepEqual({ ...store.hit('k', window), resetMs: 0 }, { allowed: true, count: 1, resetMs: 0 });
+  });
+});
+
+describe('login lockout', () => {
+  it('locks for longer after each run of failures until a success', async () => {
+    const lockout = createLoginLockout({
+      failures: 2, windowMs: MINUTE, baseMs: 1000, maxMs: 3000, store: createMemoryRateLimitStore()
+    });
+    const runs = [];
+    for (let i = 0; i < 8; i++) runs.push(await lockout.recordFailure('Someone@Example.com'));
+
+    assert.deepEqual(runs, [0, 1000, 0, 2000, 0, 3000, 0, 3000]);
+
+    await lockout.recordSuccess('someone@example.com');
+    assert.deepEqual([await lockout.recordFailure('someone@example.com'), await lockout.recordFailure('someone@example.com')], [0, 1000]);
+  });
+});
+
+describe('auth rate limits', () => {
+  let api;
+  before(async () => {
+    api = await startApp({
+      deps: {
+        rateLimits: {
+          auth: { ip: { limit: 4, windowMs: MINUTE }, email: false, lockout: false },
+          public: false,
+          authenticated: false
+        }
+      }
+    });
+  });
+  after(() => api.close());
+
+  it('limits each IP and says so in the headers', async () => {
+    const remaining = [];
+    for (let i = 0; i < 4; i++) {
+      const { status, headers } = await login(api, `nobody${i}@example.com`, 'wrong');
+      assert.equal(status, 401);
+      remaining.push(headers.get('ratelimit-remaining'));
+    }
+    assert.deepEqual(remaining, ['3', '2', '1', '0']);
+
+    const { status, headers, body } = await login(api, USERS.sewingEmployer.email, PASSWORD);
+    assert.equal(status, 429);
+    assert.equal(body.code, 'rate_limited');
+    assert.equal(headers.get('ratelimit-limit'), '4');
+    assert.equal(headers.get('ratelimit-policy'), '4;w=60');
+    assert.ok(Number(headers.get('retry-after')) >= 1);
+    assert.equal(body.retryAfter, Number(headers.get('retry-after')));
+
+    // The same group covers the other auth routes
+    const forgot = await api.request('POST', '/api/password/forgot', { body: { email: 'x@example.com' } });
+    assert.equal(forgot.status, 429);
+  });
+
+  it('leaves other groups alone', async () => {
+    const { status, headers } = await api.request('GET', '/api/candidates');
+    assert.equal(status, 200);
+    assert.equal(headers.get('ratelimit-limit'), null);
+  });
+});
+
+describe('per-email limits and lockout', () => {
+  let api;
+  before(async () => {
+    api = await startApp({
+      deps: {
+        rateLimits: {
+          auth: {
+            ip: false,
+            email: { limit: 3, windowMs: MINUTE },
+            lockout: { failures: 2, windowMs: MINUTE, baseMs: MINUTE, maxMs: MINUTE }
+          }
+        }
+      }
+    });
+  });
+  after(() => api.close());
+
+  it('locks an email out after repeated failures, even for the right password', async () => {
+    const email = USERS.upholsteryEmployer.email;
+    assert.equal((await login(api, email, 'wrong-1')).status, 401);
+    assert.equal((await login(api, email.toUpperCase(), 'wrong-2')).status, 401);
+
+    const { status, body, headers } = await login(api, email, PASSWORD);
+    assert.equal(status, 429);
+    assert.equal(body.code, 'login_locked');
+    assert.equal(headers.get('retry-after'), '60');
+
+    // Other accounts are unaffected
+    assert.equal((await login(api, USERS.sewingEmployer.email, PASSWORD)).status, 200);
+  });
+
+  it('forgets earlier failures after a successful login', async () => {
+    const email = USERS.sewingAdmin.email;
+    assert.equal((await login(api, email, 'wrong')).status, 401);
+    assert.equal((await login(api, email, PASSWORD)).status, 200);
+    assert.equal((await login(api, email, 'wrong')).status, 401);
+  });
+
+  it('counts every request for an email, whatever the outcome', async () => {
+    const email = USERS.sewingCandidate.email;
+    for (let i = 0; i < 3; i++) {
+      assert.notEqual((await api.request('POST', '/api/password/forgot', { body: { email } })).status, 429);
+    }
+    const { status } = await api.request('POST', '/api/password/forgot', { body: { email: ` ${email.toUpperCase()} ` } });
+    assert.equal(status, 429);
+  });
+});
+
+describe('public and authenticated limits', () => {
+  let api;
+  let store;
+  before(async () => {
+    store = createMemoryRateLimitStore();
+    api = await startApp({
+      deps: {
+        rateLimitStore: store,
+        rateLimits: {
+          public: { ip: { limit: 2, windowMs: MINUTE } },
+          authenticated: { user: { limit: 1, windowMs: MINUTE } }
+        }
+      }
+    });
+  });
+  after(() => api.close());
+
+  const tokenFor = user => signToken('sewing', { sub: user.id, email: user.email, app_metadata: { role: 'employer' } });
+
+  it('limits public candidate routes per IP', async () => {
+    assert.equal((await api.request('GET', '/api/candidates')).status, 200);
+    assert.equal((await api.request('GET', '/api/upholstery/uph-1')).status, 200);
+    assert.equal((await api.request('GET', '/api/search')).status, 429);
+  });
+
+  it('limits authenticated routes per user', async () => {
+    const employer = tokenFor(USERS.sewingEmployer);
+    assert.equal((await api.request('GET', '/api/jobs', { token: employer })).status, 200);
+    assert.equal((await api.request('GET', '/api/introductions', { token: employer })).status, 429);
+
+    // Same IP, different user
+    const colleague = tokenFor({ id: '55555555-5555-4555-8555-555555555555', email: 'colleague@sewing.test' });
+    assert.equal((await api.request('GET', '/api/jobs', { token: colleague })).status, 200);
+  });
+
+  it('shares state through the store, so instances agree', async () => {
+    const second = await startApp({
+      deps: { rateLimitStore: store, rateLimits: { public: { ip: { limit: 2, windowMs: MINUTE } } } }
+    });
+    try {
+      assert.equal((await second.request('GET', '/api/candidates')).status, 429);
+    } finally {
+      await second.close();
+    }
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const broken = await startApp({
+      deps: {
+        rateLimitStore: {
+          hit: async () => { throw new Error('store down'); },
+          get: async () => { throw new Error('store down'); },
+          set: async () => {},
+          delete: async () => {}
+        }
+      }
+    });
+    try {
+      assert.equal((await broken.request('GET', '/api/candidates')).status, 200);
+      assert.equal((await login(broken, USERS.sewingEmployer.email, PASSWORD)).status, 200);
+    } finally {
+      await broken.close();
+    }
+  });
+});
+
+describe('rate limit configuration', () => {
+  const env = extra => ({ DATA_SOURCE: 'memory', ...extra });
+
+  it('reads overrides from the environment', () => {
+    const { rateLimits, trustProxy } = loadConfig(env({
+      RATE_LIMIT_AUTH_IP: '5/30s',
+      RATE_LIMIT_PUBLIC_IP: 'off',
+      LOGIN_LOCKOUT_AFTER: '3',
+      TRUST_PROXY: '1'
+    }));
+
+    assert.deepEqual(rateLimits.auth.ip, { limit: 5, windowMs: 30000 });
+    assert.deepEqual(rateLimits.auth.email, { limit: 10, windowMs: 15 * MINUTE });
+    assert.equal(rateLimits.auth.lockout.failures, 3);
+    assert.equal(rateLimits.public.ip, false);
+    assert.equal(trustProxy, 1);
+    assert.equal(loadConfig(env({ RATE_LIMITS: 'off' })).rateLimits, false);
+  });
+
+  it('rejects malformed limits', () => {
+    assert.throws(() => loadConfig(env({ RATE_LIMIT_AUTH_EMAIL: 'lots' })), ConfigError);
+    assert.throws(() => loadConfig(env({ LOGIN_LOCKOUT_AFTER: '0' })), ConfigError);
+  });
+});
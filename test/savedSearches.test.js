@@ -0,0 +1,189 @@
+// ========== test/savedSearches.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { createFileTransport } from '../src/services/notifier.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('saved searches', () => {
+  let api;
+  let employer;
+  let search;
+
+  before(async () => {
+    api = await startApp();
+    employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  const later = ms => new Date(Date.now() + ms);
+
+  it('saves a search with daily alerts by default', async () => {
+    const { status, body } = await api.request('POST', '/api/saved-searches', {
+      token: employer,
+      body: { name: 'Overlockers', filters: { machines: ['Overlocker'], minExperience: 2 } }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.type, 'sewing');
+    assert.equal(body.alerts, 'daily');
+    assert.deepEqual(body.filters, { machines: 'Overlocker', minExperience: 2 });
+    search = body;
+
+    const { body: list } = await api.request('GET', '/api/saved-searches', { token: employer });
+    assert.deepEqual(list.map(s => s.name), ['Overlockers']);
+  });
+
+  it('refuses filters the search could not run', async () => {
+    const save = body => api.request('POST', '/api/saved-searches', { token: employer, body: { name: 'Bad', ...body } });
+
+    const unknown = await save({ filters: { colour: 'red' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.fields.filters, /unknown fields: colour/);
+
+    assert.match((await save({ type: 'upholstery', filters: { materials: 'Leather' } })).body.fields.filters, /not available for upholstery/);
+    assert.match((await save({ filters: { radius: 10 } })).body.fields.filters, /requires a near/);
+    assert.match((await save({ filters: { near: 'ZE2 9XX' } })).body.fields.filters, /Could not locate postcode/);
+  });
+
+  it('emails a digest of candidates who joined since the last run', async () => {
+    const joined = later(1000).toISOString();
+    await api.dataSource.clients.sewing.from('candidates_public').insert([
+      { candidate_id: 'sew-9', job_title: 'Overlock Machinist', city: 'Bolton', years_experience: 3, machines: 'Overlocker', created_at: joined },
+      { candidate_id: 'sew-10', job_title: 'Machinist', city: 'Bury', years_experience: 3, machines: 'Lockstitch', created_at: joined }
+    ]);
+
+    // Not due until a day after it was saved
+    assert.equal((await api.app.locals.savedSearchAlerts.runDue(later(DAY / 2))).searches, 0);
+
+    const sentBefore = api.sent.length;
+    const result = await api.app.locals.savedSearchAlerts.runDue(later(DAY + 5000));
+    assert.deepEqual(result, { searches: 1, candidates: 1, failed: 0 });
+
+    const [message] = api.sent.slice(sentBefore);
+    assert.equal(message.to, USERS.sewingEmployer.email);
+    assert.equal(message.subject, '1 new candidate matches your saved search "Overlockers"');
+    assert.match(message.text, /Overlock Machinist, Bolton, 3 years' experience\n {2}\S+\/api\/candidates\/sew-9/);
+    assert.doesNotMatch(message.text, /sew-10/);
+    assert.match(message.headers['List-Unsubscribe'], /^<\S+\/api\/saved-searches\/unsubscribe\/sewing\/[\w-]+>$/);
+  });
+
+  it('reports each candidate once and keeps the history', async () => {
+    const sentBefore = api.sent.length;
+    const result = await api.app.locals.savedSearchAlerts.runDue(later(2 * DAY + 10000));
+    assert.deepEqual(result, { searches: 1, candidates: 0, failed: 0 });
+    assert.equal(api.sent.length, sentBefore);
+
+    const { body, headers } = await api.request('GET', `/api/saved-searches/${search.id}/matches`, { token: employer });
+    assert.equal(headers.get('x-total-count'), '1');
+    assert.deepEqual(body.map(m => [m.candidateId, m.role, m.emailed]), [['sew-9', 'Overlock Machinist', true]]);
+  });
+
+  it('unsubscribes from the link in the digest', async () => {
+    const link = api.sent.at(-1).headers['List-Unsubscribe'].slice(1, -1);
+    const unsubscribePath = new URL(link).pathname;
+
+    const preview = await api.request('GET', unsubscribePath);
+    assert.deepEqual(preview.body, { name: 'Overlockers', alerts: 'daily' });
+
+    const { status, body } = await api.request('POST', unsubscribePath);
+    assert.equal(status, 200);
+    assert.equal(body.alerts, 'off');
+
+    const { body: saved } = await api.request('GET', `/api/saved-searches/${search.id}`, { token: employer });
+    assert.equal(saved.alerts, 'off');
+    assert.equal((await api.app.locals.savedSearchAlerts.runDue(later(30 * DAY))).searches, 0);
+
+    assert.equal((await api.request('GET', '/api/saved-searches/unsubscribe/sewing/not-a-token')).status, 404);
+  });
+
+  it('restarts alerts from now when they are turned back on', async () => {
+    const { body } = await api.request('PATCH', `/api/saved-searches/${search.id}`, { token: employer, body: { alerts: 'weekly' } });
+
+    assert.equal(body.alerts, 'weekly');
+    assert.ok(new Date(body.lastCheckedAt) > new Date(search.lastCheckedAt));
+    assert.equal((await api.app.locals.savedSearchAlerts.runDue(later(3 * DAY))).searches, 0);
+  });
+
+  it("keeps each employer's searches to themselves", async () => {
+    const other = await api.login(USERS.upholsteryEmployer.email, PASSWORD);
+    assert.equal((await api.request('GET', `/api/saved-searches/${search.id}`, { token: other })).status, 404);
+    assert.equal((await api.request('GET', '/api/saved-searches', { token: other })).body.length, 0);
+  });
+
+  it('deletes a search with its history', async () => {
+    const { status } = await api.request('DELETE', `/api/saved-searches/${search.id}`, { token: employer });
+    assert.equal(status, 204);
+
+    const { data } = await api.dataSource.clients.sewing.from('saved_search_matches').select('*');
+    assert.deepEqual(data, []);
+    assert.equal((await api.request('GET', `/api/saved-searches/${search.id}`, { token: employer })).status, 404);
+  });
+});
+
+describe('saved searches and account changes', () => {
+  let api;
+  let employer;
+  before(async () => {
+    api = await startApp();
+    employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+  });
+  after(() => api.close());
+
+  const searches = async () => (await api.dataSource.clients.sewing.from('saved_searches').select('*')).data;
+
+  it('sends digests to the new address after an email change', async () => {
+    await api.request('POST', '/api/saved-searches', { token: employer, body: { name: 'Anyone', filters: {} } });
+
+    const { status } = await api.request('PUT', '/api/profile/change-email', {
+      token: employer,
+      body: { newEmail: 'moved@sewing.test', password: PASSWORD }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual((await searches()).map(s => s.employer_email), ['moved@sewing.test']);
+  });
+
+  it('deletes saved searches and their history with the account', async () => {
+    const token = await api.login('moved@sewing.test', PASSWORD);
+    const [search] = await searches();
+    await api.dataSource.clients.sewing.from('saved_search_matches').insert({ saved_search_id: search.id, candidate_id: 'sew-1' });
+
+    const { status } = await api.request('DELETE', '/api/profile', { token, body: { password: PASSWORD } });
+    assert.equal(status, 204);
+    assert.deepEqual(await searches(), []);
+    assert.deepEqual((await api.dataSource.clients.sewing.from('saved_search_matches').select('*')).data, []);
+  });
+});
+
+describe('notifier transports', () => {
+  it('appends messages to a file for local use', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notifier-'));
+    const file = path.join(dir, 'mail', 'notifications.log');
+    const transport = createFileTransport(file);
+
+    await transport.send({ to: 'a@example.com', subject: 'One', text: 'First' });
+    await transport.send({ to: 'b@example.com', subject: 'Two', text: 'Second' });
+
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.to, line.subject]), [['a@example.com', 'One'], ['b@example.com', 'Two']]);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads the transport from the environment', () => {
+    const env = extra => ({ DATA_SOURCE: 'memory', ...extra });
+
+    assert.equal(loadConfig(env()).notifier.transport, 'log');
+    assert.deepEqual(loadConfig(env({ NOTIFIER_TRANSPORT: 'smtp', SMTP_URL: 'smtp://mail.test:587', NOTIFIER_FROM: 'jobs@example.com' })).notifier, {
+      transport: 'smtp', file: 'notifications.log', smtpUrl: 'smtp://mail.test:587', from: 'jobs@example.com'
+    });
+    assert.throws(() => loadConfig(env({ NOTIFIER_TRANSPORT: 'smtp' })), ConfigError);
+    assert.throws(() => loadConfig(env({ NOTIFIER_TRANSPORT: 'pigeon' })), ConfigError);
+    assert.equal(loadConfig(env({ SAVED_SEARCH_ALERTS: 'off' })).savedSearchAlerts, false);
+  });
+});
@@ -0,0 +1,136 @@
+// ========== test/shortlists.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'node:timers/promises';
+import { startApp, signToken } from './support.js';
+import { USERS } from './fixtures.js';
+import { canMoveStage } from '../src/routes/shortlistsRouter.js';
+
+const employerToken = () => signToken('sewing', {
+  sub: USERS.sewingEmployer.id,
+  email: USERS.sewingEmployer.email,
+  app_metadata: { role: 'employer' }
+});
+
+describe('canMoveStage', () => {
+  it('moves forward, skipping steps if need be', () => {
+    assert.equal(canMoveStage('shortlisted', 'contacted'), true);
+    assert.equal(canMoveStage('shortlisted', 'offered'), true);
+    assert.equal(canMoveStage('interviewing', 'hired'), true);
+  });
+
+  it('rejects at any point before the end', () => {
+    for (const stage of ['shortlisted', 'contacted', 'interviewing', 'offered']) {
+      assert.equal(canMoveStage(stage, 'rejected'), true, stage);
+    }
+  });
+
+  it('never moves back, stays put, leaves a final stage or goes somewhere unknown', () => {
+    assert.equal(canMoveStage('interviewing', 'contacted'), false);
+    assert.equal(canMoveStage('contacted', 'contacted'), false);
+    assert.equal(canMoveStage('hired', 'rejected'), false);
+    assert.equal(canMoveStage('rejected', 'offered'), false);
+    assert.equal(canMoveStage('shortlisted', 'ghosted'), false);
+  });
+});
+
+describe('job shortlists', () => {
+  let api;
+  let job;
+  let entry;
+  const events = [];
+
+  before(async () => {
+    api = await startApp();
+    api.app.locals.events.subscribe(event => { events.push(event); });
+    ({ body: job } = await api.request('POST', '/api/jobs', { token: employerToken(), body: { title: 'Machinist' } }));
+  });
+  after(() => api.close());
+
+  const shortlist = (path = '', options = {}) => api.request(options.method || 'GET', `/api/jobs/${job.id}/shortlist${path}`, {
+    token: employerToken(),
+    ...options
+  });
+
+  it('adds candidates from either trade', async () => {
+    const { status, body } = await shortlist('', { method: 'POST', body: { candidateId: 'sew-1', candidateType: 'sewing', notes: 'Strong CV' } });
+    assert.equal(status, 201);
+    assert.deepEqual([body.stage, body.notes], ['shortlisted', 'Strong CV']);
+    entry = body;
+
+    const other = await shortlist('', { method: 'POST', body: { candidateId: 'uph-1', candidateType: 'upholstery' } });
+    assert.equal(other.status, 201);
+
+    const { body: list } = await shortlist();
+    assert.deepEqual(list.map(e => e.candidateId).sort(), ['sew-1', 'uph-1']);
+  });
+
+  it('refuses duplicates, unknown candidates and hidden ones', async () => {
+    const duplicate = await shortlist('', { method: 'POST', body: { candidateId: 'sew-1', candidateType: 'sewing' } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.id, entry.id);
+
+    const unknown = await shortlist('', { method: 'POST', body: { candidateId: 'sew-404', candidateType: 'sewing' } });
+    assert.equal(unknown.status, 404);
+
+    // Hidden by the candidate, then by a moderator
+    const candidates = () => api.dataSource.clients.sewing.from('candidates_public');
+    await candidates().update({ visibility: 'hidden' }).eq('candidate_id', 'sew-2');
+    await candidates().update({ hidden: true }).eq('candidate_id', 'sew-3');
+    for (const candidateId of ['sew-2', 'sew-3']) {
+      const hidden = await shortlist('', { method: 'POST', body: { candidateId, candidateType: 'sewing' } });
+      assert.equal(hidden.status, 404, candidateId);
+    }
+  });
+
+  it('moves candidates through the pipeline, keeping a history and announcing each move', async () => {
+    const contacted = await shortlist(`/${entry.id}`, { method: 'PATCH', body: { stage: 'contacted' } });
+    assert.equal(contacted.status, 200);
+    assert.equal(contacted.body.stage, 'contacted');
+
+    const backwards = await shortlist(`/${entry.id}`, { method: 'PATCH', body: { stage: 'shortlisted' } });
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.error, 'Cannot move candidate from contacted to shortlisted');
+
+    // Notes alone change no stage
+    await shortlist(`/${entry.id}`, { method: 'PATCH', body: { notes: 'Call back Monday' } });
+    await shortlist(`/${entry.id}`, { method: 'PATCH', body: { stage: 'offered' } });
+
+    const { body } = await shortlist(`/${entry.id}`);
+    assert.equal(body.notes, 'Call back Monday');
+    assert.deepEqual(body.history.map(h => [h.fromStage, h.toStage]), [
+      [null, 'shortlisted'],
+      ['shortlisted', 'contacted'],
+      ['contacted', 'offered']
+    ]);
+    assert.ok(body.history.every(h => h.changedBy === USERS.sewingEmployer.id));
+
+    await nextTick();
+    const moves = events.filter(event => event.type === 'shortlist.stage_changed');
+    assert.deepEqual(moves.map(event => [event.data.from, event.data.to]), [['shortlisted', 'contacted'], ['contacted', 'offered']]);
+    assert.deepEqual(
+      [moves[0].data.accountType, String(moves[0].data.jobId), moves[0].data.entryId, moves[0].data.candidateType],
+      ['sewing', String(job.id), entry.id, 'sewing']
+    );
+  });
+
+  it('filters by stage', async () => {
+    const { body } = await shortlist('?stage=offered');
+    assert.deepEqual(body.map(e => e.id), [entry.id]);
+    assert.equal((await shortlist('?stage=ghosted')).status, 400);
+  });
+
+  it('only serves the job\'s owner', async () => {
+    const rival = signToken('sewing', { sub: '55555555-5555-4555-8555-555555555555', email: 'rival@sewing.test', app_metadata: { role: 'employer' } });
+    const { status } = await api.request('GET', `/api/jobs/${job.id}/shortlist`, { token: rival });
+    assert.equal(status, 404);
+  });
+
+  it('removes entries with their history', async () => {
+    assert.equal((await shortlist(`/${entry.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await shortlist(`/${entry.id}`)).status, 404);
+
+    const { data } = await api.dataSource.clients.sewing.from('shortlist_stage_history').select('*').eq('entry_id', entry.id);
+    assert.deepEqual(data, []);
+  });
+});
@@ -0,0 +1,113 @@
+// ========== test/support.js ==========
+// Builds an app against in-memory projects, a stub geocoder and a notifier
+// that records messages instead of sending them, and serves it on a random port.
+import jwt from 'jsonwebtoken';
+import { createApp } from '../src/app.js';
+import { createMemoryDataSource } from '../src/datasources/index.js';
+import { createGeocoder, createStaticProvider } from '../src/services/geocoding.js';
+import { createNotifier } from '../src/services/notifier.js';
+import { LruCache } from '../src/utils/lruCache.js';
+import { logger } from '../src/utils/logger.js';
+import { createSeed, POSTCODES } from './fixtures.js';
+
+export const PROJECTS = {
+  sewing: { url: 'http://sewing.test', jwtSecret: 'sewing-test-secret' },
+  upholstery: { url: 'http://upholstery.test', jwtSecret: 'upholstery-test-secret' }
+};
+
+// Log output from the routes is noise in test runs; TEST_VERBOSE=1 keeps it
+if (!process.env.TEST_VERBOSE) logger.setLevel('silent');
+
+export async function startApp({ seed = createSeed(), postcodes = POSTCODES, deps = {} } = {}) {
+  const dataSource = createMemoryDataSource({ seed, projects: PROJECTS });
+  const sent = [];
+  const notifier = createNotifier({ transport: { name: 'test', async send(message) { sent.push(message); } } });
+  const geocoder = createGeocoder({
+    provider: createStaticProvider(postcodes),
+    cache: new LruCache({ maxEntries: 100, ttlMs: 60000 })
+  });
+
+  const app = createApp({ dataSource, notifier, geocoder, logRequests: false, ...deps });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  async function login(email, password) {
+    const { status, body } = await request('POST', '/api/login', { body: { email, password } });
+    if (status !== 200) throw new Error(`Login failed for ${email}: ${status} ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  return {
+    app,
+    dataSource,
+    sent,
+    request,
+    login,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A token as the given project would sign it; override claims or the secret to break it
+export function signToken(accountType, claims = {}, { secret = PROJECTS[accountType].jwtSecret, expiresIn = '1h' } = {}) {
+  return jwt.sign({
+    iss: `${PROJECTS[accountType].url}/auth/v1`,
+    role: 'authenticated',
+    aud: 'authenticated',
+    session_id: 'test-session',
+    ...claims
+  }, secret, { algorithm: 'HS256', expiresIn });
+}
+
+/**
+ * Minimal JSON Schema check covering what the published schemas use (type,
+ * const, enum, properties, required, additionalProperties, items, $ref to a
+ * sibling schema). Returns a list of problems; empty means it matches.
+ */
+export function schemaProblems(value, schema, { resolve = () => null, path = '$' } = {}) {
+  if (schema.$ref) return schemaProblems(value, resolve(schema.$ref), { resolve, path });
+
+  const problems = [];
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  const types = [schema.type].flat().filter(Boolean);
+  const actual = typeOf(value);
+
+  if (types.length > 0 && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+    return [`${path}: expected ${types.join('|')}, got ${actual}`];
+  }
+  if ('const' in schema && value !== schema.const) problems.push(`${path}: expected ${schema.const}`);
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${path}: not one of ${schema.enum.join(', ')}`);
+
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key}: missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        problems.push(...schemaProblems(item, schema.properties[key], { resolve, path: `${path}.${key}` }));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${key}: not in schema`);
+      }
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => problems.push(...schemaProblems(item, schema.items, { resolve, path: `${path}[${i}]` })));
+  }
+  return problems;
+}
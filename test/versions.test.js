@@ -0,0 +1,144 @@
+// ========== test/versions.test.js ==========
+// API versions, ?fields= and the published schemas. Every response checked
+// here is also validated against the schema the API publishes for it.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, signToken, schemaProblems } from './support.js';
+import { USERS } from './fixtures.js';
+
+const employerToken = () => signToken('sewing', {
+  sub: USERS.sewingEmployer.id,
+  email: USERS.sewingEmployer.email,
+  app_metadata: { role: 'employer' }
+});
+
+describe('API versions', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  async function assertMatchesSchema(version, name, body) {
+    const schemas = {};
+    const load = async (schemaName) => {
+      const { status, body: schema } = await api.request('GET', `/api/v${version}/schemas/${schemaName}`);
+      assert.equal(status, 200, `schema ${schemaName}`);
+      schemas[schemaName] = schema;
+      for (const ref of JSON.stringify(schema).match(/"\$ref":"[^"]+"/g) || []) {
+        const target = ref.slice(8, -1);
+        if (!schemas[target]) await load(target);
+      }
+    };
+    await load(name);
+    assert.deepEqual(schemaProblems(body, schemas[name], { resolve: ref => schemas[ref] }), []);
+  }
+
+  it('serves version 1 by default and says so', async () => {
+    const { headers, body } = await api.request('GET', '/api/upholstery/uph-2', { token: employerToken() });
+    assert.equal(headers.get('api-version'), '1');
+    assert.match(headers.get('vary'), /Accept-Version/);
+    assert.equal(body.workType, 'Not specified');
+    await assertMatchesSchema(1, 'upholstery-candidate', body);
+  });
+
+  it('sends null instead of placeholders in version 2', async () => {
+    const { status, headers, body } = await api.request('GET', '/api/v2/upholstery/uph-2', { token: employerToken() });
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('api-version'), '2');
+    assert.deepEqual(body, {
+      id: 2,
+      candidateId: 'uph-2',
+      role: null,
+      location: null,
+      postcodeDistrict: null,
+      postcodeCoords: null,
+      yearsExperience: null,
+      availability: null,
+      noticePeriod: null,
+      sector: null,
+      workType: null,
+      travelDistance: null,
+      driversLicense: null,
+      ownVehicle: null,
+      products: [],
+      techniques: [],
+      sewingMachineExperience: null,
+      sewingMachines: [],
+      willingToRelocate: null,
+      type: 'upholstery'
+    });
+    await assertMatchesSchema(2, 'upholstery-candidate', body);
+  });
+
+  it('accepts the version as a header', async () => {
+    const { headers, body } = await api.request('GET', '/api/candidates/sew-2', {
+      token: employerToken(),
+      headers: { 'accept-version': '2' }
+    });
+    assert.equal(headers.get('api-version'), '2');
+    assert.equal(body.availability, null);
+    assert.equal(body.desiredSalary, null);
+    await assertMatchesSchema(2, 'sewing-candidate', body);
+  });
+
+  it('rejects versions that do not exist', async () => {
+    for (const request of [['/api/v9/candidates', {}], ['/api/candidates', { 'accept-version': 'latest' }]]) {
+      const { status, body } = await api.request('GET', request[0], { headers: request[1] });
+      assert.equal(status, 400);
+      assert.deepEqual(body, { error: 'Unsupported API version', supportedVersions: [1, 2] });
+    }
+  });
+
+  it('publishes schemas that list, search and public responses satisfy', async () => {
+    for (const version of [1, 2]) {
+      const sewing = await api.request('GET', `/api/v${version}/candidates?near=M1%201AE`, { token: employerToken() });
+      await assertMatchesSchema(version, 'sewing-candidate-list', sewing.body);
+
+      const upholstery = await api.request('GET', `/api/v${version}/upholstery`);
+      await assertMatchesSchema(version, 'upholstery-candidate-list', upholstery.body);
+
+      const search = await api.request('GET', `/api/v${version}/search`);
+      await assertMatchesSchema(version, 'search-response', search.body);
+    }
+  });
+
+  it('lists the schemas for the requested version', async () => {
+    const { body } = await api.request('GET', '/api/v2/schemas');
+    assert.equal(body.version, 2);
+    assert.ok(body.schemas.some(s => s.url === '/api/v2/schemas/sewing-candidate'));
+
+    const missing = await api.request('GET', '/api/schemas/nope');
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('?fields=', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('returns only the requested fields', async () => {
+    const { body } = await api.request('GET', '/api/candidates?fields=candidateId,machines', { token: employerToken() });
+    assert.deepEqual(body[0], { candidateId: 'sew-1', machines: ['Overlocker', 'Flatlock'] });
+  });
+
+  it('applies to detail and search results', async () => {
+    const detail = await api.request('GET', '/api/upholstery/uph-1?fields=role,sewingMachines');
+    assert.deepEqual(detail.body, { role: 'Upholsterer', sewingMachines: ['Walking foot', 'Lockstitch'] });
+
+    const search = await api.request('GET', '/api/search?fields=type,candidateId&limit=1');
+    assert.deepEqual(search.body.results, [{ type: 'sewing', candidateId: 'sew-1' }]);
+    assert.equal(search.body.total, 5);
+  });
+
+  it('never uses a fieldset to reveal what a public card leaves out', async () => {
+    const { body } = await api.request('GET', '/api/candidates/sew-1?fields=candidateId,postcodeCoords');
+    assert.deepEqual(body, { candidateId: 'sew-1' });
+  });
+
+  it('rejects unknown fields', async () => {
+    const { status, body } = await api.request('GET', '/api/candidates?fields=role,email');
+    assert.equal(status, 400);
+    assert.match(body.error, /^Unknown field\(s\): email\. Available fields: id, candidateId/);
+  });
+});
@@ -0,0 +1,234 @@
+// ========== test/webhooks.test.js ==========
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startApp } from './support.js';
+import { USERS, PASSWORD } from './fixtures.js';
+import { signatureHeader, verifySignature } from '../src/services/webhooks.js';
+
+// A local endpoint that records what it receives and answers with the queued
+// status codes (200 once they run out)
+async function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, event: JSON.parse(body) });
+      res.writeHead(statuses.shift() ?? 200).end();
+    });
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    statuses,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('webhook signatures', () => {
+  it('verifies its own signatures and nothing else', () => {
+    const body = '{"type":"candidate.created"}';
+    const header = signatureHeader('whsec_test', body);
+
+    assert.equal(verifySignature('whsec_test', header, body), true);
+    assert.equal(verifySignature('whsec_other', header, body), false);
+    assert.equal(verifySignature('whsec_test', header, `${body} `), false);
+    assert.equal(verifySignature('whsec_test', header, body, { now: new Date(Date.now() + 10 * 60 * 1000) }), false);
+    assert.equal(verifySignature('whsec_test', 'garbage', body), false);
+  });
+});
+
+describe('webhooks', () => {
+  let api;
+  let receiver;
+  let admin;
+  let candidate;
+  let webhook;
+
+  before(async () => {
+    receiver = await startReceiver();
+    api = await startApp({ deps: { webhookRetry: { maxAttempts: 3 } } });
+    admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+    candidate = await api.login(USERS.sewingCandidate.email, PASSWORD);
+  });
+  after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  const webhooks = api => api.app.locals.webhooks;
+  const later = ms => new Date(Date.now() + ms);
+  const setAvailability = availability => api.request('PATCH', '/api/candidate/profile', { token: candidate, body: { availability } });
+  const deliveries = async (query = '') => (await api.request('GET', `/api/admin/webhooks/sewing/${webhook.id}/deliveries${query}`, { token: admin })).body;
+
+  it('registers an endpoint and returns its secret once', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/webhooks', {
+      token: admin,
+      body: { url: receiver.url, events: ['candidate.created', 'candidate.availability_changed'], description: 'CRM' }
+    });
+
+    assert.equal(status, 201);
+    assert.match(body.secret, /^whsec_/);
+    assert.equal(body.enabled, true);
+    webhook = body;
+
+    const { body: list } = await api.request('GET', '/api/admin/webhooks', { token: admin });
+    assert.deepEqual(list.webhooks.map(w => [w.url, w.secret]), [[receiver.url, undefined]]);
+  });
+
+  it('refuses unknown events and non-http URLs', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/webhooks', {
+      token: admin,
+      body: { url: 'ftp://crm.example.com', events: ['candidate.created', 'candidate.deleted'] }
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.fields.url, /http or https/);
+    assert.match(body.fields.events, /Unknown event type\(s\): candidate.deleted/);
+  });
+
+  it('delivers signed events the endpoint subscribed to', async () => {
+    await api.request('POST', '/api/candidate/profile', {
+      token: candidate,
+      body: { firstName: 'Ada', lastName: 'Stitch', jobTitle: 'Machinist', availability: 'Available now' }
+    });
+    // Not subscribed to this one
+    await api.request('POST', '/api/register', {
+      body: {
+        email: 'new.boss@example.com', password: 'Sturdy-Passw0rd', confirmPassword: 'Sturdy-Passw0rd',
+        accountType: 'sewing', company: 'New Co'
+      }
+    });
+    await webhooks(api).flush();
+
+    assert.equal(receiver.received.length, 1);
+    const [{ headers, body, event }] = receiver.received;
+    assert.equal(headers['x-webhook-event'], 'candidate.created');
+    assert.equal(headers['x-webhook-event-id'], event.id);
+    assert.equal(verifySignature(webhook.secret, headers['x-webhook-signature'], body), true);
+    assert.equal(event.type, 'candidate.created');
+    assert.equal(event.data.source, 'profile');
+    assert.equal(event.data.availability, 'Available now');
+
+    const { deliveries: log } = await deliveries();
+    assert.deepEqual(log.map(d => [d.event, d.status, d.attempts]), [['candidate.created', 'succeeded', 1]]);
+  });
+
+  it('retries failed deliveries with backoff', async () => {
+    receiver.statuses.push(500);
+    await setAvailability('Open to offers');
+    await webhooks(api).flush();
+
+    const [pending] = (await deliveries('?status=pending')).deliveries;
+    assert.equal(pending.event, 'candidate.availability_changed');
+    assert.equal(pending.lastStatusCode, 500);
+    assert.ok(new Date(pending.nextAttemptAt) > later(20 * 1000));
+
+    // Not due yet
+    assert.equal(await webhooks(api).runDue(new Date()), 0);
+    assert.equal(await webhooks(api).runDue(later(35 * 1000)), 1);
+
+    const { body: delivery } = await api.request('GET', `/api/admin/webhooks/sewing/${webhook.id}/deliveries/${pending.id}`, { token: admin });
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.log.map(a => a.statusCode), [500, 200]);
+    assert.deepEqual(delivery.payload.data, { type: 'sewing', candidateId: delivery.payload.data.candidateId, from: 'Available now', to: 'Open to offers' });
+
+    // Both attempts carried the same event
+    const [first, second] = receiver.received.slice(-2).map(r => r.event.id);
+    assert.equal(first, second);
+  });
+
+  it('moves deliveries that keep failing to the dead-letter list, and can send them again', async () => {
+    receiver.statuses.push(503, 503, 503);
+    await setAvailability('Not looking');
+    await webhooks(api).flush();
+    await webhooks(api).runDue(later(35 * 1000));
+    await webhooks(api).runDue(later(2 * 60 * 1000));
+
+    const { body: dead } = await api.request('GET', '/api/admin/webhooks/dead-letters', { token: admin });
+    assert.equal(dead.deliveries.length, 1);
+    const [letter] = dead.deliveries;
+    assert.deepEqual([letter.status, letter.attempts, letter.lastStatusCode], ['dead', 3, 503]);
+
+    const retry = await api.request('POST', `/api/admin/webhooks/sewing/${webhook.id}/deliveries/${letter.id}/retry`, { token: admin });
+    assert.equal(retry.status, 202);
+    await webhooks(api).flush();
+
+    const { body: delivery } = await api.request('GET', `/api/admin/webhooks/sewing/${webhook.id}/deliveries/${letter.id}`, { token: admin });
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.log.length, 4);
+    assert.equal((await api.request('GET', '/api/admin/webhooks/dead-letters', { token: admin })).body.deliveries.length, 0);
+  });
+
+  it('sends nothing to disabled endpoints', async () => {
+    const { body } = await api.request('PATCH', `/api/admin/webhooks/sewing/${webhook.id}`, { token: admin, body: { enabled: false } });
+    assert.equal(body.enabled, false);
+
+    const before = receiver.received.length;
+    await setAvailability('Available soon');
+    await webhooks(api).flush();
+    assert.equal(receiver.received.length, before);
+  });
+
+  it('reports shortlist stage changes', async () => {
+    await api.request('PATCH', `/api/admin/webhooks/sewing/${webhook.id}`, { token: admin, body: { enabled: true, events: ['shortlist.stage_changed'] } });
+    const employer = await api.login(USERS.sewingEmployer.email, PASSWORD);
+
+    const { body: job } = await api.request('POST', '/api/jobs', { token: employer, body: { title: 'Machinist' } });
+    const { body: entry } = await api.request('POST', `/api/jobs/${job.id}/shortlist`, {
+      token: employer,
+      body: { candidateId: 'sew-1', candidateType: 'sewing' }
+    });
+    await api.request('PATCH', `/api/jobs/${job.id}/shortlist/${entry.id}`, { token: employer, body: { stage: 'contacted' } });
+    await webhooks(api).flush();
+
+    const { event } = receiver.received.at(-1);
+    assert.equal(event.type, 'shortlist.stage_changed');
+    assert.deepEqual([event.data.candidateId, event.data.from, event.data.to], ['sew-1', 'shortlisted', 'contacted']);
+  });
+
+  it('is for admins only, and deletes endpoints with their log', async () => {
+    assert.equal((await api.request('GET', '/api/admin/webhooks', { token: candidate })).status, 403);
+
+    const { status } = await api.request('DELETE', `/api/admin/webhooks/sewing/${webhook.id}`, { token: admin });
+    assert.equal(status, 204);
+
+    const { data } = await api.dataSource.clients.sewing.from('webhook_delivery_attempts').select('*');
+    assert.deepEqual(data, []);
+    assert.equal((await api.request('GET', `/api/admin/webhooks/sewing/${webhook.id}`, { token: admin })).status, 404);
+  });
+});
+
+describe('dead-letter list', () => {
+  it('counts every dead delivery in both projects, not just the page loaded', async () => {
+    const api = await startApp();
+    try {
+      const deadRows = (type, count) => Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        subscription_id: 1,
+        event_type: 'candidate.created',
+        event_id: `${type}-${i}`,
+        status: 'dead',
+        attempts: 8,
+        created_at: `2024-01-0${i + 1}T00:00:00.000Z`,
+        updated_at: `2024-02-0${i + 1}T00:00:00.000Z`
+      }));
+      await api.dataSource.clients.sewing.from('webhook_deliveries').insert(deadRows('sewing', 3));
+      await api.dataSource.clients.upholstery.from('webhook_deliveries').insert(deadRows('upholstery', 2));
+
+      const admin = await api.login(USERS.sewingAdmin.email, PASSWORD);
+      const { headers, body } = await api.request('GET', '/api/admin/webhooks/dead-letters?limit=2', { token: admin });
+
+      assert.equal(headers.get('x-total-count'), '5');
+      assert.equal(headers.get('x-total-pages'), '3');
+      assert.deepEqual(body.deliveries.map(d => d.eventId), ['sewing-2', 'sewing-1']);
+    } finally {
+      await api.close();
+    }
+  });
+});